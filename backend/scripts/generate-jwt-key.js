@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Usage: npm run generate-jwt-key -- <kid> [rsa|ec|ed25519]
+// Writes keys/<kid>.pem; set JWT_KEYS_DIR=./keys and JWT_SIGNING_KID=<kid> to sign with it.
+const [kid, type = 'rsa'] = process.argv.slice(2);
+
+if (!kid || !/^[\w-]+$/.test(kid) || !['rsa', 'ec', 'ed25519'].includes(type)) {
+  console.error('Usage: npm run generate-jwt-key -- <kid> [rsa|ec|ed25519]');
+  process.exit(1);
+}
+
+const keysDir = path.join(__dirname, '..', 'keys');
+const keyPath = path.join(keysDir, `${kid}.pem`);
+
+if (fs.existsSync(keyPath)) {
+  console.error(`Key ${keyPath} already exists. Pick a new key id to rotate.`);
+  process.exit(1);
+}
+
+const ALGORITHMS = { rsa: 'RS256', ec: 'ES256', ed25519: 'EdDSA' };
+const { privateKey } = type === 'rsa'
+  ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+  : type === 'ec'
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+    : crypto.generateKeyPairSync('ed25519');
+
+fs.mkdirSync(keysDir, { recursive: true });
+fs.writeFileSync(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+console.log(`JWT signing key generated (${ALGORITHMS[type]}).`);
+console.log(`  Key: ${keyPath}`);
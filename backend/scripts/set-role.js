@@ -0,0 +1,26 @@
+require('dotenv').config();
+const { initializeDatabase, getDatabase, closeDatabase } = require('../src/data');
+const { ROLES } = require('../src/config/constants');
+
+// Usage: npm run set-role -- <username> <user|admin>
+// The first admin has to be made here; after that admins manage accounts through /api/admin.
+const [username, role] = process.argv.slice(2);
+
+if (!username || !Object.values(ROLES).includes(role)) {
+  console.error(`Usage: npm run set-role -- <username> <${Object.values(ROLES).join('|')}>`);
+  process.exit(1);
+}
+
+initializeDatabase();
+const db = getDatabase();
+
+const user = db.findUserByUsername(username);
+if (!user) {
+  console.error(`No user named "${username}".`);
+  closeDatabase();
+  process.exit(1);
+}
+
+db.setUserRole(user.id, role);
+closeDatabase();
+console.log(`${username} is now ${role === ROLES.ADMIN ? 'an admin' : 'a regular user'}.`);
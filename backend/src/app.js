@@ -5,6 +5,10 @@ const logger = require('./utils/logger');
 const authRoutes = require('./routes/auth');
 const messageRoutes = require('./routes/messages');
 const userRoutes = require('./routes/users');
+const conversationRoutes = require('./routes/conversations');
+const deviceRoutes = require('./routes/devices');
+const adminRoutes = require('./routes/admin');
+const wellKnownRoutes = require('./routes/wellKnown');
 const { errorHandler } = require('./middleware/errorHandler');
 
 const app = express();
@@ -14,7 +18,8 @@ app.use(helmet());
 
 app.use(cors({
   origin: process.env.CLIENT_URL || 'https://localhost:5173',
-  credentials: true
+  credentials: true,
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-Id', 'Last-Event-ID']
 }));
 app.use(express.json({ limit: '1mb' }));
 
@@ -29,13 +34,26 @@ app.use((req, res, next) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/.well-known', wellKnownRoutes);
 
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
 logger.info('Routes registered', {
-  routes: ['/api/auth', '/api/messages', '/api/users', '/api/health']
+  routes: [
+    '/api/auth',
+    '/api/messages',
+    '/api/users',
+    '/api/conversations',
+    '/api/devices',
+    '/api/admin',
+    '/api/health',
+    '/.well-known/jwks.json',
+  ]
 });
 
 // 404 handler — log unmatched routes for debugging
@@ -9,6 +9,18 @@
 /** Long polling timeout - how long server holds the connection */
 const POLL_TIMEOUT_MS = 30000; // 30 seconds
 
+/** Interval of the keep-alive comments on open message streams (SSE) */
+const STREAM_HEARTBEAT_MS = 25000; // 25 seconds
+
+/** A typing indicator ends when its user sends no typing ping for this long */
+const TYPING_TIMEOUT_MS = 6000; // 6 seconds
+
+/** In the general room, parked polls hear each typist at most this often (clients drop an indicator after 8s) */
+const GENERAL_TYPING_POLL_INTERVAL_MS = 5000; // 5 seconds
+
+/** A session's last-seen time and client are written at most this often */
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000; // 1 minute
+
 /** Rate limiting window */
 const RATE_LIMIT_WINDOW_MS = 60 * 1000; // 1 minute
 
@@ -23,6 +35,15 @@ const REGISTER_RATE_LIMIT = 3;
 /** Maximum messages per minute */
 const MESSAGE_RATE_LIMIT = 30;
 
+/** Maximum token refreshes per minute */
+const REFRESH_RATE_LIMIT = 30;
+
+/** Maximum typing pings per minute (clients send one every few seconds while typing) */
+const TYPING_RATE_LIMIT = 60;
+
+/** Maximum prekey bundle fetches per minute by one user for one target user (each claims one-time prekeys) */
+const PREKEY_BUNDLE_RATE_LIMIT = 10;
+
 // ── Security ──
 
 /** bcrypt salt rounds for password hashing */
@@ -31,17 +52,72 @@ const SALT_ROUNDS = 12;
 /** PBKDF2 iterations for key derivation (private key encryption) */
 const PBKDF2_ITERATIONS = 100000;
 
+/** Failed logins per account before each further failure locks it for a while */
+const LOGIN_FREE_ATTEMPTS = 3;
+
+/** First lockout after the free attempts; doubles with every further failure */
+const LOGIN_LOCKOUT_BASE_MS = 15 * 1000; // 15 seconds
+
+/** Longest lockout */
+const LOGIN_LOCKOUT_MAX_MS = 60 * 60 * 1000; // 1 hour
+
+/** Failed logins older than this no longer count toward a lockout */
+const LOGIN_FAILURE_RESET_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+/** Maximum recovery codes stored per user (one set replaces the previous one) */
+const MAX_RECOVERY_CODES = 10;
+
+/** Backup codes issued when two-factor authentication is enabled (each works once) */
+const TOTP_BACKUP_CODE_COUNT = 10;
+
+/** Issuer name shown next to the account in authenticator apps */
+const TOTP_ISSUER = 'SecureMessaging';
+
+// ── Devices ──
+
+/** Maximum registered devices per user */
+const MAX_DEVICES_PER_USER = 10;
+
+/** Maximum unclaimed one-time prekeys stored per device */
+const MAX_ONE_TIME_PREKEYS = 100;
+
+// ── Roles ──
+
+/** Account roles; every account is a user, admins also get the /api/admin routes */
+const ROLES = Object.freeze({ USER: 'user', ADMIN: 'admin' });
+
 module.exports = {
   // Timeouts
   POLL_TIMEOUT_MS,
+  STREAM_HEARTBEAT_MS,
+  TYPING_TIMEOUT_MS,
+  GENERAL_TYPING_POLL_INTERVAL_MS,
+  SESSION_TOUCH_INTERVAL_MS,
   RATE_LIMIT_WINDOW_MS,
 
   // Rate limits
   LOGIN_RATE_LIMIT,
   REGISTER_RATE_LIMIT,
   MESSAGE_RATE_LIMIT,
+  REFRESH_RATE_LIMIT,
+  TYPING_RATE_LIMIT,
+  PREKEY_BUNDLE_RATE_LIMIT,
 
   // Security
   SALT_ROUNDS,
   PBKDF2_ITERATIONS,
+  LOGIN_FREE_ATTEMPTS,
+  LOGIN_LOCKOUT_BASE_MS,
+  LOGIN_LOCKOUT_MAX_MS,
+  LOGIN_FAILURE_RESET_MS,
+  MAX_RECOVERY_CODES,
+  TOTP_BACKUP_CODE_COUNT,
+  TOTP_ISSUER,
+
+  // Devices
+  MAX_DEVICES_PER_USER,
+  MAX_ONE_TIME_PREKEYS,
+
+  // Roles
+  ROLES,
 };
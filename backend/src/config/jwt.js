@@ -1,9 +1,68 @@
-if (!process.env.JWT_SECRET) {
-  throw new Error('JWT_SECRET environment variable is required. Set it in your .env file.');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Access tokens are signed either with the shared JWT_SECRET (HS256), or, when JWT_KEYS_DIR is set,
+// with an RS256/ES256/EdDSA key from that directory so other services can verify them from the JWKS.
+// Each `<kid>.pem` there is a private key (signs and verifies); `<kid>.pub.pem` is a public key
+// kept only to verify tokens from a retired key. JWT_SIGNING_KID picks the key that signs.
+
+function algorithmFor(publicKey, file) {
+  if (publicKey.asymmetricKeyType === 'rsa') return 'RS256';
+  if (publicKey.asymmetricKeyType === 'ec' && publicKey.asymmetricKeyDetails.namedCurve === 'prime256v1') {
+    return 'ES256';
+  }
+  if (publicKey.asymmetricKeyType === 'ed25519') return 'EdDSA';
+  throw new Error(`Unsupported JWT key in ${file}: use RSA, EC P-256 or Ed25519`);
+}
+
+function loadKeys(dir) {
+  const keys = new Map();
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = file.match(/^([\w-]+?)(\.pub)?\.pem$/);
+    if (!match) continue;
+
+    const [, kid, publicOnly] = match;
+    if (keys.has(kid)) {
+      throw new Error(`JWT key id "${kid}" appears twice in ${dir}`);
+    }
+    const pem = fs.readFileSync(path.join(dir, file));
+    const privateKey = publicOnly ? null : crypto.createPrivateKey(pem);
+    const publicKey = crypto.createPublicKey(privateKey || pem);
+    keys.set(kid, { kid, algorithm: algorithmFor(publicKey, file), publicKey, privateKey });
+  }
+  return keys;
 }
 
+function loadSigning() {
+  const dir = process.env.JWT_KEYS_DIR;
+
+  if (!dir) {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET environment variable is required. Set it in your .env file.');
+    }
+    // No kid: the shared secret is the only key
+    const secret = process.env.JWT_SECRET;
+    const secretKey = { kid: null, algorithm: 'HS256', publicKey: secret, privateKey: secret };
+    return { signingKey: secretKey, verificationKeys: new Map([[null, secretKey]]) };
+  }
+
+  const verificationKeys = loadKeys(dir);
+  const signingKey = verificationKeys.get(process.env.JWT_SIGNING_KID);
+  if (!signingKey || !signingKey.privateKey) {
+    throw new Error(`JWT_SIGNING_KID must name a private key (<kid>.pem) in ${dir}`);
+  }
+  return { signingKey, verificationKeys };
+}
+
+const { signingKey, verificationKeys } = loadSigning();
+
 module.exports = {
-  secret: process.env.JWT_SECRET,
-  expiration: process.env.JWT_EXPIRATION || '24h',
-  algorithm: 'HS256'
+  signingKey,
+  verificationKeys,
+  // Access tokens are short-lived; sessions continue through rotating refresh tokens
+  expiration: process.env.JWT_EXPIRATION || '15m',
+  refreshExpirationDays: Number(process.env.JWT_REFRESH_EXPIRATION_DAYS) || 30,
+  // Time between the password and the two-factor code at login
+  challengeExpiration: '5m',
 };
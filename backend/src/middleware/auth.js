@@ -1,5 +1,7 @@
-const jwt = require('jsonwebtoken');
-const jwtConfig = require('../config/jwt');
+const { getDatabase } = require('../data');
+const { verifyToken } = require('../utils/tokens');
+const { findUserSession } = require('../services/sessionService');
+const { ERROR_MESSAGES } = require('../utils/validation');
 const logger = require('../utils/logger');
 
 function authenticateToken(req, res, next) {
@@ -11,14 +13,36 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ error: 'נדרש טוקן גישה' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, jwtConfig.secret);
-    req.user = decoded;
-    next();
+    decoded = verifyToken(token);
   } catch (err) {
     logger.info('Invalid token presented', { path: req.path, error: err.message });
     return res.status(403).json({ error: 'טוקן לא תקין או פג תוקף' });
   }
+
+  // A valid signature is not enough: the session may have been signed out since the token was issued
+  const client = { userAgent: req.headers['user-agent'], ip: req.ip };
+  if (!decoded.sid || !findUserSession(decoded.userId, decoded.sid, client)) {
+    logger.info('Token for a revoked session presented', { path: req.path, userId: decoded.userId });
+    return res.status(401).json({ error: ERROR_MESSAGES.session.revoked });
+  }
+
+  req.user = decoded;
+  next();
+}
+
+// Use after authenticateToken. The role is read from the database, not the token,
+// so a demoted account loses access on its next request.
+function requireRole(...roles) {
+  return (req, res, next) => {
+    const user = getDatabase().findUserById(req.user.userId);
+    if (!user || !roles.includes(user.role)) {
+      logger.warn('Request without the required role', { path: req.path, userId: req.user.userId, roles });
+      return res.status(403).json({ error: ERROR_MESSAGES.role.forbidden });
+    }
+    next();
+  };
 }
 
-module.exports = { authenticateToken };
+module.exports = { authenticateToken, requireRole };
@@ -0,0 +1,27 @@
+const { findUserDevice } = require('../services/deviceService');
+const logger = require('../utils/logger');
+const { ERROR_MESSAGES } = require('../utils/validation');
+
+/**
+ * Resolves the optional X-Device-Id header to req.deviceId (null when absent).
+ * Must run after authenticateToken. A revoked or foreign device is rejected,
+ * which signs that device out.
+ */
+function identifyDevice(req, res, next) {
+  const header = req.headers['x-device-id'];
+  if (header === undefined) {
+    req.deviceId = null;
+    return next();
+  }
+
+  const deviceId = Number(header);
+  if (!Number.isInteger(deviceId) || !findUserDevice(req.user.userId, deviceId)) {
+    logger.info('Unknown device presented', { userId: req.user.userId, deviceId: header });
+    return res.status(403).json({ error: ERROR_MESSAGES.device.unknown });
+  }
+
+  req.deviceId = deviceId;
+  next();
+}
+
+module.exports = { identifyDevice };
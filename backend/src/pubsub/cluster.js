@@ -0,0 +1,51 @@
+const { createLocalPubSub } = require('./local');
+const logger = require('../utils/logger');
+
+// Marks our IPC messages, so other traffic between the primary and workers is left alone
+const MESSAGE_TYPE = 'messaging:pubsub';
+
+// Worker side of the built-in cluster: a publish reaches this worker's handlers right away and
+// goes to the primary, which relays it to every other worker
+function createClusterPubSub() {
+  const local = createLocalPubSub();
+
+  const onMessage = (msg) => {
+    if (msg && msg.type === MESSAGE_TYPE) {
+      local.deliver(msg.channel, msg.payload);
+    }
+  };
+  process.on('message', onMessage);
+
+  return {
+    name: 'cluster',
+    publish(channel, payload) {
+      local.deliver(channel, payload);
+
+      // The primary is gone while the worker shuts down; other workers go with it
+      if (!process.connected) return;
+      process.send({ type: MESSAGE_TYPE, channel, payload }, (err) => {
+        if (err) logger.error('Pub/sub message not sent to primary', { channel, error: err.message });
+      });
+    },
+    subscribe: local.subscribe,
+    async close() {
+      process.off('message', onMessage);
+      await local.close();
+    },
+  };
+}
+
+// Primary side: relays each worker's publishes to the other workers
+function relayClusterMessages(cluster) {
+  cluster.on('message', (worker, msg) => {
+    if (!msg || msg.type !== MESSAGE_TYPE) return;
+
+    for (const other of Object.values(cluster.workers)) {
+      if (other && other !== worker && other.isConnected()) {
+        other.send(msg);
+      }
+    }
+  });
+}
+
+module.exports = { createClusterPubSub, relayClusterMessages };
@@ -0,0 +1,46 @@
+const cluster = require('cluster');
+const { createLocalPubSub } = require('./local');
+const { createClusterPubSub, relayClusterMessages } = require('./cluster');
+const logger = require('../utils/logger');
+
+// Pub/sub between server processes. Each process holds its own long polls and streams, so
+// anything that must reach them all (new messages, receipts, typing, revoked sessions) is published here.
+// Backends share one interface: publish(channel, payload), subscribe(channel, handler) -> unsubscribe,
+// close(). Payloads must survive JSON. Subscribers in the publishing process run synchronously.
+
+let pubsub = null;
+
+// Redis when REDIS_URL is set (any number of servers), IPC through the primary in a cluster
+// worker, otherwise in-process
+function createPubSub() {
+  if (process.env.REDIS_URL) {
+    // Required here so ioredis is only loaded when Redis is used
+    const { createRedisPubSub } = require('./redis');
+    return createRedisPubSub(process.env.REDIS_URL);
+  }
+  if (cluster.isWorker) {
+    return createClusterPubSub();
+  }
+  return createLocalPubSub();
+}
+
+function getPubSub() {
+  if (!pubsub) {
+    pubsub = createPubSub();
+    logger.info('Pub/sub backend ready', { backend: pubsub.name });
+  }
+  return pubsub;
+}
+
+async function closePubSub() {
+  if (!pubsub) return;
+  const closing = pubsub;
+  pubsub = null;
+  await closing.close();
+}
+
+module.exports = {
+  getPubSub,
+  closePubSub,
+  relayClusterMessages,
+};
@@ -0,0 +1,36 @@
+const logger = require('../utils/logger');
+
+// In-process pub/sub: handlers run synchronously on publish. The cross-process backends use it
+// to hand what they receive to the handlers of their own process.
+function createLocalPubSub() {
+  // channel -> Set<handler>
+  const handlers = new Map();
+
+  function deliver(channel, payload) {
+    for (const handler of handlers.get(channel) || []) {
+      try {
+        handler(payload);
+      } catch (err) {
+        logger.error('Pub/sub handler failed', { channel, error: err.message });
+      }
+    }
+  }
+
+  function subscribe(channel, handler) {
+    if (!handlers.has(channel)) handlers.set(channel, new Set());
+    handlers.get(channel).add(handler);
+    return () => handlers.get(channel).delete(handler);
+  }
+
+  return {
+    name: 'local',
+    publish: deliver,
+    subscribe,
+    deliver,
+    async close() {
+      handlers.clear();
+    },
+  };
+}
+
+module.exports = { createLocalPubSub };
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const Redis = require('ioredis');
+const { createLocalPubSub } = require('./local');
+const logger = require('../utils/logger');
+
+// Keeps our channels apart from anything else using the same Redis
+const CHANNEL_PREFIX = 'messaging:';
+
+// Redis, or any server speaking its pub/sub protocol (Valkey, KeyDB, ...): fan-out across
+// processes and machines. A publish reaches this process's handlers right away; Redis echoes it
+// back to us too, and the echo is dropped by its origin id.
+function createRedisPubSub(url) {
+  const origin = crypto.randomUUID();
+  const local = createLocalPubSub();
+  // A connection in subscriber mode cannot publish, so there are two
+  const publisher = new Redis(url);
+  const subscriber = new Redis(url);
+  const subscribed = new Set();
+
+  for (const [role, client] of [['publisher', publisher], ['subscriber', subscriber]]) {
+    client.on('error', (err) => logger.error('Redis pub/sub connection error', { role, error: err.message }));
+  }
+
+  subscriber.on('message', (redisChannel, raw) => {
+    let envelope;
+    try {
+      envelope = JSON.parse(raw);
+    } catch {
+      logger.warn('Malformed pub/sub message ignored', { channel: redisChannel });
+      return;
+    }
+    if (envelope.origin === origin) return;
+
+    local.deliver(redisChannel.slice(CHANNEL_PREFIX.length), envelope.payload);
+  });
+
+  return {
+    name: 'redis',
+    publish(channel, payload) {
+      local.deliver(channel, payload);
+      publisher.publish(CHANNEL_PREFIX + channel, JSON.stringify({ origin, payload })).catch((err) => {
+        logger.error('Pub/sub publish failed', { channel, error: err.message });
+      });
+    },
+    subscribe(channel, handler) {
+      if (!subscribed.has(channel)) {
+        subscribed.add(channel);
+        subscriber.subscribe(CHANNEL_PREFIX + channel).catch((err) => {
+          logger.error('Pub/sub subscribe failed', { channel, error: err.message });
+        });
+      }
+      return local.subscribe(channel, handler);
+    },
+    async close() {
+      await Promise.all([publisher.quit(), subscriber.quit()]);
+      await local.close();
+    },
+  };
+}
+
+module.exports = { createRedisPubSub };
@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const adminService = require('../services/adminService');
+const { ERROR_MESSAGES } = require('../utils/validation');
+const { ROLES } = require('../config/constants');
+
+function handleServiceError(err, res, next) {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  next(err);
+}
+
+// Resolves :id to a user id, or answers 400
+function targetUserId(req, res) {
+  const userId = Number(req.params.id);
+  if (!Number.isInteger(userId)) {
+    res.status(400).json({ error: ERROR_MESSAGES.admin.invalidUserId });
+    return null;
+  }
+  return userId;
+}
+
+router.use(authenticateToken, requireRole(ROLES.ADMIN));
+
+// GET /api/admin/users — every account with its role and status (no keys, no messages)
+router.get('/users', (req, res, next) => {
+  try {
+    res.json({ users: adminService.listUsers() });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+});
+
+// POST /api/admin/users/:id/disable — blocks sign-in and ends the account's sessions
+router.post('/users/:id/disable', (req, res, next) => {
+  try {
+    const userId = targetUserId(req, res);
+    if (userId === null) return;
+
+    res.json({ user: adminService.disableUser(req.user.userId, userId) });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+});
+
+// POST /api/admin/users/:id/enable — lets a disabled account sign in again
+router.post('/users/:id/enable', (req, res, next) => {
+  try {
+    const userId = targetUserId(req, res);
+    if (userId === null) return;
+
+    res.json({ user: adminService.enableUser(req.user.userId, userId) });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+});
+
+// POST /api/admin/users/:id/logout — ends every session of the account
+router.post('/users/:id/logout', (req, res, next) => {
+  try {
+    const userId = targetUserId(req, res);
+    if (userId === null) return;
+
+    adminService.logoutUser(req.user.userId, userId);
+    res.json({ message: 'Sessions ended' });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+});
+
+// POST /api/admin/users/:id/reset-keys — drops the key backups; the user sets up new keys at next sign-in
+router.post('/users/:id/reset-keys', (req, res, next) => {
+  try {
+    const userId = targetUserId(req, res);
+    if (userId === null) return;
+
+    res.json({ user: adminService.resetKeyBackups(req.user.userId, userId) });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,28 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const router = express.Router();
-const { registerUser, loginUser } = require('../services/authService');
+const {
+  registerUser,
+  loginUser,
+  loginWithSecondFactor,
+  changePassword,
+  refreshSession,
+  logoutSession,
+  setRecoveryCodes,
+  getRecoveryKeys,
+  recoverAccount,
+} = require('../services/authService');
+const { listSessions, revokeSession } = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const { authenticateToken } = require('../middleware/auth');
 const { VALIDATION_RULES, ERROR_MESSAGES } = require('../utils/validation');
-const { RATE_LIMIT_WINDOW_MS, LOGIN_RATE_LIMIT, REGISTER_RATE_LIMIT } = require('../config/constants');
+const {
+  RATE_LIMIT_WINDOW_MS,
+  LOGIN_RATE_LIMIT,
+  REGISTER_RATE_LIMIT,
+  REFRESH_RATE_LIMIT,
+  MAX_RECOVERY_CODES,
+} = require('../config/constants');
 
 const isTest = process.env.NODE_ENV === 'test';
 
@@ -25,9 +44,126 @@ const registerLimiter = rateLimit({
   skip: () => isTest,
 });
 
+// Password checks share the login budget, so this cannot be used to brute-force a password
+const passwordChangeLimiter = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: LOGIN_RATE_LIMIT,
+  message: { error: 'יותר מדי ניסיונות לשינוי סיסמה, נסה שוב מאוחר יותר' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: () => isTest,
+});
+
+const refreshLimiter = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: REFRESH_RATE_LIMIT,
+  message: { error: 'יותר מדי בקשות רענון, נסה שוב מאוחר יותר' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: () => isTest,
+});
+
+const recoveryLimiter = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: LOGIN_RATE_LIMIT,
+  message: { error: 'יותר מדי ניסיונות שחזור, נסה שוב מאוחר יותר' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: () => isTest,
+});
+
+const isNonEmptyString = (f) => typeof f === 'string' && f.length > 0;
+
+// What the sessions list shows for the client signing in
+const clientInfo = (req) => ({ userAgent: req.get('User-Agent'), ip: req.ip });
+
+const isVerifier = (v) =>
+  typeof v === 'string' && v.length === VALIDATION_RULES.recovery.verifierLength && /^[0-9a-f]+$/.test(v);
+
+// [{ verifier, encryptedKeys, encryptedKeysIv }], one entry per recovery code
+function isValidRecoveryCodes(codes) {
+  return (
+    Array.isArray(codes) &&
+    codes.length <= MAX_RECOVERY_CODES &&
+    codes.every(
+      (c) =>
+        c &&
+        isVerifier(c.verifier) &&
+        isNonEmptyString(c.encryptedKeys) &&
+        c.encryptedKeys.length <= VALIDATION_RULES.recovery.maxEncryptedKeysLength &&
+        isNonEmptyString(c.encryptedKeysIv)
+    ) &&
+    new Set(codes.map((c) => c.verifier)).size === codes.length
+  );
+}
+
+// Key backups re-wrapped under a new password; returns { error } or { backups }
+function parseKeyBackups(body) {
+  const {
+    keyVersion,
+    encryptedPrivateKey,
+    encryptedPrivateKeyIv,
+    encryptedSigningKey,
+    encryptedSigningKeyIv,
+    archivedKeys = [],
+  } = body;
+
+  if (![encryptedPrivateKey, encryptedPrivateKeyIv].every(isNonEmptyString)) {
+    return { error: ERROR_MESSAGES.keys.required };
+  }
+  if (!Number.isInteger(keyVersion) || keyVersion < 1) {
+    return { error: ERROR_MESSAGES.keys.invalidVersion };
+  }
+
+  const signingFields = [encryptedSigningKey, encryptedSigningKeyIv];
+  const hasSigningKey = signingFields.some(Boolean);
+  if (hasSigningKey && !signingFields.every(isNonEmptyString)) {
+    return { error: ERROR_MESSAGES.signingKey.required };
+  }
+
+  const validArchived =
+    Array.isArray(archivedKeys) &&
+    archivedKeys.every(
+      (k) =>
+        k &&
+        Number.isInteger(k.keyVersion) &&
+        k.keyVersion >= 1 &&
+        [k.encryptedPrivateKey, k.encryptedPrivateKeyIv].every(isNonEmptyString)
+    ) &&
+    new Set(archivedKeys.map((k) => k.keyVersion)).size === archivedKeys.length;
+  if (!validArchived) {
+    return { error: ERROR_MESSAGES.keys.invalidArchived };
+  }
+
+  return {
+    backups: {
+      keyVersion,
+      encryptedPrivateKey,
+      encryptedPrivateKeyIv,
+      encryptedSigningKey: hasSigningKey ? encryptedSigningKey : null,
+      encryptedSigningKeyIv: hasSigningKey ? encryptedSigningKeyIv : null,
+      archivedKeys: archivedKeys.map(({ keyVersion: v, encryptedPrivateKey: key, encryptedPrivateKeyIv: iv }) => ({
+        keyVersion: v,
+        encryptedPrivateKey: key,
+        encryptedPrivateKeyIv: iv,
+      })),
+    },
+  };
+}
+
 router.post('/register', registerLimiter, async (req, res, next) => {
   try {
-    const { username, password, publicKey, encryptedPrivateKey, encryptedPrivateKeyIv } = req.body;
+    const {
+      username,
+      password,
+      publicKey,
+      encryptedPrivateKey,
+      encryptedPrivateKeyIv,
+      signingPublicKey,
+      encryptedSigningKey,
+      encryptedSigningKeyIv,
+      recoveryCodes = [],
+    } = req.body;
 
     if (!username || !password) {
       return res.status(400).json({ error: ERROR_MESSAGES.username.required });
@@ -39,10 +175,29 @@ router.post('/register', registerLimiter, async (req, res, next) => {
       return res.status(400).json({ error: ERROR_MESSAGES.password.tooShort });
     }
     if (!publicKey || !encryptedPrivateKey || !encryptedPrivateKeyIv) {
-      return res.status(400).json({ error: 'מפתחות הצפנה נדרשים' });
+      return res.status(400).json({ error: ERROR_MESSAGES.keys.required });
+    }
+
+    // The signing key is optional, but comes as a complete set
+    const signingFields = [signingPublicKey, encryptedSigningKey, encryptedSigningKeyIv];
+    const hasSigningKey = signingFields.some(Boolean);
+    if (hasSigningKey && !signingFields.every((f) => typeof f === 'string' && f)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.signingKey.required });
+    }
+    if (!isValidRecoveryCodes(recoveryCodes)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.recovery.invalidCodes });
     }
 
-    const result = await registerUser(username, password, publicKey, encryptedPrivateKey, encryptedPrivateKeyIv);
+    const result = await registerUser(
+      username,
+      password,
+      publicKey,
+      encryptedPrivateKey,
+      encryptedPrivateKeyIv,
+      hasSigningKey ? { signingPublicKey, encryptedSigningKey, encryptedSigningKeyIv } : null,
+      recoveryCodes,
+      clientInfo(req)
+    );
     res.status(201).json({ message: 'User registered successfully', ...result });
   } catch (err) {
     if (err.status) {
@@ -60,7 +215,7 @@ router.post('/login', loginLimiter, async (req, res, next) => {
       return res.status(400).json({ error: 'שם משתמש וסיסמה נדרשים' });
     }
 
-    const result = await loginUser(username, password);
+    const result = await loginUser(username, password, clientInfo(req));
     res.json({ message: 'Login successful', ...result });
   } catch (err) {
     if (err.status) {
@@ -70,4 +225,246 @@ router.post('/login', loginLimiter, async (req, res, next) => {
   }
 });
 
+// POST /api/auth/login/2fa — exchanges the challenge from /login and a two-factor code for a session
+router.post('/login/2fa', loginLimiter, (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!isNonEmptyString(challengeToken) || !isNonEmptyString(code)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.twoFactor.challengeRequired });
+    }
+
+    const result = loginWithSecondFactor(challengeToken, code, clientInfo(req));
+    res.json({ message: 'Login successful', ...result });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
+// POST /api/auth/refresh — rotates the refresh token and issues a new access token
+router.post('/refresh', refreshLimiter, (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!isNonEmptyString(refreshToken)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.refreshToken.required });
+    }
+
+    res.json(refreshSession(refreshToken, clientInfo(req)));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
+// POST /api/auth/logout — revokes the session of the given refresh token (works with an expired access token)
+router.post('/logout', refreshLimiter, (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!isNonEmptyString(refreshToken)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.refreshToken.required });
+    }
+
+    logoutSession(refreshToken);
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/auth/sessions — where the account is signed in
+router.get('/sessions', authenticateToken, (req, res, next) => {
+  try {
+    res.json({ sessions: listSessions(req.user.userId, req.user.sid) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/auth/sessions/:id — signs a session out, including any poll it has open
+router.delete('/sessions/:id', authenticateToken, (req, res, next) => {
+  try {
+    revokeSession(req.user.userId, req.params.id);
+    res.json({ message: 'Session revoked' });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
+// GET /api/auth/2fa — whether two-factor authentication is on, and backup codes left
+router.get('/2fa', authenticateToken, (req, res, next) => {
+  try {
+    res.json(twoFactorService.getStatus(req.user.userId));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
+// POST /api/auth/2fa/setup — new secret and otpauth:// URI for the authenticator app
+router.post('/2fa/setup', authenticateToken, passwordChangeLimiter, async (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    if (!isNonEmptyString(password)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.password.required });
+    }
+
+    res.json(await twoFactorService.beginEnrollment(req.user.userId, password));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
+// POST /api/auth/2fa/enable — confirms the setup with a code; returns the backup codes once
+router.post('/2fa/enable', authenticateToken, passwordChangeLimiter, (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!isNonEmptyString(code)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.twoFactor.codeRequired });
+    }
+
+    res.json(twoFactorService.confirmEnrollment(req.user.userId, code));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
+// POST /api/auth/2fa/disable — needs both the password and a current code
+router.post('/2fa/disable', authenticateToken, passwordChangeLimiter, async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!isNonEmptyString(password)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.password.required });
+    }
+    if (!isNonEmptyString(code)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.twoFactor.codeRequired });
+    }
+
+    await twoFactorService.disable(req.user.userId, password, code);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
+// POST /api/auth/change-password — new password hash plus key backups re-wrapped under it
+router.post('/change-password', authenticateToken, passwordChangeLimiter, async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: ERROR_MESSAGES.password.required });
+    }
+    if (typeof newPassword !== 'string' || newPassword.length < VALIDATION_RULES.password.minLength) {
+      return res.status(400).json({ error: ERROR_MESSAGES.password.tooShort });
+    }
+    if (newPassword === currentPassword) {
+      return res.status(400).json({ error: ERROR_MESSAGES.password.unchanged });
+    }
+
+    const { error, backups } = parseKeyBackups(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await changePassword(req.user.userId, currentPassword, newPassword, backups);
+    res.json({ message: 'Password changed' });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
+// PUT /api/auth/recovery-codes — replaces the recovery codes with a set wrapping the current keys
+router.put('/recovery-codes', authenticateToken, passwordChangeLimiter, async (req, res, next) => {
+  try {
+    const { password, recoveryCodes } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ error: ERROR_MESSAGES.password.required });
+    }
+    if (!isValidRecoveryCodes(recoveryCodes) || recoveryCodes.length === 0) {
+      return res.status(400).json({ error: ERROR_MESSAGES.recovery.invalidCodes });
+    }
+
+    await setRecoveryCodes(req.user.userId, password, recoveryCodes);
+    res.json({ message: 'Recovery codes replaced', count: recoveryCodes.length });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
+// POST /api/auth/recovery/keys — the keys wrapped by one recovery code, for the client to unwrap
+router.post('/recovery/keys', recoveryLimiter, (req, res, next) => {
+  try {
+    const { username, verifier } = req.body;
+
+    if (!username || !isVerifier(verifier)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.recovery.required });
+    }
+
+    res.json(getRecoveryKeys(username, verifier));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
+// POST /api/auth/recovery — new password plus key backups re-wrapped from a recovery code
+router.post('/recovery', recoveryLimiter, async (req, res, next) => {
+  try {
+    const { username, verifier, newPassword } = req.body;
+
+    if (!username || !isVerifier(verifier)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.recovery.required });
+    }
+    if (typeof newPassword !== 'string' || newPassword.length < VALIDATION_RULES.password.minLength) {
+      return res.status(400).json({ error: ERROR_MESSAGES.password.tooShort });
+    }
+
+    const { error, backups } = parseKeyBackups(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await recoverAccount(username, verifier, newPassword, backups);
+    res.json({ message: 'Account recovered' });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const conversationService = require('../services/conversationService');
+const { VALIDATION_RULES, ERROR_MESSAGES } = require('../utils/validation');
+
+function handleServiceError(err, res, next) {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  next(err);
+}
+
+function isUserIdList(value) {
+  return Array.isArray(value) && value.every(Number.isInteger);
+}
+
+// Resolves :id into req.conversationId, rejecting non-numeric ids
+router.param('id', (req, res, next, id) => {
+  const conversationId = parseInt(id);
+  if (Number.isNaN(conversationId)) {
+    return res.status(400).json({ error: ERROR_MESSAGES.conversation.invalidId });
+  }
+  req.conversationId = conversationId;
+  next();
+});
+
+// GET /api/conversations — The user's conversations by recent activity, with unread counts
+router.get('/', authenticateToken, (req, res, next) => {
+  try {
+    const result = conversationService.listConversations(req.user.userId);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/conversations — Open (or reuse) a direct conversation with another user
+router.post('/', authenticateToken, (req, res, next) => {
+  try {
+    const { userId } = req.body;
+
+    if (!Number.isInteger(userId)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.conversation.invalidUserId });
+    }
+
+    const { conversation, created } = conversationService.openDirectConversation(req.user.userId, userId);
+    res.status(created ? 201 : 200).json({ conversation });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+});
+
+// POST /api/conversations/groups — Create a named group; the creator becomes its owner
+router.post('/groups', authenticateToken, (req, res, next) => {
+  try {
+    const { name, memberIds = [] } = req.body;
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+
+    if (!trimmedName || trimmedName.length > VALIDATION_RULES.conversation.nameMaxLength) {
+      return res.status(400).json({ error: ERROR_MESSAGES.conversation.invalidName });
+    }
+    if (!isUserIdList(memberIds)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.conversation.invalidUserIds });
+    }
+
+    const conversation = conversationService.createGroupConversation(req.user.userId, trimmedName, memberIds);
+    res.status(201).json({ conversation });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+});
+
+// GET /api/conversations/:id — Conversation details with current members (members only)
+router.get('/:id', authenticateToken, (req, res, next) => {
+  try {
+    const conversation = conversationService.getConversation(req.conversationId, req.user.userId);
+    res.json({ conversation });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+});
+
+// POST /api/conversations/:id/members — Invite users to a group (owner/admin)
+router.post('/:id/members', authenticateToken, (req, res, next) => {
+  try {
+    const { userIds } = req.body;
+
+    if (!isUserIdList(userIds) || userIds.length === 0) {
+      return res.status(400).json({ error: ERROR_MESSAGES.conversation.invalidUserIds });
+    }
+
+    const conversation = conversationService.inviteMembers(req.conversationId, req.user.userId, userIds);
+    res.json({ conversation });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+});
+
+// PATCH /api/conversations/:id/members/:userId — Promote or demote a member (owner)
+router.patch('/:id/members/:userId', authenticateToken, (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    if (Number.isNaN(userId)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.conversation.invalidUserId });
+    }
+
+    const conversation = conversationService.updateMemberRole(
+      req.conversationId,
+      req.user.userId,
+      userId,
+      req.body.role
+    );
+    res.json({ conversation });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+});
+
+// DELETE /api/conversations/:id/members/:userId — Remove a member from a group
+router.delete('/:id/members/:userId', authenticateToken, (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    if (Number.isNaN(userId)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.conversation.invalidUserId });
+    }
+
+    const conversation = conversationService.removeMember(req.conversationId, req.user.userId, userId);
+    res.json({ conversation });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+});
+
+// POST /api/conversations/:id/leave — Leave a group
+router.post('/:id/leave', authenticateToken, (req, res, next) => {
+  try {
+    conversationService.leaveConversation(req.conversationId, req.user.userId);
+    res.json({ message: 'Left conversation' });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+});
+
+module.exports = router;
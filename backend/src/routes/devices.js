@@ -0,0 +1,145 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { identifyDevice } = require('../middleware/device');
+const deviceService = require('../services/deviceService');
+const { closeDeviceConnections } = require('../services/messageService');
+const { VALIDATION_RULES, ERROR_MESSAGES } = require('../utils/validation');
+const { RATE_LIMIT_WINDOW_MS, PREKEY_BUNDLE_RATE_LIMIT } = require('../config/constants');
+
+// Every bundle fetch claims one-time prekeys: counted per requester and target user,
+// so nobody can drain another user's prekeys
+const bundleLimiter = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: PREKEY_BUNDLE_RATE_LIMIT,
+  keyGenerator: (req) => `${req.user.userId}:${req.params.userId}`,
+  message: { error: 'יותר מדי בקשות למפתחות מקדימים, אנא האט' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: () => process.env.NODE_ENV === 'test',
+});
+
+const isPositiveInt = (v) => Number.isInteger(v) && v >= 1;
+const isShortString = (v, max) => typeof v === 'string' && v.length > 0 && v.length <= max;
+
+function isValidPreKeyUpload({ identityKey, signedPreKey, oneTimePreKeys }) {
+  const { maxKeyLength, maxSignatureLength } = VALIDATION_RULES.prekeys;
+
+  if (signedPreKey !== undefined) {
+    if (!isShortString(identityKey, maxKeyLength) || !signedPreKey || typeof signedPreKey !== 'object') return false;
+    if (!isPositiveInt(signedPreKey.keyId)) return false;
+    if (!isShortString(signedPreKey.publicKey, maxKeyLength)) return false;
+    if (!isShortString(signedPreKey.signature, maxSignatureLength)) return false;
+  }
+
+  if (oneTimePreKeys !== undefined) {
+    if (!Array.isArray(oneTimePreKeys)) return false;
+    const ids = new Set();
+    for (const k of oneTimePreKeys) {
+      if (!k || !isPositiveInt(k.keyId) || !isShortString(k.publicKey, maxKeyLength) || ids.has(k.keyId)) return false;
+      ids.add(k.keyId);
+    }
+  }
+
+  return signedPreKey !== undefined || oneTimePreKeys !== undefined;
+}
+
+function requireDevice(req, res, next) {
+  if (req.deviceId === null) {
+    return res.status(400).json({ error: ERROR_MESSAGES.device.required });
+  }
+  next();
+}
+
+function handleServiceError(err, res, next) {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  next(err);
+}
+
+router.use(authenticateToken);
+
+// GET /api/devices — the current user's registered devices
+router.get('/', (req, res, next) => {
+  try {
+    res.json({ devices: deviceService.listDevices(req.user.userId) });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+});
+
+// POST /api/devices — register this device's public key { name, publicKey, signature }
+router.post('/', (req, res, next) => {
+  try {
+    const { name, publicKey, signature } = req.body;
+
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    if (!trimmedName || trimmedName.length > VALIDATION_RULES.device.nameMaxLength) {
+      return res.status(400).json({ error: ERROR_MESSAGES.device.invalidName });
+    }
+    if (typeof publicKey !== 'string' || !publicKey || typeof signature !== 'string' || !signature) {
+      return res.status(400).json({ error: ERROR_MESSAGES.device.keyRequired });
+    }
+
+    const device = deviceService.registerDevice(req.user.userId, trimmedName, publicKey, signature);
+    res.status(201).json({ device });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+});
+
+// PUT /api/devices/prekeys — this device's X3DH prekeys { identityKey?, signedPreKey?, oneTimePreKeys? }
+router.put('/prekeys', identifyDevice, requireDevice, (req, res, next) => {
+  try {
+    if (!isValidPreKeyUpload(req.body)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.prekeys.invalid });
+    }
+
+    res.json(deviceService.uploadPreKeys(req.deviceId, req.body));
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+});
+
+// GET /api/devices/prekeys — how many one-time prekeys this device has left
+router.get('/prekeys', identifyDevice, requireDevice, (req, res, next) => {
+  try {
+    res.json(deviceService.countPreKeys(req.deviceId));
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+});
+
+// GET /api/devices/bundles/:userId — one prekey bundle per device of the user (claims one-time prekeys)
+router.get('/bundles/:userId', bundleLimiter, (req, res, next) => {
+  try {
+    const userId = Number(req.params.userId);
+    if (!Number.isInteger(userId)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.prekeys.invalidUserId });
+    }
+
+    res.json({ bundles: deviceService.getPreKeyBundles(userId) });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+});
+
+// DELETE /api/devices/:id — revoke a device; it stops receiving new messages and its polls and streams end
+router.delete('/:id', (req, res, next) => {
+  try {
+    const deviceId = Number(req.params.id);
+    if (!Number.isInteger(deviceId)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.device.invalidId });
+    }
+
+    deviceService.removeDevice(req.user.userId, deviceId);
+    closeDeviceConnections(req.user.userId, deviceId);
+    res.json({ message: 'Device removed' });
+  } catch (err) {
+    handleServiceError(err, res, next);
+  }
+});
+
+module.exports = router;
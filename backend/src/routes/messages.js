@@ -2,9 +2,10 @@ const express = require('express');
 const rateLimit = require('express-rate-limit');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
+const { identifyDevice } = require('../middleware/device');
 const messageService = require('../services/messageService');
 const { VALIDATION_RULES, ERROR_MESSAGES } = require('../utils/validation');
-const { RATE_LIMIT_WINDOW_MS, MESSAGE_RATE_LIMIT } = require('../config/constants');
+const { RATE_LIMIT_WINDOW_MS, MESSAGE_RATE_LIMIT, TYPING_RATE_LIMIT } = require('../config/constants');
 
 const messageLimiter = rateLimit({
   windowMs: RATE_LIMIT_WINDOW_MS,
@@ -15,10 +16,26 @@ const messageLimiter = rateLimit({
   skip: () => process.env.NODE_ENV === 'test',
 });
 
+const typingLimiter = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: TYPING_RATE_LIMIT,
+  message: { error: 'יותר מדי עדכוני הקלדה, אנא האט' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: () => process.env.NODE_ENV === 'test',
+});
+
+// The newest message id the client has (?after= or Last-Event-ID): null when not given, NaN when malformed
+function parseCursor(value) {
+  if (value === undefined) return null;
+  const id = Number(value);
+  return Number.isInteger(id) && id >= 0 ? id : NaN;
+}
+
 // POST /api/messages/send — Send an E2E encrypted message
-router.post('/send', authenticateToken, messageLimiter, async (req, res, next) => {
+router.post('/send', authenticateToken, identifyDevice, messageLimiter, async (req, res, next) => {
   try {
-    const { encryptedContent, iv, keys } = req.body;
+    const { encryptedContent, iv, keys, conversationId } = req.body;
 
     if (!encryptedContent || !iv || !keys || !Array.isArray(keys) || keys.length === 0) {
       return res.status(400).json({ error: 'נדרשים נתוני הודעה מוצפנת (encryptedContent, iv, keys[])' });
@@ -28,18 +45,38 @@ router.post('/send', authenticateToken, messageLimiter, async (req, res, next) =
       if (!k.userId || !k.encryptedKey) {
         return res.status(400).json({ error: 'כל רשומת מפתח חייבת לכלול userId ו-encryptedKey' });
       }
+      if (k.keyVersion !== undefined && (!Number.isInteger(k.keyVersion) || k.keyVersion < 1)) {
+        return res.status(400).json({ error: ERROR_MESSAGES.keys.invalidVersion });
+      }
+      if (k.deviceId !== undefined && !Number.isInteger(k.deviceId)) {
+        return res.status(400).json({ error: ERROR_MESSAGES.device.invalidKeyEntry });
+      }
+      if (
+        k.ratchetHeader !== undefined &&
+        (k.deviceId === undefined ||
+          typeof k.ratchetHeader !== 'string' ||
+          k.ratchetHeader.length > VALIDATION_RULES.prekeys.maxRatchetHeaderLength)
+      ) {
+        return res.status(400).json({ error: ERROR_MESSAGES.prekeys.invalidRatchetHeader });
+      }
     }
 
     if (encryptedContent.length > VALIDATION_RULES.message.maxEncryptedLength) {
       return res.status(400).json({ error: ERROR_MESSAGES.message.tooLong });
     }
 
+    if (conversationId !== undefined && conversationId !== null && !Number.isInteger(conversationId)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.conversation.invalidId });
+    }
+
     const message = messageService.createMessage(
       req.user.userId,
       req.user.username,
       encryptedContent,
       iv,
-      keys
+      keys,
+      conversationId ?? null,
+      req.deviceId
     );
 
     res.status(201).json({ message: 'Message sent', data: message });
@@ -51,24 +88,118 @@ router.post('/send', authenticateToken, messageLimiter, async (req, res, next) =
   }
 });
 
-// GET /api/messages/poll — Long Polling for new messages
-router.get('/poll', authenticateToken, (req, res, next) => {
+// GET /api/messages/poll — Long Polling for new messages (?after=<newest message id the client has>).
+// Messages below the cursor the device has not acknowledged come back as well.
+router.get('/poll', authenticateToken, identifyDevice, (req, res, next) => {
   try {
-    // First check for any undelivered messages
-    const pending = messageService.getMessagesForUser(req.user.userId);
+    const afterId = parseCursor(req.query.after);
+    if (Number.isNaN(afterId)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.message.invalidCursor });
+    }
+
+    // First check for messages the client does not have; the cursor acknowledges the rest
+    const pending = messageService.getMessagesForUser(req.user.userId, req.deviceId, afterId);
     if (pending.length > 0) {
       return res.json({ messages: pending });
     }
 
     // No pending messages — hold the connection (Long Polling)
-    messageService.registerPollingClient(req.user.userId, res);
+    messageService.registerPollingClient(req.user.userId, res, req.deviceId, req.user.sid);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/messages/stream — Server-Sent Events, one event per batch of messages.
+// Reconnects send Last-Event-ID, a cursor like the poll's ?after=, to get back what was in flight.
+// Streamed messages count as delivered once acknowledged with POST /ack.
+router.get('/stream', authenticateToken, identifyDevice, (req, res, next) => {
+  try {
+    const afterId = parseCursor(req.get('Last-Event-ID'));
+    if (Number.isNaN(afterId)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.message.invalidCursor });
+    }
+
+    const pending = messageService.getMessagesForUser(req.user.userId, req.deviceId, afterId);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering events
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    messageService.registerStreamClient(req.user.userId, res, req.deviceId, req.user.sid, pending);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/messages/ack — { messageIds }: the client received these messages
+router.post('/ack', authenticateToken, identifyDevice, (req, res, next) => {
+  try {
+    const { messageIds } = req.body;
+    if (
+      !Array.isArray(messageIds) ||
+      messageIds.length === 0 ||
+      messageIds.length > VALIDATION_RULES.message.maxAckIds ||
+      !messageIds.every((id) => Number.isInteger(id) && id >= 0)
+    ) {
+      return res.status(400).json({ error: ERROR_MESSAGES.message.invalidAck });
+    }
+
+    messageService.acknowledgeMessages(req.user.userId, messageIds, req.deviceId);
+    res.json({ message: 'Acknowledged' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/messages/read — { upTo, conversationId }: the user has seen every message up to this id
+// in the conversation (conversationId null or left out = general room)
+router.post('/read', authenticateToken, (req, res, next) => {
+  try {
+    const { upTo, conversationId } = req.body;
+    if (!Number.isInteger(upTo) || upTo < 0) {
+      return res.status(400).json({ error: ERROR_MESSAGES.message.invalidCursor });
+    }
+    if (conversationId !== undefined && conversationId !== null && !Number.isInteger(conversationId)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.conversation.invalidId });
+    }
+
+    messageService.markMessagesRead(req.user.userId, upTo, conversationId ?? null);
+    res.json({ message: 'Marked read' });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
+// POST /api/messages/typing — { conversationId }: the user is typing in the conversation
+// (null or left out = general room); the others see it until the pings stop
+router.post('/typing', authenticateToken, typingLimiter, (req, res, next) => {
+  try {
+    const { conversationId } = req.body;
+    if (conversationId !== undefined && conversationId !== null && !Number.isInteger(conversationId)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.conversation.invalidId });
+    }
+
+    messageService.setTyping(req.user.userId, req.user.username, conversationId ?? null);
+    res.json({ message: 'Typing' });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
     next(err);
   }
 });
 
-// GET /api/messages/history — Paginated message history (per-user E2E keys)
-router.get('/history', authenticateToken, (req, res, next) => {
+// GET /api/messages/history — Paginated message history (per-device E2E keys, optional ?conversationId=)
+router.get('/history', authenticateToken, identifyDevice, (req, res, next) => {
   try {
     const page = Math.max(1, parseInt(req.query.page) || 1);
     const pageSize = Math.min(
@@ -76,9 +207,17 @@ router.get('/history', authenticateToken, (req, res, next) => {
       Math.max(1, parseInt(req.query.pageSize) || VALIDATION_RULES.pagination.defaultPageSize)
     );
 
-    const result = messageService.getMessageHistory(req.user.userId, page, pageSize);
+    const conversationId = req.query.conversationId ? parseInt(req.query.conversationId) : null;
+    if (Number.isNaN(conversationId)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.conversation.invalidId });
+    }
+
+    const result = messageService.getMessageHistory(req.user.userId, page, pageSize, conversationId, req.deviceId);
     res.json(result);
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
     next(err);
   }
 });
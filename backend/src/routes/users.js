@@ -1,18 +1,55 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
 const { getDatabase } = require('../data');
+const { setSigningKey, rotateKeys } = require('../services/authService');
+const { exportAccount, deleteAccount } = require('../services/accountService');
+const { ERROR_MESSAGES } = require('../utils/validation');
+const { RATE_LIMIT_WINDOW_MS, LOGIN_RATE_LIMIT } = require('../config/constants');
 
-// GET /api/users/public-keys — returns all users' public keys
+const isTest = process.env.NODE_ENV === 'test';
+
+// Like the login budget: the password check must not become a way to guess the password
+const deleteAccountLimiter = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: LOGIN_RATE_LIMIT,
+  message: { error: 'יותר מדי ניסיונות למחיקת החשבון, נסה שוב מאוחר יותר' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: () => isTest,
+});
+
+// Rotation checks the password too, so it shares the login budget as well
+const keyRotationLimiter = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: LOGIN_RATE_LIMIT,
+  message: { error: 'יותר מדי ניסיונות להחלפת מפתחות, נסה שוב מאוחר יותר' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: () => isTest,
+});
+
+// GET /api/users/public-keys — returns all users' public keys, with their devices' keys
 router.get('/public-keys', authenticateToken, (req, res, next) => {
   try {
     const db = getDatabase();
     const users = db.getAllUsersWithPublicKeys();
 
+    // Device keys are signed by their owner's signing key; clients check that before using them
+    const devicesByUser = new Map();
+    for (const d of db.getAllDevices()) {
+      if (!devicesByUser.has(d.user_id)) devicesByUser.set(d.user_id, []);
+      devicesByUser.get(d.user_id).push({ deviceId: d.id, publicKey: d.public_key, signature: d.signature });
+    }
+
     const keys = users.map((u) => ({
       userId: u.id,
       username: u.username,
       publicKey: u.public_key,
+      signingPublicKey: u.signing_public_key || null,
+      keyVersion: u.key_version || 1,
+      devices: devicesByUser.get(u.id) || [],
     }));
 
     res.json({ users: keys });
@@ -21,4 +58,82 @@ router.get('/public-keys', authenticateToken, (req, res, next) => {
   }
 });
 
+// PUT /api/users/signing-key — publishes the signing key of an account that has none yet
+router.put('/signing-key', authenticateToken, (req, res, next) => {
+  try {
+    const { signingPublicKey, encryptedSigningKey, encryptedSigningKeyIv } = req.body;
+
+    const fields = [signingPublicKey, encryptedSigningKey, encryptedSigningKeyIv];
+    if (!fields.every((f) => typeof f === 'string' && f)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.signingKey.required });
+    }
+
+    setSigningKey(req.user.userId, signingPublicKey, encryptedSigningKey, encryptedSigningKeyIv);
+    res.json({ message: 'Signing key saved' });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
+// POST /api/users/keys/rotate — replaces the RSA key pair, archiving the previous version
+router.post('/keys/rotate', authenticateToken, keyRotationLimiter, async (req, res, next) => {
+  try {
+    const { password, publicKey, encryptedPrivateKey, encryptedPrivateKeyIv } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ error: ERROR_MESSAGES.password.required });
+    }
+    if (![publicKey, encryptedPrivateKey, encryptedPrivateKeyIv].every((f) => typeof f === 'string' && f)) {
+      return res.status(400).json({ error: ERROR_MESSAGES.keys.required });
+    }
+
+    const result = await rotateKeys(req.user.userId, password, publicKey, encryptedPrivateKey, encryptedPrivateKeyIv);
+    res.json({ message: 'Keys rotated', ...result });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
+// GET /api/users/me/export — everything stored about the account, as a JSON file download
+router.get('/me/export', authenticateToken, (req, res, next) => {
+  try {
+    const archive = exportAccount(req.user.userId);
+    res.set('Content-Disposition', `attachment; filename="account-${req.user.userId}-export.json"`);
+    res.json(archive);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
+// DELETE /api/users/me — deletes the account { password, code? }; its sent messages become tombstones
+router.delete('/me', authenticateToken, deleteAccountLimiter, async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ error: ERROR_MESSAGES.password.required });
+    }
+    if (code !== undefined && typeof code !== 'string') {
+      return res.status(400).json({ error: ERROR_MESSAGES.twoFactor.codeRequired });
+    }
+
+    await deleteAccount(req.user.userId, password, code);
+    res.json({ message: 'Account deleted' });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { getJwks } = require('../utils/tokens');
+
+// GET /.well-known/jwks.json — public keys for verifying our access tokens (by `kid`)
+router.get('/jwks.json', (req, res) => {
+  // Verifiers may cache the set; a new signing key should be published before it is activated
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
+
+module.exports = router;
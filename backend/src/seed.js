@@ -46,12 +46,34 @@ function encryptPrivateKeyWithPassword(privateKeyPem, password) {
   };
 }
 
-function aesEncrypt(text, aesKey) {
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv('aes-256-cbc', aesKey, iv);
-  let encrypted = cipher.update(text, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  return { encrypted, iv: iv.toString('hex') };
+// v2 message envelope: AES-256-GCM with envelope id, sender and conversation bound as AAD
+// (must match buildAAD / aesGcmEncrypt in frontend/src/utils/crypto.js)
+const ENVELOPE_VERSION = 2;
+
+function aesGcmEncryptEnvelope(text, aesKey, senderId, conversationId = null) {
+  const envelopeId = crypto.randomBytes(16).toString('hex');
+  const iv = crypto.randomBytes(12);
+  const aad = `v${ENVELOPE_VERSION}|${envelopeId}|${senderId}|${conversationId === null ? 'general' : conversationId}`;
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', aesKey, iv);
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+  // WebCrypto expects the 16-byte auth tag appended to the ciphertext
+  const ciphertext = Buffer.concat([cipher.update(text, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+
+  return {
+    encryptedContent: JSON.stringify({ v: ENVELOPE_VERSION, id: envelopeId, ct: ciphertext.toString('base64') }),
+    iv: iv.toString('base64'),
+  };
+}
+
+// ECDSA P-256 envelope signature (must match buildSignedData / signEnvelope in frontend/src/utils/crypto.js)
+function signEnvelope(encryptedContent, iv, signingKeyPem, senderId, conversationId = null) {
+  const envelope = JSON.parse(encryptedContent);
+  const conversation = conversationId === null ? 'general' : conversationId;
+  const data = `v${ENVELOPE_VERSION}|${envelope.id}|${senderId}|${conversation}|${iv}|${envelope.ct}`;
+  // WebCrypto ECDSA signatures are raw r||s, not DER
+  const sig = crypto.sign('sha256', Buffer.from(data, 'utf8'), { key: signingKeyPem, dsaEncoding: 'ieee-p1363' });
+  return JSON.stringify({ ...envelope, sig: sig.toString('base64') });
 }
 
 function rsaEncryptKey(publicKeyPem, aesKeyBuffer) {
@@ -73,7 +95,7 @@ async function seed() {
 
   logger.info('Starting database seed (E2E encryption)...');
 
-  // Create users with RSA key pairs
+  // Create users with RSA encryption and ECDSA signing key pairs
   const userData = [];
   for (const u of USERS) {
     const existing = db.findUserByUsername(u.username);
@@ -83,6 +105,7 @@ async function seed() {
         username: u.username,
         publicKey: existing.public_key,
         privateKey: null,
+        signingKey: null,
       });
       logger.info(`User "${u.username}" already exists, skipping`);
       continue;
@@ -104,7 +127,16 @@ async function seed() {
     const { encryptedPrivateKey, iv } = encryptPrivateKeyWithPassword(privateKey, u.password);
     db.updateUserEncryptedPrivateKey(user.id, encryptedPrivateKey, iv);
 
-    userData.push({ id: user.id, username: u.username, publicKey, privateKey });
+    // Generate ECDSA signing key pair, backed up the same way
+    const signing = crypto.generateKeyPairSync('ec', {
+      namedCurve: 'prime256v1',
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    });
+    const signingBackup = encryptPrivateKeyWithPassword(signing.privateKey, u.password);
+    db.updateUserSigningKey(user.id, signing.publicKey, signingBackup.encryptedPrivateKey, signingBackup.iv);
+
+    userData.push({ id: user.id, username: u.username, publicKey, privateKey, signingKey: signing.privateKey });
     logger.info(`Created user: ${u.username} (ID: ${user.id})`);
   }
 
@@ -126,11 +158,13 @@ async function seed() {
     // Generate random AES-256 key
     const aesKey = crypto.randomBytes(32);
 
-    // Encrypt message content with AES
-    const { encrypted, iv } = aesEncrypt(msg.content, aesKey);
+    // Encrypt message content into a signed v2 AES-GCM envelope (general room)
+    const envelope = aesGcmEncryptEnvelope(msg.content, aesKey, sender.id);
+    const { iv } = envelope;
+    const encryptedContent = signEnvelope(envelope.encryptedContent, iv, sender.signingKey, sender.id);
 
     // Store encrypted message
-    const message = db.createMessage(sender.id, encrypted, iv);
+    const message = db.createMessage(sender.id, encryptedContent, iv);
 
     // Encrypt AES key for each user (including sender) with their RSA public key
     for (const recipient of userData) {
@@ -13,7 +13,8 @@ function validateEnvironment() {
 
   const errors = [];
 
-  if (!process.env.JWT_SECRET || process.env.JWT_SECRET === DEFAULT_JWT_SECRET) {
+  // With asymmetric signing keys the shared secret is not used
+  if (!process.env.JWT_KEYS_DIR && (!process.env.JWT_SECRET || process.env.JWT_SECRET === DEFAULT_JWT_SECRET)) {
     errors.push('JWT_SECRET must be changed from default value');
   }
 
@@ -55,6 +56,12 @@ if (ENABLE_CLUSTER && cluster.isPrimary) {
     cluster.fork();
   }
 
+  // Workers hold their own polls and streams; messages published on one reach the others through here
+  if (!process.env.REDIS_URL) {
+    const { relayClusterMessages } = require('./pubsub');
+    relayClusterMessages(cluster);
+  }
+
   cluster.on('exit', (worker, code, signal) => {
     logger.info(`Worker ${worker.process.pid} died (code: ${code}, signal: ${signal}). Restarting...`);
     cluster.fork();
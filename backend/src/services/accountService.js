@@ -0,0 +1,179 @@
+const bcrypt = require('bcrypt');
+const { getDatabase } = require('../data');
+const { endUserSessions } = require('./sessionService');
+const { listConversations, leaveConversation } = require('./conversationService');
+const { listDevices } = require('./deviceService');
+const { verifySecondFactor, getStatus: getTwoFactorStatus } = require('./twoFactorService');
+const logger = require('../utils/logger');
+const { ROLES } = require('../config/constants');
+
+// Data subject requests: a copy of everything stored about an account, and its deletion.
+// Message content is end-to-end encrypted, so it is exported (and deleted) as stored.
+
+const EXPORT_FORMAT_VERSION = 1;
+
+// ── Helpers ──
+
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function findUser(db, userId) {
+  const user = db.findUserById(userId);
+  if (!user) throw httpError('User not found', 404);
+  return user;
+}
+
+// ── Export ──
+
+function exportPreKeys(db, userId) {
+  return db.getDevicesForUser(userId).flatMap((device) => {
+    const prekeys = db.getDevicePreKeys(device.id);
+    if (!prekeys) return [];
+    return [
+      {
+        deviceId: device.id,
+        identityKey: prekeys.identity_key,
+        signedPreKey: {
+          keyId: prekeys.signed_prekey_id,
+          publicKey: prekeys.signed_prekey,
+          signature: prekeys.signed_prekey_signature,
+        },
+        oneTimePreKeys: db.getOneTimePreKeys(device.id).map((k) => ({ keyId: k.key_id, publicKey: k.public_key })),
+      },
+    ];
+  });
+}
+
+/**
+ * Every record tied to the account, as a JSON-serializable archive. Password and code hashes
+ * and the TOTP secret are left out: they only matter to the server and would help an attacker
+ * who got hold of the file.
+ */
+function exportAccount(userId) {
+  const db = getDatabase();
+  const user = findUser(db, userId);
+  const { conversations } = listConversations(userId);
+
+  return {
+    format: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    account: {
+      id: user.id,
+      username: user.username,
+      role: user.role || ROLES.USER,
+      createdAt: user.created_at,
+      disabledAt: user.disabled_at || null,
+      twoFactor: getTwoFactorStatus(userId),
+    },
+    keys: {
+      keyVersion: user.key_version || 1,
+      publicKey: user.public_key || null,
+      signingPublicKey: user.signing_public_key || null,
+      // Wrapped with the account password; only the owner can open them
+      encryptedPrivateKey: user.encrypted_private_key || null,
+      encryptedPrivateKeyIv: user.encrypted_private_key_iv || null,
+      encryptedSigningKey: user.encrypted_signing_key || null,
+      encryptedSigningKeyIv: user.encrypted_signing_key_iv || null,
+      // No backup left on versions archived by an admin key reset
+      archivedKeys: db.getArchivedUserKeys(userId).map((k) => ({
+        keyVersion: k.key_version,
+        publicKey: k.public_key || null,
+        archivedAt: k.archived_at || null,
+        encryptedPrivateKey: k.encrypted_private_key || null,
+        encryptedPrivateKeyIv: k.encrypted_private_key_iv || null,
+      })),
+      // The wrapped keys stay out with the verifier hashes; without the code they are of no use
+      recoveryCodes: db.getRecoveryCodesForUser(userId).map((c) => ({
+        keyVersion: c.key_version,
+        createdAt: c.created_at,
+        usedAt: c.used_at || null,
+      })),
+    },
+    twoFactorBackupCodes: db.getTotpBackupCodesForUser(userId).map((c) => ({
+      createdAt: c.created_at,
+      usedAt: c.used_at || null,
+    })),
+    sessions: db.getAllUserSessions(userId).map((s) => ({
+      id: s.id,
+      userAgent: s.user_agent || null,
+      ip: s.ip || null,
+      createdAt: s.created_at,
+      lastSeenAt: s.last_seen_at || null,
+      revokedAt: s.revoked_at || null,
+    })),
+    devices: listDevices(userId),
+    // The public halves devices uploaded for X3DH; their private keys never leave the device
+    preKeys: exportPreKeys(db, userId),
+    conversations: conversations.map(({ id, type, name, members, createdAt }) => ({
+      id,
+      type,
+      name,
+      members,
+      createdAt,
+    })),
+    // Messages without a conversationId are in the general room
+    messagesSent: db.getMessagesSentByUser(userId).map((m) => ({
+      id: m.id,
+      conversationId: m.conversation_id ?? null,
+      deviceId: m.sender_device_id ?? null,
+      encryptedContent: m.encrypted_content,
+      iv: m.encryption_iv,
+      createdAt: m.created_at,
+    })),
+    // One entry per delivery: the account key wrap and every device's own wrap
+    messagesReceived: db.getMessagesReceivedByUser(userId).map((m) => ({
+      id: m.id,
+      conversationId: m.conversation_id ?? null,
+      senderId: m.sender_id,
+      senderUsername: m.sender_username ?? null,
+      encryptedContent: m.deleted_at ? null : m.encrypted_content,
+      iv: m.deleted_at ? null : m.encryption_iv,
+      encryptedKey: m.deleted_at ? null : m.encrypted_key,
+      keyVersion: m.key_version ?? null,
+      deviceId: m.device_id ?? null,
+      createdAt: m.created_at,
+      deliveredAt: m.delivered_at || null,
+      readAt: m.read_at || null,
+    })),
+  };
+}
+
+// ── Deletion ──
+
+/**
+ * Deletes the account after checking its password (and a two-factor code when 2FA is on).
+ * Groups the user owned pass to another member as if they had left. The adapter then removes
+ * the account with its keys, recovery and backup codes, devices, sessions and delivery rows,
+ * and turns the messages it sent into tombstones so everyone else's history keeps its shape.
+ */
+async function deleteAccount(userId, password, code) {
+  const db = getDatabase();
+  const user = findUser(db, userId);
+
+  const validPassword = await bcrypt.compare(password, user.password_hash);
+  if (!validPassword) {
+    logger.info('Account deletion with wrong password', { userId });
+    throw httpError('Invalid password', 401);
+  }
+  if (user.totp_enabled && (!code || !verifySecondFactor(user, code))) {
+    throw httpError('Invalid two-factor code', 401);
+  }
+
+  const { conversations } = listConversations(userId);
+  for (const conversation of conversations.filter((c) => c.type === 'group')) {
+    leaveConversation(conversation.id, userId);
+  }
+
+  endUserSessions(userId);
+  db.deleteUser(userId);
+
+  logger.warn('Account deleted', { userId });
+}
+
+module.exports = {
+  exportAccount,
+  deleteAccount,
+};
@@ -0,0 +1,102 @@
+const { getDatabase } = require('../data');
+const { endUserSessions } = require('./sessionService');
+const logger = require('../utils/logger');
+const { ROLES } = require('../config/constants');
+
+// Admins manage accounts, not their content: nothing here returns messages, key backups
+// or anything else that would let an admin read what users wrote.
+
+// ── Helpers ──
+
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function findUser(db, userId) {
+  const user = db.findUserById(userId);
+  if (!user) throw httpError('User not found', 404);
+  return user;
+}
+
+function formatUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role || ROLES.USER,
+    createdAt: user.created_at,
+    disabledAt: user.disabled_at || null,
+    lockedUntil: user.locked_until > Date.now() ? new Date(user.locked_until).toISOString() : null,
+    twoFactorEnabled: Boolean(user.totp_enabled),
+    hasKeyBackup: Boolean(user.encrypted_private_key),
+  };
+}
+
+// ── Accounts ──
+
+function listUsers() {
+  const db = getDatabase();
+  return db.getAllUsers().map(formatUser);
+}
+
+// A disabled account cannot sign in or refresh, and its open sessions end right away
+function disableUser(adminId, userId) {
+  const db = getDatabase();
+  const user = findUser(db, userId);
+  // An admin who locks themselves out may leave no one to let them back in
+  if (adminId === userId) throw httpError('You cannot disable your own account', 409);
+
+  if (!user.disabled_at) {
+    db.setUserDisabled(userId, true);
+  }
+  endUserSessions(userId);
+
+  logger.warn('Account disabled by admin', { adminId, userId });
+  return formatUser(db.findUserById(userId));
+}
+
+function enableUser(adminId, userId) {
+  const db = getDatabase();
+  const user = findUser(db, userId);
+
+  if (user.disabled_at) {
+    db.setUserDisabled(userId, false);
+  }
+
+  logger.warn('Account enabled by admin', { adminId, userId });
+  return formatUser(db.findUserById(userId));
+}
+
+function logoutUser(adminId, userId) {
+  const db = getDatabase();
+  findUser(db, userId);
+
+  endUserSessions(userId);
+  logger.warn('Sessions ended by admin', { adminId, userId });
+}
+
+/**
+ * For an account whose key backups no longer unwrap with its password. Deletes the wrapped
+ * private and signing keys, archived key versions, recovery codes and devices, and ends every
+ * session. The password is kept, so only the user can sign in again; the client then creates
+ * fresh keys. History encrypted to the old keys stays unreadable.
+ */
+function resetKeyBackups(adminId, userId) {
+  const db = getDatabase();
+  findUser(db, userId);
+
+  db.resetUserKeyBackups(userId);
+  endUserSessions(userId);
+
+  logger.warn('Key backups reset by admin', { adminId, userId });
+  return formatUser(db.findUserById(userId));
+}
+
+module.exports = {
+  listUsers,
+  disableUser,
+  enableUser,
+  logoutUser,
+  resetKeyBackups,
+};
@@ -1,11 +1,73 @@
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const { getDatabase } = require('../data');
 const jwtConfig = require('../config/jwt');
-const { SALT_ROUNDS } = require('../config/constants');
+const { signToken, verifyToken } = require('../utils/tokens');
+const {
+  SALT_ROUNDS,
+  LOGIN_FREE_ATTEMPTS,
+  LOGIN_LOCKOUT_BASE_MS,
+  LOGIN_LOCKOUT_MAX_MS,
+  LOGIN_FAILURE_RESET_MS,
+} = require('../config/constants');
+const { createSession, findUserSession, endSession, endUserSessions } = require('./sessionService');
+const { verifySecondFactor } = require('./twoFactorService');
 const logger = require('../utils/logger');
 
-async function registerUser(username, password, publicKey, encryptedPrivateKey, encryptedPrivateKeyIv) {
+// Claim that keeps a login challenge from passing as an access token (which must carry a sid)
+const TWO_FACTOR_CHALLENGE = 'login-2fa';
+
+// A session owns a family of refresh tokens. Each refresh replaces the token with a new one;
+// presenting a replaced token again means it was copied, so the whole session is revoked.
+
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+function signAccessToken(user, sessionId) {
+  return signToken({ userId: user.id, username: user.username, sid: sessionId }, jwtConfig.expiration);
+}
+
+// The raw refresh token is returned to the client once; only its hash is stored
+function newRefreshToken() {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  return {
+    refreshToken,
+    tokenHash: hashRefreshToken(refreshToken),
+    expiresAt: Date.now() + jwtConfig.refreshExpirationDays * 24 * 60 * 60 * 1000,
+  };
+}
+
+function startSession(db, user, client) {
+  const sessionId = createSession(user.id, client);
+  const { refreshToken, tokenHash, expiresAt } = newRefreshToken();
+  db.createRefreshToken(user.id, sessionId, tokenHash, expiresAt);
+  return { token: signAccessToken(user, sessionId), refreshToken };
+}
+
+// Recovery codes never reach the server; it keeps a hash of the verifier derived from each one
+function hashRecoveryVerifier(verifier) {
+  return crypto.createHash('sha256').update(verifier).digest('hex');
+}
+
+function toStoredRecoveryCodes(recoveryCodes) {
+  return recoveryCodes.map((c) => ({
+    verifierHash: hashRecoveryVerifier(c.verifier),
+    encryptedKeys: c.encryptedKeys,
+    encryptedKeysIv: c.encryptedKeysIv,
+  }));
+}
+
+async function registerUser(
+  username,
+  password,
+  publicKey,
+  encryptedPrivateKey,
+  encryptedPrivateKeyIv,
+  signingKey = null,
+  recoveryCodes = [],
+  client = {}
+) {
   const db = getDatabase();
 
   const existing = db.findUserByUsername(username);
@@ -24,52 +86,417 @@ async function registerUser(username, password, publicKey, encryptedPrivateKey,
   // Store encrypted private key backup (encrypted by client with password-derived key)
   db.updateUserEncryptedPrivateKey(user.id, encryptedPrivateKey, encryptedPrivateKeyIv);
 
-  const token = jwt.sign(
-    { userId: user.id, username: user.username },
-    jwtConfig.secret,
-    { expiresIn: jwtConfig.expiration, algorithm: jwtConfig.algorithm }
-  );
+  // Store client-provided ECDSA signing key and its encrypted backup
+  if (signingKey) {
+    db.updateUserSigningKey(
+      user.id,
+      signingKey.signingPublicKey,
+      signingKey.encryptedSigningKey,
+      signingKey.encryptedSigningKeyIv
+    );
+  }
+
+  // Each recovery code wraps the new account's keys independently
+  if (recoveryCodes.length > 0) {
+    db.replaceRecoveryCodes(user.id, 1, toStoredRecoveryCodes(recoveryCodes));
+  }
+
+  const session = startSession(db, user, client);
 
   logger.info('User registered', { userId: user.id, username });
   return {
-    token,
+    ...session,
     user: { id: user.id, username: user.username },
   };
 }
 
-async function loginUser(username, password) {
+// Unknown usernames are checked against this hash, so they take as long to reject as a wrong password
+const dummyPasswordHash = bcrypt.hash('no-such-user', SALT_ROUNDS);
+
+// Failed logins that still count toward a lockout; a quiet day starts the count over
+function recentFailedLogins(user) {
+  if (!user.failed_login_count || Date.now() - user.last_failed_login_at >= LOGIN_FAILURE_RESET_MS) return 0;
+  return user.failed_login_count;
+}
+
+// A locked account is refused like a wrong password, so the answer does not tell an attacker
+// that the username exists; only the log says why
+function isLockedOut(user) {
+  const remainingMs = (user.locked_until || 0) - Date.now();
+  if (remainingMs <= 0) return false;
+  logger.info('Login attempt on locked account', { userId: user.id, retryAfterSeconds: Math.ceil(remainingMs / 1000) });
+  return true;
+}
+
+// Past the free attempts, every failure locks the account for twice as long as the last one.
+// The database increments the count (and starts it over after a quiet day), so guesses
+// checked in parallel all count; the user row read before the password check may be stale.
+function recordFailedLogin(db, userId) {
+  const failures = db.recordFailedLogin(userId, Date.now() - LOGIN_FAILURE_RESET_MS);
+  const excess = failures - LOGIN_FREE_ATTEMPTS;
+  if (excess <= 0) return;
+
+  const lockedUntil = Date.now() + Math.min(LOGIN_LOCKOUT_BASE_MS * 2 ** (excess - 1), LOGIN_LOCKOUT_MAX_MS);
+  db.lockUserUntil(userId, lockedUntil);
+  logger.warn('Account locked after failed logins', { userId, failures, lockedUntil });
+}
+
+// Disabled by an admin: the right password no longer signs in
+function assertEnabled(user) {
+  if (user.disabled_at) {
+    logger.info('Login attempt for a disabled account', { userId: user.id });
+    const err = new Error('Account disabled');
+    err.status = 403;
+    throw err;
+  }
+}
+
+async function loginUser(username, password, client = {}) {
   const db = getDatabase();
 
   const user = db.findUserByUsername(username);
   if (!user) {
+    await bcrypt.compare(password, await dummyPasswordHash);
     logger.info('Login attempt for non-existent user', { username });
     const err = new Error('Invalid username or password');
     err.status = 401;
     throw err;
   }
 
+  // Checked after the hash comparison, so a locked account takes as long to refuse as any other
   const validPassword = await bcrypt.compare(password, user.password_hash);
-  if (!validPassword) {
-    logger.info('Failed login attempt', { username });
+  const locked = isLockedOut(user);
+  if (locked || !validPassword) {
+    // Guesses during a lock do not count: each would extend it, so one guess per lock
+    // window could keep anyone's account locked
+    if (!locked) {
+      logger.info('Failed login attempt', { username });
+      recordFailedLogin(db, user.id);
+    }
     const err = new Error('Invalid username or password');
     err.status = 401;
     throw err;
   }
 
-  const token = jwt.sign(
-    { userId: user.id, username: user.username },
-    jwtConfig.secret,
-    { expiresIn: jwtConfig.expiration, algorithm: jwtConfig.algorithm }
-  );
+  assertEnabled(user);
+
+  // With 2FA on, the password only earns a challenge to exchange along with a code
+  if (user.totp_enabled) {
+    logger.info('Password accepted, two-factor code required', { userId: user.id });
+    return { twoFactorRequired: true, challengeToken: signChallengeToken(user) };
+  }
+
+  return completeLogin(db, user, client);
+}
+
+function signChallengeToken(user) {
+  return signToken({ userId: user.id, purpose: TWO_FACTOR_CHALLENGE }, jwtConfig.challengeExpiration);
+}
 
-  logger.info('User logged in', { userId: user.id, username });
+// Second login step: the challenge from loginUser plus an authenticator or backup code
+function loginWithSecondFactor(challengeToken, code, client = {}) {
+  const db = getDatabase();
+
+  let challenge;
+  try {
+    challenge = verifyToken(challengeToken);
+  } catch {
+    challenge = null;
+  }
+  if (!challenge || challenge.purpose !== TWO_FACTOR_CHALLENGE) {
+    const err = new Error('Login challenge expired, sign in again');
+    err.status = 401;
+    throw err;
+  }
+
+  const user = db.findUserById(challenge.userId);
+  const locked = user && isLockedOut(user);
+
+  if (!user || locked || !user.totp_enabled || !verifySecondFactor(user, code)) {
+    if (!locked) {
+      logger.info('Failed two-factor login attempt', { userId: challenge.userId });
+      if (user) recordFailedLogin(db, user.id);
+    }
+    const err = new Error('Invalid two-factor code');
+    err.status = 401;
+    throw err;
+  }
+
+  assertEnabled(user);
+  return completeLogin(db, user, client);
+}
+
+// Archived key versions that still have a password-wrapped backup; the version in use
+// when an admin reset the key backups is archived without one
+function archivedKeyBackups(db, userId) {
+  return db.getArchivedUserKeys(userId).filter((k) => k.encrypted_private_key);
+}
+
+// Starts the session and hands back the key backups the client unwraps with the password
+function completeLogin(db, user, client) {
+  // Shown to the user, who may not have made those attempts
+  const failedLogins = recentFailedLogins(user);
+  if (user.failed_login_count) {
+    db.clearFailedLogins(user.id);
+  }
+
+  const session = startSession(db, user, client);
+
+  logger.info('User logged in', { userId: user.id, username: user.username });
 
   return {
-    token,
+    ...session,
     user: { id: user.id, username: user.username },
+    failedLogins: failedLogins
+      ? { count: failedLogins, lastAttemptAt: new Date(user.last_failed_login_at).toISOString() }
+      : null,
     encryptedPrivateKey: user.encrypted_private_key || null,
     encryptedPrivateKeyIv: user.encrypted_private_key_iv || null,
+    encryptedSigningKey: user.encrypted_signing_key || null,
+    encryptedSigningKeyIv: user.encrypted_signing_key_iv || null,
+    keyVersion: user.key_version || 1,
+    // Older key versions still unwrap the history encrypted to them
+    archivedKeys: archivedKeyBackups(db, user.id).map((k) => ({
+      keyVersion: k.key_version,
+      encryptedPrivateKey: k.encrypted_private_key,
+      encryptedPrivateKeyIv: k.encrypted_private_key_iv,
+    })),
+  };
+}
+
+function invalidRefreshToken(message = 'Invalid refresh token') {
+  const err = new Error(message);
+  err.status = 401;
+  return err;
+}
+
+// Exchanges a refresh token for a new access token and a new refresh token
+function refreshSession(refreshToken, client = {}) {
+  const db = getDatabase();
+
+  const record = db.findRefreshToken(hashRefreshToken(refreshToken));
+  if (!record || record.revoked_at) {
+    throw invalidRefreshToken();
+  }
+
+  if (record.replaced_at) {
+    endSession(record.family_id);
+    logger.warn('Refresh token reuse detected, session revoked', { userId: record.user_id, familyId: record.family_id });
+    throw invalidRefreshToken('Refresh token reuse detected');
+  }
+
+  if (record.expires_at <= Date.now()) {
+    throw invalidRefreshToken('Refresh token expired');
+  }
+
+  const user = db.findUserById(record.user_id);
+  if (!user || user.disabled_at || !findUserSession(user.id, record.family_id, client)) {
+    throw invalidRefreshToken();
+  }
+
+  const next = newRefreshToken();
+  db.rotateRefreshToken(record.id, user.id, record.family_id, next.tokenHash, next.expiresAt);
+
+  return { token: signAccessToken(user, record.family_id), refreshToken: next.refreshToken };
+}
+
+// Ends the session the refresh token belongs to; unknown tokens are already signed out
+function logoutSession(refreshToken) {
+  const db = getDatabase();
+
+  const record = db.findRefreshToken(hashRefreshToken(refreshToken));
+  if (record) {
+    endSession(record.family_id);
+    logger.info('User logged out', { userId: record.user_id });
+  }
+}
+
+// Accounts created before message signing publish their signing key once, on first login
+function setSigningKey(userId, signingPublicKey, encryptedSigningKey, encryptedSigningKeyIv) {
+  const db = getDatabase();
+
+  const user = db.findUserById(userId);
+  if (!user) {
+    const err = new Error('User not found');
+    err.status = 404;
+    throw err;
+  }
+  if (user.signing_public_key) {
+    const err = new Error('Signing key already set');
+    err.status = 409;
+    throw err;
+  }
+
+  db.updateUserSigningKey(userId, signingPublicKey, encryptedSigningKey, encryptedSigningKeyIv);
+  logger.info('Signing key published', { userId });
+}
+
+// Replaces the user's RSA key pair; the previous version is archived, not deleted
+async function rotateKeys(userId, password, publicKey, encryptedPrivateKey, encryptedPrivateKeyIv) {
+  const db = getDatabase();
+
+  const user = db.findUserById(userId);
+  if (!user) {
+    const err = new Error('User not found');
+    err.status = 404;
+    throw err;
+  }
+
+  // The new backup is wrapped with this password, so it must be the right one
+  const validPassword = await bcrypt.compare(password, user.password_hash);
+  if (!validPassword) {
+    logger.info('Key rotation with wrong password', { userId });
+    const err = new Error('Invalid password');
+    err.status = 401;
+    throw err;
+  }
+
+  const keyVersion = db.rotateUserKey(userId, publicKey, encryptedPrivateKey, encryptedPrivateKeyIv);
+
+  logger.info('Encryption keys rotated', { userId, keyVersion });
+  return { keyVersion };
+}
+
+// Backups re-wrapped under a new password must cover every key the account has
+function checkKeyBackups(db, user, backups) {
+  // The client re-wrapped the keys it had at login; a rotation since then means it missed one
+  const currentVersion = user.key_version || 1;
+  const archivedVersions = archivedKeyBackups(db, user.id).map((k) => k.key_version).sort((a, b) => a - b);
+  const sentVersions = backups.archivedKeys.map((k) => k.keyVersion).sort((a, b) => a - b);
+  if (
+    backups.keyVersion !== currentVersion ||
+    sentVersions.length !== archivedVersions.length ||
+    sentVersions.some((v, i) => v !== archivedVersions[i])
+  ) {
+    const err = new Error('Key backups are out of date');
+    err.status = 409;
+    throw err;
+  }
+
+  if (Boolean(user.signing_public_key) !== Boolean(backups.encryptedSigningKey)) {
+    const err = new Error('Signing key backup does not match the account');
+    err.status = 400;
+    throw err;
+  }
+}
+
+function toStoredBackups(backups) {
+  return {
+    encryptedPrivateKey: backups.encryptedPrivateKey,
+    encryptedPrivateKeyIv: backups.encryptedPrivateKeyIv,
+    encryptedSigningKey: backups.encryptedSigningKey || null,
+    encryptedSigningKeyIv: backups.encryptedSigningKeyIv || null,
+    archivedKeys: backups.archivedKeys,
   };
 }
 
-module.exports = { registerUser, loginUser };
+// Replaces the password hash and every key backup wrapped with the old password, in one
+// adapter call so a failure cannot leave backups that neither password opens
+async function changePassword(userId, currentPassword, newPassword, backups) {
+  const db = getDatabase();
+
+  const user = db.findUserById(userId);
+  if (!user) {
+    const err = new Error('User not found');
+    err.status = 404;
+    throw err;
+  }
+
+  const validPassword = await bcrypt.compare(currentPassword, user.password_hash);
+  if (!validPassword) {
+    logger.info('Password change with wrong password', { userId });
+    const err = new Error('Invalid password');
+    err.status = 401;
+    throw err;
+  }
+
+  checkKeyBackups(db, user, backups);
+
+  const passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
+  db.changeUserPassword(userId, passwordHash, toStoredBackups(backups));
+
+  logger.info('Password changed', { userId });
+}
+
+// Replaces the user's recovery codes with a new set wrapping the current keys
+async function setRecoveryCodes(userId, password, recoveryCodes) {
+  const db = getDatabase();
+
+  const user = db.findUserById(userId);
+  if (!user) {
+    const err = new Error('User not found');
+    err.status = 404;
+    throw err;
+  }
+
+  const validPassword = await bcrypt.compare(password, user.password_hash);
+  if (!validPassword) {
+    logger.info('Recovery code reset with wrong password', { userId });
+    const err = new Error('Invalid password');
+    err.status = 401;
+    throw err;
+  }
+
+  db.replaceRecoveryCodes(userId, user.key_version || 1, toStoredRecoveryCodes(recoveryCodes));
+  logger.info('Recovery codes replaced', { userId, count: recoveryCodes.length });
+}
+
+// Unknown users, wrong codes and used codes all look the same to the caller
+function findRecoveryCode(db, username, verifier) {
+  const user = db.findUserByUsername(username);
+  const code = user ? db.findRecoveryCode(user.id, hashRecoveryVerifier(verifier)) : null;
+  if (!code || code.used_at) {
+    logger.info('Invalid recovery code presented', { username });
+    const err = new Error('Invalid recovery code');
+    err.status = 401;
+    throw err;
+  }
+  return { user, code };
+}
+
+// The keys wrapped by one recovery code; only its holder can unwrap them
+function getRecoveryKeys(username, verifier) {
+  const db = getDatabase();
+  const { code } = findRecoveryCode(db, username, verifier);
+
+  return {
+    keyVersion: code.key_version,
+    encryptedKeys: code.encrypted_keys,
+    encryptedKeysIv: code.encrypted_keys_iv,
+  };
+}
+
+// Sets a new password with backups the client re-wrapped from a recovery code, using up the code
+async function recoverAccount(username, verifier, newPassword, backups) {
+  const db = getDatabase();
+  const { user, code } = findRecoveryCode(db, username, verifier);
+
+  // Codes made before a key rotation cannot restore the current key
+  if (code.key_version !== (user.key_version || 1)) {
+    const err = new Error('Recovery codes are out of date');
+    err.status = 409;
+    throw err;
+  }
+  checkKeyBackups(db, user, backups);
+
+  const passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
+  db.recoverUserPassword(user.id, code.id, passwordHash, toStoredBackups(backups));
+  // Whoever made the owner lose access may still be signed in
+  endUserSessions(user.id);
+
+  logger.info('Account recovered with a recovery code', { userId: user.id });
+}
+
+module.exports = {
+  registerUser,
+  loginUser,
+  loginWithSecondFactor,
+  setSigningKey,
+  rotateKeys,
+  changePassword,
+  refreshSession,
+  logoutSession,
+  setRecoveryCodes,
+  getRecoveryKeys,
+  recoverAccount,
+};
@@ -0,0 +1,317 @@
+const { getDatabase } = require('../data');
+const logger = require('../utils/logger');
+
+// Member roles, highest privilege first
+const ROLES = {
+  OWNER: 'owner',
+  ADMIN: 'admin',
+  MEMBER: 'member',
+};
+
+// ── Helpers ──
+
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function formatConversation(conversation, members) {
+  return {
+    id: conversation.id,
+    type: conversation.type,
+    name: conversation.name || null,
+    members: members.map((m) => ({ userId: m.user_id, username: m.username, role: m.role })),
+    createdAt: conversation.created_at,
+  };
+}
+
+function formatLastMessage(row) {
+  if (!row || !row.last_message_id) return null;
+  return {
+    id: row.last_message_id,
+    senderId: row.last_message_sender_id,
+    senderUsername: row.last_message_sender_username,
+    createdAt: row.last_message_at,
+  };
+}
+
+// Most recent activity first; conversations without messages fall back to their creation time
+function byActivity(a, b) {
+  const aTime = a.lastMessage ? a.lastMessage.createdAt : a.createdAt;
+  const bTime = b.lastMessage ? b.lastMessage.createdAt : b.createdAt;
+  return new Date(bTime) - new Date(aTime);
+}
+
+function getGroupOrThrow(db, conversationId) {
+  const conversation = db.findConversationById(conversationId);
+  if (!conversation) {
+    throw httpError('Conversation not found', 404);
+  }
+  if (conversation.type !== 'group') {
+    throw httpError('Membership of direct conversations cannot change', 400);
+  }
+  return conversation;
+}
+
+function getMemberOrThrow(db, conversationId, userId) {
+  const member = db.getConversationMember(conversationId, userId);
+  if (!member) {
+    throw httpError('Not a member of this conversation', 403);
+  }
+  return member;
+}
+
+// ── Listing ──
+
+/**
+ * Lists the user's conversations with last-message metadata and unread counts.
+ * Unread counts are the messages from others that the user has not read yet (read_at unset),
+ * whatever the user's devices have already received.
+ * The general room (messages without a conversation) is reported separately.
+ */
+function listConversations(userId) {
+  const db = getDatabase();
+
+  // conversation id (null = general room) -> unread messages
+  const unread = new Map(db.countUnreadForUser(userId).map((row) => [row.conversation_id ?? null, row.unread_count]));
+
+  const conversations = db.getConversationSummariesForUser(userId).map((row) => ({
+    ...formatConversation(row, db.getConversationMembers(row.id)),
+    lastMessage: formatLastMessage(row),
+    unreadCount: unread.get(row.id) || 0,
+  }));
+  conversations.sort(byActivity);
+
+  const general = {
+    lastMessage: formatLastMessage(db.getGeneralRoomSummaryForUser(userId)),
+    unreadCount: unread.get(null) || 0,
+  };
+
+  return { conversations, general };
+}
+
+// ── Direct Conversations ──
+
+function openDirectConversation(userId, otherUserId) {
+  if (userId === otherUserId) {
+    throw httpError('Cannot open a conversation with yourself', 400);
+  }
+
+  const db = getDatabase();
+
+  const otherUser = db.findUserById(otherUserId);
+  if (!otherUser) {
+    throw httpError('User not found', 404);
+  }
+
+  // A pair of users shares exactly one direct conversation
+  const existing = db.findDirectConversation(userId, otherUserId);
+  if (existing) {
+    return {
+      conversation: formatConversation(existing, db.getConversationMembers(existing.id)),
+      created: false,
+    };
+  }
+
+  const conversation = db.createConversation('direct', null, userId);
+  db.addConversationMember(conversation.id, userId, ROLES.MEMBER);
+  db.addConversationMember(conversation.id, otherUserId, ROLES.MEMBER);
+
+  logger.info('Direct conversation opened', { conversationId: conversation.id, userId, otherUserId });
+
+  return {
+    conversation: formatConversation(conversation, db.getConversationMembers(conversation.id)),
+    created: true,
+  };
+}
+
+// ── Group Conversations ──
+
+function createGroupConversation(ownerId, name, memberIds = []) {
+  const db = getDatabase();
+
+  const invitees = [...new Set(memberIds)].filter((id) => id !== ownerId);
+  for (const id of invitees) {
+    if (!db.findUserById(id)) {
+      throw httpError('User not found', 404);
+    }
+  }
+
+  const conversation = db.createConversation('group', name, ownerId);
+  db.addConversationMember(conversation.id, ownerId, ROLES.OWNER);
+  for (const id of invitees) {
+    db.addConversationMember(conversation.id, id, ROLES.MEMBER);
+  }
+
+  logger.info('Group conversation created', {
+    conversationId: conversation.id,
+    ownerId,
+    memberCount: invitees.length + 1,
+  });
+
+  return formatConversation(conversation, db.getConversationMembers(conversation.id));
+}
+
+function getConversation(conversationId, userId) {
+  const db = getDatabase();
+
+  const conversation = db.findConversationById(conversationId);
+  if (!conversation) {
+    throw httpError('Conversation not found', 404);
+  }
+  getMemberOrThrow(db, conversationId, userId);
+
+  return formatConversation(conversation, db.getConversationMembers(conversationId));
+}
+
+function inviteMembers(conversationId, actorId, userIds) {
+  const db = getDatabase();
+  const conversation = getGroupOrThrow(db, conversationId);
+
+  const actor = getMemberOrThrow(db, conversationId, actorId);
+  if (actor.role === ROLES.MEMBER) {
+    throw httpError('Only owners and admins can invite members', 403);
+  }
+
+  for (const userId of new Set(userIds)) {
+    if (!db.findUserById(userId)) {
+      throw httpError('User not found', 404);
+    }
+    if (!db.getConversationMember(conversationId, userId)) {
+      db.addConversationMember(conversationId, userId, ROLES.MEMBER);
+    }
+  }
+
+  logger.info('Group members invited', { conversationId, actorId, userIds });
+  return formatConversation(conversation, db.getConversationMembers(conversationId));
+}
+
+function removeMember(conversationId, actorId, userId) {
+  if (actorId === userId) {
+    throw httpError('Use leave to remove yourself', 400);
+  }
+
+  const db = getDatabase();
+  const conversation = getGroupOrThrow(db, conversationId);
+
+  const actor = getMemberOrThrow(db, conversationId, actorId);
+  const target = db.getConversationMember(conversationId, userId);
+  if (!target) {
+    throw httpError('User is not a member of this conversation', 404);
+  }
+
+  // Owners remove anyone; admins remove plain members only
+  const allowed =
+    actor.role === ROLES.OWNER ||
+    (actor.role === ROLES.ADMIN && target.role === ROLES.MEMBER);
+  if (!allowed) {
+    throw httpError('Insufficient role to remove this member', 403);
+  }
+
+  db.removeConversationMember(conversationId, userId);
+
+  logger.info('Group member removed', { conversationId, actorId, userId });
+  return formatConversation(conversation, db.getConversationMembers(conversationId));
+}
+
+function updateMemberRole(conversationId, actorId, userId, role) {
+  if (role !== ROLES.ADMIN && role !== ROLES.MEMBER) {
+    throw httpError('Role must be admin or member', 400);
+  }
+
+  const db = getDatabase();
+  const conversation = getGroupOrThrow(db, conversationId);
+
+  const actor = getMemberOrThrow(db, conversationId, actorId);
+  if (actor.role !== ROLES.OWNER) {
+    throw httpError('Only the owner can change roles', 403);
+  }
+  if (actorId === userId) {
+    throw httpError('The owner cannot change their own role', 400);
+  }
+  if (!db.getConversationMember(conversationId, userId)) {
+    throw httpError('User is not a member of this conversation', 404);
+  }
+
+  db.updateConversationMemberRole(conversationId, userId, role);
+
+  logger.info('Group member role changed', { conversationId, actorId, userId, role });
+  return formatConversation(conversation, db.getConversationMembers(conversationId));
+}
+
+function leaveConversation(conversationId, userId) {
+  const db = getDatabase();
+  getGroupOrThrow(db, conversationId);
+
+  const member = getMemberOrThrow(db, conversationId, userId);
+  db.removeConversationMember(conversationId, userId);
+
+  // Hand ownership to the longest-standing admin, else the longest-standing member
+  if (member.role === ROLES.OWNER) {
+    const remaining = db.getConversationMembers(conversationId);
+    const successor =
+      remaining.find((m) => m.role === ROLES.ADMIN) || remaining[0];
+    if (successor) {
+      db.updateConversationMemberRole(conversationId, successor.user_id, ROLES.OWNER);
+      logger.info('Group ownership transferred', { conversationId, from: userId, to: successor.user_id });
+    }
+  }
+
+  logger.info('Group member left', { conversationId, userId });
+}
+
+// ── Membership Checks ──
+
+function assertMember(conversationId, userId) {
+  const db = getDatabase();
+
+  if (!db.findConversationById(conversationId)) {
+    throw httpError('Conversation not found', 404);
+  }
+  getMemberOrThrow(db, conversationId, userId);
+}
+
+/**
+ * Ensures the sender belongs to the conversation and that keys[] wraps the
+ * message key for exactly the conversation's current members — no more, no fewer.
+ * A member may have several entries (account key plus one per device), but not
+ * two for the same device. The sender may leave itself out: forward-secret
+ * direct messages are kept only on the sending device.
+ */
+function assertRecipientsMatchMembers(conversationId, senderId, keys) {
+  const db = getDatabase();
+
+  const conversation = db.findConversationById(conversationId);
+  if (!conversation) {
+    throw httpError('Conversation not found', 404);
+  }
+
+  const memberIds = new Set(db.getConversationMembers(conversationId).map((m) => m.user_id));
+  if (!memberIds.has(senderId)) {
+    throw httpError('Not a member of this conversation', 403);
+  }
+
+  const recipientIds = new Set(keys.map((k) => k.userId));
+  const targets = new Set(keys.map((k) => `${k.userId}:${k.deviceId ?? 'account'}`));
+  const noDuplicates = targets.size === keys.length;
+  const onlyMembers = [...recipientIds].every((id) => memberIds.has(id));
+  const everyOtherMember = [...memberIds].every((id) => id === senderId || recipientIds.has(id));
+  if (!noDuplicates || !onlyMembers || !everyOtherMember) {
+    throw httpError('Recipient keys do not match conversation members', 400);
+  }
+}
+
+module.exports = {
+  ROLES,
+  listConversations,
+  openDirectConversation,
+  createGroupConversation,
+  getConversation,
+  inviteMembers,
+  removeMember,
+  updateMemberRole,
+  leaveConversation,
+  assertMember,
+  assertRecipientsMatchMembers,
+};
@@ -0,0 +1,159 @@
+const { getDatabase } = require('../data');
+const logger = require('../utils/logger');
+const { MAX_DEVICES_PER_USER, MAX_ONE_TIME_PREKEYS } = require('../config/constants');
+
+// ── Helpers ──
+
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function formatDevice(device) {
+  return {
+    id: device.id,
+    name: device.name,
+    createdAt: device.created_at,
+    lastSeenAt: device.last_seen_at || null,
+  };
+}
+
+// ── Registry ──
+
+/**
+ * Registers a device with its own RSA public key.
+ * `signature` is the user's ECDSA signature over the device key, so other clients
+ * can tell the device was added by the user and not injected by the server.
+ */
+function registerDevice(userId, name, publicKey, signature) {
+  const db = getDatabase();
+
+  if (db.getDevicesForUser(userId).length >= MAX_DEVICES_PER_USER) {
+    throw httpError('Too many devices, remove one first', 409);
+  }
+
+  const device = db.createDevice(userId, name, publicKey, signature);
+
+  logger.info('Device registered', { userId, deviceId: device.id });
+  return formatDevice(device);
+}
+
+function listDevices(userId) {
+  const db = getDatabase();
+  return db.getDevicesForUser(userId).map(formatDevice);
+}
+
+function removeDevice(userId, deviceId) {
+  const db = getDatabase();
+
+  const device = db.findDeviceById(deviceId);
+  if (!device || device.user_id !== userId) {
+    throw httpError('Device not found', 404);
+  }
+
+  db.deleteDevice(deviceId);
+  logger.info('Device removed', { userId, deviceId });
+}
+
+/**
+ * Returns the device if it belongs to the user (and records activity), else null.
+ */
+function findUserDevice(userId, deviceId) {
+  const db = getDatabase();
+
+  const device = db.findDeviceById(deviceId);
+  if (!device || device.user_id !== userId) return null;
+
+  db.touchDevice(deviceId);
+  return device;
+}
+
+/**
+ * Ensures every device-addressed key in keys[] targets a device of that recipient.
+ */
+function assertDevicesBelongToRecipients(keys) {
+  const db = getDatabase();
+
+  for (const { userId, deviceId } of keys) {
+    if (deviceId === undefined || deviceId === null) continue;
+    const device = db.findDeviceById(deviceId);
+    if (!device || device.user_id !== userId) {
+      throw httpError('Device does not belong to recipient', 400);
+    }
+  }
+}
+
+// ── Prekeys (X3DH) ──
+
+/**
+ * Stores a device's prekeys: its X3DH identity key and signed prekey (replacing
+ * any previous ones) and a batch of one-time prekeys. The signed prekey carries
+ * the user's ECDSA signature, which clients check before starting a session.
+ * Top-up uploads may send only oneTimePreKeys.
+ */
+function uploadPreKeys(deviceId, { identityKey, signedPreKey, oneTimePreKeys = [] }) {
+  const db = getDatabase();
+
+  if (signedPreKey) {
+    db.saveDevicePreKeys(deviceId, identityKey, signedPreKey.keyId, signedPreKey.publicKey, signedPreKey.signature);
+  } else if (!db.getDevicePreKeys(deviceId)) {
+    throw httpError('Signed prekey required', 400);
+  }
+
+  if (db.countOneTimePreKeys(deviceId) + oneTimePreKeys.length > MAX_ONE_TIME_PREKEYS) {
+    throw httpError('Too many one-time prekeys', 409);
+  }
+  db.addOneTimePreKeys(deviceId, oneTimePreKeys);
+
+  logger.info('Prekeys uploaded', { deviceId, signedPreKey: Boolean(signedPreKey), oneTime: oneTimePreKeys.length });
+  return { oneTimePreKeys: db.countOneTimePreKeys(deviceId) };
+}
+
+function countPreKeys(deviceId) {
+  const db = getDatabase();
+  return { oneTimePreKeys: db.countOneTimePreKeys(deviceId) };
+}
+
+/**
+ * Returns a prekey bundle for each of the user's devices that published prekeys.
+ * Each bundle consumes one of that device's one-time prekeys (null once they run out).
+ */
+function getPreKeyBundles(userId) {
+  const db = getDatabase();
+
+  if (!db.findUserById(userId)) {
+    throw httpError('User not found', 404);
+  }
+
+  const bundles = [];
+  for (const device of db.getDevicesForUser(userId)) {
+    const prekeys = db.getDevicePreKeys(device.id);
+    if (!prekeys) continue;
+
+    const oneTime = db.claimOneTimePreKey(device.id);
+    bundles.push({
+      deviceId: device.id,
+      identityKey: prekeys.identity_key,
+      signedPreKey: {
+        keyId: prekeys.signed_prekey_id,
+        publicKey: prekeys.signed_prekey,
+        signature: prekeys.signed_prekey_signature,
+      },
+      oneTimePreKey: oneTime ? { keyId: oneTime.key_id, publicKey: oneTime.public_key } : null,
+    });
+  }
+
+  return bundles;
+}
+
+module.exports = {
+  registerDevice,
+  listDevices,
+  removeDevice,
+  findUserDevice,
+  assertDevicesBelongToRecipients,
+  uploadPreKeys,
+  countPreKeys,
+  getPreKeyBundles,
+};
@@ -1,99 +1,288 @@
 const { getDatabase } = require('../data');
+const { assertMember, assertRecipientsMatchMembers } = require('./conversationService');
+const { assertDevicesBelongToRecipients } = require('./deviceService');
+const { getPubSub } = require('../pubsub');
 const logger = require('../utils/logger');
-const { POLL_TIMEOUT_MS } = require('../config/constants');
+const {
+  POLL_TIMEOUT_MS,
+  STREAM_HEARTBEAT_MS,
+  TYPING_TIMEOUT_MS,
+  GENERAL_TYPING_POLL_INTERVAL_MS,
+} = require('../config/constants');
+const { ERROR_MESSAGES } = require('../utils/validation');
 
-// In-memory map for Long Polling clients: Map<userId, { res, timeout }>
+// Pub/sub channels: every server process delivers new messages, receipts and typing indicators to,
+// and signs revoked sessions and removed devices out of, the polls and streams it holds
+const MESSAGE_CHANNEL = 'messages';
+const RECEIPT_CHANNEL = 'receipts';
+const TYPING_CHANNEL = 'typing';
+const REVOCATION_CHANNEL = 'sessions:revoked';
+const DEVICE_REMOVAL_CHANNEL = 'devices:removed';
+
+// In-memory map for Long Polling clients: Map<"userId:deviceId|account", { userId, deviceId, sessionId, res, timeout }>
 const waitingClients = new Map();
 
+// Open SSE streams: Map<"userId:deviceId|account", Set<{ userId, deviceId, sessionId, res, heartbeat }>>.
+// Tabs of one browser share its device, so unlike polls a device may hold several streams.
+const streamClients = new Map();
+
+// Who is typing where: Map<"conversationId|general:userId", { event, recipientIds, timeout }>.
+// Every process keeps its own copy from the typing channel, so whichever one holds a poll can end it.
+const typingUsers = new Map();
+
+// When each user's typing last woke the parked polls in the general room: Map<userId, timestamp>
+const generalTypingWakes = new Map();
+
+// One waiting poll per device; sessions without a registered device share the account slot
+function clientKey(userId, deviceId) {
+  return `${userId}:${deviceId ?? 'account'}`;
+}
+
+function typingKey(conversationId, userId) {
+  return `${conversationId ?? 'general'}:${userId}`;
+}
+
+// A message row with the wrapped key of the device (or account) it is delivered to.
+// Messages of deleted accounts are tombstones: still in everyone's history, with nothing to decrypt.
+function formatMessage(msg) {
+  const deleted = Boolean(msg.deleted_at);
+  return {
+    id: msg.id,
+    conversationId: msg.conversation_id ?? null,
+    senderId: msg.sender_id,
+    senderUsername: msg.sender_username ?? null,
+    senderDeviceId: msg.sender_device_id ?? null,
+    deleted,
+    encryptedContent: deleted ? null : msg.encrypted_content,
+    iv: deleted ? null : msg.encryption_iv,
+    encryptedKey: deleted ? null : msg.encrypted_key,
+    keyVersion: msg.key_version ?? null,
+    deviceId: msg.device_id ?? null,
+    ratchetHeader: deleted ? null : msg.ratchet_header ?? null,
+    createdAt: msg.created_at,
+  };
+}
+
+// When one recipient got and read a message; a receipt row covers all of the recipient's devices
+function formatReceipt(row) {
+  return {
+    messageId: row.message_id,
+    conversationId: row.conversation_id ?? null,
+    userId: row.user_id,
+    deliveredAt: row.delivered_at ?? null,
+    readAt: row.read_at ?? null,
+  };
+}
+
+// A broadcast message as one device receives it, with the key wrap picked for that device
+function devicePayload(messageData, userKey) {
+  return {
+    id: messageData.id,
+    conversationId: messageData.conversationId,
+    senderId: messageData.senderId,
+    senderUsername: messageData.senderUsername,
+    senderDeviceId: messageData.senderDeviceId,
+    encryptedContent: messageData.encryptedContent,
+    iv: messageData.iv,
+    encryptedKey: userKey.encryptedKey,
+    keyVersion: userKey.keyVersion,
+    deviceId: userKey.deviceId,
+    ratchetHeader: userKey.ratchetHeader,
+    createdAt: messageData.createdAt,
+  };
+}
+
+// Formats message rows for the device. Leaves out messages from conversations the user has since
+// left or been removed from, and the device's own (it has the plaintext). The left-out ones are
+// settled as delivered, without a receipt, so they do not come back with every request.
+function visibleRows(db, userId, deviceId, messages) {
+  // Cache membership lookups — a batch usually spans few conversations
+  const membership = new Map();
+  const isMember = (conversationId) => {
+    if (!membership.has(conversationId)) {
+      membership.set(conversationId, Boolean(db.getConversationMember(conversationId, userId)));
+    }
+    return membership.get(conversationId);
+  };
+
+  const result = [];
+  const hidden = [];
+  for (const msg of messages) {
+    if (
+      (msg.sender_id === userId && (msg.sender_device_id ?? null) === deviceId) ||
+      (msg.conversation_id != null && !isMember(msg.conversation_id))
+    ) {
+      hidden.push(msg.id);
+      continue;
+    }
+
+    result.push(formatMessage(msg));
+  }
+
+  if (hidden.length > 0) {
+    db.markDeliveredMessages(userId, deviceId, hidden);
+  }
+  return result;
+}
+
 // ── Message Operations (E2E — server never decrypts) ──
 
-function createMessage(senderId, senderUsername, encryptedContent, iv, keys) {
+function createMessage(senderId, senderUsername, encryptedContent, iv, keys, conversationId = null, senderDeviceId = null) {
   const db = getDatabase();
 
+  // Conversation messages may only be keyed for that conversation's members
+  if (conversationId !== null) {
+    assertRecipientsMatchMembers(conversationId, senderId, keys);
+  }
+  assertDevicesBelongToRecipients(keys);
+
   // Store encrypted content as-is (no server-side encryption)
-  const message = db.createMessage(senderId, encryptedContent, iv);
+  const message = db.createMessage(senderId, encryptedContent, iv, conversationId, senderDeviceId);
 
-  // Create delivery records with per-user encrypted keys
-  for (const { userId, encryptedKey } of keys) {
-    db.createDeliveryWithKey(message.id, userId, encryptedKey);
+  // Create delivery records with per-recipient encrypted keys. Entries with a deviceId are wrapped
+  // for that device's key; entries without one use the account key (history, device-less sessions).
+  // keyVersion null = the recipient's current account key version, for clients that do not send one.
+  // ratchetHeader marks a key wrapped over a Double Ratchet session instead of RSA
+  for (const { userId, deviceId, encryptedKey, keyVersion, ratchetHeader } of keys) {
+    db.createDeliveryWithKey(
+      message.id,
+      userId,
+      encryptedKey,
+      keyVersion ?? null,
+      deviceId ?? null,
+      ratchetHeader ?? null
+    );
   }
 
-  // Mark sender's own delivery as already delivered
-  db.markDelivered(message.id, senderId);
+  // Forward-secret messages carry no key for the sender; a keyless row keeps them in its history
+  if (!keys.some((k) => k.userId === senderId)) {
+    db.createDeliveryWithKey(message.id, senderId, null, null, senderDeviceId, null);
+  }
+
+  // The sending device already has the plaintext; the sender's other devices still get it
+  db.markDelivered(message.id, senderId, senderDeviceId);
 
   logger.info('Message sent (E2E encrypted)', {
     messageId: message.id,
+    conversationId,
     senderId,
     senderUsername,
+    senderDeviceId,
     recipientCount: keys.length,
   });
 
   const broadcastData = {
     id: message.id,
+    conversationId,
     senderId,
     senderUsername,
+    senderDeviceId,
     encryptedContent,
     iv,
     createdAt: message.createdAt,
   };
 
-  // Broadcast to waiting long-poll clients
-  broadcastToClientsE2E(broadcastData, keys);
+  // Broadcast to waiting polls and open streams, in this process and the others
+  getPubSub().publish(MESSAGE_CHANNEL, { message: broadcastData, keys, senderDeviceId });
+  clearTyping(senderId, conversationId);
 
   return {
     id: message.id,
+    conversationId,
     senderId,
     senderUsername,
     createdAt: message.createdAt,
   };
 }
 
-function getMessagesForUser(userId) {
+/**
+ * Returns what this device (deviceId null = account session) does not have yet. Each row carries
+ * the device's own wrapped key when the sender made one, otherwise the account-key wrap.
+ *
+ * afterId is the client's cursor, the newest message id it has. Everything newer comes back whether
+ * or not it was sent before, so a response lost with its connection is simply sent again. The cursor
+ * acknowledges nothing: pushes can arrive out of id order (a lower id committed but not yet pushed,
+ * or fanned out later by another server), so the messages below it that the device has not
+ * acknowledged come back too. Nothing is marked delivered until the client acknowledges its ids.
+ */
+function getMessagesForUser(userId, deviceId = null, afterId = null) {
   const db = getDatabase();
-  const messages = db.getUndeliveredForUserE2E(userId);
-
-  const result = messages.map((msg) => {
-    db.markDelivered(msg.id, userId);
-    return {
-      id: msg.id,
-      senderId: msg.sender_id,
-      senderUsername: msg.sender_username,
-      encryptedContent: msg.encrypted_content,
-      iv: msg.encryption_iv,
-      encryptedKey: msg.encrypted_key,
-      createdAt: msg.created_at,
-    };
-  });
+  const undelivered = db.getUndeliveredForUserE2E(userId, deviceId);
 
-  if (result.length > 0) {
-    logger.info('E2E messages delivered', { userId, count: result.length });
+  if (afterId === null) {
+    return visibleRows(db, userId, deviceId, undelivered);
   }
 
-  return result;
+  const missed = undelivered.filter((msg) => msg.id <= afterId);
+  const newer = db.getMessagesForUserSinceE2E(userId, deviceId, afterId);
+  return visibleRows(db, userId, deviceId, [...missed, ...newer]);
 }
 
-function getMessageHistory(userId, page = 1, pageSize = 50) {
+// Marks the messages the device received delivered to it, by id. The first device of a recipient
+// to get a message sets its delivered_at, which goes back to the sender as a receipt.
+function acknowledgeMessages(userId, messageIds, deviceId = null) {
   const db = getDatabase();
-  const { messages, total } = db.getMessageHistoryForUser(userId, page, pageSize);
+  publishReceipts(userId, db.markDeliveredMessages(userId, deviceId, messageIds));
+}
 
-  const result = messages.map((msg) => ({
-    id: msg.id,
-    senderId: msg.sender_id,
-    senderUsername: msg.sender_username,
-    encryptedContent: msg.encrypted_content,
-    iv: msg.encryption_iv,
-    encryptedKey: msg.encrypted_key,
-    createdAt: msg.created_at,
-  }));
+// Marks the user's messages up to upToId read in one conversation (null = general room).
+// Read implies delivered: a message read before any device acknowledged it gets both timestamps.
+function markMessagesRead(userId, upToId, conversationId = null) {
+  if (conversationId !== null) {
+    assertMember(conversationId, userId);
+  }
+
+  const db = getDatabase();
+  publishReceipts(userId, db.markReadUpTo(userId, upToId, conversationId));
+}
+
+// Sends the receipt rows a delivery or read changed to each message's sender. The user's own
+// messages read on another of their devices are left out.
+function publishReceipts(userId, rows) {
+  const bySender = new Map();
+  for (const row of rows) {
+    if (row.sender_id === userId) continue;
+    if (!bySender.has(row.sender_id)) bySender.set(row.sender_id, []);
+    bySender.get(row.sender_id).push(formatReceipt(row));
+  }
+
+  for (const [senderId, receipts] of bySender) {
+    getPubSub().publish(RECEIPT_CHANNEL, { userId: senderId, receipts });
+  }
+}
+
+// Own messages carry a receipt per recipient (timestamps null until delivered or read)
+function getMessageHistory(userId, page = 1, pageSize = 50, conversationId = null, deviceId = null) {
+  if (conversationId !== null) {
+    assertMember(conversationId, userId);
+  }
+
+  const db = getDatabase();
+  const { messages, total } = db.getMessageHistoryForUser(userId, page, pageSize, conversationId, deviceId);
 
-  return { messages: result, total, page, pageSize };
+  const ownIds = messages.filter((msg) => msg.sender_id === userId).map((msg) => msg.id);
+  const receipts = new Map(ownIds.map((id) => [id, []]));
+  if (ownIds.length > 0) {
+    for (const row of db.getReceiptsForMessages(ownIds)) {
+      receipts.get(row.message_id)?.push(formatReceipt(row));
+    }
+  }
+
+  const formatted = messages.map((msg) => {
+    const message = formatMessage(msg);
+    return receipts.has(msg.id) ? { ...message, receipts: receipts.get(msg.id) } : message;
+  });
+
+  return { messages: formatted, total, page, pageSize };
 }
 
 // ── Long Polling ──
 
-function registerPollingClient(userId, res) {
-  // If user already waiting, respond to old connection with empty array
-  const existing = waitingClients.get(userId);
+function registerPollingClient(userId, res, deviceId = null, sessionId = null) {
+  const key = clientKey(userId, deviceId);
+
+  // If this device is already waiting, respond to old connection with empty array
+  const existing = waitingClients.get(key);
   if (existing) {
     clearTimeout(existing.timeout);
     try {
@@ -104,87 +293,329 @@ function registerPollingClient(userId, res) {
   }
 
   const timeout = setTimeout(() => {
-    waitingClients.delete(userId);
+    waitingClients.delete(key);
     try {
       res.json({ messages: [] });
     } catch (err) {
       // Connection already closed
     }
-    logger.info('Poll timeout', { userId });
+    logger.info('Poll timeout', { userId, deviceId });
   }, POLL_TIMEOUT_MS);
 
-  waitingClients.set(userId, { res, timeout });
+  waitingClients.set(key, { userId, deviceId, sessionId, res, timeout });
 
   // Cleanup on client disconnect
   res.on('close', () => {
-    const client = waitingClients.get(userId);
+    const client = waitingClients.get(key);
     if (client && client.res === res) {
       clearTimeout(client.timeout);
-      waitingClients.delete(userId);
+      waitingClients.delete(key);
     }
   });
 
-  logger.info('Poll registered', { userId, waitingClients: waitingClients.size });
+  logger.info('Poll registered', { userId, deviceId, waitingClients: waitingClients.size });
 }
 
-function removePollingClient(userId) {
-  const client = waitingClients.get(userId);
+function removePollingClient(userId, deviceId = null) {
+  const key = clientKey(userId, deviceId);
+  const client = waitingClients.get(key);
   if (client) {
     clearTimeout(client.timeout);
-    waitingClients.delete(userId);
+    waitingClients.delete(key);
   }
 }
 
-function broadcastToClientsE2E(messageData, keys) {
-  const db = getDatabase();
-  let delivered = 0;
+// ── Server-Sent Events ──
+
+function writeEvent(res, { id, event, data }) {
+  let frame = '';
+  if (id !== undefined) frame += `id: ${id}\n`;
+  if (event) frame += `event: ${event}\n`;
+  res.write(`${frame}data: ${JSON.stringify(data)}\n\n`);
+}
+
+// One event per batch, in the poll response shape; its id is the newest message, for Last-Event-ID
+function sendStreamMessages(res, messages) {
+  writeEvent(res, { id: messages[messages.length - 1].id, data: { messages } });
+}
+
+function removeStreamClient(key, client) {
+  clearInterval(client.heartbeat);
+  const clients = streamClients.get(key);
+  if (!clients) return;
+
+  clients.delete(client);
+  if (clients.size === 0) streamClients.delete(key);
+}
+
+// Keeps the response open as a message stream, first sending what the device has pending
+function registerStreamClient(userId, res, deviceId = null, sessionId = null, pending = []) {
+  const key = clientKey(userId, deviceId);
 
-  // Build a map of userId -> encryptedKey for quick lookup
+  if (pending.length > 0) {
+    sendStreamMessages(res, pending);
+  }
+
+  // Comments carry no event; they keep proxies and the client's idle check from closing a quiet stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+  const client = { userId, deviceId, sessionId, res, heartbeat };
+
+  if (!streamClients.has(key)) streamClients.set(key, new Set());
+  streamClients.get(key).add(client);
+
+  res.on('close', () => removeStreamClient(key, client));
+
+  logger.info('Stream opened', { userId, deviceId, streams: streamClients.get(key).size });
+}
+
+// ── Events ──
+
+// Hands non-message events to the polls and streams of the users isTarget picks. A poll answers
+// with no messages and the events under their type ({ messages: [], receipts: [...] }); a stream
+// gets an event of that type, without an id since it moves no message cursor. wakePolls false
+// leaves parked polls alone and reaches streams only.
+// Events missed while a user had no connection open are not sent again.
+function pushEvents(type, events, isTarget, { wakePolls = true } = {}) {
+  for (const [key, client] of wakePolls ? waitingClients : []) {
+    if (!isTarget(client.userId)) continue;
+
+    clearTimeout(client.timeout);
+    waitingClients.delete(key);
+    try {
+      client.res.json({ messages: [], [type]: events });
+    } catch (err) {
+      logger.error('Failed to send events to polling client', { type, userId: client.userId, error: err.message });
+    }
+  }
+
+  for (const [key, clients] of streamClients) {
+    for (const client of clients) {
+      if (!isTarget(client.userId)) continue;
+
+      try {
+        writeEvent(client.res, { event: type, data: { [type]: events } });
+      } catch (err) {
+        logger.error('Failed to send events to stream client', { type, userId: client.userId, error: err.message });
+        removeStreamClient(key, client);
+      }
+    }
+  }
+}
+
+// Receipts go to every poll and stream of the sender; those missed show up in the next history load
+function pushReceipts(userId, receipts) {
+  pushEvents('receipts', receipts, (targetId) => targetId === userId);
+}
+
+// ── Typing Indicators ──
+
+// Marks the user typing in a conversation (null = general room) until TYPING_TIMEOUT_MS pass
+// without another ping. Each ping reaches the others again, so a poll parked after the first one
+// still learns about it.
+function setTyping(userId, username, conversationId = null) {
+  let recipientIds = null;
+  if (conversationId !== null) {
+    assertMember(conversationId, userId);
+    recipientIds = getDatabase().getConversationMembers(conversationId).map((m) => m.user_id);
+  }
+
+  getPubSub().publish(TYPING_CHANNEL, { conversationId, userId, username, typing: true, recipientIds });
+}
+
+// Ends the indicator before it times out: the message it announced has been sent
+function clearTyping(userId, conversationId = null) {
+  const entry = typingUsers.get(typingKey(conversationId, userId));
+  if (!entry) return;
+
+  getPubSub().publish(TYPING_CHANNEL, { ...entry.event, typing: false, recipientIds: entry.recipientIds });
+}
+
+// Answering every parked poll on each general-room ping would have all polling clients reconnect
+// while anyone types. Polls there hear a typist start at most once per interval, which still renews
+// the indicator before clients drop it; the end is left to that timeout or the message arriving.
+function wakesGeneralPolls(event) {
+  if (!event.typing) return false;
+
+  const now = Date.now();
+  if (now - (generalTypingWakes.get(event.userId) ?? 0) < GENERAL_TYPING_POLL_INTERVAL_MS) return false;
+  generalTypingWakes.set(event.userId, now);
+  return true;
+}
+
+// Tells the conversation's other members (recipientIds null = everyone, the general room) that
+// the user started or stopped. Streams hear every event; general-room polls a throttled share.
+function pushTyping(event, recipientIds) {
+  const recipients = recipientIds && new Set(recipientIds);
+  pushEvents(
+    'typing',
+    [event],
+    (targetId) => targetId !== event.userId && (!recipients || recipients.has(targetId)),
+    { wakePolls: recipients !== null || wakesGeneralPolls(event) }
+  );
+}
+
+function updateTyping({ conversationId, userId, username, typing, recipientIds }) {
+  const key = typingKey(conversationId, userId);
+  const entry = typingUsers.get(key);
+  if (entry) clearTimeout(entry.timeout);
+
+  const event = { conversationId, userId, username, typing };
+  if (!typing) {
+    if (!entry) return;
+    typingUsers.delete(key);
+    pushTyping(event, recipientIds);
+    return;
+  }
+
+  const timeout = setTimeout(() => {
+    typingUsers.delete(key);
+    pushTyping({ ...event, typing: false }, recipientIds);
+  }, TYPING_TIMEOUT_MS);
+  typingUsers.set(key, { event, recipientIds, timeout });
+  pushTyping(event, recipientIds);
+}
+
+// ── Revocation ──
+
+// Signs out polls and streams held by revoked sessions instead of leaving them open
+function closeSessionConnections(sessionIds) {
+  getPubSub().publish(REVOCATION_CHANNEL, { sessionIds });
+}
+
+// Removing a device ends its polls and streams; its next request is refused by identifyDevice
+function closeDeviceConnections(userId, deviceId) {
+  getPubSub().publish(DEVICE_REMOVAL_CHANNEL, { userId, deviceId });
+}
+
+// Ends the matching polls with `status` and the matching streams with a 'revoked' event
+function closeConnections(matches, status, error, reason) {
+  for (const [key, client] of waitingClients) {
+    if (!matches(client)) continue;
+
+    clearTimeout(client.timeout);
+    waitingClients.delete(key);
+    try {
+      client.res.status(status).json({ error });
+    } catch (err) {
+      // Connection already closed
+    }
+    logger.info(`Poll closed for ${reason}`, {
+      userId: client.userId,
+      deviceId: client.deviceId,
+      sessionId: client.sessionId,
+    });
+  }
+
+  for (const [key, clients] of streamClients) {
+    for (const client of clients) {
+      if (!matches(client)) continue;
+
+      removeStreamClient(key, client);
+      writeEvent(client.res, { event: 'revoked', data: { error } });
+      client.res.end();
+      logger.info(`Stream closed for ${reason}`, {
+        userId: client.userId,
+        deviceId: client.deviceId,
+        sessionId: client.sessionId,
+      });
+    }
+  }
+}
+
+function closeRevokedConnections(sessionIds) {
+  const revoked = new Set(sessionIds);
+  closeConnections((client) => revoked.has(client.sessionId), 401, ERROR_MESSAGES.session.revoked, 'revoked session');
+}
+
+function closeRemovedDeviceConnections(userId, deviceId) {
+  closeConnections(
+    (client) => client.userId === userId && client.deviceId === deviceId,
+    403,
+    ERROR_MESSAGES.device.unknown,
+    'removed device'
+  );
+}
+
+// ── Broadcast ──
+
+function broadcastToClientsE2E(messageData, keys, senderDeviceId = null) {
+  const senderKey = clientKey(messageData.senderId, senderDeviceId);
+  // Sent is not delivered: each device acknowledges the message with its next poll or an ack
+  let sent = 0;
+
+  // Build a map of "userId:deviceId|account" -> wrapped key for quick lookup
   const keyMap = new Map();
-  for (const { userId, encryptedKey } of keys) {
-    keyMap.set(userId, encryptedKey);
+  for (const { userId, deviceId, encryptedKey, keyVersion, ratchetHeader } of keys) {
+    keyMap.set(clientKey(userId, deviceId), {
+      encryptedKey,
+      keyVersion: keyVersion ?? null,
+      deviceId: deviceId ?? null,
+      ratchetHeader: ratchetHeader ?? null,
+    });
   }
 
-  for (const [userId, client] of waitingClients) {
-    // Skip sender (they already have the plaintext)
-    if (userId === messageData.senderId) continue;
+  // Prefer the device's own wrap, else fall back to the account-key wrap.
+  // The sending device gets nothing: it already has the plaintext.
+  const keyFor = (key, userId) => (key === senderKey ? null : keyMap.get(key) || keyMap.get(clientKey(userId, null)));
 
-    const userEncryptedKey = keyMap.get(userId);
-    if (!userEncryptedKey) continue;
+  for (const [key, client] of waitingClients) {
+    const { userId, deviceId } = client;
+    const userKey = keyFor(key, userId);
+    if (!userKey) continue;
 
     try {
       clearTimeout(client.timeout);
-      client.res.json({
-        messages: [
-          {
-            id: messageData.id,
-            senderId: messageData.senderId,
-            senderUsername: messageData.senderUsername,
-            encryptedContent: messageData.encryptedContent,
-            iv: messageData.iv,
-            encryptedKey: userEncryptedKey,
-            createdAt: messageData.createdAt,
-          },
-        ],
-      });
-      waitingClients.delete(userId);
-      db.markDelivered(messageData.id, userId);
-      delivered++;
+      client.res.json({ messages: [devicePayload(messageData, userKey)] });
+      waitingClients.delete(key);
+      sent++;
     } catch (err) {
-      logger.error('Failed to send to polling client', { userId, error: err.message });
-      waitingClients.delete(userId);
+      logger.error('Failed to send to polling client', { userId, deviceId, error: err.message });
+      waitingClients.delete(key);
     }
   }
 
-  if (delivered > 0) {
-    logger.info('E2E broadcast sent', { messageId: messageData.id, deliveredTo: delivered });
+  for (const [key, clients] of streamClients) {
+    const [{ userId }] = clients;
+    const userKey = keyFor(key, userId);
+    if (!userKey) continue;
+
+    const payload = devicePayload(messageData, userKey);
+    for (const client of clients) {
+      try {
+        sendStreamMessages(client.res, [payload]);
+        sent++;
+      } catch (err) {
+        logger.error('Failed to send to stream client', { userId, deviceId: client.deviceId, error: err.message });
+        removeStreamClient(key, client);
+      }
+    }
+  }
+
+  if (sent > 0) {
+    logger.info('E2E broadcast sent', { messageId: messageData.id, sentTo: sent });
   }
 }
 
+getPubSub().subscribe(MESSAGE_CHANNEL, ({ message, keys, senderDeviceId }) => {
+  broadcastToClientsE2E(message, keys, senderDeviceId);
+});
+getPubSub().subscribe(RECEIPT_CHANNEL, ({ userId, receipts }) => pushReceipts(userId, receipts));
+getPubSub().subscribe(TYPING_CHANNEL, updateTyping);
+getPubSub().subscribe(REVOCATION_CHANNEL, ({ sessionIds }) => closeRevokedConnections(sessionIds));
+getPubSub().subscribe(DEVICE_REMOVAL_CHANNEL, ({ userId, deviceId }) =>
+  closeRemovedDeviceConnections(userId, deviceId)
+);
+
 module.exports = {
   createMessage,
   getMessagesForUser,
+  acknowledgeMessages,
+  markMessagesRead,
+  setTyping,
   getMessageHistory,
   registerPollingClient,
   removePollingClient,
+  registerStreamClient,
+  closeSessionConnections,
+  closeDeviceConnections,
 };
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { getDatabase } = require('../data');
+const { closeSessionConnections } = require('./messageService');
+const logger = require('../utils/logger');
+const { SESSION_TOUCH_INTERVAL_MS } = require('../config/constants');
+
+// A session is one sign-in on one client. Its id is the `sid` claim of every access token
+// issued for it and the family id of its refresh tokens, so revoking it ends both.
+
+const MAX_USER_AGENT_LENGTH = 256;
+
+// ── Helpers ──
+
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function clientFields({ userAgent, ip } = {}) {
+  return {
+    userAgent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null,
+    ip: ip || null,
+  };
+}
+
+function formatSession(session, currentSessionId) {
+  return {
+    id: session.id,
+    userAgent: session.user_agent || null,
+    ip: session.ip || null,
+    createdAt: session.created_at,
+    lastSeenAt: session.last_seen_at || null,
+    current: session.id === currentSessionId,
+  };
+}
+
+// ── Lifecycle ──
+
+/**
+ * Opens a session for the user on the client described by `client` ({ userAgent, ip }).
+ * Returns the new session id.
+ */
+function createSession(userId, client) {
+  const db = getDatabase();
+
+  const sessionId = crypto.randomUUID();
+  const { userAgent, ip } = clientFields(client);
+  db.createSession(sessionId, userId, userAgent, ip);
+
+  return sessionId;
+}
+
+/**
+ * Returns the session if it is still open and belongs to the user (and records activity), else null.
+ * Every authenticated request lands here, so activity is written at most once per
+ * SESSION_TOUCH_INTERVAL_MS; the session list is that much behind at worst.
+ */
+function findUserSession(userId, sessionId, client) {
+  const db = getDatabase();
+
+  const session = db.findSession(sessionId);
+  if (!session || session.user_id !== userId || session.revoked_at) return null;
+
+  const lastSeen = session.last_seen_at ? new Date(session.last_seen_at).getTime() : 0;
+  if (Date.now() - lastSeen >= SESSION_TOUCH_INTERVAL_MS) {
+    const { userAgent, ip } = clientFields(client);
+    db.touchSession(sessionId, userAgent, ip);
+  }
+  return session;
+}
+
+// Revokes the session with its refresh tokens and answers any poll it holds open
+function endSession(sessionId) {
+  const db = getDatabase();
+
+  db.revokeSession(sessionId);
+  closeSessionConnections([sessionId]);
+}
+
+function endUserSessions(userId) {
+  const db = getDatabase();
+
+  const sessionIds = db.getUserSessions(userId).map((s) => s.id);
+  db.revokeUserSessions(userId);
+  closeSessionConnections(sessionIds);
+}
+
+// ── Account Settings ──
+
+// Open sessions (not revoked, refresh token not expired), most recently active first
+function listSessions(userId, currentSessionId) {
+  const db = getDatabase();
+  return db.getUserSessions(userId).map((s) => formatSession(s, currentSessionId));
+}
+
+function revokeSession(userId, sessionId) {
+  const db = getDatabase();
+
+  const session = db.findSession(sessionId);
+  if (!session || session.user_id !== userId || session.revoked_at) {
+    throw httpError('Session not found', 404);
+  }
+
+  endSession(sessionId);
+  logger.info('Session revoked', { userId, sessionId });
+}
+
+module.exports = {
+  createSession,
+  findUserSession,
+  endSession,
+  endUserSessions,
+  listSessions,
+  revokeSession,
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { getDatabase } = require('../data');
+const { encrypt, decrypt } = require('../utils/crypto');
+const totp = require('../utils/totp');
+const logger = require('../utils/logger');
+const { TOTP_BACKUP_CODE_COUNT, TOTP_ISSUER } = require('../config/constants');
+
+// Unlike the end-to-end keys, the TOTP secret must be readable by the server to check codes,
+// so it is stored encrypted with the server's ENCRYPTION_KEY.
+
+const BACKUP_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+// ── Helpers ──
+
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function findUser(db, userId) {
+  const user = db.findUserById(userId);
+  if (!user) throw httpError('User not found', 404);
+  return user;
+}
+
+async function assertPassword(user, password) {
+  const validPassword = await bcrypt.compare(password, user.password_hash);
+  if (!validPassword) {
+    logger.info('Two-factor change with wrong password', { userId: user.id });
+    throw httpError('Invalid password', 401);
+  }
+}
+
+// xxxxx-xxxxx; dashes, spaces and case are ignored when a code is entered
+function generateBackupCode() {
+  const chars = Array.from({ length: 10 }, () => BACKUP_CODE_ALPHABET[crypto.randomInt(BACKUP_CODE_ALPHABET.length)]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+}
+
+function hashBackupCode(code) {
+  const normalized = code.replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function userSecret(user) {
+  return decrypt(user.totp_secret, user.totp_secret_iv);
+}
+
+// ── Verification ──
+
+/**
+ * Checks a second factor for a user with 2FA enabled: a current authenticator code
+ * (each one accepted once) or an unused backup code, which is then used up.
+ */
+function verifySecondFactor(user, code) {
+  const db = getDatabase();
+  const entered = code.trim();
+
+  if (/^\d+$/.test(entered)) {
+    const step = totp.verifyCode(userSecret(user), entered);
+    // A code seen once could have been observed; only later steps are accepted after it
+    if (step === null || step <= (user.totp_last_step ?? -1)) return false;
+    db.setTotpLastStep(user.id, step);
+    return true;
+  }
+
+  const backupCode = db.findTotpBackupCode(user.id, hashBackupCode(entered));
+  if (!backupCode || backupCode.used_at) return false;
+  db.useTotpBackupCode(backupCode.id);
+  logger.info('Two-factor backup code used', { userId: user.id });
+  return true;
+}
+
+// ── Enrollment ──
+
+function getStatus(userId) {
+  const db = getDatabase();
+  const user = findUser(db, userId);
+
+  return {
+    enabled: Boolean(user.totp_enabled),
+    backupCodesLeft: user.totp_enabled ? db.countTotpBackupCodes(userId) : 0,
+  };
+}
+
+// Starts enrollment with a new secret; 2FA is not on until a code from it is confirmed
+async function beginEnrollment(userId, password) {
+  const db = getDatabase();
+  const user = findUser(db, userId);
+
+  if (user.totp_enabled) throw httpError('Two-factor authentication is already enabled', 409);
+  await assertPassword(user, password);
+
+  const secret = totp.generateSecret();
+  const { encrypted, iv } = encrypt(secret);
+  db.setPendingTotpSecret(userId, encrypted, iv);
+
+  logger.info('Two-factor enrollment started', { userId });
+  return { secret, otpauthUri: totp.provisioningUri(secret, user.username, TOTP_ISSUER) };
+}
+
+// Turns 2FA on once the authenticator app shows a matching code; returns the backup codes
+function confirmEnrollment(userId, code) {
+  const db = getDatabase();
+  const user = findUser(db, userId);
+
+  if (user.totp_enabled) throw httpError('Two-factor authentication is already enabled', 409);
+  if (!user.totp_secret) throw httpError('Two-factor setup has not been started', 409);
+
+  const step = totp.verifyCode(userSecret(user), code.trim());
+  if (step === null) throw httpError('Invalid two-factor code', 401);
+
+  const backupCodes = Array.from({ length: TOTP_BACKUP_CODE_COUNT }, generateBackupCode);
+  db.enableTotp(userId, step, backupCodes.map(hashBackupCode));
+
+  logger.info('Two-factor authentication enabled', { userId });
+  return { backupCodes };
+}
+
+async function disable(userId, password, code) {
+  const db = getDatabase();
+  const user = findUser(db, userId);
+
+  if (!user.totp_enabled) throw httpError('Two-factor authentication is not enabled', 409);
+  await assertPassword(user, password);
+  if (!verifySecondFactor(user, code)) throw httpError('Invalid two-factor code', 401);
+
+  db.disableTotp(userId);
+  logger.info('Two-factor authentication disabled', { userId });
+}
+
+module.exports = {
+  verifySecondFactor,
+  getStatus,
+  beginEnrollment,
+  confirmEnrollment,
+  disable,
+};
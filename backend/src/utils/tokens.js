@@ -0,0 +1,91 @@
+/**
+ * Signing and verification of the JWTs this server issues, with the keys from config/jwt.
+ * @module utils/tokens
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const ms = require('ms');
+const jwtConfig = require('../config/jwt');
+
+const encodePart = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// jsonwebtoken cannot sign or verify EdDSA, so Ed25519 tokens (RFC 8037) are handled here
+function signEdDSA(payload, expiresIn, { kid, privateKey }) {
+  const lifetime = ms(expiresIn);
+  if (typeof lifetime !== 'number') {
+    throw new Error('"expiresIn" should be a number of seconds or string representing a timespan');
+  }
+  const iat = Math.floor(Date.now() / 1000);
+  const header = encodePart({ alg: 'EdDSA', typ: 'JWT', kid });
+  const body = encodePart({ ...payload, iat, exp: iat + Math.floor(lifetime / 1000) });
+  const signature = crypto.sign(null, Buffer.from(`${header}.${body}`), privateKey);
+  return `${header}.${body}.${signature.toString('base64url')}`;
+}
+
+function verifyEdDSA(token, decoded, publicKey) {
+  if (decoded.header.alg !== 'EdDSA') {
+    throw new jwt.JsonWebTokenError('invalid algorithm');
+  }
+  const [header, body, signature] = token.split('.');
+  if (!crypto.verify(null, Buffer.from(`${header}.${body}`), publicKey, Buffer.from(signature, 'base64url'))) {
+    throw new jwt.JsonWebTokenError('invalid signature');
+  }
+
+  const claims = decoded.payload;
+  if (typeof claims !== 'object' || typeof claims.exp !== 'number') {
+    throw new jwt.JsonWebTokenError('invalid exp value');
+  }
+  if (Math.floor(Date.now() / 1000) >= claims.exp) {
+    throw new jwt.TokenExpiredError('jwt expired', new Date(claims.exp * 1000));
+  }
+  return claims;
+}
+
+/**
+ * Signs a token with the active signing key; asymmetric keys put their id in the `kid` header.
+ * @param {Object} payload - Claims
+ * @param {string} expiresIn - Lifetime, e.g. '15m'
+ * @returns {string} Signed JWT
+ */
+function signToken(payload, expiresIn) {
+  const { kid, algorithm, privateKey } = jwtConfig.signingKey;
+  if (algorithm === 'EdDSA') {
+    return signEdDSA(payload, expiresIn, jwtConfig.signingKey);
+  }
+  return jwt.sign(payload, privateKey, { expiresIn, algorithm, ...(kid && { keyid: kid }) });
+}
+
+/**
+ * Verifies a token with the key its `kid` header names. Each key accepts only its own
+ * algorithm, so a public key can never be used as an HMAC secret.
+ * @param {string} token - JWT
+ * @returns {Object} Decoded claims
+ * @throws {jwt.JsonWebTokenError} If the key is unknown, or the signature or claims are invalid
+ */
+function verifyToken(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded && jwtConfig.verificationKeys.get(decoded.header.kid ?? null);
+  if (!key) {
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+  if (key.algorithm === 'EdDSA') {
+    return verifyEdDSA(token, decoded, key.publicKey);
+  }
+  return jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
+}
+
+/**
+ * The public verification keys as a JSON Web Key Set (empty with a shared HS256 secret).
+ * @returns {{keys: Object[]}}
+ */
+function getJwks() {
+  const keys = [];
+  for (const { kid, algorithm, publicKey } of jwtConfig.verificationKeys.values()) {
+    if (!kid) continue;
+    keys.push({ ...publicKey.export({ format: 'jwk' }), kid, alg: algorithm, use: 'sig' });
+  }
+  return { keys };
+}
+
+module.exports = { signToken, verifyToken, getJwks };
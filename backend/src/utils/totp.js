@@ -0,0 +1,150 @@
+/**
+ * Time-based one-time passwords (RFC 6238) for two-factor authentication.
+ * Compatible with authenticator apps: HMAC-SHA1, 6 digits, 30-second steps.
+ * @module utils/totp
+ */
+
+const crypto = require('crypto');
+
+/** @constant {number} Seconds per time step */
+const STEP_SECONDS = 30;
+
+/** @constant {number} Digits in a code */
+const DIGITS = 6;
+
+/** @constant {number} Steps accepted on either side of the current one (clock drift) */
+const DRIFT_STEPS = 1;
+
+/** @constant {number} Secret length in bytes (160 bits, as RFC 4226 recommends) */
+const SECRET_BYTES = 20;
+
+/** @constant {string} RFC 4648 base32 alphabet, the format authenticator apps expect */
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ── Base32 ──
+
+/**
+ * Encodes bytes as unpadded base32.
+ * @private
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decodes base32, ignoring case, spaces and padding.
+ * @private
+ * @param {string} encoded
+ * @returns {Buffer}
+ */
+function base32Decode(encoded) {
+  const clean = encoded.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// ── TOTP ──
+
+/**
+ * Generates a new random TOTP secret.
+ * @returns {string} Base32-encoded secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Returns the time step a moment falls in.
+ * @param {number} [now=Date.now()] - Time in milliseconds
+ * @returns {number}
+ */
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Computes the code for one time step (RFC 4226 HOTP with the step as counter).
+ * @param {string} secret - Base32-encoded secret
+ * @param {number} step - Time step
+ * @returns {string} Zero-padded code
+ */
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Checks a code against the current step and its neighbours.
+ * @param {string} secret - Base32-encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [now=Date.now()] - Time in milliseconds
+ * @returns {number|null} The matching time step, or null if the code is wrong
+ * @example
+ * const step = verifyCode(secret, '123456');
+ * if (step !== null && step > lastUsedStep) { ... }
+ */
+function verifyCode(secret, code, now = Date.now()) {
+  if (typeof code !== 'string' || !/^\d+$/.test(code) || code.length !== DIGITS) return null;
+
+  const step = currentStep(now);
+  for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+    const expected = Buffer.from(generateCode(secret, step + drift));
+    if (crypto.timingSafeEqual(expected, Buffer.from(code))) return step + drift;
+  }
+  return null;
+}
+
+/**
+ * Builds the otpauth:// URI that authenticator apps read from a QR code.
+ * @param {string} secret - Base32-encoded secret
+ * @param {string} accountName - Shown in the app next to the issuer
+ * @param {string} issuer - Service name
+ * @returns {string}
+ */
+function provisioningUri(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = { generateSecret, currentStep, generateCode, verifyCode, provisioningUri };
@@ -9,11 +9,27 @@ const VALIDATION_RULES = {
   },
   message: {
     maxEncryptedLength: 20000,
+    maxAckIds: 500,
   },
   pagination: {
     defaultPageSize: 50,
     maxPageSize: 100,
   },
+  conversation: {
+    nameMaxLength: 50,
+  },
+  device: {
+    nameMaxLength: 60,
+  },
+  recovery: {
+    verifierLength: 64,
+    maxEncryptedKeysLength: 100000,
+  },
+  prekeys: {
+    maxKeyLength: 200,
+    maxSignatureLength: 200,
+    maxRatchetHeaderLength: 1024,
+  },
 };
 
 // Error messages (Hebrew)
@@ -24,9 +40,60 @@ const ERROR_MESSAGES = {
   },
   password: {
     tooShort: `סיסמה חייבת להכיל לפחות ${VALIDATION_RULES.password.minLength} תווים`,
+    required: 'נדרשת סיסמה',
+    unchanged: 'הסיסמה החדשה זהה לסיסמה הנוכחית',
   },
   message: {
     tooLong: 'הודעה מוצפנת ארוכה מדי',
+    invalidCursor: 'מזהה הודעה אחרונה לא תקין',
+    invalidAck: `נדרשת רשימה של 1-${VALIDATION_RULES.message.maxAckIds} מזהי הודעות (messageIds[])`,
+  },
+  conversation: {
+    invalidId: 'מזהה שיחה לא תקין',
+    invalidUserId: 'מזהה משתמש לא תקין',
+    invalidUserIds: 'נדרשת רשימת מזהי משתמשים (userIds[])',
+    invalidName: `שם קבוצה חייב להכיל בין 1-${VALIDATION_RULES.conversation.nameMaxLength} תווים`,
+  },
+  keys: {
+    required: 'מפתחות הצפנה נדרשים',
+    invalidVersion: 'גרסת מפתח לא תקינה',
+    invalidArchived: 'גיבויי מפתחות בארכיון לא תקינים',
+  },
+  device: {
+    invalidId: 'מזהה מכשיר לא תקין',
+    invalidName: `שם מכשיר חייב להכיל בין 1-${VALIDATION_RULES.device.nameMaxLength} תווים`,
+    keyRequired: 'נדרשים מפתח ציבורי וחתימה למכשיר',
+    invalidKeyEntry: 'מזהה מכשיר ברשומת מפתח לא תקין',
+    required: 'נדרש מכשיר רשום (X-Device-Id)',
+    unknown: 'המכשיר אינו רשום',
+  },
+  prekeys: {
+    invalid: 'מפתחות מקדימים לא תקינים',
+    invalidUserId: 'מזהה משתמש לא תקין',
+    invalidRatchetHeader: 'כותרת ratchet חייבת להיות מחרוזת קצרה ומשויכת למכשיר',
+  },
+  signingKey: {
+    required: 'מפתח חתימה ציבורי וגיבוי מוצפן נדרשים',
+  },
+  refreshToken: {
+    required: 'נדרש טוקן רענון',
+  },
+  twoFactor: {
+    codeRequired: 'נדרש קוד אימות',
+    challengeRequired: 'נדרשים אסימון התחברות וקוד אימות',
+  },
+  session: {
+    revoked: 'החיבור נותק, יש להתחבר מחדש',
+  },
+  role: {
+    forbidden: 'אין הרשאה לפעולה זו',
+  },
+  admin: {
+    invalidUserId: 'מזהה משתמש לא תקין',
+  },
+  recovery: {
+    required: 'שם משתמש וקוד שחזור נדרשים',
+    invalidCodes: 'קודי שחזור לא תקינים',
   },
 };
 
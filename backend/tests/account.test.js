@@ -0,0 +1,214 @@
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.ENCRYPTION_KEY = 'test-encryption-key-for-account';
+
+const mockUsers = [];
+const mockMembers = [
+  { conversation_id: 20, user_id: 1, role: 'owner', username: 'alice' },
+  { conversation_id: 20, user_id: 2, role: 'member', username: 'bob' },
+  { conversation_id: 20, user_id: 3, role: 'admin', username: 'charlie' },
+];
+const mockSessions = [
+  { id: 's1', user_id: 1, user_agent: 'Firefox', created_at: '2026-01-01T00:00:00Z', revoked_at: null },
+  { id: 's0', user_id: 1, user_agent: 'Safari', created_at: '2025-12-01T00:00:00Z', revoked_at: '2025-12-02T00:00:00Z' },
+];
+// alice's message to the group, and one from an account deleted since (a tombstone)
+const mockMessages = [
+  {
+    id: 1,
+    conversation_id: 20,
+    sender_id: 1,
+    sender_username: 'alice',
+    encrypted_content: '{"v":2}',
+    encryption_iv: 'iv1',
+    encrypted_key: 'key-for-alice',
+    created_at: '2026-01-02T00:00:00Z',
+    delivered_at: '2026-01-02T00:00:00Z',
+    read_at: '2026-01-02T00:05:00Z',
+  },
+  {
+    id: 2,
+    conversation_id: 20,
+    sender_id: 9,
+    sender_username: null,
+    encrypted_content: null,
+    encryption_iv: null,
+    encrypted_key: 'stale-key',
+    ratchet_header: 'stale-header',
+    deleted_at: '2026-01-03T00:00:00Z',
+    created_at: '2026-01-01T12:00:00Z',
+    delivered_at: '2026-01-01T12:00:00Z',
+  },
+];
+
+const mockDeleteUser = jest.fn();
+
+jest.mock('../src/data', () => ({
+  getDatabase: () => ({
+    findUserById: (id) => mockUsers.find((u) => u.id === id) || null,
+    getArchivedUserKeys: () => [
+      {
+        key_version: 1,
+        public_key: 'pub-v1',
+        encrypted_private_key: 'enc-pk-v1',
+        encrypted_private_key_iv: 'salt:iv1',
+        archived_at: '2025-12-15T00:00:00Z',
+      },
+    ],
+    getRecoveryCodesForUser: () => [
+      { key_version: 2, verifier_hash: 'verifier-hash', created_at: '2025-12-15T00:00:00Z', used_at: null },
+      { key_version: 2, verifier_hash: 'used-hash', created_at: '2025-12-15T00:00:00Z', used_at: '2026-01-05T00:00:00Z' },
+    ],
+    countTotpBackupCodes: () => 7,
+    getTotpBackupCodesForUser: () => [
+      { code_hash: 'backup-hash', created_at: '2026-01-01T00:00:00Z', used_at: '2026-01-04T00:00:00Z' },
+    ],
+    getDevicePreKeys: () => ({
+      identity_key: 'identity-pub',
+      signed_prekey_id: 3,
+      signed_prekey: 'signed-pub',
+      signed_prekey_signature: 'signature',
+    }),
+    getOneTimePreKeys: () => [{ key_id: 11, public_key: 'one-time-pub' }],
+    getAllUserSessions: (userId) => mockSessions.filter((s) => s.user_id === userId),
+    getUserSessions: (userId) => mockSessions.filter((s) => s.user_id === userId && !s.revoked_at),
+    revokeUserSessions: (userId) => {
+      mockSessions.filter((s) => s.user_id === userId).forEach((s) => (s.revoked_at = new Date().toISOString()));
+    },
+    getDevicesForUser: () => [{ id: 5, name: 'Laptop', created_at: '2026-01-01T00:00:00Z', public_key: 'device-pub' }],
+    getConversationSummariesForUser: (userId) =>
+      mockMembers.some((m) => m.user_id === userId)
+        ? [{ id: 20, type: 'group', name: 'Team', created_at: '2025-11-01T00:00:00Z' }]
+        : [],
+    getGeneralRoomSummaryForUser: () => null,
+    countUnreadForUser: () => [],
+    findConversationById: (id) => ({ id, type: 'group', name: 'Team' }),
+    getConversationMembers: (conversationId) => mockMembers.filter((m) => m.conversation_id === conversationId),
+    getConversationMember: (conversationId, userId) =>
+      mockMembers.find((m) => m.conversation_id === conversationId && m.user_id === userId) || null,
+    removeConversationMember: (conversationId, userId) => {
+      const idx = mockMembers.findIndex((m) => m.conversation_id === conversationId && m.user_id === userId);
+      mockMembers.splice(idx, 1);
+    },
+    updateConversationMemberRole: (conversationId, userId, role) => {
+      mockMembers.find((m) => m.conversation_id === conversationId && m.user_id === userId).role = role;
+    },
+    getMessagesSentByUser: (userId) => mockMessages.filter((m) => m.sender_id === userId),
+    getMessagesReceivedByUser: () => mockMessages,
+    getMessageHistoryForUser: () => ({ messages: mockMessages, total: mockMessages.length }),
+    deleteUser: mockDeleteUser,
+  }),
+  initializeDatabase: jest.fn(),
+}));
+
+const bcrypt = require('bcrypt');
+const accountService = require('../src/services/accountService');
+const messageService = require('../src/services/messageService');
+
+beforeAll(async () => {
+  mockUsers.push({
+    id: 1,
+    username: 'alice',
+    role: 'user',
+    password_hash: await bcrypt.hash('password123', 4),
+    totp_secret: 'encrypted-totp-secret',
+    totp_secret_iv: 'totp-iv',
+    created_at: '2025-11-01T00:00:00Z',
+    public_key: 'pub',
+    encrypted_private_key: 'enc-pk',
+    encrypted_private_key_iv: 'salt:iv',
+    key_version: 2,
+  });
+});
+
+describe('Data Export', () => {
+  test('covers the account, keys, sessions, devices, conversations and messages', () => {
+    const archive = accountService.exportAccount(1);
+
+    expect(archive.account).toMatchObject({ id: 1, username: 'alice', twoFactor: { enabled: false } });
+    expect(archive.keys).toMatchObject({
+      keyVersion: 2,
+      encryptedPrivateKey: 'enc-pk',
+      archivedKeys: [{ keyVersion: 1, publicKey: 'pub-v1', archivedAt: '2025-12-15T00:00:00Z' }],
+      recoveryCodes: [
+        { keyVersion: 2, createdAt: '2025-12-15T00:00:00Z', usedAt: null },
+        { keyVersion: 2, createdAt: '2025-12-15T00:00:00Z', usedAt: '2026-01-05T00:00:00Z' },
+      ],
+    });
+    expect(archive.twoFactorBackupCodes).toEqual([
+      { createdAt: '2026-01-01T00:00:00Z', usedAt: '2026-01-04T00:00:00Z' },
+    ]);
+    expect(archive.sessions.map((s) => [s.id, s.revokedAt])).toEqual([
+      ['s1', null],
+      ['s0', '2025-12-02T00:00:00Z'],
+    ]);
+    expect(archive.devices).toEqual([{ id: 5, name: 'Laptop', createdAt: '2026-01-01T00:00:00Z', lastSeenAt: null }]);
+    expect(archive.preKeys).toEqual([
+      {
+        deviceId: 5,
+        identityKey: 'identity-pub',
+        signedPreKey: { keyId: 3, publicKey: 'signed-pub', signature: 'signature' },
+        oneTimePreKeys: [{ keyId: 11, publicKey: 'one-time-pub' }],
+      },
+    ]);
+    expect(archive.conversations).toEqual([
+      { id: 20, type: 'group', name: 'Team', members: expect.any(Array), createdAt: '2025-11-01T00:00:00Z' },
+    ]);
+    expect(archive.messagesSent).toEqual([expect.objectContaining({ id: 1, encryptedContent: '{"v":2}' })]);
+    expect(archive.messagesReceived.map((m) => [m.id, m.readAt])).toEqual([
+      [1, '2026-01-02T00:05:00Z'],
+      [2, null],
+    ]);
+  });
+
+  test('leaves out password and code hashes and the TOTP secret', () => {
+    const file = JSON.stringify(accountService.exportAccount(1));
+
+    expect(file).not.toContain(mockUsers[0].password_hash);
+    expect(file).not.toContain('encrypted-totp-secret');
+    expect(file).not.toContain('verifier-hash');
+    expect(file).not.toContain('backup-hash');
+  });
+});
+
+describe('Account Deletion', () => {
+  test('needs the right password', async () => {
+    await expect(accountService.deleteAccount(1, 'wrong-password')).rejects.toMatchObject({ status: 401 });
+
+    expect(mockDeleteUser).not.toHaveBeenCalled();
+  });
+
+  test('needs a two-factor code when 2FA is on', async () => {
+    mockUsers[0].totp_enabled = 1;
+
+    await expect(accountService.deleteAccount(1, 'password123')).rejects.toThrow('Invalid two-factor code');
+    expect(mockDeleteUser).not.toHaveBeenCalled();
+
+    mockUsers[0].totp_enabled = 0;
+  });
+
+  test('hands owned groups on, ends the sessions and deletes the account', async () => {
+    await accountService.deleteAccount(1, 'password123');
+
+    expect(mockMembers.map((m) => [m.username, m.role])).toEqual([
+      ['bob', 'member'],
+      ['charlie', 'owner'],
+    ]);
+    expect(mockSessions.every((s) => s.revoked_at)).toBe(true);
+    expect(mockDeleteUser).toHaveBeenCalledWith(1);
+  });
+
+  test('messages of deleted accounts stay in history as tombstones', () => {
+    const { messages } = messageService.getMessageHistory(2);
+
+    expect(messages[1]).toMatchObject({
+      id: 2,
+      senderId: 9,
+      senderUsername: null,
+      deleted: true,
+      encryptedContent: null,
+      encryptedKey: null,
+      ratchetHeader: null,
+    });
+    expect(messages[0]).toMatchObject({ id: 1, deleted: false, encryptedKey: 'key-for-alice' });
+  });
+});
@@ -0,0 +1,194 @@
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.ENCRYPTION_KEY = 'test-encryption-key-for-admin';
+
+const mockUsers = [];
+const mockArchivedKeys = [];
+const mockSessions = [];
+const mockRefreshTokens = [];
+
+jest.mock('../src/data', () => ({
+  getDatabase: () => ({
+    getAllUsers: () => mockUsers,
+    findUserByUsername: (username) => mockUsers.find((u) => u.username === username) || null,
+    findUserById: (id) => mockUsers.find((u) => u.id === id) || null,
+    setUserDisabled: (userId, disabled) => {
+      mockUsers.find((u) => u.id === userId).disabled_at = disabled ? new Date().toISOString() : null;
+    },
+    resetUserKeyBackups: (userId) => {
+      Object.assign(mockUsers.find((u) => u.id === userId), {
+        encrypted_private_key: null,
+        encrypted_private_key_iv: null,
+        signing_public_key: null,
+        encrypted_signing_key: null,
+        encrypted_signing_key_iv: null,
+      });
+      mockArchivedKeys.filter((k) => k.user_id === userId).forEach((k) => (k.encrypted_private_key = null));
+    },
+    getArchivedUserKeys: (userId) => mockArchivedKeys.filter((k) => k.user_id === userId),
+    recordFailedLogin: jest.fn(),
+    lockUserUntil: jest.fn(),
+    clearFailedLogins: jest.fn(),
+    createSession: (sessionId, userId) => mockSessions.push({ id: sessionId, user_id: userId, revoked_at: null }),
+    findSession: (sessionId) => mockSessions.find((s) => s.id === sessionId) || null,
+    touchSession: jest.fn(),
+    getUserSessions: (userId) => mockSessions.filter((s) => s.user_id === userId && !s.revoked_at),
+    revokeUserSessions: (userId) => {
+      mockSessions.filter((s) => s.user_id === userId).forEach((s) => (s.revoked_at = new Date().toISOString()));
+    },
+    createRefreshToken: (userId, familyId, tokenHash, expiresAt) => {
+      mockRefreshTokens.push({
+        id: mockRefreshTokens.length + 1,
+        user_id: userId,
+        family_id: familyId,
+        token_hash: tokenHash,
+        expires_at: expiresAt,
+      });
+    },
+    findRefreshToken: (tokenHash) => mockRefreshTokens.find((t) => t.token_hash === tokenHash) || null,
+    rotateRefreshToken: jest.fn(),
+  }),
+  initializeDatabase: jest.fn(),
+}));
+
+const bcrypt = require('bcrypt');
+const adminService = require('../src/services/adminService');
+const { loginUser, refreshSession } = require('../src/services/authService');
+const { authenticateToken, requireRole } = require('../src/middleware/auth');
+
+function mockResponse() {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn((body) => {
+      res.body = body;
+      return res;
+    }),
+  };
+  return res;
+}
+
+// Runs authenticateToken and requireRole('admin') the way the admin router does
+async function asAdminRoute(username) {
+  const { token } = await loginUser(username, 'password123');
+  const req = { headers: { authorization: `Bearer ${token}` }, path: '/users' };
+  const res = mockResponse();
+  const next = jest.fn();
+
+  authenticateToken(req, res, () => requireRole('admin')(req, res, next));
+  return { res, next };
+}
+
+beforeAll(async () => {
+  const passwordHash = await bcrypt.hash('password123', 4);
+  const keys = {
+    public_key: 'pub',
+    encrypted_private_key: 'enc-pk',
+    encrypted_private_key_iv: 'salt:iv',
+    signing_public_key: 'sign-pub',
+    encrypted_signing_key: 'enc-sk',
+    encrypted_signing_key_iv: 'salt:iv-sk',
+    key_version: 2,
+  };
+  mockUsers.push(
+    { id: 1, username: 'root', role: 'admin', password_hash: passwordHash, created_at: '2026-01-01T00:00:00.000Z', ...keys },
+    { id: 2, username: 'alice', role: 'user', password_hash: passwordHash, created_at: '2026-02-01T00:00:00.000Z', ...keys },
+    { id: 3, username: 'bob', role: 'user', password_hash: passwordHash, created_at: '2026-03-01T00:00:00.000Z', ...keys }
+  );
+  mockArchivedKeys.push({ user_id: 3, key_version: 1, encrypted_private_key: 'enc-pk-v1', encrypted_private_key_iv: 'salt:iv1' });
+});
+
+describe('Admin Role', () => {
+  test('admins get through, regular users get 403', async () => {
+    const admin = await asAdminRoute('root');
+    expect(admin.next).toHaveBeenCalled();
+
+    const user = await asAdminRoute('alice');
+    expect(user.next).not.toHaveBeenCalled();
+    expect(user.res.statusCode).toBe(403);
+  });
+
+  test('the role is read on every request, not taken from the token', async () => {
+    const { token } = await loginUser('root', 'password123');
+    mockUsers[0].role = 'user';
+
+    const req = { headers: { authorization: `Bearer ${token}` }, path: '/users' };
+    const res = mockResponse();
+    const next = jest.fn();
+    authenticateToken(req, res, () => requireRole('admin')(req, res, next));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+    mockUsers[0].role = 'admin';
+  });
+
+  test('the user list carries no password hashes or key material', () => {
+    const users = adminService.listUsers();
+
+    expect(users.map((u) => [u.username, u.role])).toEqual([
+      ['root', 'admin'],
+      ['alice', 'user'],
+      ['bob', 'user'],
+    ]);
+    expect(Object.keys(users[0]).sort()).toEqual(
+      ['createdAt', 'disabledAt', 'hasKeyBackup', 'id', 'lockedUntil', 'role', 'twoFactorEnabled', 'username'].sort()
+    );
+  });
+});
+
+describe('Account Management', () => {
+  test('a disabled account is signed out everywhere and cannot sign in or refresh', async () => {
+    const session = await loginUser('alice', 'password123');
+
+    const user = adminService.disableUser(1, 2);
+
+    expect(user.disabledAt).toEqual(expect.any(String));
+    expect(mockSessions.filter((s) => s.user_id === 2 && !s.revoked_at)).toHaveLength(0);
+    await expect(loginUser('alice', 'password123')).rejects.toMatchObject({ status: 403, message: 'Account disabled' });
+    expect(() => refreshSession(session.refreshToken)).toThrow('Invalid refresh token');
+  });
+
+  test('a wrong password on a disabled account does not reveal that it is disabled', async () => {
+    await expect(loginUser('alice', 'wrong-password')).rejects.toMatchObject({ status: 401 });
+  });
+
+  test('an enabled account can sign in again', async () => {
+    adminService.enableUser(1, 2);
+
+    expect((await loginUser('alice', 'password123')).token).toBeDefined();
+  });
+
+  test('admins cannot disable themselves', () => {
+    expect(() => adminService.disableUser(1, 1)).toThrow('You cannot disable your own account');
+    expect(() => adminService.disableUser(1, 99)).toThrow('User not found');
+  });
+
+  test('force logout ends every session of the account', async () => {
+    const { token } = await loginUser('alice', 'password123');
+    await loginUser('alice', 'password123');
+
+    adminService.logoutUser(1, 2);
+
+    const res = mockResponse();
+    authenticateToken({ headers: { authorization: `Bearer ${token}` }, path: '/' }, res, jest.fn());
+    expect(res.statusCode).toBe(401);
+    expect(mockSessions.filter((s) => s.user_id === 2 && !s.revoked_at)).toHaveLength(0);
+  });
+});
+
+describe('Key Backup Reset', () => {
+  test('drops the backups, so the next login has nothing to unwrap', async () => {
+    const user = adminService.resetKeyBackups(1, 3);
+
+    expect(user.hasKeyBackup).toBe(false);
+    const login = await loginUser('bob', 'password123');
+    expect(login).toMatchObject({
+      encryptedPrivateKey: null,
+      encryptedSigningKey: null,
+      archivedKeys: [],
+    });
+  });
+});
@@ -2,6 +2,10 @@ process.env.JWT_SECRET = 'test-jwt-secret';
 process.env.ENCRYPTION_KEY = 'test-key';
 
 const mockUsers = [];
+const mockArchivedKeys = [];
+const mockRecoveryCodes = [];
+const mockRefreshTokens = [];
+const mockSessions = [];
 let mockNextId = 1;
 
 jest.mock('../src/data', () => ({
@@ -13,13 +17,147 @@ jest.mock('../src/data', () => ({
       mockUsers.push(user);
       return { id: user.id, username };
     },
+    findUserById: (id) => mockUsers.find((u) => u.id === id) || null,
     updateUserPublicKey: jest.fn(),
     updateUserEncryptedPrivateKey: jest.fn(),
+    getArchivedUserKeys: (userId) => mockArchivedKeys.filter((k) => k.user_id === userId),
+    rotateUserKey: (userId, publicKey, encryptedPrivateKey, encryptedPrivateKeyIv) => {
+      const user = mockUsers.find((u) => u.id === userId);
+      const version = user.key_version || 1;
+      mockArchivedKeys.push({
+        user_id: userId,
+        key_version: version,
+        encrypted_private_key: user.encrypted_private_key,
+        encrypted_private_key_iv: user.encrypted_private_key_iv,
+      });
+      user.public_key = publicKey;
+      user.encrypted_private_key = encryptedPrivateKey;
+      user.encrypted_private_key_iv = encryptedPrivateKeyIv;
+      user.key_version = version + 1;
+      return user.key_version;
+    },
+    changeUserPassword: (userId, passwordHash, backups) => {
+      const user = mockUsers.find((u) => u.id === userId);
+      user.password_hash = passwordHash;
+      user.encrypted_private_key = backups.encryptedPrivateKey;
+      user.encrypted_private_key_iv = backups.encryptedPrivateKeyIv;
+      user.encrypted_signing_key = backups.encryptedSigningKey;
+      user.encrypted_signing_key_iv = backups.encryptedSigningKeyIv;
+      for (const k of backups.archivedKeys) {
+        const archived = mockArchivedKeys.find((a) => a.user_id === userId && a.key_version === k.keyVersion);
+        archived.encrypted_private_key = k.encryptedPrivateKey;
+        archived.encrypted_private_key_iv = k.encryptedPrivateKeyIv;
+      }
+    },
+    createRefreshToken: (userId, familyId, tokenHash, expiresAt) => {
+      mockRefreshTokens.push({
+        id: mockRefreshTokens.length + 1,
+        user_id: userId,
+        family_id: familyId,
+        token_hash: tokenHash,
+        expires_at: expiresAt,
+        replaced_at: null,
+        revoked_at: null,
+      });
+    },
+    findRefreshToken: (tokenHash) => mockRefreshTokens.find((t) => t.token_hash === tokenHash) || null,
+    rotateRefreshToken: (tokenId, userId, familyId, tokenHash, expiresAt) => {
+      mockRefreshTokens.find((t) => t.id === tokenId).replaced_at = Date.now();
+      mockRefreshTokens.push({
+        id: mockRefreshTokens.length + 1,
+        user_id: userId,
+        family_id: familyId,
+        token_hash: tokenHash,
+        expires_at: expiresAt,
+        replaced_at: null,
+        revoked_at: null,
+      });
+    },
+    createSession: (sessionId, userId, userAgent, ip) => {
+      mockSessions.push({ id: sessionId, user_id: userId, user_agent: userAgent, ip, revoked_at: null });
+    },
+    findSession: (sessionId) => mockSessions.find((s) => s.id === sessionId) || null,
+    touchSession: (sessionId, userAgent, ip) => {
+      Object.assign(mockSessions.find((s) => s.id === sessionId), { user_agent: userAgent, ip });
+    },
+    getUserSessions: (userId) => mockSessions.filter((s) => s.user_id === userId && !s.revoked_at),
+    revokeSession: (sessionId) => {
+      mockSessions.find((s) => s.id === sessionId).revoked_at = Date.now();
+      mockRefreshTokens.filter((t) => t.family_id === sessionId).forEach((t) => (t.revoked_at = Date.now()));
+    },
+    revokeUserSessions: (userId) => {
+      mockSessions.filter((s) => s.user_id === userId).forEach((s) => (s.revoked_at = Date.now()));
+      mockRefreshTokens.filter((t) => t.user_id === userId).forEach((t) => (t.revoked_at = Date.now()));
+    },
+    replaceRecoveryCodes: (userId, keyVersion, codes) => {
+      for (let i = mockRecoveryCodes.length - 1; i >= 0; i--) {
+        if (mockRecoveryCodes[i].user_id === userId) mockRecoveryCodes.splice(i, 1);
+      }
+      for (const c of codes) {
+        mockRecoveryCodes.push({
+          id: mockRecoveryCodes.length + 1,
+          user_id: userId,
+          key_version: keyVersion,
+          verifier_hash: c.verifierHash,
+          encrypted_keys: c.encryptedKeys,
+          encrypted_keys_iv: c.encryptedKeysIv,
+          used_at: null,
+        });
+      }
+    },
+    findRecoveryCode: (userId, verifierHash) =>
+      mockRecoveryCodes.find((c) => c.user_id === userId && c.verifier_hash === verifierHash) || null,
+    recoverUserPassword: (userId, codeId, passwordHash, backups) => {
+      const user = mockUsers.find((u) => u.id === userId);
+      user.password_hash = passwordHash;
+      user.encrypted_private_key = backups.encryptedPrivateKey;
+      user.encrypted_private_key_iv = backups.encryptedPrivateKeyIv;
+      user.encrypted_signing_key = backups.encryptedSigningKey;
+      user.encrypted_signing_key_iv = backups.encryptedSigningKeyIv;
+      mockRecoveryCodes.find((c) => c.id === codeId).used_at = new Date().toISOString();
+    },
+    // Starts the count over when the last failure is older than resetBefore; returns the new count
+    recordFailedLogin: (userId, resetBefore) => {
+      const user = mockUsers.find((u) => u.id === userId);
+      const recent = user.failed_login_count && user.last_failed_login_at >= resetBefore;
+      user.failed_login_count = recent ? user.failed_login_count + 1 : 1;
+      user.last_failed_login_at = Date.now();
+      return user.failed_login_count;
+    },
+    // Never shortens a longer lock
+    lockUserUntil: (userId, lockedUntil) => {
+      const user = mockUsers.find((u) => u.id === userId);
+      user.locked_until = Math.max(user.locked_until || 0, lockedUntil);
+    },
+    clearFailedLogins: (userId) => {
+      Object.assign(mockUsers.find((u) => u.id === userId), {
+        failed_login_count: 0,
+        last_failed_login_at: null,
+        locked_until: null,
+      });
+    },
+    updateUserSigningKey: (userId, signingPublicKey, encryptedSigningKey, encryptedSigningKeyIv) => {
+      const user = mockUsers.find((u) => u.id === userId);
+      user.signing_public_key = signingPublicKey;
+      user.encrypted_signing_key = encryptedSigningKey;
+      user.encrypted_signing_key_iv = encryptedSigningKeyIv;
+    },
   }),
   initializeDatabase: jest.fn(),
 }));
 
-const { registerUser, loginUser } = require('../src/services/authService');
+const {
+  registerUser,
+  loginUser,
+  setSigningKey,
+  rotateKeys,
+  changePassword,
+  refreshSession,
+  logoutSession,
+  setRecoveryCodes,
+  getRecoveryKeys,
+  recoverAccount,
+} = require('../src/services/authService');
 
 const mockPublicKey = '-----BEGIN PUBLIC KEY-----\nMOCK\n-----END PUBLIC KEY-----';
 const mockEncPrivKey = 'abcdef0123456789';
@@ -86,3 +224,361 @@ describe('User Login', () => {
     expect(decoded.userId).toBeDefined();
   });
 });
+
+describe('Login Lockout', () => {
+  const bcrypt = require('bcrypt');
+  const lockedUser = () => mockUsers.find((u) => u.username === 'lockme');
+
+  beforeAll(async () => {
+    await registerUser('lockme', 'password123', mockPublicKey, mockEncPrivKey, mockEncPrivKeyIv);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('locks the account after the free attempts, even for the right password', async () => {
+    for (let i = 0; i < 4; i++) {
+      await expect(loginUser('lockme', 'wrongpassword')).rejects.toThrow('Invalid username or password');
+    }
+
+    await expect(loginUser('lockme', 'password123')).rejects.toThrow('Invalid username or password');
+    expect(lockedUser().locked_until - Date.now()).toBeGreaterThan(0);
+    expect(lockedUser().locked_until - Date.now()).toBeLessThanOrEqual(15 * 1000);
+  });
+
+  test('answers a locked account exactly like an unknown username', async () => {
+    const locked = await loginUser('lockme', 'password123').catch((e) => e);
+    const unknown = await loginUser('nobody', 'password123').catch((e) => e);
+
+    expect({ ...locked, message: locked.message }).toEqual({ ...unknown, message: unknown.message });
+    expect(locked.status).toBe(401);
+    expect(lockedUser().failed_login_count).toBe(4);
+  });
+
+  test('wrong passwords during a lock neither count nor extend it', async () => {
+    const { locked_until: lockedUntil } = lockedUser();
+
+    await expect(loginUser('lockme', 'wrongpassword')).rejects.toThrow('Invalid username or password');
+
+    expect(lockedUser().failed_login_count).toBe(4);
+    expect(lockedUser().locked_until).toBe(lockedUntil);
+  });
+
+  test('doubles the lockout with every further failure', async () => {
+    lockedUser().locked_until = Date.now() - 1;
+
+    await expect(loginUser('lockme', 'wrongpassword')).rejects.toThrow('Invalid username or password');
+
+    expect(lockedUser().failed_login_count).toBe(5);
+    expect(lockedUser().locked_until - Date.now()).toBeGreaterThan(15 * 1000);
+    expect(lockedUser().locked_until - Date.now()).toBeLessThanOrEqual(30 * 1000);
+  });
+
+  test('tells the user about failed attempts on the next login, then starts over', async () => {
+    lockedUser().locked_until = Date.now() - 1;
+
+    const result = await loginUser('lockme', 'password123');
+    expect(result.failedLogins).toEqual({ count: 5, lastAttemptAt: expect.any(String) });
+    expect((await loginUser('lockme', 'password123')).failedLogins).toBeNull();
+  });
+
+  test('forgets failures after a quiet day', async () => {
+    Object.assign(lockedUser(), {
+      failed_login_count: 8,
+      last_failed_login_at: Date.now() - 25 * 60 * 60 * 1000,
+      locked_until: null,
+    });
+
+    await expect(loginUser('lockme', 'wrongpassword')).rejects.toThrow('Invalid username or password');
+    expect(lockedUser().failed_login_count).toBe(1);
+    expect(lockedUser().locked_until).toBeNull();
+  });
+
+  test('counts bad passwords checked in parallel', async () => {
+    await registerUser('racer', 'password123', mockPublicKey, mockEncPrivKey, mockEncPrivKeyIv);
+
+    // Up to the guess that locks the account; later ones would land during the lock
+    const guesses = Array.from({ length: 4 }, () => loginUser('racer', 'wrongpassword').catch((e) => e));
+    await Promise.all(guesses);
+
+    const racer = mockUsers.find((u) => u.username === 'racer');
+    expect(racer.failed_login_count).toBe(4);
+    expect(racer.locked_until).toBeGreaterThan(Date.now());
+    await expect(loginUser('racer', 'password123')).rejects.toThrow('Invalid username or password');
+  });
+
+  test('checks a password hash for unknown usernames too', async () => {
+    const compare = jest.spyOn(bcrypt, 'compare');
+
+    await expect(loginUser('nobody', 'password123')).rejects.toThrow('Invalid username or password');
+    expect(compare).toHaveBeenCalledWith('password123', expect.stringMatching(/^\$2[aby]\$12\$/));
+  });
+});
+
+describe('Signing Keys', () => {
+  const mockSigningKey = {
+    signingPublicKey: '-----BEGIN PUBLIC KEY-----\nSIGN\n-----END PUBLIC KEY-----',
+    encryptedSigningKey: '0123abcd',
+    encryptedSigningKeyIv: 'eeff:0011',
+  };
+
+  test('stores the signing key given at registration and returns its backup on login', async () => {
+    await registerUser('signer', 'password123', mockPublicKey, mockEncPrivKey, mockEncPrivKeyIv, mockSigningKey);
+
+    const user = mockUsers.find((u) => u.username === 'signer');
+    expect(user.signing_public_key).toBe(mockSigningKey.signingPublicKey);
+
+    const result = await loginUser('signer', 'password123');
+    expect(result.encryptedSigningKey).toBe(mockSigningKey.encryptedSigningKey);
+    expect(result.encryptedSigningKeyIv).toBe(mockSigningKey.encryptedSigningKeyIv);
+  });
+
+  test('accounts without a signing key log in with a null backup', async () => {
+    const result = await loginUser('newuser', 'password123');
+    expect(result.encryptedSigningKey).toBeNull();
+  });
+
+  test('publishes a signing key for an account that has none', () => {
+    const user = mockUsers.find((u) => u.username === 'newuser');
+    const { signingPublicKey, encryptedSigningKey, encryptedSigningKeyIv } = mockSigningKey;
+
+    setSigningKey(user.id, signingPublicKey, encryptedSigningKey, encryptedSigningKeyIv);
+    expect(user.signing_public_key).toBe(signingPublicKey);
+  });
+
+  test('refuses to replace an existing signing key', () => {
+    const user = mockUsers.find((u) => u.username === 'signer');
+
+    expect(() => setSigningKey(user.id, 'other-key', 'enc', 'iv')).toThrow('Signing key already set');
+  });
+});
+
+describe('Key Rotation', () => {
+  test('rejects rotation with the wrong password', async () => {
+    const user = mockUsers.find((u) => u.username === 'testuser');
+
+    await expect(rotateKeys(user.id, 'wrongpassword', 'pk-v2', 'enc-v2', 'iv-v2')).rejects.toThrow(
+      'Invalid password'
+    );
+  });
+
+  test('bumps the key version and archives the previous key', async () => {
+    const user = mockUsers.find((u) => u.username === 'testuser');
+
+    const result = await rotateKeys(user.id, 'password123', 'pk-v2', 'enc-v2', 'iv-v2');
+
+    expect(result.keyVersion).toBe(2);
+    expect(user.public_key).toBe('pk-v2');
+  });
+
+  test('login returns the current key and the archived versions', async () => {
+    const result = await loginUser('testuser', 'password123');
+
+    expect(result.keyVersion).toBe(2);
+    expect(result.encryptedPrivateKey).toBe('enc-v2');
+    expect(result.archivedKeys).toEqual([
+      { keyVersion: 1, encryptedPrivateKey: mockEncPrivKey, encryptedPrivateKeyIv: mockEncPrivKeyIv },
+    ]);
+  });
+});
+
+describe('Password Change', () => {
+  const backups = (overrides = {}) => ({
+    keyVersion: 2,
+    encryptedPrivateKey: 'enc-v2-new',
+    encryptedPrivateKeyIv: 'iv-v2-new',
+    encryptedSigningKey: null,
+    encryptedSigningKeyIv: null,
+    archivedKeys: [{ keyVersion: 1, encryptedPrivateKey: 'enc-v1-new', encryptedPrivateKeyIv: 'iv-v1-new' }],
+    ...overrides,
+  });
+
+  test('rejects a wrong current password', async () => {
+    const user = mockUsers.find((u) => u.username === 'testuser');
+
+    await expect(changePassword(user.id, 'wrongpassword', 'newpass456', backups())).rejects.toThrow(
+      'Invalid password'
+    );
+  });
+
+  test('rejects backups that miss an archived key version', async () => {
+    const user = mockUsers.find((u) => u.username === 'testuser');
+
+    await expect(
+      changePassword(user.id, 'password123', 'newpass456', backups({ archivedKeys: [] }))
+    ).rejects.toMatchObject({ status: 409 });
+  });
+
+  test('rejects backups made for an older key version', async () => {
+    const user = mockUsers.find((u) => u.username === 'testuser');
+
+    await expect(
+      changePassword(user.id, 'password123', 'newpass456', backups({ keyVersion: 1 }))
+    ).rejects.toMatchObject({ status: 409 });
+  });
+
+  test('requires the signing key backup when the account has a signing key', async () => {
+    const user = mockUsers.find((u) => u.username === 'signer');
+
+    await expect(
+      changePassword(user.id, 'password123', 'newpass456', backups({ keyVersion: 1, archivedKeys: [] }))
+    ).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('stores the new hash together with the re-wrapped backups', async () => {
+    const user = mockUsers.find((u) => u.username === 'testuser');
+
+    await changePassword(user.id, 'password123', 'newpass456', backups());
+
+    await expect(loginUser('testuser', 'password123')).rejects.toThrow('Invalid username or password');
+    const result = await loginUser('testuser', 'newpass456');
+    expect(result.encryptedPrivateKey).toBe('enc-v2-new');
+    expect(result.archivedKeys).toEqual([
+      { keyVersion: 1, encryptedPrivateKey: 'enc-v1-new', encryptedPrivateKeyIv: 'iv-v1-new' },
+    ]);
+  });
+});
+
+describe('Recovery Codes', () => {
+  const verifier = (n) => String(n).repeat(64);
+  const code = (n) => ({ verifier: verifier(n), encryptedKeys: `wrapped-${n}`, encryptedKeysIv: `salt:iv${n}` });
+  const backups = {
+    keyVersion: 1,
+    encryptedPrivateKey: 'enc-recovered',
+    encryptedPrivateKeyIv: 'iv-recovered',
+    encryptedSigningKey: null,
+    encryptedSigningKeyIv: null,
+    archivedKeys: [],
+  };
+
+  test('stores only a hash of each verifier at registration', async () => {
+    await registerUser('forgetful', 'password123', mockPublicKey, mockEncPrivKey, mockEncPrivKeyIv, null, [
+      code(1),
+      code(2),
+    ]);
+    const user = mockUsers.find((u) => u.username === 'forgetful');
+
+    const stored = mockRecoveryCodes.filter((c) => c.user_id === user.id);
+    expect(stored).toHaveLength(2);
+    expect(stored.map((c) => c.verifier_hash)).not.toContain(verifier(1));
+    expect(stored[0].key_version).toBe(1);
+  });
+
+  test('returns the keys wrapped by a valid code', () => {
+    expect(getRecoveryKeys('forgetful', verifier(2))).toEqual({
+      keyVersion: 1,
+      encryptedKeys: 'wrapped-2',
+      encryptedKeysIv: 'salt:iv2',
+    });
+  });
+
+  test('rejects unknown codes and unknown users alike', () => {
+    expect(() => getRecoveryKeys('forgetful', verifier(3))).toThrow('Invalid recovery code');
+    expect(() => getRecoveryKeys('nobody', verifier(1))).toThrow('Invalid recovery code');
+  });
+
+  test('sets the new password, uses up the code and signs out every session', async () => {
+    const { refreshToken } = await loginUser('forgetful', 'password123');
+    await recoverAccount('forgetful', verifier(1), 'newpass456', backups);
+
+    expect(() => refreshSession(refreshToken)).toThrow('Invalid refresh token');
+
+    const result = await loginUser('forgetful', 'newpass456');
+    expect(result.encryptedPrivateKey).toBe('enc-recovered');
+    await expect(recoverAccount('forgetful', verifier(1), 'another789', backups)).rejects.toThrow(
+      'Invalid recovery code'
+    );
+    expect(getRecoveryKeys('forgetful', verifier(2)).encryptedKeys).toBe('wrapped-2');
+  });
+
+  test('refuses codes made before a key rotation', async () => {
+    const user = mockUsers.find((u) => u.username === 'forgetful');
+    await rotateKeys(user.id, 'newpass456', 'pk-v2', 'enc-v2', 'iv-v2');
+
+    await expect(
+      recoverAccount('forgetful', verifier(2), 'another789', { ...backups, keyVersion: 2 })
+    ).rejects.toMatchObject({ status: 409 });
+  });
+
+  test('replaces the whole set after checking the password', async () => {
+    const user = mockUsers.find((u) => u.username === 'forgetful');
+
+    await expect(setRecoveryCodes(user.id, 'wrongpassword', [code(4)])).rejects.toThrow('Invalid password');
+    await setRecoveryCodes(user.id, 'newpass456', [code(4)]);
+
+    expect(() => getRecoveryKeys('forgetful', verifier(2))).toThrow('Invalid recovery code');
+    expect(getRecoveryKeys('forgetful', verifier(4)).keyVersion).toBe(2);
+  });
+
+  test('codes issued after a rotation recover the rotated keys', async () => {
+    await recoverAccount('forgetful', verifier(4), 'another789', {
+      ...backups,
+      keyVersion: 2,
+      encryptedPrivateKey: 'enc-v2-recovered',
+      archivedKeys: [{ keyVersion: 1, encryptedPrivateKey: 'enc-v1-recovered', encryptedPrivateKeyIv: 'iv-v1' }],
+    });
+
+    const result = await loginUser('forgetful', 'another789');
+    expect(result.keyVersion).toBe(2);
+    expect(result.encryptedPrivateKey).toBe('enc-v2-recovered');
+  });
+});
+
+describe('Sessions', () => {
+  const jwt = require('jsonwebtoken');
+
+  test('login starts a session with a short-lived access token and a refresh token', async () => {
+    const result = await loginUser('testuser', 'newpass456');
+    const decoded = jwt.verify(result.token, process.env.JWT_SECRET);
+
+    expect(decoded.exp - decoded.iat).toBe(15 * 60);
+    expect(decoded.sid).toBeDefined();
+    expect(result.refreshToken).toEqual(expect.any(String));
+    expect(mockRefreshTokens.map((t) => t.token_hash)).not.toContain(result.refreshToken);
+  });
+
+  test('refresh rotates the refresh token within the same session', async () => {
+    const login = await loginUser('testuser', 'newpass456');
+    const refreshed = refreshSession(login.refreshToken);
+
+    expect(refreshed.refreshToken).not.toBe(login.refreshToken);
+    expect(jwt.decode(refreshed.token).sid).toBe(jwt.decode(login.token).sid);
+    expect(refreshSession(refreshed.refreshToken).token).toEqual(expect.any(String));
+  });
+
+  test('reusing a rotated refresh token revokes the whole session', async () => {
+    const login = await loginUser('testuser', 'newpass456');
+    const refreshed = refreshSession(login.refreshToken);
+
+    expect(() => refreshSession(login.refreshToken)).toThrow('Refresh token reuse detected');
+    expect(() => refreshSession(refreshed.refreshToken)).toThrow('Invalid refresh token');
+  });
+
+  test('logout revokes the session but leaves other sessions alone', async () => {
+    const first = await loginUser('testuser', 'newpass456');
+    const second = await loginUser('testuser', 'newpass456');
+
+    logoutSession(first.refreshToken);
+
+    expect(() => refreshSession(first.refreshToken)).toThrow('Invalid refresh token');
+    expect(refreshSession(second.refreshToken).token).toEqual(expect.any(String));
+    expect(() => logoutSession('unknown-token')).not.toThrow();
+  });
+
+  test('each login is its own session, recorded with the client', async () => {
+    const client = { userAgent: 'Mozilla/5.0 (X11; Linux x86_64) Firefox/128.0', ip: '10.0.0.5' };
+    const { token } = await loginUser('testuser', 'newpass456', client);
+    const { sid } = jwt.decode(token);
+
+    expect(mockSessions.find((s) => s.id === sid)).toMatchObject({ user_agent: client.userAgent, ip: client.ip });
+    expect(mockRefreshTokens[mockRefreshTokens.length - 1].family_id).toBe(sid);
+  });
+
+  test('refuses an expired refresh token', async () => {
+    const { refreshToken } = await loginUser('testuser', 'newpass456');
+    mockRefreshTokens[mockRefreshTokens.length - 1].expires_at = Date.now() - 1;
+
+    expect(() => refreshSession(refreshToken)).toThrow('Refresh token expired');
+  });
+});
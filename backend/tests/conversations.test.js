@@ -0,0 +1,281 @@
+process.env.ENCRYPTION_KEY = 'test-encryption-key-for-conversations';
+
+const mockUsers = [
+  { id: 1, username: 'alice' },
+  { id: 2, username: 'bob' },
+  { id: 3, username: 'charlie' },
+  { id: 4, username: 'diana' },
+];
+const mockConversations = [];
+const mockMembers = [];
+const mockMessages = [];
+let mockConvId = 1;
+let mockMsgId = 1;
+
+// alice's delivery rows for the list: whether they were delivered does not matter, only read_at
+const mockListDeliveries = [
+  { conversation_id: 11, sender_id: 2, delivered_at: '2026-02-01T00:00:01Z', read_at: null },
+  { conversation_id: 11, sender_id: 2, delivered_at: '2026-02-01T00:00:01Z', read_at: null },
+  { conversation_id: 11, sender_id: 2, delivered_at: null, read_at: null },
+  { conversation_id: 11, sender_id: 2, delivered_at: '2026-02-01T00:00:01Z', read_at: '2026-02-01T00:00:02Z' },
+  { conversation_id: 11, sender_id: 1, delivered_at: '2026-02-01T00:00:01Z', read_at: null },
+  { conversation_id: null, sender_id: 3, delivered_at: '2026-02-01T00:00:01Z', read_at: null },
+  { conversation_id: null, sender_id: 3, delivered_at: '2026-02-01T00:00:01Z', read_at: null },
+];
+
+jest.mock('../src/data', () => ({
+  getDatabase: () => ({
+    findUserById: (id) => mockUsers.find((u) => u.id === id) || null,
+    createConversation: (type, name, createdBy) => {
+      const conv = {
+        id: mockConvId++,
+        type,
+        name,
+        created_by: createdBy,
+        created_at: new Date().toISOString(),
+      };
+      mockConversations.push(conv);
+      return conv;
+    },
+    findConversationById: (id) => mockConversations.find((c) => c.id === id) || null,
+    findDirectConversation: (a, b) =>
+      mockConversations.find((c) => {
+        if (c.type !== 'direct') return false;
+        const ids = mockMembers.filter((m) => m.conversation_id === c.id).map((m) => m.user_id);
+        return ids.includes(a) && ids.includes(b);
+      }) || null,
+    addConversationMember: (conversationId, userId, role) => {
+      mockMembers.push({ conversation_id: conversationId, user_id: userId, role });
+    },
+    getConversationMember: (conversationId, userId) =>
+      mockMembers.find((m) => m.conversation_id === conversationId && m.user_id === userId) || null,
+    removeConversationMember: (conversationId, userId) => {
+      const idx = mockMembers.findIndex(
+        (m) => m.conversation_id === conversationId && m.user_id === userId
+      );
+      if (idx !== -1) mockMembers.splice(idx, 1);
+    },
+    updateConversationMemberRole: (conversationId, userId, role) => {
+      const member = mockMembers.find(
+        (m) => m.conversation_id === conversationId && m.user_id === userId
+      );
+      member.role = role;
+    },
+    getConversationMembers: (conversationId) =>
+      mockMembers
+        .filter((m) => m.conversation_id === conversationId)
+        .map((m) => ({ ...m, username: mockUsers.find((u) => u.id === m.user_id).username })),
+    createMessage: (senderId, encryptedContent, iv, conversationId) => {
+      const msg = { id: mockMsgId++, senderId, conversationId, createdAt: new Date().toISOString() };
+      mockMessages.push(msg);
+      return msg;
+    },
+    createDeliveryWithKey: jest.fn(),
+    markDelivered: jest.fn(),
+    getMessageHistoryForUser: () => ({ messages: [], total: 0 }),
+    getConversationSummariesForUser: () => [
+      { id: 10, type: 'group', name: 'Quiet', created_at: '2026-01-01T00:00:00Z' },
+      {
+        id: 11,
+        type: 'direct',
+        name: null,
+        created_at: '2025-12-01T00:00:00Z',
+        last_message_id: 7,
+        last_message_sender_id: 2,
+        last_message_sender_username: 'bob',
+        last_message_at: '2026-02-01T00:00:00Z',
+      },
+    ],
+    getGeneralRoomSummaryForUser: () => null,
+    // Messages from others without read_at, per conversation (null = general room)
+    countUnreadForUser: (userId) => {
+      const counts = new Map();
+      for (const d of mockListDeliveries) {
+        if (d.read_at || d.sender_id === userId) continue;
+        counts.set(d.conversation_id, (counts.get(d.conversation_id) || 0) + 1);
+      }
+      return [...counts].map(([conversationId, count]) => ({ conversation_id: conversationId, unread_count: count }));
+    },
+  }),
+  initializeDatabase: jest.fn(),
+}));
+
+const conversationService = require('../src/services/conversationService');
+const messageService = require('../src/services/messageService');
+
+describe('Direct Conversations', () => {
+  test('opens a new direct conversation between two users', () => {
+    const { conversation, created } = conversationService.openDirectConversation(1, 2);
+
+    expect(created).toBe(true);
+    expect(conversation.type).toBe('direct');
+    expect(conversation.members.map((m) => m.userId).sort()).toEqual([1, 2]);
+  });
+
+  test('reuses the existing conversation for the same pair', () => {
+    const { conversation, created } = conversationService.openDirectConversation(2, 1);
+
+    expect(created).toBe(false);
+    expect(conversation.id).toBe(1);
+  });
+
+  test('rejects a conversation with yourself', () => {
+    expect(() => conversationService.openDirectConversation(1, 1)).toThrow('yourself');
+  });
+
+  test('rejects an unknown user', () => {
+    expect(() => conversationService.openDirectConversation(1, 99)).toThrow('User not found');
+  });
+});
+
+describe('Conversation Message Recipients', () => {
+  test('accepts keys for exactly the conversation members', () => {
+    const keys = [
+      { userId: 1, encryptedKey: 'k-alice' },
+      { userId: 2, encryptedKey: 'k-bob' },
+    ];
+
+    const msg = messageService.createMessage(1, 'alice', 'enc', 'iv', keys, 1);
+
+    expect(msg.conversationId).toBe(1);
+    expect(mockMessages[mockMessages.length - 1].conversationId).toBe(1);
+  });
+
+  test('rejects keys for a non-member', () => {
+    const keys = [
+      { userId: 1, encryptedKey: 'k-alice' },
+      { userId: 2, encryptedKey: 'k-bob' },
+      { userId: 3, encryptedKey: 'k-charlie' },
+    ];
+
+    expect(() => messageService.createMessage(1, 'alice', 'enc', 'iv', keys, 1)).toThrow(
+      'Recipient keys do not match conversation members'
+    );
+  });
+
+  test('rejects keys missing a member', () => {
+    const keys = [{ userId: 1, encryptedKey: 'k-alice' }];
+
+    expect(() => messageService.createMessage(1, 'alice', 'enc', 'iv', keys, 1)).toThrow(
+      'Recipient keys do not match conversation members'
+    );
+  });
+
+  test('accepts a message that leaves out the sender\'s own key', () => {
+    const keys = [{ userId: 2, encryptedKey: 'k-bob' }];
+
+    expect(messageService.createMessage(1, 'alice', 'enc', 'iv', keys, 1).conversationId).toBe(1);
+  });
+
+  test('rejects two keys for the same member slot', () => {
+    const keys = [
+      { userId: 1, encryptedKey: 'k-alice' },
+      { userId: 2, encryptedKey: 'k-bob' },
+      { userId: 2, encryptedKey: 'k-bob-again' },
+    ];
+
+    expect(() => messageService.createMessage(1, 'alice', 'enc', 'iv', keys, 1)).toThrow(
+      'Recipient keys do not match conversation members'
+    );
+  });
+
+  test('rejects a sender who is not a member', () => {
+    const keys = [
+      { userId: 1, encryptedKey: 'k-alice' },
+      { userId: 2, encryptedKey: 'k-bob' },
+    ];
+
+    try {
+      messageService.createMessage(3, 'charlie', 'enc', 'iv', keys, 1);
+      throw new Error('expected createMessage to throw');
+    } catch (err) {
+      expect(err.status).toBe(403);
+    }
+  });
+
+  test('rejects an unknown conversation', () => {
+    expect(() =>
+      messageService.createMessage(1, 'alice', 'enc', 'iv', [{ userId: 1, encryptedKey: 'k' }], 42)
+    ).toThrow('Conversation not found');
+  });
+});
+
+describe('Group Conversations', () => {
+  let groupId;
+
+  test('creates a group with the creator as owner', () => {
+    const group = conversationService.createGroupConversation(1, 'Team', [2, 3]);
+    groupId = group.id;
+
+    expect(group.type).toBe('group');
+    expect(group.name).toBe('Team');
+    expect(group.members.find((m) => m.userId === 1).role).toBe('owner');
+    expect(group.members.find((m) => m.userId === 2).role).toBe('member');
+  });
+
+  test('plain members cannot invite', () => {
+    expect(() => conversationService.inviteMembers(groupId, 2, [4])).toThrow(
+      'Only owners and admins can invite members'
+    );
+  });
+
+  test('owner promotes a member to admin, who can then invite', () => {
+    conversationService.updateMemberRole(groupId, 1, 2, 'admin');
+    const group = conversationService.inviteMembers(groupId, 2, [4]);
+
+    expect(group.members.map((m) => m.userId).sort()).toEqual([1, 2, 3, 4]);
+  });
+
+  test('admins cannot remove the owner', () => {
+    expect(() => conversationService.removeMember(groupId, 2, 1)).toThrow('Insufficient role');
+  });
+
+  test('removed members fail membership checks on history and send', () => {
+    conversationService.removeMember(groupId, 2, 4);
+
+    expect(() => messageService.getMessageHistory(4, 1, 50, groupId)).toThrow('Not a member');
+
+    const keys = [1, 2, 3, 4].map((userId) => ({ userId, encryptedKey: `k-${userId}` }));
+    expect(() => messageService.createMessage(1, 'alice', 'enc', 'iv', keys, groupId)).toThrow(
+      'Recipient keys do not match conversation members'
+    );
+  });
+
+  test('members can read history of their own group', () => {
+    const history = messageService.getMessageHistory(3, 1, 50, groupId);
+    expect(history.messages).toEqual([]);
+  });
+
+  test('owner leaving hands ownership to an admin', () => {
+    conversationService.leaveConversation(groupId, 1);
+    const group = conversationService.getConversation(groupId, 2);
+
+    expect(group.members.find((m) => m.userId === 1)).toBeUndefined();
+    expect(group.members.find((m) => m.userId === 2).role).toBe('owner');
+  });
+
+  test('direct conversations have fixed membership', () => {
+    expect(() => conversationService.leaveConversation(1, 1)).toThrow(
+      'Membership of direct conversations cannot change'
+    );
+  });
+});
+
+describe('Conversation List', () => {
+  test('sorts by last activity and counts unread messages, delivered or not', () => {
+    const { conversations, general } = conversationService.listConversations(1);
+
+    expect(conversations.map((c) => c.id)).toEqual([11, 10]);
+    // Two delivered but unread, one not delivered yet; the read one and alice's own do not count
+    expect(conversations[0].unreadCount).toBe(3);
+    expect(conversations[1].unreadCount).toBe(0);
+    expect(conversations[0].lastMessage).toEqual({
+      id: 7,
+      senderId: 2,
+      senderUsername: 'bob',
+      createdAt: '2026-02-01T00:00:00Z',
+    });
+    expect(conversations[1].lastMessage).toBeNull();
+    expect(general.unreadCount).toBe(2);
+  });
+});
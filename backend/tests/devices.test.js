@@ -0,0 +1,388 @@
+process.env.ENCRYPTION_KEY = 'test-encryption-key-for-devices';
+
+const mockUsers = [
+  { id: 1, username: 'alice' },
+  { id: 2, username: 'bob' },
+];
+const mockDevices = [];
+const mockMessages = [];
+const mockDeliveries = [];
+const mockPreKeys = new Map();
+const mockOneTimePreKeys = [];
+let mockDeviceId = 1;
+let mockMsgId = 1;
+
+jest.mock('../src/data', () => ({
+  getDatabase: () => ({
+    findUserById: (id) => mockUsers.find((u) => u.id === id) || null,
+    createDevice: (userId, name, publicKey, signature) => {
+      const device = {
+        id: mockDeviceId++,
+        user_id: userId,
+        name,
+        public_key: publicKey,
+        signature,
+        created_at: new Date().toISOString(),
+        last_seen_at: null,
+      };
+      mockDevices.push(device);
+      return device;
+    },
+    getDevicesForUser: (userId) => mockDevices.filter((d) => d.user_id === userId),
+    findDeviceById: (id) => mockDevices.find((d) => d.id === id) || null,
+    deleteDevice: (id) => {
+      const idx = mockDevices.findIndex((d) => d.id === id);
+      if (idx !== -1) mockDevices.splice(idx, 1);
+    },
+    touchDevice: (id) => {
+      mockDevices.find((d) => d.id === id).last_seen_at = new Date().toISOString();
+    },
+    saveDevicePreKeys: (deviceId, identityKey, keyId, publicKey, signature) => {
+      mockPreKeys.set(deviceId, {
+        identity_key: identityKey,
+        signed_prekey_id: keyId,
+        signed_prekey: publicKey,
+        signed_prekey_signature: signature,
+      });
+    },
+    getDevicePreKeys: (deviceId) => mockPreKeys.get(deviceId) || null,
+    addOneTimePreKeys: (deviceId, preKeys) => {
+      for (const k of preKeys) {
+        mockOneTimePreKeys.push({ device_id: deviceId, key_id: k.keyId, public_key: k.publicKey });
+      }
+    },
+    countOneTimePreKeys: (deviceId) => mockOneTimePreKeys.filter((k) => k.device_id === deviceId).length,
+    claimOneTimePreKey: (deviceId) => {
+      const idx = mockOneTimePreKeys.findIndex((k) => k.device_id === deviceId);
+      return idx === -1 ? null : mockOneTimePreKeys.splice(idx, 1)[0];
+    },
+    createMessage: (senderId, encryptedContent, iv, conversationId, senderDeviceId) => {
+      const msg = { id: mockMsgId++, senderId, senderDeviceId, encryptedContent, iv, createdAt: new Date().toISOString() };
+      mockMessages.push(msg);
+      return msg;
+    },
+    createDeliveryWithKey: (messageId, userId, encryptedKey, keyVersion, deviceId, ratchetHeader) => {
+      mockDeliveries.push({ messageId, userId, deviceId, encryptedKey, ratchetHeader, deliveredTo: new Set() });
+    },
+    // One row per message: the device's own wrap if there is one, else the account wrap
+    getUndeliveredForUserE2E: (userId, deviceId) => {
+      const slot = deviceId ?? 'account';
+      const rows = [];
+      for (const msg of mockMessages) {
+        const mine = mockDeliveries.filter((d) => d.messageId === msg.id && d.userId === userId);
+        const d = mine.find((x) => x.deviceId === deviceId) || mine.find((x) => x.deviceId === null);
+        if (!d || mine.some((x) => x.deliveredTo.has(slot))) continue;
+        rows.push({
+          id: msg.id,
+          sender_id: msg.senderId,
+          sender_username: mockUsers.find((u) => u.id === msg.senderId).username,
+          sender_device_id: msg.senderDeviceId,
+          encrypted_content: msg.encryptedContent,
+          encryption_iv: msg.iv,
+          encrypted_key: d.encryptedKey,
+          device_id: d.deviceId,
+          ratchet_header: d.ratchetHeader,
+          created_at: msg.createdAt,
+        });
+      }
+      return rows;
+    },
+    // Returns receipt rows for what no device of the user had acknowledged before
+    markDeliveredMessages: (userId, deviceId, messageIds) => {
+      const rows = mockDeliveries.filter((x) => x.userId === userId && messageIds.includes(x.messageId));
+      const first = rows.filter((x) => x.deliveredTo.size === 0);
+      rows.forEach((x) => x.deliveredTo.add(deviceId ?? 'account'));
+      return first.map((x) => ({
+        message_id: x.messageId,
+        sender_id: mockMessages.find((m) => m.id === x.messageId).senderId,
+        user_id: userId,
+        delivered_at: '2026-01-01T00:00:00.000Z',
+        read_at: null,
+      }));
+    },
+    markDelivered: (messageId, userId, deviceId) => {
+      const d = mockDeliveries.find((x) => x.messageId === messageId && x.userId === userId);
+      if (d) d.deliveredTo.add(deviceId ?? 'account');
+    },
+  }),
+  initializeDatabase: jest.fn(),
+}));
+
+// Route tests sign in by header instead of a token
+jest.mock('../src/middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { userId: Number(req.headers['x-test-user']) };
+    next();
+  },
+}));
+
+const express = require('express');
+const request = require('supertest');
+const deviceService = require('../src/services/deviceService');
+const messageService = require('../src/services/messageService');
+const devicesRouter = require('../src/routes/devices');
+const { identifyDevice } = require('../src/middleware/device');
+const { ERROR_MESSAGES } = require('../src/utils/validation');
+const { MAX_DEVICES_PER_USER, MAX_ONE_TIME_PREKEYS, PREKEY_BUNDLE_RATE_LIMIT } = require('../src/config/constants');
+
+function mockResponse() {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn((body) => {
+      res.body = body;
+      return res;
+    }),
+    on: jest.fn(),
+  };
+  return res;
+}
+
+describe('Device Registry', () => {
+  test('registers a device and lists it without its key material', () => {
+    const device = deviceService.registerDevice(1, 'Laptop', 'pk-laptop', 'sig-laptop');
+
+    expect(device.name).toBe('Laptop');
+    expect(deviceService.listDevices(1)).toEqual([device]);
+    expect(device.publicKey).toBeUndefined();
+  });
+
+  test('caps the number of devices per user', () => {
+    for (let i = deviceService.listDevices(2).length; i < MAX_DEVICES_PER_USER; i++) {
+      deviceService.registerDevice(2, `Phone ${i}`, `pk-${i}`, `sig-${i}`);
+    }
+
+    expect(() => deviceService.registerDevice(2, 'One too many', 'pk', 'sig')).toThrow('Too many devices');
+  });
+
+  test('only the owner can remove a device', () => {
+    const device = deviceService.registerDevice(1, 'Tablet', 'pk-tablet', 'sig-tablet');
+
+    expect(() => deviceService.removeDevice(2, device.id)).toThrow('Device not found');
+    deviceService.removeDevice(1, device.id);
+    expect(deviceService.listDevices(1).map((d) => d.id)).not.toContain(device.id);
+  });
+
+  test('removing a device ends its poll and streams, not those of other devices', async () => {
+    const app = express().use('/api/devices', devicesRouter);
+    const removed = deviceService.registerDevice(1, 'Old phone', 'pk-old', 'sig-old');
+    const kept = deviceService.registerDevice(1, 'Desktop', 'pk-desktop', 'sig-desktop');
+    const poll = mockResponse();
+    const otherPoll = mockResponse();
+    const stream = { ...mockResponse(), write: jest.fn(), end: jest.fn() };
+    messageService.registerPollingClient(1, poll, removed.id);
+    messageService.registerPollingClient(1, otherPoll, kept.id);
+    messageService.registerStreamClient(1, stream, removed.id);
+
+    const res = await request(app).delete(`/api/devices/${removed.id}`).set('X-Test-User', '1');
+
+    expect(res.status).toBe(200);
+    expect(poll.status).toHaveBeenCalledWith(403);
+    expect(poll.body).toEqual({ error: ERROR_MESSAGES.device.unknown });
+    expect(stream.write).toHaveBeenLastCalledWith(expect.stringContaining('event: revoked'));
+    expect(stream.end).toHaveBeenCalled();
+    expect(otherPoll.json).not.toHaveBeenCalled();
+
+    messageService.removePollingClient(1, kept.id);
+    deviceService.removeDevice(1, kept.id);
+  });
+});
+
+describe('Device Identification', () => {
+  test('sessions without a device header use the account slot', () => {
+    const req = { headers: {}, user: { userId: 1 } };
+    const next = jest.fn();
+
+    identifyDevice(req, mockResponse(), next);
+
+    expect(req.deviceId).toBeNull();
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('accepts the user\'s own device and records activity', () => {
+    const device = deviceService.registerDevice(1, 'Desktop', 'pk-desktop', 'sig-desktop');
+    const req = { headers: { 'x-device-id': String(device.id) }, user: { userId: 1 } };
+    const next = jest.fn();
+
+    identifyDevice(req, mockResponse(), next);
+
+    expect(req.deviceId).toBe(device.id);
+    expect(next).toHaveBeenCalled();
+    expect(deviceService.listDevices(1).find((d) => d.id === device.id).lastSeenAt).not.toBeNull();
+  });
+
+  test('rejects a device that belongs to someone else', () => {
+    const [bobsDevice] = deviceService.listDevices(2);
+    const req = { headers: { 'x-device-id': String(bobsDevice.id) }, user: { userId: 1 } };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    identifyDevice(req, res, next);
+
+    expect(res.statusCode).toBe(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
+
+describe('Per-Device Delivery', () => {
+  let laptop;
+  let phone;
+
+  beforeAll(() => {
+    [laptop] = deviceService.listDevices(1);
+    phone = deviceService.registerDevice(1, 'Phone', 'pk-phone', 'sig-phone');
+  });
+
+  test('rejects a key addressed to another user\'s device', () => {
+    const [bobsDevice] = deviceService.listDevices(2);
+    const keys = [{ userId: 1, deviceId: bobsDevice.id, encryptedKey: 'k' }];
+
+    expect(() => messageService.createMessage(2, 'bob', 'enc', 'iv', keys)).toThrow(
+      'Device does not belong to recipient'
+    );
+  });
+
+  test('each device polls its own wrap and tracks its own delivery', () => {
+    const keys = [
+      { userId: 1, encryptedKey: 'k-alice-account' },
+      { userId: 1, deviceId: laptop.id, encryptedKey: 'k-alice-laptop' },
+      { userId: 1, deviceId: phone.id, encryptedKey: 'k-alice-phone' },
+    ];
+    messageService.createMessage(2, 'bob', 'multi-device-msg', 'iv', keys);
+
+    const onLaptop = messageService.getMessagesForUser(1, laptop.id);
+    expect(onLaptop.map((m) => m.encryptedKey)).toEqual(['k-alice-laptop']);
+    expect(onLaptop[0].deviceId).toBe(laptop.id);
+
+    // Acknowledging on the laptop does not consume the phone's copy
+    messageService.acknowledgeMessages(1, [onLaptop[0].id], laptop.id);
+    expect(messageService.getMessagesForUser(1, laptop.id)).toHaveLength(0);
+    expect(messageService.getMessagesForUser(1, phone.id).map((m) => m.encryptedKey)).toEqual(['k-alice-phone']);
+  });
+
+  test('sessions without a device get the account-key wrap', () => {
+    const msgs = messageService.getMessagesForUser(1, null);
+    const msg = msgs.find((m) => m.encryptedContent === 'multi-device-msg');
+
+    expect(msg.encryptedKey).toBe('k-alice-account');
+    expect(msg.deviceId).toBeNull();
+  });
+
+  test('broadcast reaches the sender\'s other devices but not the sending one', () => {
+    const laptopRes = mockResponse();
+    const phoneRes = mockResponse();
+    messageService.registerPollingClient(1, laptopRes, laptop.id);
+    messageService.registerPollingClient(1, phoneRes, phone.id);
+
+    const keys = [
+      { userId: 1, deviceId: laptop.id, encryptedKey: 'self-laptop' },
+      { userId: 1, deviceId: phone.id, encryptedKey: 'self-phone' },
+      { userId: 2, encryptedKey: 'k-bob' },
+    ];
+    messageService.createMessage(1, 'alice', 'from-laptop', 'iv', keys, null, laptop.id);
+
+    expect(laptopRes.json).not.toHaveBeenCalled();
+    expect(phoneRes.body.messages[0].encryptedKey).toBe('self-phone');
+
+    messageService.removePollingClient(1, laptop.id);
+  });
+});
+
+describe('Prekeys', () => {
+  let phone;
+  const signedPreKey = { keyId: 1, publicKey: 'spk-pub', signature: 'spk-sig' };
+
+  beforeAll(() => {
+    phone = deviceService.listDevices(1).find((d) => d.name === 'Phone');
+  });
+
+  test('a top-up needs a signed prekey on file first', () => {
+    expect(() => deviceService.uploadPreKeys(phone.id, { oneTimePreKeys: [{ keyId: 1, publicKey: 'otk-1' }] })).toThrow(
+      'Signed prekey required'
+    );
+  });
+
+  test('stores the signed prekey and one-time prekeys', () => {
+    const result = deviceService.uploadPreKeys(phone.id, {
+      identityKey: 'ik-phone',
+      signedPreKey,
+      oneTimePreKeys: [{ keyId: 1, publicKey: 'otk-1' }],
+    });
+
+    expect(result.oneTimePreKeys).toBe(1);
+    expect(deviceService.countPreKeys(phone.id).oneTimePreKeys).toBe(1);
+  });
+
+  test('caps the stored one-time prekeys', () => {
+    const tooMany = Array.from({ length: MAX_ONE_TIME_PREKEYS }, (_, i) => ({ keyId: i + 2, publicKey: `otk-${i + 2}` }));
+
+    expect(() => deviceService.uploadPreKeys(phone.id, { oneTimePreKeys: tooMany })).toThrow('Too many one-time prekeys');
+  });
+
+  test('bundles cover only devices with prekeys and consume one-time prekeys', () => {
+    const [first] = deviceService.getPreKeyBundles(1);
+    const [second] = deviceService.getPreKeyBundles(1);
+
+    expect(deviceService.getPreKeyBundles(1)).toHaveLength(1);
+    expect(first).toEqual({
+      deviceId: phone.id,
+      identityKey: 'ik-phone',
+      signedPreKey,
+      oneTimePreKey: { keyId: 1, publicKey: 'otk-1' },
+    });
+    expect(second.oneTimePreKey).toBeNull();
+  });
+
+  test('rejects bundles for an unknown user', () => {
+    expect(() => deviceService.getPreKeyBundles(99)).toThrow('User not found');
+  });
+
+  test('limits bundle fetches per requester and target before they drain one-time prekeys', async () => {
+    const app = express().use('/api/devices', devicesRouter);
+    const uploaded = PREKEY_BUNDLE_RATE_LIMIT + 5;
+    deviceService.uploadPreKeys(phone.id, {
+      oneTimePreKeys: Array.from({ length: uploaded }, (_, i) => ({ keyId: 100 + i, publicKey: `otk-${100 + i}` })),
+    });
+    const fetchAs = (userId) => request(app).get('/api/devices/bundles/1').set('X-Test-User', String(userId));
+
+    // The limiter is off under NODE_ENV=test like the others; this test needs it on
+    const env = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      for (let i = 0; i < PREKEY_BUNDLE_RATE_LIMIT; i++) {
+        expect((await fetchAs(2)).status).toBe(200);
+      }
+      const limited = await fetchAs(2);
+      await fetchAs(2);
+
+      expect(limited.status).toBe(429);
+      expect(deviceService.countPreKeys(phone.id).oneTimePreKeys).toBe(uploaded - PREKEY_BUNDLE_RATE_LIMIT);
+
+      // Another requester has its own allowance
+      expect((await fetchAs(1)).status).toBe(200);
+    } finally {
+      process.env.NODE_ENV = env;
+    }
+  });
+});
+
+describe('Forward-Secret Messages', () => {
+  test('keeps ratchet headers and a keyless row for the sending device', () => {
+    const [bobsDevice] = deviceService.listDevices(2);
+    const keys = [{ userId: 2, deviceId: bobsDevice.id, encryptedKey: 'ratchet-ct', ratchetHeader: '{"dh":"x","pn":0,"n":0}' }];
+    const [laptop] = deviceService.listDevices(1);
+
+    const msg = messageService.createMessage(1, 'alice', 'fs-msg', 'iv', keys, null, laptop.id);
+    const rows = mockDeliveries.filter((d) => d.messageId === msg.id);
+
+    expect(rows.find((d) => d.userId === 1)).toMatchObject({ deviceId: laptop.id, encryptedKey: null });
+
+    const received = messageService.getMessagesForUser(2, bobsDevice.id).find((m) => m.id === msg.id);
+    expect(received.ratchetHeader).toBe('{"dh":"x","pn":0,"n":0}');
+    expect(received.senderDeviceId).toBe(laptop.id);
+  });
+});
@@ -9,6 +9,34 @@ const mockUsers = [
   { id: 3, username: 'charlie', public_key: 'pk-charlie' },
 ];
 
+function mockRow(d) {
+  const msg = mockMessages.find((m) => m.id === d.messageId);
+  const user = mockUsers.find((u) => u.id === msg.senderId);
+  return {
+    id: msg.id,
+    sender_id: msg.senderId,
+    encrypted_content: msg.encrypted_content,
+    encryption_iv: msg.encryption_iv,
+    encrypted_key: d.encryptedKey,
+    key_version: d.keyVersion,
+    created_at: msg.created_at,
+    sender_username: user.username,
+  };
+}
+
+const mockSenderOf = (messageId) => mockMessages.find((m) => m.id === messageId).senderId;
+
+function mockReceipt(d) {
+  return {
+    message_id: d.messageId,
+    conversation_id: null,
+    sender_id: mockSenderOf(d.messageId),
+    user_id: d.userId,
+    delivered_at: d.deliveredAt,
+    read_at: d.readAt,
+  };
+}
+
 jest.mock('../src/data', () => ({
   getDatabase: () => ({
     createMessage: (senderId, encryptedContent, iv) => {
@@ -23,27 +51,51 @@ jest.mock('../src/data', () => ({
       return { id: msg.id, senderId, createdAt: msg.created_at };
     },
     getAllUsers: () => mockUsers,
-    createDeliveryWithKey: (messageId, userId, encryptedKey) => {
-      mockDeliveries.push({ messageId, userId, encryptedKey, delivered: 0 });
+    // One group, conversation 9, of alice and bob
+    findConversationById: (id) => (id === 9 ? { id: 9, type: 'group' } : null),
+    getConversationMember: (conversationId, userId) =>
+      conversationId === 9 && [1, 2].includes(userId) ? { user_id: userId, role: 'member' } : null,
+    getConversationMembers: (conversationId) => (conversationId === 9 ? [{ user_id: 1 }, { user_id: 2 }] : []),
+    createDeliveryWithKey: (messageId, userId, encryptedKey, keyVersion) => {
+      // The adapter resolves a null version to the recipient's current one (1 in these fixtures)
+      mockDeliveries.push({
+        messageId,
+        userId,
+        encryptedKey,
+        keyVersion: keyVersion ?? 1,
+        delivered: 0,
+        deliveredAt: null,
+        readAt: null,
+      });
     },
     getUndeliveredForUserE2E: (userId) => {
       const undelivered = mockDeliveries.filter(
         (d) => d.userId === userId && !d.delivered
       );
-      return undelivered.map((d) => {
-        const msg = mockMessages.find((m) => m.id === d.messageId);
-        const user = mockUsers.find((u) => u.id === msg.senderId);
-        return {
-          id: msg.id,
-          sender_id: msg.senderId,
-          encrypted_content: msg.encrypted_content,
-          encryption_iv: msg.encryption_iv,
-          encrypted_key: d.encryptedKey,
-          created_at: msg.created_at,
-          sender_username: user.username,
-        };
+      return undelivered.map(mockRow);
+    },
+    getMessagesForUserSinceE2E: (userId, deviceId, afterId) =>
+      mockDeliveries.filter((d) => d.userId === userId && d.messageId > afterId).map(mockRow),
+    // Returns the receipt rows it changed: deliveries that had no delivered_at yet
+    markDeliveredMessages: (userId, deviceId, messageIds) => {
+      const rows = mockDeliveries.filter((d) => d.userId === userId && messageIds.includes(d.messageId));
+      rows.forEach((d) => (d.delivered = 1));
+      const first = rows.filter((d) => !d.deliveredAt);
+      first.forEach((d) => (d.deliveredAt = '2026-01-01T00:00:01.000Z'));
+      return first.map(mockReceipt);
+    },
+    markReadUpTo: (userId, upToId) => {
+      const unread = mockDeliveries.filter((d) => d.userId === userId && d.messageId <= upToId && !d.readAt);
+      unread.forEach((d) => {
+        d.deliveredAt = d.deliveredAt || '2026-01-01T00:00:02.000Z';
+        d.readAt = '2026-01-01T00:00:02.000Z';
       });
+      return unread.map(mockReceipt);
     },
+    getReceiptsForMessages: (messageIds) =>
+      mockDeliveries
+        .filter((d) => messageIds.includes(d.messageId) && d.userId !== mockSenderOf(d.messageId))
+        .map(mockReceipt),
     markDelivered: (messageId, userId) => {
       const d = mockDeliveries.find(
         (x) => x.messageId === messageId && x.userId === userId
@@ -61,8 +113,10 @@ jest.mock('../src/data', () => ({
           const user = mockUsers.find((u) => u.id === msg.senderId);
           return {
             ...msg,
+            sender_id: msg.senderId,
             sender_username: user.username,
             encrypted_key: d.encryptedKey,
+            key_version: d.keyVersion,
           };
         }),
         total,
@@ -73,6 +127,7 @@ jest.mock('../src/data', () => ({
 }));
 
 const messageService = require('../src/services/messageService');
+const { getPubSub } = require('../src/pubsub');
 
 describe('E2E Message Creation', () => {
   test('creates a message and stores encrypted content as-is', () => {
@@ -125,9 +180,13 @@ describe('E2E Message Retrieval', () => {
     expect(msgs[0].content).toBeUndefined();
   });
 
-  test('marks messages as delivered after retrieval', () => {
-    const msgs = messageService.getMessagesForUser(2);
-    expect(msgs.length).toBe(0);
+  test('keeps messages pending until the client acknowledges them', () => {
+    // A response lost with its connection is sent again
+    const [msg] = messageService.getMessagesForUser(2);
+    expect(messageService.getMessagesForUser(2)).toHaveLength(1);
+
+    messageService.acknowledgeMessages(2, [msg.id]);
+    expect(messageService.getMessagesForUser(2)).toHaveLength(0);
   });
 
   test('different users get their own encrypted keys', () => {
@@ -162,6 +221,69 @@ describe('E2E Message Broadcasting', () => {
   });
 });
 
+describe('Delivery Cursor', () => {
+  const keys = [
+    { userId: 1, encryptedKey: 'k1' },
+    { userId: 3, encryptedKey: 'k3' },
+  ];
+
+  function mockResponse() {
+    const res = {
+      json: jest.fn((body) => {
+        res.body = body;
+        return res;
+      }),
+      on: jest.fn(),
+    };
+    return res;
+  }
+
+  beforeEach(() => {
+    // Charlie's device starts with everything sent so far
+    messageService.acknowledgeMessages(3, messageService.getMessagesForUser(3).map((m) => m.id));
+  });
+
+  test('a cursor returns everything newer and acknowledges nothing', () => {
+    const first = messageService.createMessage(1, 'alice', 'first', 'iv', keys);
+    const second = messageService.createMessage(1, 'alice', 'second', 'iv', keys);
+
+    messageService.acknowledgeMessages(3, [first.id]);
+    const afterFirst = messageService.getMessagesForUser(3, null, first.id);
+    expect(afterFirst.map((m) => m.encryptedContent)).toEqual(['second']);
+
+    // The second message was sent but never acknowledged, so it keeps coming back, even past it
+    expect(messageService.getMessagesForUser(3, null, first.id)).toHaveLength(1);
+    expect(messageService.getMessagesForUser(3, null, second.id).map((m) => m.id)).toEqual([second.id]);
+
+    messageService.acknowledgeMessages(3, [second.id]);
+    expect(messageService.getMessagesForUser(3, null, second.id)).toHaveLength(0);
+    expect(messageService.getMessagesForUser(3)).toHaveLength(0);
+  });
+
+  test('pushes that arrive out of order lose neither message', () => {
+    const pubsub = getPubSub();
+    const publish = pubsub.publish;
+    const held = [];
+    pubsub.publish = (channel, payload) => held.push([channel, payload]);
+    const earlier = messageService.createMessage(1, 'alice', 'committed-first', 'iv', keys);
+    const later = messageService.createMessage(1, 'alice', 'pushed-first', 'iv', keys);
+    pubsub.publish = publish;
+
+    // The later message reaches the parked poll before the earlier one is pushed
+    const res = mockResponse();
+    messageService.registerPollingClient(3, res);
+    held.reverse().forEach(([channel, payload]) => publish(channel, payload));
+    expect(res.body.messages.map((m) => m.id)).toEqual([later.id]);
+    messageService.acknowledgeMessages(3, [later.id]);
+
+    // The next poll carries the newer id as its cursor and still gets the earlier message
+    const next = messageService.getMessagesForUser(3, null, later.id);
+    expect(next.map((m) => m.encryptedContent)).toEqual(['committed-first']);
+    messageService.acknowledgeMessages(3, [earlier.id]);
+    expect(messageService.getMessagesForUser(3, null, later.id)).toHaveLength(0);
+  });
+});
+
 describe('E2E Message History', () => {
   test('returns paginated encrypted history for specific user', () => {
     // User 3 (charlie) should have history entries
@@ -187,3 +309,231 @@ describe('E2E Message History', () => {
     expect(history.total).toBeGreaterThan(1);
   });
 });
+
+describe('Key Versions', () => {
+  test('records the key version each delivery was wrapped for', () => {
+    const keys = [
+      { userId: 1, encryptedKey: 'v3-key-alice', keyVersion: 3 },
+      { userId: 2, encryptedKey: 'v1-key-bob' },
+    ];
+
+    const msg = messageService.createMessage(1, 'alice', 'versioned-msg', 'iv-v', keys);
+    const deliveries = mockDeliveries.filter((d) => d.messageId === msg.id);
+
+    expect(deliveries.find((d) => d.userId === 1).keyVersion).toBe(3);
+    expect(deliveries.find((d) => d.userId === 2).keyVersion).toBe(1);
+  });
+
+  test('returns the key version with history so old keys can be picked', () => {
+    const history = messageService.getMessageHistory(1, 1, 100);
+    const versioned = history.messages.find((m) => m.encryptedContent === 'versioned-msg');
+
+    expect(versioned.keyVersion).toBe(3);
+  });
+});
+
+describe('Receipts', () => {
+  function mockResponse() {
+    const res = {
+      json: jest.fn((body) => {
+        res.body = body;
+        return res;
+      }),
+      on: jest.fn(),
+    };
+    return res;
+  }
+
+  const keys = [
+    { userId: 1, encryptedKey: 'k1' },
+    { userId: 2, encryptedKey: 'k2' },
+    { userId: 3, encryptedKey: 'k3' },
+  ];
+
+  test('a recipient acknowledging a message wakes the sender\'s poll with a delivery receipt', () => {
+    const msg = messageService.createMessage(1, 'alice', 'receipt-me', 'iv', keys);
+    const res = mockResponse();
+    messageService.registerPollingClient(1, res);
+
+    messageService.acknowledgeMessages(2, [msg.id]);
+
+    expect(res.body.messages).toEqual([]);
+    expect(res.body.receipts).toContainEqual({
+      messageId: msg.id,
+      conversationId: null,
+      userId: 2,
+      deliveredAt: '2026-01-01T00:00:01.000Z',
+      readAt: null,
+    });
+  });
+
+  test('reading marks delivered too and sends nothing for the reader\'s own messages', () => {
+    const msg = messageService.createMessage(1, 'alice', 'read-me', 'iv', keys);
+    const own = messageService.createMessage(3, 'charlie', 'mine', 'iv', keys);
+    const alice = mockResponse();
+    const charlie = mockResponse();
+    messageService.registerPollingClient(1, alice);
+    messageService.registerPollingClient(3, charlie);
+
+    messageService.markMessagesRead(3, own.id);
+
+    expect(alice.body.receipts).toContainEqual(expect.objectContaining({
+      messageId: msg.id,
+      userId: 3,
+      deliveredAt: '2026-01-01T00:00:02.000Z',
+      readAt: '2026-01-01T00:00:02.000Z',
+    }));
+    expect(charlie.json).not.toHaveBeenCalled();
+    messageService.removePollingClient(3);
+  });
+
+  test('history carries a receipt per recipient on own messages only', () => {
+    const msg = messageService.createMessage(2, 'bob', 'history-receipts', 'iv', keys);
+    messageService.markMessagesRead(3, msg.id);
+
+    const { messages } = messageService.getMessageHistory(2, 1, 100);
+    const own = messages.find((m) => m.id === msg.id);
+    const other = messages.find((m) => m.senderId !== 2);
+
+    expect(own.receipts).toEqual([
+      expect.objectContaining({ userId: 1, readAt: null }),
+      expect.objectContaining({ userId: 3, readAt: '2026-01-01T00:00:02.000Z' }),
+    ]);
+    expect(other.receipts).toBeUndefined();
+  });
+});
+
+describe('Typing Indicators', () => {
+  const { TYPING_TIMEOUT_MS } = require('../src/config/constants');
+
+  function mockResponse() {
+    const res = {
+      json: jest.fn((body) => {
+        res.body = body;
+        return res;
+      }),
+      on: jest.fn(),
+    };
+    return res;
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  // An open SSE stream; close() ends it like a client disconnecting
+  function mockStream() {
+    const handlers = {};
+    return {
+      write: jest.fn(),
+      on: jest.fn((event, handler) => {
+        handlers[event] = handler;
+      }),
+      close: () => handlers.close(),
+    };
+  }
+
+  const typingEvents = (stream) =>
+    stream.write.mock.calls
+      .filter(([frame]) => frame.startsWith('event: typing'))
+      .map(([frame]) => JSON.parse(frame.split('data: ')[1]).typing);
+
+  test('a ping reaches the other members\' polls as a typing event, and not the typist\'s', () => {
+    const alice = mockResponse();
+    const bob = mockResponse();
+    messageService.registerPollingClient(1, alice);
+    messageService.registerPollingClient(2, bob);
+
+    messageService.setTyping(1, 'alice', 9);
+
+    expect(bob.body).toEqual({
+      messages: [],
+      typing: [{ conversationId: 9, userId: 1, username: 'alice', typing: true }],
+    });
+    expect(alice.json).not.toHaveBeenCalled();
+    messageService.removePollingClient(1);
+
+    // Let it run out so it does not carry over into the next test
+    jest.advanceTimersByTime(TYPING_TIMEOUT_MS);
+  });
+
+  test('ends when the pings stop, and every ping before that keeps it going', () => {
+    messageService.setTyping(1, 'alice', 9);
+    jest.advanceTimersByTime(TYPING_TIMEOUT_MS - 1000);
+    messageService.setTyping(1, 'alice', 9);
+    jest.advanceTimersByTime(TYPING_TIMEOUT_MS - 1000);
+
+    const bob = mockResponse();
+    messageService.registerPollingClient(2, bob);
+    expect(bob.json).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1000);
+    expect(bob.body.typing).toEqual([{ conversationId: 9, userId: 1, username: 'alice', typing: false }]);
+  });
+
+  test('in the general room polls hear a typist start at most once per interval, streams hear every event', () => {
+    const { GENERAL_TYPING_POLL_INTERVAL_MS } = require('../src/config/constants');
+    const started = { conversationId: null, userId: 1, username: 'alice', typing: true };
+    const charlieStream = mockStream();
+    messageService.registerStreamClient(3, charlieStream);
+
+    let bobPoll = mockResponse();
+    messageService.registerPollingClient(2, bobPoll);
+    messageService.setTyping(1, 'alice');
+    expect(bobPoll.body).toEqual({ messages: [], typing: [started] });
+
+    // The next ping comes too soon to wake the poll again
+    bobPoll = mockResponse();
+    messageService.registerPollingClient(2, bobPoll);
+    jest.advanceTimersByTime(GENERAL_TYPING_POLL_INTERVAL_MS - 2000);
+    messageService.setTyping(1, 'alice');
+    expect(bobPoll.json).not.toHaveBeenCalled();
+
+    // One after the interval renews the indicator there
+    jest.advanceTimersByTime(2000);
+    messageService.setTyping(1, 'alice');
+    expect(bobPoll.body).toEqual({ messages: [], typing: [started] });
+
+    // The end is left to the client's own timeout
+    bobPoll = mockResponse();
+    messageService.registerPollingClient(2, bobPoll);
+    jest.advanceTimersByTime(TYPING_TIMEOUT_MS);
+    expect(bobPoll.json).not.toHaveBeenCalled();
+    expect(typingEvents(charlieStream)).toEqual([[started], [started], [started], [{ ...started, typing: false }]]);
+
+    messageService.removePollingClient(2);
+    charlieStream.close();
+  });
+
+  test('sending the message ends it right away', () => {
+    messageService.setTyping(2, 'bob');
+    const charlie = mockStream();
+    messageService.registerStreamClient(3, charlie);
+
+    // Keyed for alice only, so charlie's stream gets nothing but the end of the indicator
+    messageService.createMessage(2, 'bob', 'typed', 'iv', [{ userId: 1, encryptedKey: 'k1' }]);
+
+    expect(typingEvents(charlie)).toEqual([[{ conversationId: null, userId: 2, username: 'bob', typing: false }]]);
+    charlie.close();
+  });
+
+  test('in a conversation only its other members hear about it, and only members may ping', () => {
+    const bob = mockResponse();
+    const charlie = mockResponse();
+    messageService.registerPollingClient(2, bob);
+    messageService.registerPollingClient(3, charlie);
+
+    messageService.setTyping(1, 'alice', 9);
+
+    expect(bob.body.typing).toEqual([{ conversationId: 9, userId: 1, username: 'alice', typing: true }]);
+    expect(charlie.json).not.toHaveBeenCalled();
+    expect(() => messageService.setTyping(3, 'charlie', 9)).toThrow(expect.objectContaining({ status: 403 }));
+
+    messageService.removePollingClient(3);
+    jest.advanceTimersByTime(TYPING_TIMEOUT_MS);
+  });
+});
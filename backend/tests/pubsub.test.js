@@ -0,0 +1,243 @@
+process.env.ENCRYPTION_KEY = 'test-encryption-key-for-pubsub';
+
+// A stand-in for Redis: every connection shares one broker, like clients of one server
+jest.mock('ioredis', () => {
+  const { EventEmitter } = require('events');
+  const mockBroker = new EventEmitter();
+
+  return class MockRedis extends EventEmitter {
+    // Set to an array to hold back publishes, which the test then releases in any order
+    static held = null;
+
+    static release(order) {
+      const held = MockRedis.held;
+      MockRedis.held = null;
+      order(held).forEach(([channel, raw]) => mockBroker.emit('publish', channel, raw));
+    }
+
+    constructor() {
+      super();
+      this.channels = new Set();
+      this.onPublish = (channel, raw) => {
+        if (this.channels.has(channel)) this.emit('message', channel, raw);
+      };
+      mockBroker.on('publish', this.onPublish);
+    }
+
+    async subscribe(channel) {
+      this.channels.add(channel);
+    }
+
+    async publish(channel, raw) {
+      if (MockRedis.held) MockRedis.held.push([channel, raw]);
+      else mockBroker.emit('publish', channel, raw);
+    }
+
+    async quit() {
+      mockBroker.off('publish', this.onPublish);
+    }
+  };
+});
+
+// Messages from 42 on, each delivered to the account slot of its recipients
+const mockDeliveries = [];
+let mockNextId = 42;
+
+function mockRow(d) {
+  return { id: d.messageId, sender_id: d.senderId, encrypted_content: 'enc', encrypted_key: d.encryptedKey };
+}
+
+jest.mock('../src/data', () => ({
+  getDatabase: () => ({
+    createMessage: (senderId) => ({ id: mockNextId++, senderId, createdAt: '2026-01-01T00:00:00.000Z' }),
+    createDeliveryWithKey: (messageId, userId, encryptedKey) =>
+      mockDeliveries.push({ messageId, userId, encryptedKey, senderId: 1, delivered: false }),
+    markDelivered: jest.fn(),
+    getUndeliveredForUserE2E: (userId) =>
+      mockDeliveries.filter((d) => d.userId === userId && !d.delivered).map(mockRow),
+    getMessagesForUserSinceE2E: (userId, deviceId, afterId) =>
+      mockDeliveries.filter((d) => d.userId === userId && d.messageId > afterId).map(mockRow),
+    markDeliveredMessages: (userId, deviceId, messageIds) => {
+      mockDeliveries
+        .filter((d) => d.userId === userId && messageIds.includes(d.messageId))
+        .forEach((d) => (d.delivered = true));
+      return [];
+    },
+  }),
+  initializeDatabase: jest.fn(),
+}));
+
+const { EventEmitter } = require('events');
+const { createLocalPubSub } = require('../src/pubsub/local');
+const { createClusterPubSub, relayClusterMessages } = require('../src/pubsub/cluster');
+const { createRedisPubSub } = require('../src/pubsub/redis');
+
+// Lets the mocked Redis deliver its async publishes
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+function mockResponse() {
+  const res = {
+    json: jest.fn((body) => {
+      res.body = body;
+      return res;
+    }),
+    on: jest.fn(),
+  };
+  return res;
+}
+
+describe('Local Pub/Sub', () => {
+  test('runs subscribers synchronously, keeps going past a failing one and unsubscribes', () => {
+    const pubsub = createLocalPubSub();
+    const failing = jest.fn(() => {
+      throw new Error('boom');
+    });
+    const handler = jest.fn();
+    pubsub.subscribe('messages', failing);
+    const unsubscribe = pubsub.subscribe('messages', handler);
+
+    pubsub.publish('messages', { id: 1 });
+    unsubscribe();
+    pubsub.publish('messages', { id: 2 });
+
+    expect(failing).toHaveBeenCalledTimes(2);
+    expect(handler.mock.calls).toEqual([[{ id: 1 }]]);
+  });
+});
+
+describe('Cluster Pub/Sub', () => {
+  const { send, connected } = process;
+
+  afterEach(() => {
+    process.send = send;
+    process.connected = connected;
+  });
+
+  test('a worker delivers locally, sends to the primary and takes what the primary relays', async () => {
+    process.send = jest.fn();
+    process.connected = true;
+    const pubsub = createClusterPubSub();
+    const handler = jest.fn();
+    pubsub.subscribe('messages', handler);
+
+    pubsub.publish('messages', { id: 1 });
+    process.emit('message', { type: 'messaging:pubsub', channel: 'messages', payload: { id: 2 } });
+    process.emit('message', { type: 'something-else', channel: 'messages', payload: { id: 3 } });
+
+    expect(process.send).toHaveBeenCalledWith(
+      { type: 'messaging:pubsub', channel: 'messages', payload: { id: 1 } },
+      expect.any(Function)
+    );
+    expect(handler.mock.calls).toEqual([[{ id: 1 }], [{ id: 2 }]]);
+
+    await pubsub.close();
+  });
+
+  test('the primary relays to every other live worker', () => {
+    const cluster = new EventEmitter();
+    const worker = (id, isConnected = true) => ({ id, send: jest.fn(), isConnected: () => isConnected });
+    cluster.workers = { 1: worker(1), 2: worker(2), 3: worker(3, false) };
+    relayClusterMessages(cluster);
+
+    const msg = { type: 'messaging:pubsub', channel: 'messages', payload: { id: 1 } };
+    cluster.emit('message', cluster.workers[1], msg);
+    cluster.emit('message', cluster.workers[1], { type: 'other' });
+
+    expect(cluster.workers[1].send).not.toHaveBeenCalled();
+    expect(cluster.workers[2].send.mock.calls).toEqual([[msg]]);
+    expect(cluster.workers[3].send).not.toHaveBeenCalled();
+  });
+});
+
+describe('Redis Pub/Sub', () => {
+  test('reaches subscribers in other processes once, and the publisher\'s own once', async () => {
+    const serverA = createRedisPubSub('redis://test');
+    const serverB = createRedisPubSub('redis://test');
+    const onA = jest.fn();
+    const onB = jest.fn();
+    serverA.subscribe('messages', onA);
+    serverB.subscribe('messages', onB);
+    serverB.subscribe('sessions:revoked', jest.fn());
+
+    serverA.publish('messages', { id: 1 });
+    await flush();
+
+    expect(onA.mock.calls).toEqual([[{ id: 1 }]]);
+    expect(onB.mock.calls).toEqual([[{ id: 1 }]]);
+
+    await Promise.all([serverA.close(), serverB.close()]);
+  });
+});
+
+describe('Fan-Out Between Servers', () => {
+  // Two servers, each with its own poll registry, sharing only the (mocked) Redis
+  function startServer() {
+    let messageService;
+    jest.isolateModules(() => {
+      messageService = require('../src/services/messageService');
+    });
+    return messageService;
+  }
+
+  beforeAll(() => {
+    process.env.REDIS_URL = 'redis://test';
+  });
+
+  afterAll(() => {
+    delete process.env.REDIS_URL;
+  });
+
+  test('a message sent through one server wakes a poll parked on another', async () => {
+    const serverA = startServer();
+    const serverB = startServer();
+    const res = mockResponse();
+    serverB.registerPollingClient(2, res, null, 'sid-bob');
+
+    serverA.createMessage(1, 'alice', 'enc', 'iv', [
+      { userId: 1, encryptedKey: 'k-alice' },
+      { userId: 2, encryptedKey: 'k-bob' },
+    ]);
+    await flush();
+
+    expect(res.body.messages).toEqual([expect.objectContaining({ id: 42, encryptedKey: 'k-bob' })]);
+  });
+
+  test('messages relayed out of order by another server are not lost', async () => {
+    const Redis = require('ioredis');
+    const serverA = startServer();
+    const serverB = startServer();
+    const keys = [
+      { userId: 1, encryptedKey: 'k-alice' },
+      { userId: 3, encryptedKey: 'k-charlie' },
+    ];
+
+    Redis.held = [];
+    const earlier = serverA.createMessage(1, 'alice', 'enc', 'iv', keys);
+    const later = serverA.createMessage(1, 'alice', 'enc', 'iv', keys);
+    await flush();
+
+    // Server B hands the later message to the parked poll first
+    const res = mockResponse();
+    serverB.registerPollingClient(3, res, null, 'sid-charlie');
+    Redis.release((held) => held.reverse());
+    await flush();
+    expect(res.body.messages.map((m) => m.id)).toEqual([later.id]);
+    serverB.acknowledgeMessages(3, [later.id]);
+
+    // The next poll, with the later id as its cursor, still gets the earlier one
+    expect(serverB.getMessagesForUser(3, null, later.id).map((m) => m.id)).toEqual([earlier.id]);
+  });
+
+  test('revoking a session closes its poll on another server', async () => {
+    const serverA = startServer();
+    const serverB = startServer();
+    const res = mockResponse();
+    res.status = jest.fn(() => res);
+    serverB.registerPollingClient(2, res, null, 'sid-revoked');
+
+    serverA.closeSessionConnections(['sid-revoked']);
+    await flush();
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
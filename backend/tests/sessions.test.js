@@ -0,0 +1,184 @@
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.ENCRYPTION_KEY = 'test-encryption-key-for-sessions';
+
+const mockSessions = [];
+
+jest.mock('../src/data', () => ({
+  getDatabase: () => ({
+    createSession: (sessionId, userId, userAgent, ip) => {
+      mockSessions.push({
+        id: sessionId,
+        user_id: userId,
+        user_agent: userAgent,
+        ip,
+        created_at: new Date().toISOString(),
+        last_seen_at: null,
+        revoked_at: null,
+      });
+    },
+    findSession: (sessionId) => mockSessions.find((s) => s.id === sessionId) || null,
+    touchSession: (sessionId, userAgent, ip) => {
+      Object.assign(mockSessions.find((s) => s.id === sessionId), {
+        user_agent: userAgent,
+        ip,
+        last_seen_at: new Date().toISOString(),
+      });
+    },
+    getUserSessions: (userId) => mockSessions.filter((s) => s.user_id === userId && !s.revoked_at),
+    revokeSession: (sessionId) => {
+      mockSessions.find((s) => s.id === sessionId).revoked_at = new Date().toISOString();
+    },
+    revokeUserSessions: (userId) => {
+      mockSessions.filter((s) => s.user_id === userId).forEach((s) => (s.revoked_at = new Date().toISOString()));
+    },
+  }),
+  initializeDatabase: jest.fn(),
+}));
+
+const jwt = require('jsonwebtoken');
+const sessionService = require('../src/services/sessionService');
+const messageService = require('../src/services/messageService');
+const { authenticateToken } = require('../src/middleware/auth');
+const { SESSION_TOUCH_INTERVAL_MS } = require('../src/config/constants');
+
+const laptop = { userAgent: 'Mozilla/5.0 (X11; Linux x86_64) Firefox/128.0', ip: '10.0.0.5' };
+const phone = { userAgent: 'Mozilla/5.0 (iPhone) Safari/604.1', ip: '10.0.0.9' };
+
+function mockResponse() {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn((body) => {
+      res.body = body;
+      return res;
+    }),
+    on: jest.fn(),
+  };
+  return res;
+}
+
+function authRequest(userId, sessionId) {
+  const token = jwt.sign({ userId, username: 'alice', sid: sessionId }, process.env.JWT_SECRET);
+  return { headers: { authorization: `Bearer ${token}`, 'user-agent': laptop.userAgent }, ip: '10.0.0.7', path: '/' };
+}
+
+describe('Session List', () => {
+  test('lists open sessions with their client and marks the current one', () => {
+    const current = sessionService.createSession(1, laptop);
+    sessionService.createSession(1, phone);
+    sessionService.createSession(2, laptop);
+
+    const sessions = sessionService.listSessions(1, current);
+
+    expect(sessions).toHaveLength(2);
+    expect(sessions.find((s) => s.current)).toMatchObject({ id: current, ...laptop });
+    expect(sessions.find((s) => !s.current)).toMatchObject(phone);
+  });
+
+  test('keeps long user agents short', () => {
+    const sessionId = sessionService.createSession(3, { userAgent: 'x'.repeat(5000), ip: '10.0.0.1' });
+
+    expect(sessionService.listSessions(3, sessionId)[0].userAgent).toHaveLength(256);
+  });
+});
+
+describe('Session Revocation', () => {
+  test('only the owner can revoke a session', () => {
+    const sessionId = sessionService.createSession(1, phone);
+
+    expect(() => sessionService.revokeSession(2, sessionId)).toThrow('Session not found');
+    expect(() => sessionService.revokeSession(1, 'no-such-session')).toThrow('Session not found');
+
+    sessionService.revokeSession(1, sessionId);
+    expect(sessionService.listSessions(1, null).map((s) => s.id)).not.toContain(sessionId);
+    expect(() => sessionService.revokeSession(1, sessionId)).toThrow('Session not found');
+  });
+
+  test('a revoked session\'s access token stops working right away', () => {
+    const sessionId = sessionService.createSession(1, laptop);
+    const next = jest.fn();
+
+    authenticateToken(authRequest(1, sessionId), mockResponse(), next);
+    expect(next).toHaveBeenCalledTimes(1);
+
+    sessionService.revokeSession(1, sessionId);
+    const res = mockResponse();
+    authenticateToken(authRequest(1, sessionId), res, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('records the client and time of each request', () => {
+    const sessionId = sessionService.createSession(1, phone);
+
+    const req = authRequest(1, sessionId);
+    authenticateToken(req, mockResponse(), jest.fn());
+
+    const session = sessionService.listSessions(1, sessionId).find((s) => s.current);
+    expect(session).toMatchObject({ userAgent: laptop.userAgent, ip: '10.0.0.7' });
+    expect(session.lastSeenAt).not.toBeNull();
+    expect(req.user.sid).toBe(sessionId);
+  });
+
+  test('writes activity at most once a minute per session', () => {
+    const sessionId = sessionService.createSession(1, phone);
+    const stored = mockSessions.find((s) => s.id === sessionId);
+
+    authenticateToken(authRequest(1, sessionId), mockResponse(), jest.fn());
+    expect(stored.ip).toBe('10.0.0.7');
+
+    // Within the minute the next request reads the session without writing it
+    stored.ip = phone.ip;
+    authenticateToken(authRequest(1, sessionId), mockResponse(), jest.fn());
+    expect(stored.ip).toBe(phone.ip);
+
+    stored.last_seen_at = new Date(Date.now() - SESSION_TOUCH_INTERVAL_MS).toISOString();
+    authenticateToken(authRequest(1, sessionId), mockResponse(), jest.fn());
+    expect(stored.ip).toBe('10.0.0.7');
+  });
+
+  test('rejects tokens that are not tied to a session', () => {
+    const token = jwt.sign({ userId: 1, username: 'alice' }, process.env.JWT_SECRET);
+    const res = mockResponse();
+    const next = jest.fn();
+
+    authenticateToken({ headers: { authorization: `Bearer ${token}` }, path: '/' }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('ends the long poll of the revoked session only', () => {
+    const revoked = sessionService.createSession(4, laptop);
+    const kept = sessionService.createSession(5, phone);
+    const revokedRes = mockResponse();
+    const keptRes = mockResponse();
+    messageService.registerPollingClient(4, revokedRes, null, revoked);
+    messageService.registerPollingClient(5, keptRes, null, kept);
+
+    sessionService.revokeSession(4, revoked);
+
+    expect(revokedRes.statusCode).toBe(401);
+    expect(revokedRes.json).toHaveBeenCalledTimes(1);
+    expect(keptRes.json).not.toHaveBeenCalled();
+
+    messageService.removePollingClient(5, null);
+  });
+
+  test('signing out everywhere ends every session of the user', () => {
+    const first = sessionService.createSession(6, laptop);
+    sessionService.createSession(6, phone);
+    const res = mockResponse();
+    messageService.registerPollingClient(6, res, null, first);
+
+    sessionService.endUserSessions(6);
+
+    expect(sessionService.listSessions(6, first)).toEqual([]);
+    expect(res.statusCode).toBe(401);
+  });
+});
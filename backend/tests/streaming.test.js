@@ -0,0 +1,190 @@
+process.env.ENCRYPTION_KEY = 'test-encryption-key-for-streaming';
+
+const mockMessages = [];
+const mockDeliveries = [];
+let mockMsgId = 1;
+
+// Account-key deliveries only; a delivery row tracks which slots ("account" or a device id) got it
+function mockRow(msg, d) {
+  return {
+    id: msg.id,
+    sender_id: msg.senderId,
+    sender_username: msg.senderId === 1 ? 'alice' : 'bob',
+    encrypted_content: msg.encryptedContent,
+    encryption_iv: msg.iv,
+    encrypted_key: d.encryptedKey,
+    created_at: msg.createdAt,
+  };
+}
+
+jest.mock('../src/data', () => ({
+  getDatabase: () => ({
+    createMessage: (senderId, encryptedContent, iv) => {
+      const msg = { id: mockMsgId++, senderId, encryptedContent, iv, createdAt: new Date().toISOString() };
+      mockMessages.push(msg);
+      return msg;
+    },
+    createDeliveryWithKey: (messageId, userId, encryptedKey) => {
+      mockDeliveries.push({ messageId, userId, encryptedKey, deliveredTo: new Set() });
+    },
+    getUndeliveredForUserE2E: (userId, deviceId) =>
+      mockMessages.flatMap((msg) => {
+        const d = mockDeliveries.find((x) => x.messageId === msg.id && x.userId === userId);
+        return d && !d.deliveredTo.has(deviceId ?? 'account') ? [mockRow(msg, d)] : [];
+      }),
+    getMessagesForUserSinceE2E: (userId, deviceId, afterId) =>
+      mockMessages.flatMap((msg) => {
+        const d = mockDeliveries.find((x) => x.messageId === msg.id && x.userId === userId);
+        return d && msg.id > afterId ? [mockRow(msg, d)] : [];
+      }),
+    // Returns receipt rows for what no device of the user had acknowledged before
+    markDeliveredMessages: (userId, deviceId, messageIds) => {
+      const rows = mockDeliveries.filter((x) => x.userId === userId && messageIds.includes(x.messageId));
+      const first = rows.filter((x) => x.deliveredTo.size === 0);
+      rows.forEach((x) => x.deliveredTo.add(deviceId ?? 'account'));
+      return first.map((x) => ({
+        message_id: x.messageId,
+        sender_id: mockMessages.find((m) => m.id === x.messageId).senderId,
+        user_id: userId,
+        delivered_at: '2026-01-01T00:00:00.000Z',
+        read_at: null,
+      }));
+    },
+    markDelivered: (messageId, userId, deviceId) => {
+      const d = mockDeliveries.find((x) => x.messageId === messageId && x.userId === userId);
+      if (d) d.deliveredTo.add(deviceId ?? 'account');
+    },
+  }),
+  initializeDatabase: jest.fn(),
+}));
+
+const messageService = require('../src/services/messageService');
+const { STREAM_HEARTBEAT_MS } = require('../src/config/constants');
+
+function mockStream() {
+  const handlers = {};
+  const res = {
+    write: jest.fn(),
+    end: jest.fn(),
+    on: jest.fn((event, handler) => {
+      handlers[event] = handler;
+    }),
+    close: () => handlers.close(),
+  };
+  return res;
+}
+
+// The events written to a stream so far, parsed back from the SSE frames
+function eventsOf(res) {
+  return res.write.mock.calls
+    .map(([frame]) => frame)
+    .filter((frame) => !frame.startsWith(':'))
+    .map((frame) => {
+      const fields = Object.fromEntries(frame.trim().split('\n').map((line) => line.split(/: (.*)/s).slice(0, 2)));
+      return { id: fields.id, event: fields.event, data: JSON.parse(fields.data) };
+    });
+}
+
+function send(senderId, content, recipientIds) {
+  const keys = recipientIds.map((userId) => ({ userId, encryptedKey: `key-${userId}` }));
+  return messageService.createMessage(senderId, senderId === 1 ? 'alice' : 'bob', content, 'iv', keys);
+}
+
+describe('Message Stream', () => {
+  test('sends what is pending, then each new message as an event named by its id', () => {
+    const pendingMsg = send(1, 'while-offline', [1, 2]);
+    const res = mockStream();
+
+    messageService.registerStreamClient(2, res, null, 'sid-bob', messageService.getMessagesForUser(2));
+    const liveMsg = send(1, 'live', [1, 2]);
+
+    expect(eventsOf(res)).toEqual([
+      { id: String(pendingMsg.id), data: { messages: [expect.objectContaining({ encryptedContent: 'while-offline' })] } },
+      { id: String(liveMsg.id), data: { messages: [expect.objectContaining({ encryptedKey: 'key-2' })] } },
+    ]);
+    // Streamed messages count as delivered once acknowledged
+    expect(messageService.getMessagesForUser(2)).toHaveLength(2);
+    messageService.acknowledgeMessages(2, [pendingMsg.id, liveMsg.id]);
+    expect(messageService.getMessagesForUser(2)).toEqual([]);
+
+    res.close();
+  });
+
+  test('every open tab of the device gets the message, and closed ones stop getting them', () => {
+    const firstTab = mockStream();
+    const secondTab = mockStream();
+    messageService.registerStreamClient(2, firstTab, null, 'sid-bob');
+    messageService.registerStreamClient(2, secondTab, null, 'sid-bob');
+
+    send(1, 'to-both-tabs', [1, 2]);
+    secondTab.close();
+    send(1, 'to-first-tab', [1, 2]);
+
+    expect(eventsOf(firstTab)).toHaveLength(2);
+    expect(eventsOf(secondTab)).toHaveLength(1);
+
+    firstTab.close();
+  });
+
+  test('a reconnect with Last-Event-ID gets back messages lost with the connection', () => {
+    messageService.acknowledgeMessages(2, messageService.getMessagesForUser(2).map((m) => m.id));
+    const res = mockStream();
+    messageService.registerStreamClient(2, res, null, 'sid-bob');
+    const lost = send(1, 'lost-in-flight', [1, 2]);
+    res.close();
+
+    const resumed = messageService.getMessagesForUser(2, null, lost.id - 1);
+
+    expect(resumed.map((m) => m.encryptedContent)).toEqual(['lost-in-flight']);
+  });
+
+  test('the sender\'s streams get receipts as events without an id', () => {
+    const msg = send(1, 'receipted', [1, 2]);
+    const res = mockStream();
+    messageService.registerStreamClient(1, res, null, 'sid-alice');
+
+    messageService.acknowledgeMessages(2, [msg.id]);
+
+    expect(eventsOf(res)).toEqual([
+      {
+        id: undefined,
+        event: 'receipts',
+        data: {
+          receipts: [{ messageId: msg.id, conversationId: null, userId: 2, deliveredAt: expect.any(String), readAt: null }],
+        },
+      },
+    ]);
+
+    res.close();
+  });
+
+  test('quiet streams get heartbeat comments until they close', () => {
+    jest.useFakeTimers();
+    const res = mockStream();
+    messageService.registerStreamClient(2, res, null, 'sid-bob');
+
+    jest.advanceTimersByTime(STREAM_HEARTBEAT_MS * 2);
+    expect(res.write.mock.calls).toEqual([[': ping\n\n'], [': ping\n\n']]);
+
+    res.close();
+    jest.advanceTimersByTime(STREAM_HEARTBEAT_MS);
+    expect(res.write).toHaveBeenCalledTimes(2);
+    jest.useRealTimers();
+  });
+
+  test('revoking the session ends its streams', () => {
+    const revoked = mockStream();
+    const other = mockStream();
+    messageService.registerStreamClient(2, revoked, null, 'sid-revoked');
+    messageService.registerStreamClient(2, other, null, 'sid-other');
+
+    messageService.closeSessionConnections(['sid-revoked']);
+    send(1, 'after-revocation', [1, 2]);
+
+    expect(eventsOf(revoked)).toEqual([{ id: undefined, event: 'revoked', data: { error: expect.any(String) } }]);
+    expect(revoked.end).toHaveBeenCalled();
+    expect(eventsOf(other)).toHaveLength(1);
+
+    other.close();
+  });
+});
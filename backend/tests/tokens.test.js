@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+// Loads config/jwt and utils/tokens fresh under the given environment
+function loadTokens(env) {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  let tokens;
+  jest.isolateModules(() => {
+    tokens = require('../src/utils/tokens');
+  });
+  process.env = saved;
+  return tokens;
+}
+
+function writeKey(dir, file, key) {
+  fs.writeFileSync(path.join(dir, file), key.export({ type: file.endsWith('.pub.pem') ? 'spki' : 'pkcs8', format: 'pem' }));
+}
+
+describe('Shared secret (HS256)', () => {
+  const tokens = loadTokens({ JWT_SECRET: 'test-jwt-secret', JWT_KEYS_DIR: '' });
+
+  test('signs without a kid and publishes no keys', () => {
+    const token = tokens.signToken({ userId: 1 }, '15m');
+
+    expect(jwt.decode(token, { complete: true }).header).toEqual({ alg: 'HS256', typ: 'JWT' });
+    expect(tokens.verifyToken(token).userId).toBe(1);
+    expect(tokens.getJwks()).toEqual({ keys: [] });
+  });
+});
+
+describe('Asymmetric signing keys', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+  const retired = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const current = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const next = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  writeKey(dir, '2025-06.pub.pem', retired.publicKey);
+  writeKey(dir, '2026-01.pem', current.privateKey);
+  writeKey(dir, '2026-07.pem', next.privateKey);
+
+  const tokens = loadTokens({ JWT_KEYS_DIR: dir, JWT_SIGNING_KID: '2026-01', JWT_SECRET: '' });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('signs with the active key and names it in the kid header', () => {
+    const token = tokens.signToken({ userId: 1, sid: 's1' }, '15m');
+
+    expect(jwt.decode(token, { complete: true }).header).toMatchObject({ alg: 'ES256', kid: '2026-01' });
+    expect(tokens.verifyToken(token)).toMatchObject({ userId: 1, sid: 's1' });
+  });
+
+  test('still accepts tokens from a retired key and one being phased in', () => {
+    const fromRetired = jwt.sign({ userId: 2 }, retired.privateKey, { algorithm: 'RS256', keyid: '2025-06' });
+    const fromNext = jwt.sign({ userId: 3 }, next.privateKey, { algorithm: 'RS256', keyid: '2026-07' });
+
+    expect(tokens.verifyToken(fromRetired).userId).toBe(2);
+    expect(tokens.verifyToken(fromNext).userId).toBe(3);
+  });
+
+  test('rejects unknown kids, missing kids and the shared secret', () => {
+    const stranger = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const unknownKid = jwt.sign({ userId: 1 }, stranger.privateKey, { algorithm: 'RS256', keyid: 'other' });
+    const noKid = jwt.sign({ userId: 1 }, next.privateKey, { algorithm: 'RS256' });
+    const hmac = jwt.sign({ userId: 1 }, 'test-jwt-secret');
+
+    expect(() => tokens.verifyToken(unknownKid)).toThrow('unknown signing key');
+    expect(() => tokens.verifyToken(noKid)).toThrow('unknown signing key');
+    expect(() => tokens.verifyToken(hmac)).toThrow('unknown signing key');
+  });
+
+  test('refuses an HMAC token keyed with a published public key', () => {
+    const publicPem = next.publicKey.export({ type: 'spki', format: 'pem' });
+    const forged = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: '2026-07' })).toString('base64url');
+    const body = Buffer.from(JSON.stringify({ userId: 1 })).toString('base64url');
+    const signature = crypto.createHmac('sha256', publicPem).update(`${forged}.${body}`).digest('base64url');
+
+    expect(() => tokens.verifyToken(`${forged}.${body}.${signature}`)).toThrow();
+  });
+
+  test('publishes every verification key, without private parts', () => {
+    const { keys } = tokens.getJwks();
+
+    expect(keys.map((k) => [k.kid, k.alg, k.kty])).toEqual([
+      ['2025-06', 'RS256', 'RSA'],
+      ['2026-01', 'ES256', 'EC'],
+      ['2026-07', 'RS256', 'RSA'],
+    ]);
+    keys.forEach((k) => expect(k.d).toBeUndefined());
+
+    // A verifier holding only the JWKS can check our tokens
+    const token = tokens.signToken({ userId: 1 }, '15m');
+    const jwk = keys.find((k) => k.kid === '2026-01');
+    expect(jwt.verify(token, crypto.createPublicKey({ key: jwk, format: 'jwk' })).userId).toBe(1);
+  });
+
+  test('refuses to start when the signing kid has no private key', () => {
+    expect(() => loadTokens({ JWT_KEYS_DIR: dir, JWT_SIGNING_KID: '2025-06' })).toThrow('JWT_SIGNING_KID');
+  });
+});
+
+describe('Ed25519 signing key (EdDSA)', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+  const current = crypto.generateKeyPairSync('ed25519');
+  const retired = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+  writeKey(dir, '2025-06.pub.pem', retired.publicKey);
+  writeKey(dir, '2026-01.pem', current.privateKey);
+
+  const tokens = loadTokens({ JWT_KEYS_DIR: dir, JWT_SIGNING_KID: '2026-01', JWT_SECRET: '' });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('signs and verifies with the Ed25519 key', () => {
+    const token = tokens.signToken({ userId: 1, sid: 's1' }, '15m');
+    const { header, payload } = jwt.decode(token, { complete: true });
+
+    expect(header).toEqual({ alg: 'EdDSA', typ: 'JWT', kid: '2026-01' });
+    expect(payload.exp - payload.iat).toBe(15 * 60);
+    expect(tokens.verifyToken(token)).toMatchObject({ userId: 1, sid: 's1' });
+  });
+
+  test('rejects tampered, expired and foreign tokens', () => {
+    const [header, , signature] = tokens.signToken({ userId: 1 }, '15m').split('.');
+    const claims = { userId: 2, exp: Math.floor(Date.now() / 1000) + 60 };
+    const body = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const stranger = crypto.generateKeyPairSync('ed25519').privateKey;
+    const strangerSignature = crypto.sign(null, Buffer.from(`${header}.${body}`), stranger).toString('base64url');
+
+    expect(() => tokens.verifyToken(`${header}.${body}.${signature}`)).toThrow('invalid signature');
+    expect(() => tokens.verifyToken(`${header}.${body}.${strangerSignature}`)).toThrow('invalid signature');
+    expect(() => tokens.verifyToken(tokens.signToken({ userId: 1 }, '-1s'))).toThrow('jwt expired');
+    expect(() => tokens.verifyToken(jwt.sign({ userId: 1 }, 'test-jwt-secret', { keyid: '2026-01' }))).toThrow(
+      'invalid algorithm'
+    );
+  });
+
+  test('publishes the key as an OKP key on Ed25519', () => {
+    const { keys } = tokens.getJwks();
+    const jwk = keys.find((k) => k.kid === '2026-01');
+
+    expect(jwk).toMatchObject({ kty: 'OKP', crv: 'Ed25519', alg: 'EdDSA', use: 'sig' });
+    expect(jwk.d).toBeUndefined();
+
+    // A verifier holding only the JWKS can check our tokens
+    const [header, body, signature] = tokens.signToken({ userId: 1 }, '15m').split('.');
+    const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    const signed = Buffer.from(`${header}.${body}`);
+    expect(crypto.verify(null, signed, publicKey, Buffer.from(signature, 'base64url'))).toBe(true);
+  });
+});
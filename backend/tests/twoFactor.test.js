@@ -0,0 +1,200 @@
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.ENCRYPTION_KEY = 'test-encryption-key-for-2fa';
+
+const mockUsers = [];
+const mockBackupCodes = [];
+const mockSessions = [];
+
+jest.mock('../src/data', () => ({
+  getDatabase: () => ({
+    findUserByUsername: (username) => mockUsers.find((u) => u.username === username) || null,
+    findUserById: (id) => mockUsers.find((u) => u.id === id) || null,
+    getArchivedUserKeys: () => [],
+    // Starts the count over when the last failure is older than resetBefore; returns the new count
+    recordFailedLogin: (userId, resetBefore) => {
+      const user = mockUsers.find((u) => u.id === userId);
+      const recent = user.failed_login_count && user.last_failed_login_at >= resetBefore;
+      user.failed_login_count = recent ? user.failed_login_count + 1 : 1;
+      user.last_failed_login_at = Date.now();
+      return user.failed_login_count;
+    },
+    // Never shortens a longer lock
+    lockUserUntil: (userId, lockedUntil) => {
+      const user = mockUsers.find((u) => u.id === userId);
+      user.locked_until = Math.max(user.locked_until || 0, lockedUntil);
+    },
+    clearFailedLogins: (userId) => {
+      Object.assign(mockUsers.find((u) => u.id === userId), {
+        failed_login_count: 0,
+        last_failed_login_at: null,
+        locked_until: null,
+      });
+    },
+    setPendingTotpSecret: (userId, encryptedSecret, iv) => {
+      Object.assign(mockUsers.find((u) => u.id === userId), { totp_secret: encryptedSecret, totp_secret_iv: iv });
+    },
+    enableTotp: (userId, lastStep, backupCodeHashes) => {
+      Object.assign(mockUsers.find((u) => u.id === userId), { totp_enabled: 1, totp_last_step: lastStep });
+      for (const hash of backupCodeHashes) {
+        mockBackupCodes.push({ id: mockBackupCodes.length + 1, user_id: userId, code_hash: hash, used_at: null });
+      }
+    },
+    disableTotp: (userId) => {
+      Object.assign(mockUsers.find((u) => u.id === userId), {
+        totp_enabled: 0,
+        totp_secret: null,
+        totp_secret_iv: null,
+        totp_last_step: null,
+      });
+      mockBackupCodes.filter((c) => c.user_id === userId).forEach((c) => (c.used_at = Date.now()));
+    },
+    setTotpLastStep: (userId, step) => {
+      mockUsers.find((u) => u.id === userId).totp_last_step = step;
+    },
+    findTotpBackupCode: (userId, codeHash) =>
+      mockBackupCodes.find((c) => c.user_id === userId && c.code_hash === codeHash) || null,
+    useTotpBackupCode: (codeId) => {
+      mockBackupCodes.find((c) => c.id === codeId).used_at = Date.now();
+    },
+    countTotpBackupCodes: (userId) => mockBackupCodes.filter((c) => c.user_id === userId && !c.used_at).length,
+    createSession: (sessionId, userId) => mockSessions.push({ id: sessionId, user_id: userId }),
+    createRefreshToken: jest.fn(),
+  }),
+  initializeDatabase: jest.fn(),
+}));
+
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const totp = require('../src/utils/totp');
+const twoFactorService = require('../src/services/twoFactorService');
+const { loginUser, loginWithSecondFactor } = require('../src/services/authService');
+
+// The code an authenticator app would show right now
+const currentCode = (secret) => totp.generateCode(secret, totp.currentStep());
+
+describe('TOTP', () => {
+  // RFC 6238 appendix B, SHA-1 secret "12345678901234567890", truncated to 6 digits
+  const rfcSecret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+  test('matches the RFC 6238 test vectors', () => {
+    expect(totp.generateCode(rfcSecret, totp.currentStep(59 * 1000))).toBe('287082');
+    expect(totp.generateCode(rfcSecret, totp.currentStep(1111111109 * 1000))).toBe('081804');
+    expect(totp.generateCode(rfcSecret, totp.currentStep(2000000000 * 1000))).toBe('279037');
+  });
+
+  test('accepts one step of clock drift and nothing beyond', () => {
+    const now = 1111111109 * 1000;
+
+    expect(totp.verifyCode(rfcSecret, '081804', now + 30 * 1000)).toBe(totp.currentStep(now));
+    expect(totp.verifyCode(rfcSecret, '081804', now + 90 * 1000)).toBeNull();
+    expect(totp.verifyCode(rfcSecret, '81804', now)).toBeNull();
+  });
+
+  test('builds a provisioning URI for authenticator apps', () => {
+    const uri = totp.provisioningUri(rfcSecret, 'alice', 'SecureMessaging');
+
+    expect(uri).toMatch(/^otpauth:\/\/totp\/SecureMessaging%3Aalice\?/);
+    expect(new URL(uri).searchParams.get('secret')).toBe(rfcSecret);
+  });
+});
+
+describe('Two-Factor Enrollment', () => {
+  let secret;
+  let backupCodes;
+
+  beforeAll(async () => {
+    mockUsers.push({ id: 1, username: 'alice', password_hash: await bcrypt.hash('password123', 4) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // The code used to enable 2FA is spent; later tests use the authenticator's next one
+  const nextStep = () => jest.spyOn(Date, 'now').mockReturnValue(enabledAt + 30 * 1000);
+  let enabledAt;
+
+  test('setup needs the password and leaves 2FA off until confirmed', async () => {
+    await expect(twoFactorService.beginEnrollment(1, 'wrong-password')).rejects.toThrow('Invalid password');
+
+    ({ secret } = await twoFactorService.beginEnrollment(1, 'password123'));
+
+    expect(mockUsers[0].totp_secret).not.toContain(secret);
+    expect(twoFactorService.getStatus(1)).toEqual({ enabled: false, backupCodesLeft: 0 });
+  });
+
+  test('a wrong code does not enable 2FA', () => {
+    const wrong = currentCode(secret) === '000000' ? '111111' : '000000';
+
+    expect(() => twoFactorService.confirmEnrollment(1, wrong)).toThrow('Invalid two-factor code');
+    expect(twoFactorService.getStatus(1).enabled).toBe(false);
+  });
+
+  test('a code from the app enables 2FA and returns backup codes', () => {
+    enabledAt = Date.now();
+    ({ backupCodes } = twoFactorService.confirmEnrollment(1, currentCode(secret)));
+
+    expect(backupCodes).toHaveLength(10);
+    expect(twoFactorService.getStatus(1)).toEqual({ enabled: true, backupCodesLeft: 10 });
+  });
+
+  test('login with the password alone only returns a challenge', async () => {
+    const result = await loginUser('alice', 'password123');
+
+    expect(result).toEqual({ twoFactorRequired: true, challengeToken: expect.any(String) });
+    expect(jwt.decode(result.challengeToken).sid).toBeUndefined();
+  });
+
+  test('the challenge and a code complete the login', async () => {
+    nextStep();
+    const { challengeToken } = await loginUser('alice', 'password123');
+
+    const result = loginWithSecondFactor(challengeToken, currentCode(secret));
+
+    expect(result.token).toEqual(expect.any(String));
+    expect(result.user).toEqual({ id: 1, username: 'alice' });
+  });
+
+  test('a code is accepted only once', async () => {
+    nextStep();
+    const { challengeToken } = await loginUser('alice', 'password123');
+
+    expect(() => loginWithSecondFactor(challengeToken, currentCode(secret))).toThrow('Invalid two-factor code');
+  });
+
+  test('each backup code works once, with or without its dash', async () => {
+    const { challengeToken } = await loginUser('alice', 'password123');
+
+    expect(loginWithSecondFactor(challengeToken, backupCodes[0].replace('-', '').toUpperCase()).token).toBeDefined();
+    expect(() => loginWithSecondFactor(challengeToken, backupCodes[0])).toThrow('Invalid two-factor code');
+    expect(twoFactorService.getStatus(1).backupCodesLeft).toBe(9);
+  });
+
+  test('refuses access tokens and expired challenges as a challenge', async () => {
+    const accessToken = jwt.sign({ userId: 1, username: 'alice', sid: 'session' }, process.env.JWT_SECRET);
+    const expired = jwt.sign({ userId: 1, purpose: 'login-2fa' }, process.env.JWT_SECRET, { expiresIn: -1 });
+
+    expect(() => loginWithSecondFactor(accessToken, backupCodes[1])).toThrow('Login challenge expired');
+    expect(() => loginWithSecondFactor(expired, backupCodes[1])).toThrow('Login challenge expired');
+  });
+
+  test('wrong codes count toward the account lockout', async () => {
+    const { challengeToken } = await loginUser('alice', 'password123');
+    Object.assign(mockUsers[0], { failed_login_count: 3, last_failed_login_at: Date.now() });
+
+    expect(() => loginWithSecondFactor(challengeToken, 'wrong-codes')).toThrow('Invalid two-factor code');
+    // Locked: even a valid code is refused, and not used up
+    expect(() => loginWithSecondFactor(challengeToken, backupCodes[1])).toThrow('Invalid two-factor code');
+
+    mockUsers[0].locked_until = null;
+  });
+
+  test('disabling needs the password and a code', async () => {
+    await expect(twoFactorService.disable(1, 'password123', 'nope0-nope0')).rejects.toThrow('Invalid two-factor code');
+
+    await twoFactorService.disable(1, 'password123', backupCodes[2]);
+
+    expect(twoFactorService.getStatus(1).enabled).toBe(false);
+    expect((await loginUser('alice', 'password123')).token).toBeDefined();
+  });
+});
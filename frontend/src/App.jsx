@@ -1,11 +1,15 @@
+import { useState } from 'react';
 import { useAuth } from './hooks/useAuth';
 import AuthPage from './components/Auth/AuthPage';
+import LockScreen from './components/Auth/LockScreen';
 import ChatPage from './components/Chat/ChatPage';
+import AccountPage from './components/Account/AccountPage';
 import LoadingSpinner from './components/Common/LoadingSpinner';
 import './App.css';
 
 function App() {
-  const { user, loading, logout } = useAuth();
+  const { user, loading, locked, logout, lock, failedLogins, dismissFailedLogins } = useAuth();
+  const [showAccount, setShowAccount] = useState(false);
 
   if (loading) {
     return <LoadingSpinner />;
@@ -15,17 +19,34 @@ function App() {
     return <AuthPage />;
   }
 
+  if (locked) {
+    return <LockScreen />;
+  }
+
   return (
     <div className="app-container">
       <header className="app-header">
         <h1>Secure Messaging</h1>
         <div className="user-info">
           <span>שלום, {user.username}</span>
+          <button onClick={() => setShowAccount((v) => !v)}>
+            {showAccount ? 'חזרה לצ׳אט' : 'חשבון'}
+          </button>
+          <button onClick={lock}>נעל</button>
           <button onClick={logout}>התנתק</button>
         </div>
       </header>
+      {failedLogins && (
+        <div className="login-notice" role="alert">
+          <span>
+            {failedLogins.count} ניסיונות התחברות כושלים לחשבון מאז הכניסה הקודמת, האחרון
+            ב-{new Date(failedLogins.lastAttemptAt).toLocaleString('he-IL')}. אם לא אתה ניסית להתחבר, שנה את הסיסמה.
+          </span>
+          <button onClick={dismissFailedLogins}>הבנתי</button>
+        </div>
+      )}
       <main className="app-main">
-        <ChatPage />
+        {showAccount ? <AccountPage /> : <ChatPage />}
       </main>
     </div>
   );
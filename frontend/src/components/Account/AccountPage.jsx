@@ -0,0 +1,26 @@
+import PasswordChangeForm from './PasswordChangeForm';
+import KeyRotationForm from './KeyRotationForm';
+import RecoveryCodesForm from './RecoveryCodesForm';
+import TwoFactorForm from './TwoFactorForm';
+import DeviceList from './DeviceList';
+import SessionList from './SessionList';
+import DataExportForm from './DataExportForm';
+import DeleteAccountForm from './DeleteAccountForm';
+import styles from './AccountPage.module.css';
+
+function AccountPage() {
+  return (
+    <div className={styles.page}>
+      <PasswordChangeForm />
+      <TwoFactorForm />
+      <KeyRotationForm />
+      <RecoveryCodesForm />
+      <DeviceList />
+      <SessionList />
+      <DataExportForm />
+      <DeleteAccountForm />
+    </div>
+  );
+}
+
+export default AccountPage;
@@ -0,0 +1,45 @@
+import { useState } from 'react';
+import { useAuth } from '../../hooks/useAuth';
+import { exportAccount } from '../../services/users';
+import styles from './AccountPage.module.css';
+
+function DataExportForm() {
+  const { user } = useAuth();
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleExport = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const archive = await exportAccount();
+      const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `account-${user.id}-export.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.response?.data?.error || 'ייצוא הנתונים נכשל. נסה שוב.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <section className={styles.section}>
+      <h2 className={styles.title}>ייצוא הנתונים שלי</h2>
+      <p className={styles.hint}>
+        קובץ JSON עם כל מה שהשרת שומר על החשבון: פרטי החשבון, המפתחות הציבוריים והגיבויים המוצפנים, חיבורים,
+        מכשירים, שיחות והודעות. תוכן ההודעות נשאר מוצפן כפי שהוא שמור בשרת.
+      </p>
+      {error && <div className={styles.error}>{error}</div>}
+      <button type="button" className={styles.submitBtn} onClick={handleExport} disabled={loading}>
+        {loading ? 'מייצא...' : 'הורד את הנתונים'}
+      </button>
+    </section>
+  );
+}
+
+export default DataExportForm;
@@ -0,0 +1,86 @@
+import { useState, useEffect } from 'react';
+import { getTwoFactorStatus } from '../../services/authService';
+import { deleteAccount } from '../../services/users';
+import { clearAuth } from '../../utils/storage';
+import styles from './AccountPage.module.css';
+
+function DeleteAccountForm() {
+  const [twoFactorEnabled, setTwoFactorEnabled] = useState(false);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [confirmed, setConfirmed] = useState(false);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    getTwoFactorStatus()
+      .then((status) => setTwoFactorEnabled(status.enabled))
+      .catch(() => {});
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!password || !confirmed) return;
+
+    setLoading(true);
+    setError('');
+    try {
+      await deleteAccount(password, code.trim());
+      // The sessions are gone with the account; drop the local keys and start over
+      await clearAuth();
+      window.location.reload();
+    } catch (err) {
+      setError(err.response?.data?.error || 'מחיקת החשבון נכשלה. נסה שוב.');
+      setLoading(false);
+    }
+  };
+
+  const canSubmit = password && confirmed && (!twoFactorEnabled || code.trim()) && !loading;
+
+  return (
+    <section className={styles.section}>
+      <h2 className={styles.title}>מחיקת החשבון</h2>
+      <p className={styles.hint}>
+        החשבון, המפתחות, המכשירים והחיבורים נמחקים לצמיתות. הודעות ששלחת יישארו אצל אחרים כ&quot;הודעה
+        שנמחקה&quot;, בלי התוכן. כדאי לייצא את הנתונים לפני כן.
+      </p>
+      {error && <div className={styles.error}>{error}</div>}
+      <form className={styles.form} onSubmit={handleSubmit}>
+        <label className={styles.label} htmlFor="delete-password">סיסמה</label>
+        <input
+          id="delete-password"
+          type="password"
+          className={styles.input}
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="current-password"
+          disabled={loading}
+        />
+        {twoFactorEnabled && (
+          <>
+            <label className={styles.label} htmlFor="delete-code">קוד אימות</label>
+            <input
+              id="delete-code"
+              type="text"
+              className={styles.input}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoComplete="one-time-code"
+              dir="ltr"
+              disabled={loading}
+            />
+          </>
+        )}
+        <label className={styles.label}>
+          <input type="checkbox" checked={confirmed} onChange={(e) => setConfirmed(e.target.checked)} /> אני מבין
+          שלא ניתן לשחזר את החשבון
+        </label>
+        <button type="submit" className={styles.dangerBtn} disabled={!canSubmit}>
+          {loading ? 'מוחק...' : 'מחק את החשבון'}
+        </button>
+      </form>
+    </section>
+  );
+}
+
+export default DeleteAccountForm;
@@ -0,0 +1,59 @@
+import { useState, useEffect } from 'react';
+import { getDevices, removeDevice } from '../../services/devices';
+import { getDevice } from '../../utils/storage';
+import styles from './AccountPage.module.css';
+
+function DeviceList() {
+  const [devices, setDevices] = useState([]);
+  const [error, setError] = useState('');
+  const currentDeviceId = getDevice()?.deviceId ?? null;
+
+  useEffect(() => {
+    getDevices()
+      .then(setDevices)
+      .catch(() => setError('טעינת המכשירים נכשלה.'));
+  }, []);
+
+  const handleRemove = async (deviceId) => {
+    setError('');
+    try {
+      await removeDevice(deviceId);
+      setDevices((prev) => prev.filter((d) => d.id !== deviceId));
+    } catch (err) {
+      setError(err.response?.data?.error || 'הסרת המכשיר נכשלה. נסה שוב.');
+    }
+  };
+
+  return (
+    <section className={styles.section}>
+      <h2 className={styles.title}>מכשירים מחוברים</h2>
+      <p className={styles.hint}>
+        לכל מכשיר מפתח הצפנה משלו. מכשיר שהוסר מפסיק לקבל הודעות חדשות ומנותק בבקשה הבאה שלו.
+      </p>
+
+      {error && <div className={styles.error}>{error}</div>}
+
+      <ul className={styles.deviceList}>
+        {devices.map((device) => (
+          <li key={device.id} className={styles.deviceItem}>
+            <div>
+              <span className={styles.deviceName}>{device.name}</span>
+              {device.id === currentDeviceId && <span className={styles.currentDevice}>מכשיר זה</span>}
+              <div className={styles.deviceMeta}>
+                נוסף {new Date(device.createdAt).toLocaleDateString('he-IL')}
+                {device.lastSeenAt && ` · פעיל לאחרונה ${new Date(device.lastSeenAt).toLocaleString('he-IL')}`}
+              </div>
+            </div>
+            {device.id !== currentDeviceId && (
+              <button type="button" className={styles.removeBtn} onClick={() => handleRemove(device.id)}>
+                הסר
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+export default DeviceList;
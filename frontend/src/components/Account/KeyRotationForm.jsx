@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { rotateKeys as rotateKeysApi } from '../../services/users';
+import { regenerateRecoveryCodes } from '../../services/recovery';
+import { generateRSAKeyPair, encryptPrivateKey } from '../../utils/crypto';
+import { setPrivateKey, archivePrivateKey, getKeyVault, updateKeyVault } from '../../utils/storage';
+import RecoveryCodeList from '../Common/RecoveryCodeList';
+import styles from './AccountPage.module.css';
+
+const NEW_CODES_WARNING =
+  'קודי השחזור הקודמים אינם תקפים עוד: הם לא משחזרים את המפתח החדש. שמור את הקודים החדשים במקום בטוח, הם לא יוצגו שוב.';
+
+function KeyRotationForm() {
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [codes, setCodes] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!password) return;
+
+    setLoading(true);
+    setError('');
+    setSuccess('');
+    setCodes(null);
+
+    try {
+      // New key pair, backed up under the same password as before
+      const { publicKey, privateKey } = await generateRSAKeyPair();
+      const { encryptedPrivateKey, iv } = encryptPrivateKey(privateKey, password);
+
+      const { keyVersion } = await rotateKeysApi(password, publicKey, encryptedPrivateKey, iv);
+
+      // The old private key still unwraps history sent to the previous version
+      await archivePrivateKey(keyVersion - 1);
+      await setPrivateKey(privateKey);
+
+      const vault = getKeyVault();
+      updateKeyVault({
+        privateKey: { encryptedPrivateKey, iv },
+        archivedKeys: { ...vault?.archivedKeys, [keyVersion - 1]: vault?.privateKey },
+      });
+
+      setPassword('');
+      setSuccess(`מפתחות ההצפנה הוחלפו (גרסה ${keyVersion}). אנשי קשר שאימתו אותך יצטרכו להשוות מספר ביטחון מחדש.`);
+
+      // Codes made before the rotation cannot restore the new key; replace them right away
+      try {
+        setCodes(await regenerateRecoveryCodes(password));
+      } catch {
+        setError('קודי השחזור הקודמים אינם תקפים עוד, ויצירת קודים חדשים נכשלה. צור קודי שחזור חדשים למטה.');
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'החלפת המפתחות נכשלה. נסה שוב.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <section className={styles.section}>
+      <h2 className={styles.title}>החלפת מפתחות הצפנה</h2>
+      <p className={styles.hint}>
+        יוצר זוג מפתחות RSA חדש להודעות חדשות. המפתח הקודם נשמר בארכיון כדי שהיסטוריית ההודעות תמשיך להיפתח.
+        קודי השחזור הקיימים לא יכסו את המפתח החדש, ולכן הם מוחלפים בקודים חדשים מיד לאחר ההחלפה.
+      </p>
+
+      {error && <div className={styles.error}>{error}</div>}
+      {success && <div className={styles.success}>{success}</div>}
+      {codes && <RecoveryCodeList codes={codes} warning={NEW_CODES_WARNING} />}
+
+      <form className={styles.form} onSubmit={handleSubmit}>
+        <label className={styles.label} htmlFor="rotate-password">סיסמה נוכחית</label>
+        <input
+          id="rotate-password"
+          type="password"
+          className={styles.input}
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="current-password"
+          disabled={loading}
+        />
+        <button type="submit" className={styles.submitBtn} disabled={!password || loading}>
+          {loading ? 'מחליף מפתחות...' : 'החלף מפתחות'}
+        </button>
+      </form>
+    </section>
+  );
+}
+
+export default KeyRotationForm;
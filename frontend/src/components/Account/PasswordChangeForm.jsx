@@ -0,0 +1,129 @@
+import { useState } from 'react';
+import { changePassword as changePasswordApi } from '../../services/authService';
+import { rewrapKeyVault } from '../../utils/appLock';
+import { updateKeyVault } from '../../utils/storage';
+import { validatePassword, validateConfirmPassword } from '../../utils/validation';
+import styles from './AccountPage.module.css';
+
+const EMPTY_FORM = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+// Server backups as the change-password endpoint expects them, from a re-wrapped key vault
+function backupsFromVault(vault) {
+  const archivedKeys = Object.entries(vault.archivedKeys).map(([keyVersion, entry]) => ({
+    keyVersion: Number(keyVersion),
+    encryptedPrivateKey: entry.encryptedPrivateKey,
+    encryptedPrivateKeyIv: entry.iv,
+  }));
+  return {
+    // Every rotation archives the previous version, so the current one follows the archive
+    keyVersion: Math.max(0, ...archivedKeys.map((k) => k.keyVersion)) + 1,
+    encryptedPrivateKey: vault.privateKey.encryptedPrivateKey,
+    encryptedPrivateKeyIv: vault.privateKey.iv,
+    encryptedSigningKey: vault.signingKey?.encryptedPrivateKey,
+    encryptedSigningKeyIv: vault.signingKey?.iv,
+    archivedKeys,
+  };
+}
+
+function PasswordChangeForm() {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { currentPassword, newPassword, confirmPassword } = formData;
+
+    const validationError =
+      validatePassword(newPassword) || validateConfirmPassword(confirmPassword, newPassword);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      // The private keys never leave the browser unwrapped: re-encrypt them here first
+      let vault;
+      try {
+        vault = rewrapKeyVault(currentPassword, newPassword);
+      } catch {
+        setError('הסיסמה הנוכחית שגויה');
+        return;
+      }
+
+      await changePasswordApi(currentPassword, newPassword, backupsFromVault(vault));
+      updateKeyVault(vault);
+
+      setFormData(EMPTY_FORM);
+      setSuccess('הסיסמה שונתה. בהתחברות הבאה השתמש בסיסמה החדשה.');
+    } catch (err) {
+      setError(err.response?.data?.error || 'שינוי הסיסמה נכשל. נסה שוב.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const canSubmit = formData.currentPassword && formData.newPassword && formData.confirmPassword && !loading;
+
+  return (
+    <section className={styles.section}>
+      <h2 className={styles.title}>שינוי סיסמה</h2>
+      <p className={styles.hint}>
+        גיבויי המפתחות הפרטיים מוצפנים מחדש בדפדפן עם הסיסמה החדשה לפני שליחתם לשרת.
+      </p>
+
+      {error && <div className={styles.error}>{error}</div>}
+      {success && <div className={styles.success}>{success}</div>}
+
+      <form className={styles.form} onSubmit={handleSubmit}>
+        <label className={styles.label} htmlFor="change-current-password">סיסמה נוכחית</label>
+        <input
+          id="change-current-password"
+          name="currentPassword"
+          type="password"
+          className={styles.input}
+          value={formData.currentPassword}
+          onChange={handleChange}
+          autoComplete="current-password"
+          disabled={loading}
+        />
+        <label className={styles.label} htmlFor="change-new-password">סיסמה חדשה</label>
+        <input
+          id="change-new-password"
+          name="newPassword"
+          type="password"
+          className={styles.input}
+          value={formData.newPassword}
+          onChange={handleChange}
+          autoComplete="new-password"
+          disabled={loading}
+        />
+        <label className={styles.label} htmlFor="change-confirm-password">אימות סיסמה חדשה</label>
+        <input
+          id="change-confirm-password"
+          name="confirmPassword"
+          type="password"
+          className={styles.input}
+          value={formData.confirmPassword}
+          onChange={handleChange}
+          autoComplete="new-password"
+          disabled={loading}
+        />
+        <button type="submit" className={styles.submitBtn} disabled={!canSubmit}>
+          {loading ? 'משנה סיסמה...' : 'שנה סיסמה'}
+        </button>
+      </form>
+    </section>
+  );
+}
+
+export default PasswordChangeForm;
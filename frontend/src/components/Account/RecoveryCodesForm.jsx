@@ -0,0 +1,60 @@
+import { useState } from 'react';
+import { regenerateRecoveryCodes } from '../../services/recovery';
+import RecoveryCodeList from '../Common/RecoveryCodeList';
+import styles from './AccountPage.module.css';
+
+function RecoveryCodesForm() {
+  const [password, setPassword] = useState('');
+  const [codes, setCodes] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!password) return;
+
+    setLoading(true);
+    setError('');
+    setCodes(null);
+
+    try {
+      setCodes(await regenerateRecoveryCodes(password));
+      setPassword('');
+    } catch (err) {
+      setError(err.response?.data?.error || (err.message === 'Wrong password' ? 'סיסמה שגויה' : 'יצירת הקודים נכשלה. נסה שוב.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <section className={styles.section}>
+      <h2 className={styles.title}>קודי שחזור</h2>
+      <p className={styles.hint}>
+        קודי שחזור מאפשרים לקבוע סיסמה חדשה אם שכחת אותה, בלי לאבד את היסטוריית ההודעות.
+        יצירת קודים חדשים מבטלת את הקודים הקודמים. אחרי החלפת מפתחות יש ליצור קודים חדשים.
+      </p>
+
+      {error && <div className={styles.error}>{error}</div>}
+      {codes && <RecoveryCodeList codes={codes} />}
+
+      <form className={styles.form} onSubmit={handleSubmit}>
+        <label className={styles.label} htmlFor="recovery-codes-password">סיסמה נוכחית</label>
+        <input
+          id="recovery-codes-password"
+          type="password"
+          className={styles.input}
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="current-password"
+          disabled={loading}
+        />
+        <button type="submit" className={styles.submitBtn} disabled={!password || loading}>
+          {loading ? 'יוצר קודים...' : 'צור קודי שחזור חדשים'}
+        </button>
+      </form>
+    </section>
+  );
+}
+
+export default RecoveryCodesForm;
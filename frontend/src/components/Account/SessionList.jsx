@@ -0,0 +1,78 @@
+import { useState, useEffect } from 'react';
+import { getSessions, revokeSession } from '../../services/authService';
+import { useAuth } from '../../hooks/useAuth';
+import styles from './AccountPage.module.css';
+
+const BROWSERS = [['Edg/', 'Edge'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+const SYSTEMS = [['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+
+// "Firefox · Linux" from a user-agent string; unknown clients show as-is
+function describeClient(userAgent) {
+  if (!userAgent) return 'דפדפן לא ידוע';
+  const browser = BROWSERS.find(([token]) => userAgent.includes(token))?.[1];
+  const system = SYSTEMS.find(([token]) => userAgent.includes(token))?.[1];
+  return browser || system ? [browser, system].filter(Boolean).join(' · ') : userAgent;
+}
+
+function SessionList() {
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getSessions()
+      .then(setSessions)
+      .catch(() => setError('טעינת החיבורים נכשלה.'));
+  }, []);
+
+  const handleRevoke = async (session) => {
+    setError('');
+    // Signing this session out is a regular logout
+    if (session.current) {
+      await logout();
+      return;
+    }
+    try {
+      await revokeSession(session.id);
+      setSessions((prev) => prev.filter((s) => s.id !== session.id));
+    } catch (err) {
+      setError(err.response?.data?.error || 'ניתוק החיבור נכשל. נסה שוב.');
+    }
+  };
+
+  return (
+    <section className={styles.section}>
+      <h2 className={styles.title}>חיבורים פעילים</h2>
+      <p className={styles.hint}>
+        כל כניסה לחשבון היא חיבור נפרד. חיבור שנותק מפסיק לקבל הודעות מיד ויידרש להתחבר מחדש.
+      </p>
+
+      {error && <div className={styles.error}>{error}</div>}
+
+      <ul className={styles.deviceList}>
+        {sessions.map((session) => (
+          <li key={session.id} className={styles.deviceItem}>
+            <div>
+              <span className={styles.deviceName} title={session.userAgent || undefined}>
+                {describeClient(session.userAgent)}
+              </span>
+              {session.current && <span className={styles.currentDevice}>חיבור זה</span>}
+              <div className={styles.deviceMeta}>
+                {session.ip && <span dir="ltr">{session.ip}</span>}
+                {session.ip && ' · '}
+                {session.lastSeenAt
+                  ? `פעיל לאחרונה ${new Date(session.lastSeenAt).toLocaleString('he-IL')}`
+                  : `התחבר ${new Date(session.createdAt).toLocaleString('he-IL')}`}
+              </div>
+            </div>
+            <button type="button" className={styles.removeBtn} onClick={() => handleRevoke(session)}>
+              {session.current ? 'התנתק' : 'נתק'}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+export default SessionList;
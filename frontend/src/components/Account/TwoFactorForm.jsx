@@ -0,0 +1,164 @@
+import { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+} from '../../services/authService';
+import RecoveryCodeList from '../Common/RecoveryCodeList';
+import styles from './AccountPage.module.css';
+
+const BACKUP_CODE_WARNING =
+  'שמור את קודי הגיבוי במקום בטוח. כל קוד מחליף פעם אחת את הקוד מאפליקציית האימות, למשל אם הטלפון אבד. הקודים לא יוצגו שוב.';
+
+function TwoFactorForm() {
+  const [status, setStatus] = useState(null);
+  // { secret, qrDataUrl } while an authenticator app is being set up
+  const [setup, setSetup] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    getTwoFactorStatus()
+      .then(setStatus)
+      .catch(() => setError('טעינת מצב האימות הדו-שלבי נכשלה.'));
+  }, []);
+
+  const run = async (action, fallbackError) => {
+    setLoading(true);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.response?.data?.error || fallbackError);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSetup = (e) => {
+    e.preventDefault();
+    if (!password) return;
+
+    run(async () => {
+      const { secret, otpauthUri } = await setupTwoFactor(password);
+      const qrDataUrl = await QRCode.toDataURL(otpauthUri, { margin: 1, width: 180 });
+      setSetup({ secret, qrDataUrl });
+      setPassword('');
+      setBackupCodes(null);
+    }, 'הפעלת האימות הדו-שלבי נכשלה. נסה שוב.');
+  };
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+
+    run(async () => {
+      const { backupCodes: codes } = await enableTwoFactor(code.trim());
+      setBackupCodes(codes);
+      setSetup(null);
+      setCode('');
+      setStatus({ enabled: true, backupCodesLeft: codes.length });
+    }, 'הקוד שגוי. נסה שוב.');
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    if (!password || !code.trim()) return;
+
+    run(async () => {
+      await disableTwoFactor(password, code.trim());
+      setPassword('');
+      setCode('');
+      setBackupCodes(null);
+      setStatus({ enabled: false, backupCodesLeft: 0 });
+    }, 'כיבוי האימות הדו-שלבי נכשל. נסה שוב.');
+  };
+
+  const passwordField = (id) => (
+    <>
+      <label className={styles.label} htmlFor={id}>סיסמה נוכחית</label>
+      <input
+        id={id}
+        type="password"
+        className={styles.input}
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        autoComplete="current-password"
+        disabled={loading}
+      />
+    </>
+  );
+
+  const codeField = (id, label) => (
+    <>
+      <label className={styles.label} htmlFor={id}>{label}</label>
+      <input
+        id={id}
+        type="text"
+        className={styles.input}
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        autoComplete="one-time-code"
+        dir="ltr"
+        disabled={loading}
+      />
+    </>
+  );
+
+  return (
+    <section className={styles.section}>
+      <h2 className={styles.title}>אימות דו-שלבי</h2>
+      <p className={styles.hint}>
+        כשהאימות הדו-שלבי פעיל, ההתחברות דורשת גם קוד מאפליקציית אימות (Google Authenticator, Authy וכדומה).
+      </p>
+
+      {error && <div className={styles.error}>{error}</div>}
+      {backupCodes && <RecoveryCodeList codes={backupCodes} warning={BACKUP_CODE_WARNING} />}
+
+      {status?.enabled && (
+        <>
+          <div className={styles.success}>
+            האימות הדו-שלבי פעיל. נותרו {status.backupCodesLeft} קודי גיבוי.
+          </div>
+          <form className={styles.form} onSubmit={handleDisable}>
+            {passwordField('two-factor-disable-password')}
+            {codeField('two-factor-disable-code', 'קוד אימות או קוד גיבוי')}
+            <button type="submit" className={styles.submitBtn} disabled={!password || !code.trim() || loading}>
+              {loading ? 'מכבה...' : 'כבה אימות דו-שלבי'}
+            </button>
+          </form>
+        </>
+      )}
+
+      {status && !status.enabled && !setup && (
+        <form className={styles.form} onSubmit={handleSetup}>
+          {passwordField('two-factor-setup-password')}
+          <button type="submit" className={styles.submitBtn} disabled={!password || loading}>
+            {loading ? 'מכין...' : 'הפעל אימות דו-שלבי'}
+          </button>
+        </form>
+      )}
+
+      {setup && (
+        <form className={styles.form} onSubmit={handleEnable}>
+          <p className={styles.hint}>
+            סרוק את הקוד באפליקציית האימות, או הזן בה את המפתח ידנית, ואז הקלד את הקוד שהיא מציגה.
+          </p>
+          <img className={styles.qr} src={setup.qrDataUrl} alt="קוד QR להגדרת אפליקציית האימות" />
+          <code className={styles.secret} dir="ltr">{setup.secret}</code>
+          {codeField('two-factor-enable-code', 'קוד מאפליקציית האימות')}
+          <button type="submit" className={styles.submitBtn} disabled={!code.trim() || loading}>
+            {loading ? 'מאמת...' : 'אמת והפעל'}
+          </button>
+        </form>
+      )}
+    </section>
+  );
+}
+
+export default TwoFactorForm;
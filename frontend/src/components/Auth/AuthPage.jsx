@@ -1,10 +1,12 @@
 import { useState } from 'react';
 import LoginForm from './LoginForm';
 import RegisterForm from './RegisterForm';
+import RecoveryForm from './RecoveryForm';
 import styles from './AuthPage.module.css';
 
 function AuthPage() {
-  const [isLogin, setIsLogin] = useState(true);
+  // 'login', 'register' or 'recover'
+  const [mode, setMode] = useState('login');
 
   return (
     <div className={styles.container}>
@@ -21,24 +23,29 @@ function AuthPage() {
 
         <div className={styles.tabs}>
           <button
-            className={`${styles.tab} ${isLogin ? styles.tabActive : ''}`}
-            onClick={() => setIsLogin(true)}
+            className={`${styles.tab} ${mode !== 'register' ? styles.tabActive : ''}`}
+            onClick={() => setMode('login')}
           >
             התחברות
           </button>
           <button
-            className={`${styles.tab} ${!isLogin ? styles.tabActive : ''}`}
-            onClick={() => setIsLogin(false)}
+            className={`${styles.tab} ${mode === 'register' ? styles.tabActive : ''}`}
+            onClick={() => setMode('register')}
           >
             הרשמה
           </button>
         </div>
 
-        {isLogin ? (
-          <LoginForm />
-        ) : (
-          <RegisterForm />
+        {mode === 'login' && (
+          <>
+            <LoginForm />
+            <button className={styles.forgotBtn} onClick={() => setMode('recover')}>
+              שכחת את הסיסמה? שחזור עם קוד שחזור
+            </button>
+          </>
         )}
+        {mode === 'register' && <RegisterForm />}
+        {mode === 'recover' && <RecoveryForm onDone={() => setMode('login')} />}
       </div>
     </div>
   );
@@ -0,0 +1,82 @@
+import { useState } from 'react';
+import { useAuth } from '../../hooks/useAuth';
+import PasswordToggleButton from '../Common/PasswordToggleButton';
+import pageStyles from './AuthPage.module.css';
+import styles from './LoginForm.module.css';
+import lockStyles from './LockScreen.module.css';
+
+function LockScreen() {
+  const { user, unlock, logout } = useAuth();
+  const [password, setPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!password) return;
+
+    setLoading(true);
+    setError('');
+    try {
+      await unlock(password);
+    } catch {
+      setError('סיסמה שגויה');
+      setPassword('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className={pageStyles.container}>
+      <div className={pageStyles.card}>
+        <div className={pageStyles.header}>
+          <div className={pageStyles.logoIcon}>
+            <svg width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <rect x="3" y="11" width="18" height="11" rx="2" ry="2" />
+              <path d="M7 11V7a5 5 0 0 1 10 0v4" />
+            </svg>
+          </div>
+          <h1 className={pageStyles.title}>האפליקציה נעולה</h1>
+          <p className={pageStyles.subtitle}>הזן את הסיסמה של {user.username} כדי לפתוח את מפתחות ההצפנה</p>
+        </div>
+
+        <form className={styles.form} onSubmit={handleSubmit} noValidate>
+          {error && <div className={styles.apiError}>{error}</div>}
+
+          <div className={styles.field}>
+            <label className={styles.label} htmlFor="unlock-password">סיסמה</label>
+            <div className={styles.passwordWrapper}>
+              <input
+                id="unlock-password"
+                type={showPassword ? 'text' : 'password'}
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className={`${styles.input} ${styles.passwordInput}`}
+                autoComplete="current-password"
+                autoFocus
+                disabled={loading}
+              />
+              {password && (
+                <PasswordToggleButton
+                  show={showPassword}
+                  onToggle={() => setShowPassword((prev) => !prev)}
+                />
+              )}
+            </div>
+          </div>
+
+          <button type="submit" className={styles.submitBtn} disabled={loading || !password}>
+            {loading ? 'פותח...' : 'פתח נעילה'}
+          </button>
+          <button type="button" className={lockStyles.logoutBtn} onClick={logout} disabled={loading}>
+            התנתק
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default LockScreen;
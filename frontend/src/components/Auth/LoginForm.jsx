@@ -1,20 +1,81 @@
 import { useState, useRef, useEffect, useMemo } from 'react';
 import { useAuth } from '../../hooks/useAuth';
 import { useFormValidation } from '../../hooks/useFormValidation';
-import { login as loginApi } from '../../services/authService';
-import { decryptPrivateKey } from '../../utils/crypto';
-import { setPrivateKey } from '../../utils/storage';
+import { login as loginApi, loginTwoFactor } from '../../services/authService';
+import { uploadSigningKey, rotateKeys } from '../../services/users';
+import { registerCurrentDevice } from '../../services/devices';
+import { regenerateRecoveryCodes } from '../../services/recovery';
+import { decryptPrivateKey, encryptPrivateKey, generateRSAKeyPair, generateSigningKeyPair } from '../../utils/crypto';
+import {
+  setToken,
+  setRefreshToken,
+  getSigningKey,
+  setPrivateKey,
+  setSigningKey,
+  setArchivedKeys,
+  updateKeyVault,
+} from '../../utils/storage';
 import { validateUsername, validatePassword } from '../../utils/validation';
 import { API_ERROR_DURATION } from '../../config/constants';
 import PasswordToggleButton from '../Common/PasswordToggleButton';
+import RecoveryCodeList from '../Common/RecoveryCodeList';
 import styles from './LoginForm.module.css';
 
+// Accounts registered before message signing get a signing key on their first login
+async function createSigningKey(password) {
+  const { publicKey, privateKey } = await generateSigningKeyPair();
+  const { encryptedPrivateKey, iv } = encryptPrivateKey(privateKey, password);
+  await uploadSigningKey(publicKey, encryptedPrivateKey, iv);
+  await setSigningKey(privateKey);
+  updateKeyVault({ signingKey: { encryptedPrivateKey, iv } });
+}
+
+const NEW_KEYS_WARNING =
+  'מפתחות ההצפנה של החשבון נוצרו מחדש, וקודי שחזור קודמים אינם תקפים עוד. שמור את הקודים החדשים במקום בטוח, הם לא יוצגו שוב.';
+
+// After an admin reset of the key backups the account has no key to restore; it gets a new
+// key version (the server checks the password, since the backup is wrapped with it)
+async function createEncryptionKey(password) {
+  const { publicKey, privateKey } = await generateRSAKeyPair();
+  const { encryptedPrivateKey, iv } = encryptPrivateKey(privateKey, password);
+  await rotateKeys(password, publicKey, encryptedPrivateKey, iv);
+  await setPrivateKey(privateKey);
+  updateKeyVault({ privateKey: { encryptedPrivateKey, iv } });
+}
+
+// The server's password-encrypted backups double as this session's key vault (app lock)
+function vaultFromLogin(data) {
+  const archivedKeys = {};
+  for (const archived of data.archivedKeys || []) {
+    archivedKeys[archived.keyVersion] = {
+      encryptedPrivateKey: archived.encryptedPrivateKey,
+      iv: archived.encryptedPrivateKeyIv,
+    };
+  }
+  return {
+    privateKey: data.encryptedPrivateKey
+      ? { encryptedPrivateKey: data.encryptedPrivateKey, iv: data.encryptedPrivateKeyIv }
+      : null,
+    archivedKeys,
+    signingKey: data.encryptedSigningKey
+      ? { encryptedPrivateKey: data.encryptedSigningKey, iv: data.encryptedSigningKeyIv }
+      : null,
+    deviceKey: null,
+    storageKey: null,
+  };
+}
+
 function LoginForm() {
   const { login } = useAuth();
   const [formData, setFormData] = useState({ username: '', password: '' });
   const [apiError, setApiError] = useState('');
   const [loading, setLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
+  // Set when the password was accepted and the account asks for a two-factor code
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  // Signed in with new keys, waiting for the user to save the recovery codes that cover them
+  const [newCodes, setNewCodes] = useState(null);
   const errorTimerRef = useRef(null);
 
   // Validation schema
@@ -41,6 +102,104 @@ function LoginForm() {
     handleBlur(e, formData);
   };
 
+  const showApiError = (err) => {
+    // Locked accounts and the rate limiter both say when to try again
+    const retryAfter = err.response?.status === 429 && Number(err.response.headers?.['retry-after']);
+    const message = retryAfter
+      ? `יותר מדי ניסיונות התחברות כושלים. נסה שוב בעוד ${retryAfter} שניות.`
+      : err.response?.data?.error || 'שגיאה בהתחברות. נסה שוב.';
+    setApiError(message);
+    if (errorTimerRef.current) clearTimeout(errorTimerRef.current);
+    errorTimerRef.current = setTimeout(() => setApiError(''), API_ERROR_DURATION);
+  };
+
+  // Unwraps the key backups from the login response and signs this device in
+  const completeLogin = async (data) => {
+    // Decrypt and store private key from server backup
+    if (data.encryptedPrivateKey && data.encryptedPrivateKeyIv) {
+      try {
+        const privateKeyPem = decryptPrivateKey(
+          data.encryptedPrivateKey,
+          data.encryptedPrivateKeyIv,
+          formData.password
+        );
+        await setPrivateKey(privateKeyPem);
+      } catch {
+        // Silent fail - user can still use the app but may need to re-register
+      }
+    }
+
+    // Decrypt rotated-out key versions, needed for history encrypted to them
+    const archivedKeys = {};
+    for (const archived of data.archivedKeys || []) {
+      try {
+        archivedKeys[archived.keyVersion] = decryptPrivateKey(
+          archived.encryptedPrivateKey,
+          archived.encryptedPrivateKeyIv,
+          formData.password
+        );
+      } catch {
+        // Messages wrapped for this version show as undecryptable
+      }
+    }
+    await setArchivedKeys(archivedKeys);
+
+    // Decrypt and store signing key from server backup
+    if (data.encryptedSigningKey && data.encryptedSigningKeyIv) {
+      try {
+        await setSigningKey(decryptPrivateKey(data.encryptedSigningKey, data.encryptedSigningKeyIv, formData.password));
+      } catch {
+        // Silent fail - messages are sent unsigned and show as unverified to others
+      }
+    }
+
+    updateKeyVault(vaultFromLogin(data));
+
+    // The signing key and device registration below are authenticated requests
+    setToken(data.token);
+    setRefreshToken(data.refreshToken);
+
+    let createdKeys = false;
+    if (!data.encryptedPrivateKey) {
+      try {
+        await createEncryptionKey(formData.password);
+        createdKeys = true;
+      } catch {
+        // Messages to this account stay unreadable here until the next login retries
+      }
+    }
+
+    if (!data.encryptedSigningKey) {
+      try {
+        await createSigningKey(formData.password);
+      } catch {
+        // Messages are sent unsigned until the next login retries
+      }
+    }
+
+    // Each login is a new device with its own key; the device key is endorsed by the signing key
+    const signingKey = await getSigningKey();
+    if (signingKey) {
+      try {
+        await registerCurrentDevice(data.user.id, signingKey, formData.password);
+      } catch {
+        // Silent fail - this session receives messages through the account key
+      }
+    }
+
+    // No recovery code restores the new keys: issue a set that does before entering the app
+    if (createdKeys) {
+      try {
+        setNewCodes({ data, codes: await regenerateRecoveryCodes(formData.password) });
+        return;
+      } catch {
+        // Recovery codes can be made in Account later
+      }
+    }
+
+    login(data.token, data.user, data.failedLogins);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -55,32 +214,99 @@ function LoginForm() {
 
     try {
       const data = await loginApi(formData.username, formData.password);
-
-      // Decrypt and store private key from server backup
-      if (data.encryptedPrivateKey && data.encryptedPrivateKeyIv) {
-        try {
-          const privateKeyPem = decryptPrivateKey(
-            data.encryptedPrivateKey,
-            data.encryptedPrivateKeyIv,
-            formData.password
-          );
-          setPrivateKey(privateKeyPem);
-        } catch {
-          // Silent fail - user can still use the app but may need to re-register
-        }
+      if (data.twoFactorRequired) {
+        setChallengeToken(data.challengeToken);
+        return;
       }
+      await completeLogin(data);
+    } catch (err) {
+      showApiError(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+
+    setLoading(true);
+    setApiError('');
 
-      login(data.token, data.user);
+    try {
+      await completeLogin(await loginTwoFactor(challengeToken, code.trim()));
     } catch (err) {
-      const message = err.response?.data?.error || 'שגיאה בהתחברות. נסה שוב.';
-      setApiError(message);
-      if (errorTimerRef.current) clearTimeout(errorTimerRef.current);
-      errorTimerRef.current = setTimeout(() => setApiError(''), API_ERROR_DURATION);
+      showApiError(err);
+      setCode('');
     } finally {
       setLoading(false);
     }
   };
 
+  const restartLogin = () => {
+    setChallengeToken(null);
+    setCode('');
+    setApiError('');
+    setFormData(prev => ({ ...prev, password: '' }));
+  };
+
+  if (newCodes) {
+    const { data } = newCodes;
+    return (
+      <div className={styles.form}>
+        <RecoveryCodeList codes={newCodes.codes} warning={NEW_KEYS_WARNING} />
+        <button
+          type="button"
+          className={styles.submitBtn}
+          onClick={() => login(data.token, data.user, data.failedLogins)}
+        >
+          שמרתי את הקודים, המשך
+        </button>
+      </div>
+    );
+  }
+
+  if (challengeToken) {
+    return (
+      <form className={styles.form} onSubmit={handleCodeSubmit} noValidate>
+        {apiError && (
+          <div className={styles.apiError}>
+            {apiError}
+          </div>
+        )}
+
+        <div className={styles.field}>
+          <label className={styles.label} htmlFor="login-code">קוד אימות</label>
+          <input
+            id="login-code"
+            type="text"
+            name="code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className={styles.input}
+            placeholder="קוד מאפליקציית האימות או קוד גיבוי"
+            autoComplete="one-time-code"
+            inputMode="text"
+            dir="ltr"
+            autoFocus
+            disabled={loading}
+          />
+        </div>
+
+        <button
+          type="submit"
+          className={styles.submitBtn}
+          disabled={loading || !code.trim()}
+        >
+          {loading ? 'מאמת...' : 'אמת'}
+        </button>
+        <button type="button" className={styles.linkBtn} onClick={restartLogin} disabled={loading}>
+          חזרה להתחברות
+        </button>
+      </form>
+    );
+  }
+
   return (
     <form className={styles.form} onSubmit={handleSubmit} noValidate>
       {apiError && (
@@ -0,0 +1,131 @@
+import { useState, useMemo } from 'react';
+import { useFormValidation } from '../../hooks/useFormValidation';
+import { recoverWithCode } from '../../services/recovery';
+import {
+  validateUsername,
+  validatePassword,
+  validateConfirmPassword,
+  validateRecoveryCode,
+} from '../../utils/validation';
+import styles from './RegisterForm.module.css';
+
+function RecoveryForm({ onDone }) {
+  const [formData, setFormData] = useState({
+    username: '',
+    code: '',
+    password: '',
+    confirmPassword: '',
+  });
+  const [apiError, setApiError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [recovered, setRecovered] = useState(false);
+
+  const validationSchema = useMemo(() => ({
+    username: (value) => validateUsername(value),
+    code: (value) => validateRecoveryCode(value),
+    password: (value) => validatePassword(value),
+    confirmPassword: (value, data) => validateConfirmPassword(value, data.password),
+  }), []);
+
+  const { fieldErrors, setFieldErrors, validateAll, handleBlur, clearFieldError } = useFormValidation(validationSchema);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    clearFieldError(name);
+    if (apiError) setApiError('');
+  };
+
+  const onBlur = (e) => {
+    handleBlur(e, formData);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = validateAll(formData);
+    if (Object.keys(errors).length > 0) {
+      setFieldErrors(errors);
+      return;
+    }
+
+    setLoading(true);
+    setApiError('');
+
+    try {
+      await recoverWithCode(formData.username, formData.code, formData.password);
+      setRecovered(true);
+    } catch (err) {
+      const message = err.response?.data?.error
+        || (err.message === 'Wrong recovery code' ? 'קוד השחזור שגוי' : 'השחזור נכשל. נסה שוב.');
+      setApiError(message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (recovered) {
+    return (
+      <div className={styles.form}>
+        <div className={styles.successMessage}>
+          הסיסמה החדשה נקבעה והמפתחות שוחזרו. קוד השחזור ששימש אינו תקף עוד.
+        </div>
+        <button type="button" className={styles.submitBtn} onClick={onDone}>
+          להתחברות
+        </button>
+      </div>
+    );
+  }
+
+  const fields = [
+    { name: 'username', id: 'recover-username', label: 'שם משתמש', type: 'text', autoComplete: 'username' },
+    { name: 'code', id: 'recover-code', label: 'קוד שחזור', type: 'text', autoComplete: 'off', placeholder: 'XXXX-XXXX-XXXX-XXXX' },
+    { name: 'password', id: 'recover-password', label: 'סיסמה חדשה', type: 'password', autoComplete: 'new-password' },
+    { name: 'confirmPassword', id: 'recover-confirm', label: 'אימות סיסמה חדשה', type: 'password', autoComplete: 'new-password' },
+  ];
+
+  return (
+    <form className={styles.form} onSubmit={handleSubmit} noValidate>
+      {apiError && (
+        <div className={styles.apiError}>
+          {apiError}
+        </div>
+      )}
+
+      {fields.map((field) => (
+        <div className={styles.field} key={field.name}>
+          <label className={styles.label} htmlFor={field.id}>{field.label}</label>
+          <input
+            id={field.id}
+            type={field.type}
+            name={field.name}
+            value={formData[field.name]}
+            onChange={handleChange}
+            onBlur={onBlur}
+            className={`${styles.input} ${fieldErrors[field.name] ? styles.inputError : ''}`}
+            placeholder={field.placeholder}
+            autoComplete={field.autoComplete}
+            dir={field.name === 'code' ? 'ltr' : undefined}
+            disabled={loading}
+          />
+          {fieldErrors[field.name] && (
+            <span className={styles.errorText}>{fieldErrors[field.name]}</span>
+          )}
+        </div>
+      ))}
+
+      <button
+        type="submit"
+        className={styles.submitBtn}
+        disabled={loading}
+      >
+        {loading ? 'משחזר...' : 'קבע סיסמה חדשה'}
+      </button>
+      <button type="button" className={styles.linkBtn} onClick={onDone} disabled={loading}>
+        חזרה להתחברות
+      </button>
+    </form>
+  );
+}
+
+export default RecoveryForm;
@@ -2,10 +2,13 @@ import { useState, useMemo } from 'react';
 import { useAuth } from '../../hooks/useAuth';
 import { useFormValidation } from '../../hooks/useFormValidation';
 import { register as registerApi } from '../../services/authService';
-import { generateRSAKeyPair, encryptPrivateKey } from '../../utils/crypto';
-import { setPrivateKey } from '../../utils/storage';
+import { registerCurrentDevice } from '../../services/devices';
+import { createRecoveryCodes } from '../../services/recovery';
+import { generateRSAKeyPair, generateSigningKeyPair, encryptPrivateKey } from '../../utils/crypto';
+import { setToken, setRefreshToken, setPrivateKey, getSigningKey, setSigningKey, updateKeyVault } from '../../utils/storage';
 import { validateUsername, validatePassword, validateConfirmPassword } from '../../utils/validation';
 import PasswordToggleButton from '../Common/PasswordToggleButton';
+import RecoveryCodeList from '../Common/RecoveryCodeList';
 import styles from './RegisterForm.module.css';
 
 function RegisterForm() {
@@ -19,6 +22,8 @@ function RegisterForm() {
   const [loading, setLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirm, setShowConfirm] = useState(false);
+  // Registered account waiting for the user to save its recovery codes
+  const [registered, setRegistered] = useState(null);
 
   // Validation schema - confirmPassword needs access to formData.password
   const validationSchema = useMemo(() => ({
@@ -56,21 +61,54 @@ function RegisterForm() {
       // Generate RSA key pair client-side
       const { publicKey, privateKey } = await generateRSAKeyPair();
 
-      // Encrypt private key with password for server-side backup
+      // Generate ECDSA signing key pair client-side
+      const signing = await generateSigningKeyPair();
+
+      // Encrypt private keys with password for server-side backup
       const { encryptedPrivateKey, iv: pkIv } = encryptPrivateKey(privateKey, formData.password);
+      const { encryptedPrivateKey: encryptedSigningKey, iv: skIv } = encryptPrivateKey(
+        signing.privateKey,
+        formData.password
+      );
+
+      // One-time codes that can restore these keys if the password is forgotten
+      const recovery = await createRecoveryCodes({
+        privateKey,
+        signingKey: signing.privateKey,
+        archivedKeys: {},
+      });
 
       const data = await registerApi(
         formData.username,
         formData.password,
         publicKey,
         encryptedPrivateKey,
-        pkIv
+        pkIv,
+        { signingPublicKey: signing.publicKey, encryptedSigningKey, encryptedSigningKeyIv: skIv },
+        recovery.uploads
       );
 
-      // Store private key locally
-      setPrivateKey(privateKey);
-
-      login(data.token, data.user);
+      // Store private keys locally
+      await setPrivateKey(privateKey);
+      await setSigningKey(signing.privateKey);
+      updateKeyVault({
+        privateKey: { encryptedPrivateKey, iv: pkIv },
+        archivedKeys: {},
+        signingKey: { encryptedPrivateKey: encryptedSigningKey, iv: skIv },
+        deviceKey: null,
+        storageKey: null,
+      });
+
+      // Register this browser as the account's first device (needs the token for the request)
+      setToken(data.token);
+      setRefreshToken(data.refreshToken);
+      try {
+        await registerCurrentDevice(data.user.id, await getSigningKey(), formData.password);
+      } catch {
+        // Silent fail - this session receives messages through the account key
+      }
+
+      setRegistered({ token: data.token, user: data.user, codes: recovery.codes });
     } catch (err) {
       const message = err.response?.data?.error || 'שגיאה בהרשמה. נסה שוב.';
       setApiError(message);
@@ -79,6 +117,21 @@ function RegisterForm() {
     }
   };
 
+  if (registered) {
+    return (
+      <div className={styles.form}>
+        <RecoveryCodeList codes={registered.codes} />
+        <button
+          type="button"
+          className={styles.submitBtn}
+          onClick={() => login(registered.token, registered.user)}
+        >
+          שמרתי את הקודים, המשך
+        </button>
+      </div>
+    );
+  }
+
   return (
     <form className={styles.form} onSubmit={handleSubmit} noValidate>
       {apiError && (
@@ -1,15 +1,62 @@
 import { useState, useRef, useEffect } from 'react';
 import { useAuth } from '../../hooks/useAuth';
 import { useMessages } from '../../hooks/useMessages';
+import { useConversations } from '../../hooks/useConversations';
+import { useContactVerification } from '../../hooks/useContactVerification';
 import LoadingSpinner from '../Common/LoadingSpinner';
+import ConversationSidebar from './ConversationSidebar';
+import CreateGroupForm from './CreateGroupForm';
+import GroupMembersPanel from './GroupMembersPanel';
+import SafetyNumberPanel from './SafetyNumberPanel';
+import MessageReceipts from './MessageReceipts';
 import styles from './ChatPage.module.css';
 
 function ChatPage() {
   const { user } = useAuth();
-  const { messages, loading, error, sending, sendMessage, connectionStatus } = useMessages();
+  const {
+    conversations,
+    general,
+    activeConversation,
+    selectConversation,
+    openGeneral,
+    openDirect,
+    createGroup,
+    inviteMembers,
+    removeMember,
+    changeRole,
+    leave,
+    noteMessages,
+  } = useConversations(user.id);
+  const { messages, loading, error, sending, sendMessage, connectionStatus, typingUsers, notifyTyping } = useMessages(
+    activeConversation,
+    noteMessages
+  );
   const [inputValue, setInputValue] = useState('');
+  const [showCreateGroup, setShowCreateGroup] = useState(false);
+  const [showMembers, setShowMembers] = useState(false);
+  const [safetyContactId, setSafetyContactId] = useState(null);
+  const { publicKeys, status, changedContacts, markVerified, unmarkVerified, refresh } =
+    useContactVerification(user.id);
+  const isGroup = activeConversation?.type === 'group';
+  const directContact = activeConversation?.type === 'direct'
+    ? activeConversation.members.find((m) => m.userId !== user.id)
+    : null;
+  const ownKeys = publicKeys.find((k) => k.userId === user.id);
+  const safetyContactKeys = publicKeys.find((k) => k.userId === safetyContactId);
   const messagesEndRef = useRef(null);
 
+  // Members who left the group are still in the key directory
+  const usernameFor = (userId) =>
+    activeConversation?.members.find((m) => m.userId === userId)?.username ??
+    publicKeys.find((k) => k.userId === userId)?.username ??
+    'חשבון שנמחק';
+
+  // Re-check the key directory for changed contacts whenever the conversation changes
+  const activeConversationId = activeConversation?.id ?? null;
+  useEffect(() => {
+    refresh();
+  }, [activeConversationId, refresh]);
+
   // Auto-scroll to bottom when new messages arrive
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -28,6 +75,34 @@ function ChatPage() {
     }
   };
 
+  const handleOpenDirect = async (userId) => {
+    try {
+      await openDirect(userId);
+    } catch {
+      // Stay in the current conversation
+    }
+  };
+
+  const handleCreateGroup = async (name, memberIds) => {
+    await createGroup(name, memberIds);
+    setShowCreateGroup(false);
+  };
+
+  const handleLeave = async () => {
+    await leave();
+    setShowMembers(false);
+  };
+
+  const handleInputChange = (e) => {
+    setInputValue(e.target.value);
+    if (e.target.value.trim()) notifyTyping();
+  };
+
+  const getTypingText = () => {
+    const names = typingUsers.map((u) => u.username);
+    return names.length === 1 ? `${names[0]} מקליד…` : `${names.join(', ')} מקלידים…`;
+  };
+
   const getStatusText = () => {
     switch (connectionStatus) {
       case 'connected': return 'מחובר';
@@ -37,66 +112,167 @@ function ChatPage() {
     }
   };
 
-  if (loading) return <LoadingSpinner />;
-
   return (
-    <div className={styles.container}>
-      <div className={`${styles.statusBar} ${styles[connectionStatus]}`}>
-        <span className={styles.statusDot}></span>
-        <span className={styles.statusText}>{getStatusText()}</span>
-      </div>
-
-      {error && <div className={styles.error}>{error}</div>}
-
-      <div className={styles.messageList}>
-        {messages.length === 0 ? (
-          <div className={styles.emptyState}>
-            <p>אין הודעות עדיין. שלח את ההודעה הראשונה!</p>
-          </div>
-        ) : (
-          messages.map((msg) => {
-            const isOwn = msg.senderId === user.id;
-            return (
-              <div
-                key={msg.id}
-                className={`${styles.messageBubble} ${isOwn ? styles.own : styles.other}`}
+    <div className={styles.layout}>
+      <ConversationSidebar
+        conversations={conversations}
+        general={general}
+        activeConversation={activeConversation}
+        currentUserId={user.id}
+        onSelect={selectConversation}
+        onSelectGeneral={openGeneral}
+        onNewDirect={handleOpenDirect}
+        onNewGroup={() => setShowCreateGroup((v) => !v)}
+      />
+
+      {loading ? (
+        <div className={styles.container}>
+          <LoadingSpinner />
+        </div>
+      ) : (
+        <div className={styles.container}>
+          <div className={`${styles.statusBar} ${styles[connectionStatus]}`}>
+            <span className={styles.statusDot}></span>
+            <span className={styles.statusText}>{getStatusText()}</span>
+            {typingUsers.length > 0 && (
+              <span className={styles.typing} aria-live="polite">{getTypingText()}</span>
+            )}
+            {isGroup && (
+              <button type="button" className={styles.statusBtn} onClick={() => setShowMembers((v) => !v)}>
+                חברים
+              </button>
+            )}
+            {directContact && status(directContact.userId) === 'verified' && (
+              <span className={styles.verifiedBadge}>✓ מאומת</span>
+            )}
+            {directContact && (
+              <button
+                type="button"
+                className={styles.statusBtn}
+                onClick={() => setSafetyContactId((id) => (id === null ? directContact.userId : null))}
               >
-                {!isOwn && (
-                  <span className={styles.senderName}>{msg.senderUsername}</span>
-                )}
-                <p className={styles.messageText}>{msg.content}</p>
-                <span className={styles.messageTime}>
-                  {new Date(msg.createdAt).toLocaleTimeString('he-IL', {
-                    hour: '2-digit',
-                    minute: '2-digit',
-                  })}
-                </span>
+                מספר ביטחון
+              </button>
+            )}
+          </div>
+
+          {changedContacts.map((contact) => (
+            <div key={contact.userId} className={styles.keyWarning} role="alert">
+              <span>
+                ⚠ המפתחות של {contact.username} השתנו מאז שאימתת אותם. ייתכן שמישהו מיירט את השיחות —
+                השוו מספרי ביטחון מחדש לפני שליחת מידע רגיש.
+              </span>
+              <button type="button" className={styles.statusBtn} onClick={() => setSafetyContactId(contact.userId)}>
+                השווה מספר ביטחון
+              </button>
+            </div>
+          ))}
+
+          {ownKeys && safetyContactKeys && (
+            <SafetyNumberPanel
+              ownKeys={ownKeys}
+              contactKeys={safetyContactKeys}
+              status={status(safetyContactId)}
+              onVerify={() => markVerified(safetyContactId)}
+              onUnverify={() => unmarkVerified(safetyContactId)}
+              onClose={() => setSafetyContactId(null)}
+            />
+          )}
+
+          {showCreateGroup && (
+            <CreateGroupForm
+              currentUserId={user.id}
+              onCreate={handleCreateGroup}
+              onCancel={() => setShowCreateGroup(false)}
+            />
+          )}
+
+          {isGroup && showMembers && (
+            <GroupMembersPanel
+              conversation={activeConversation}
+              currentUserId={user.id}
+              onInvite={inviteMembers}
+              onRemove={removeMember}
+              onChangeRole={changeRole}
+              onLeave={handleLeave}
+            />
+          )}
+
+          {error && <div className={styles.error}>{error}</div>}
+
+          <div className={styles.messageList}>
+            {messages.length === 0 ? (
+              <div className={styles.emptyState}>
+                <p>אין הודעות עדיין. שלח את ההודעה הראשונה!</p>
               </div>
-            );
-          })
-        )}
-        <div ref={messagesEndRef} />
-      </div>
-
-      <form className={styles.inputArea} onSubmit={handleSend}>
-        <input
-          type="text"
-          className={styles.messageInput}
-          value={inputValue}
-          onChange={(e) => setInputValue(e.target.value)}
-          placeholder="הקלד הודעה..."
-          disabled={sending}
-          maxLength={5000}
-          autoFocus
-        />
-        <button
-          type="submit"
-          className={styles.sendButton}
-          disabled={!inputValue.trim() || sending}
-        >
-          {sending ? 'שולח...' : 'שלח'}
-        </button>
-      </form>
+            ) : (
+              messages.map((msg) => {
+                const isOwn = msg.senderId === user.id;
+                return (
+                  <div
+                    key={msg.id}
+                    className={`${styles.messageBubble} ${isOwn ? styles.own : styles.other}`}
+                  >
+                    {!isOwn && (
+                      <span className={styles.senderName}>{msg.senderUsername ?? 'חשבון שנמחק'}</span>
+                    )}
+                    {msg.replayed ? (
+                      <span
+                        className={styles.unverified}
+                        title="עותק של הודעה שכבר התקבלה — ייתכן שהשרת שלח אותה שוב"
+                      >
+                        הודעה משוכפלת
+                      </span>
+                    ) : msg.verified === false && (
+                      <span
+                        className={styles.unverified}
+                        title="החתימה על ההודעה חסרה או שגויה — ייתכן שלא נשלחה על ידי השולח המוצג"
+                      >
+                        לא מאומת
+                      </span>
+                    )}
+                    {msg.deleted ? (
+                      <p className={`${styles.messageText} ${styles.deletedText}`}>ההודעה נמחקה</p>
+                    ) : (
+                      <p className={styles.messageText}>{msg.content}</p>
+                    )}
+                    <span className={styles.messageTime}>
+                      {new Date(msg.createdAt).toLocaleTimeString('he-IL', {
+                        hour: '2-digit',
+                        minute: '2-digit',
+                      })}
+                      {isOwn && msg.receipts && (
+                        <MessageReceipts receipts={msg.receipts} showSeenBy={isGroup} usernameFor={usernameFor} />
+                      )}
+                    </span>
+                  </div>
+                );
+              })
+            )}
+            <div ref={messagesEndRef} />
+          </div>
+
+          <form className={styles.inputArea} onSubmit={handleSend}>
+            <input
+              type="text"
+              className={styles.messageInput}
+              value={inputValue}
+              onChange={handleInputChange}
+              placeholder="הקלד הודעה..."
+              disabled={sending}
+              maxLength={5000}
+              autoFocus
+            />
+            <button
+              type="submit"
+              className={styles.sendButton}
+              disabled={!inputValue.trim() || sending}
+            >
+              {sending ? 'שולח...' : 'שלח'}
+            </button>
+          </form>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,90 @@
+import DirectMessagePicker from './DirectMessagePicker';
+import styles from './ConversationSidebar.module.css';
+
+function conversationTitle(conversation, currentUserId) {
+  if (conversation.type === 'group') return conversation.name;
+  const other = conversation.members.find((m) => m.userId !== currentUserId);
+  return other ? other.username : 'שיחה פרטית';
+}
+
+function formatActivity(lastMessage) {
+  if (!lastMessage) return '';
+  return new Date(lastMessage.createdAt).toLocaleTimeString('he-IL', {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+function SidebarItem({ title, subtitle, lastMessage, unreadCount, active, onClick }) {
+  return (
+    <li>
+      <button
+        type="button"
+        className={`${styles.item} ${active ? styles.active : ''}`}
+        onClick={onClick}
+        aria-current={active ? 'true' : undefined}
+      >
+        <span className={styles.itemMain}>
+          <span className={styles.itemTitle}>{title}</span>
+          {subtitle && <span className={styles.itemSubtitle}>{subtitle}</span>}
+        </span>
+        <span className={styles.itemMeta}>
+          <span className={styles.itemTime}>{formatActivity(lastMessage)}</span>
+          {unreadCount > 0 && (
+            <span className={styles.badge} aria-label={`${unreadCount} הודעות שלא נקראו`}>
+              {unreadCount}
+            </span>
+          )}
+        </span>
+      </button>
+    </li>
+  );
+}
+
+function ConversationSidebar({
+  conversations,
+  general,
+  activeConversation,
+  currentUserId,
+  onSelect,
+  onSelectGeneral,
+  onNewDirect,
+  onNewGroup,
+}) {
+  const activeId = activeConversation ? activeConversation.id : null;
+
+  return (
+    <aside className={styles.sidebar}>
+      <div className={styles.actions}>
+        <DirectMessagePicker currentUserId={currentUserId} onSelectUser={onNewDirect} />
+        <button type="button" className={styles.newGroupBtn} onClick={onNewGroup}>
+          קבוצה חדשה
+        </button>
+      </div>
+
+      <ul className={styles.list}>
+        <SidebarItem
+          title="חדר כללי"
+          subtitle={general.lastMessage?.senderUsername}
+          lastMessage={general.lastMessage}
+          unreadCount={general.unreadCount}
+          active={activeId === null}
+          onClick={onSelectGeneral}
+        />
+        {conversations.map((c) => (
+          <SidebarItem
+            key={c.id}
+            title={conversationTitle(c, currentUserId)}
+            subtitle={c.lastMessage?.senderUsername}
+            lastMessage={c.lastMessage}
+            unreadCount={c.unreadCount}
+            active={c.id === activeId}
+            onClick={() => onSelect(c)}
+          />
+        ))}
+      </ul>
+    </aside>
+  );
+}
+
+export default ConversationSidebar;
@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react';
+import { getAllPublicKeys } from '../../services/users';
+import styles from './GroupPanels.module.css';
+
+const NAME_MAX_LENGTH = 50;
+
+function CreateGroupForm({ currentUserId, onCreate, onCancel }) {
+  const [users, setUsers] = useState([]);
+  const [name, setName] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    getAllPublicKeys()
+      .then((keys) => {
+        if (!cancelled) setUsers(keys.filter((u) => u.userId !== currentUserId));
+      })
+      .catch(() => {
+        if (!cancelled) setError('טעינת המשתמשים נכשלה');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUserId]);
+
+  const toggleUser = (userId) => {
+    setSelected((prev) =>
+      prev.includes(userId) ? prev.filter((id) => id !== userId) : [...prev, userId]
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed || submitting) return;
+
+    setSubmitting(true);
+    setError('');
+    try {
+      await onCreate(trimmed, selected);
+    } catch (err) {
+      setError(err.response?.data?.error || 'יצירת הקבוצה נכשלה');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form className={styles.panel} onSubmit={handleSubmit}>
+      <h3 className={styles.title}>קבוצה חדשה</h3>
+      {error && <div className={styles.error}>{error}</div>}
+
+      <input
+        type="text"
+        className={styles.input}
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="שם הקבוצה"
+        maxLength={NAME_MAX_LENGTH}
+        aria-label="שם הקבוצה"
+        disabled={submitting}
+      />
+
+      <ul className={styles.memberList}>
+        {users.map((u) => (
+          <li key={u.userId} className={styles.memberRow}>
+            <label>
+              <input
+                type="checkbox"
+                checked={selected.includes(u.userId)}
+                onChange={() => toggleUser(u.userId)}
+                disabled={submitting}
+              />
+              {' '}{u.username}
+            </label>
+          </li>
+        ))}
+      </ul>
+
+      <div className={styles.actions}>
+        <button type="submit" className={styles.primaryBtn} disabled={!name.trim() || submitting}>
+          {submitting ? 'יוצר...' : 'צור קבוצה'}
+        </button>
+        <button type="button" className={styles.secondaryBtn} onClick={onCancel} disabled={submitting}>
+          ביטול
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default CreateGroupForm;
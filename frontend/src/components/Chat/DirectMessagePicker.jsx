@@ -0,0 +1,45 @@
+import { useState, useEffect } from 'react';
+import { getAllPublicKeys } from '../../services/users';
+import styles from './DirectMessagePicker.module.css';
+
+const PLACEHOLDER = '';
+
+function DirectMessagePicker({ currentUserId, onSelectUser }) {
+  const [users, setUsers] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    getAllPublicKeys()
+      .then((keys) => {
+        if (!cancelled) setUsers(keys.filter((u) => u.userId !== currentUserId));
+      })
+      .catch(() => {
+        // No users to start a conversation with
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUserId]);
+
+  const handleChange = (e) => {
+    if (e.target.value !== PLACEHOLDER) {
+      onSelectUser(Number(e.target.value));
+    }
+  };
+
+  return (
+    <select
+      className={styles.select}
+      value={PLACEHOLDER}
+      onChange={handleChange}
+      aria-label="שיחה פרטית חדשה"
+    >
+      <option value={PLACEHOLDER}>שיחה פרטית חדשה...</option>
+      {users.map((u) => (
+        <option key={u.userId} value={u.userId}>{u.username}</option>
+      ))}
+    </select>
+  );
+}
+
+export default DirectMessagePicker;
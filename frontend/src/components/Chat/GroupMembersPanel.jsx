@@ -0,0 +1,119 @@
+import { useState, useEffect } from 'react';
+import { getAllPublicKeys } from '../../services/users';
+import styles from './GroupPanels.module.css';
+
+const ROLE_LABELS = {
+  owner: 'בעלים',
+  admin: 'מנהל',
+  member: 'חבר',
+};
+
+function canRemove(actorRole, targetRole) {
+  if (actorRole === 'owner') return true;
+  return actorRole === 'admin' && targetRole === 'member';
+}
+
+function GroupMembersPanel({ conversation, currentUserId, onInvite, onRemove, onChangeRole, onLeave }) {
+  const [users, setUsers] = useState([]);
+  const [inviteId, setInviteId] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    getAllPublicKeys()
+      .then((keys) => {
+        if (!cancelled) setUsers(keys);
+      })
+      .catch(() => {
+        // Invite list stays empty
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const myRole = conversation.members.find((m) => m.userId === currentUserId)?.role;
+  const memberIds = new Set(conversation.members.map((m) => m.userId));
+  const invitable = users.filter((u) => !memberIds.has(u.userId));
+  const canInvite = myRole === 'owner' || myRole === 'admin';
+
+  // Runs a membership action and surfaces the server's error message
+  const run = async (action) => {
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.response?.data?.error || 'הפעולה נכשלה');
+    }
+  };
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    if (!inviteId) return;
+    run(async () => {
+      await onInvite([Number(inviteId)]);
+      setInviteId('');
+    });
+  };
+
+  return (
+    <div className={styles.panel}>
+      <h3 className={styles.title}>{conversation.name} — חברי הקבוצה</h3>
+      {error && <div className={styles.error}>{error}</div>}
+
+      <ul className={styles.memberList}>
+        {conversation.members.map((m) => (
+          <li key={m.userId} className={styles.memberRow}>
+            <span>{m.username}</span>
+            <span className={styles.role}>{ROLE_LABELS[m.role]}</span>
+            {myRole === 'owner' && m.userId !== currentUserId && (
+              <button
+                type="button"
+                className={styles.linkBtn}
+                onClick={() => run(() => onChangeRole(m.userId, m.role === 'admin' ? 'member' : 'admin'))}
+              >
+                {m.role === 'admin' ? 'הסר ניהול' : 'הפוך למנהל'}
+              </button>
+            )}
+            {m.userId !== currentUserId && canRemove(myRole, m.role) && (
+              <button
+                type="button"
+                className={styles.linkBtn}
+                onClick={() => run(() => onRemove(m.userId))}
+              >
+                הסר
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {canInvite && invitable.length > 0 && (
+        <form className={styles.actions} onSubmit={handleInvite}>
+          <select
+            className={styles.input}
+            value={inviteId}
+            onChange={(e) => setInviteId(e.target.value)}
+            aria-label="הזמן משתמש"
+          >
+            <option value="">בחר משתמש להזמנה</option>
+            {invitable.map((u) => (
+              <option key={u.userId} value={u.userId}>{u.username}</option>
+            ))}
+          </select>
+          <button type="submit" className={styles.primaryBtn} disabled={!inviteId}>
+            הזמן
+          </button>
+        </form>
+      )}
+
+      <div className={styles.actions}>
+        <button type="button" className={styles.secondaryBtn} onClick={() => run(onLeave)}>
+          עזוב קבוצה
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default GroupMembersPanel;
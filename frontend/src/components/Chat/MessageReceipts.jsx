@@ -0,0 +1,66 @@
+import { useState } from 'react';
+import styles from './MessageReceipts.module.css';
+
+const STATUS_LABELS = {
+  sent: 'נשלח',
+  delivered: 'נמסר',
+  read: 'נקרא',
+};
+
+// Read once every recipient read it, delivered once every recipient has it, otherwise sent
+function receiptStatus(receipts) {
+  if (receipts.length === 0) return 'sent';
+  if (receipts.every((r) => r.readAt)) return 'read';
+  if (receipts.every((r) => r.deliveredAt)) return 'delivered';
+  return 'sent';
+}
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString('he-IL', { hour: '2-digit', minute: '2-digit' });
+
+// Ticks on our own message; in groups they open a "seen by" list
+function MessageReceipts({ receipts, showSeenBy = false, usernameFor }) {
+  const [open, setOpen] = useState(false);
+  const status = receiptStatus(receipts);
+  const ticks = (
+    <span className={`${styles.ticks} ${styles[status]}`} aria-label={STATUS_LABELS[status]} title={STATUS_LABELS[status]}>
+      {status === 'sent' ? '✓' : '✓✓'}
+    </span>
+  );
+
+  if (!showSeenBy) return ticks;
+
+  const seen = receipts.filter((r) => r.readAt).sort((a, b) => a.readAt.localeCompare(b.readAt));
+
+  return (
+    <span className={styles.wrapper}>
+      <button
+        type="button"
+        className={styles.toggle}
+        onClick={() => setOpen((v) => !v)}
+        aria-expanded={open}
+      >
+        {ticks}
+      </button>
+      {open && (
+        <div className={styles.popover} role="dialog" aria-label="נצפה על ידי">
+          <span className={styles.title}>נצפה על ידי</span>
+          {seen.length === 0 ? (
+            <span className={styles.empty}>עדיין אף אחד</span>
+          ) : (
+            <ul className={styles.list}>
+              {seen.map((r) => (
+                <li key={r.userId}>
+                  <span>{usernameFor(r.userId)}</span>
+                  <span className={styles.time}>{formatTime(r.readAt)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </span>
+  );
+}
+
+export default MessageReceipts;
@@ -0,0 +1,71 @@
+import { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import { computeSafetyNumber, formatSafetyNumber } from '../../utils/crypto';
+import styles from './SafetyNumberPanel.module.css';
+
+const STATUS_LABELS = {
+  verified: 'מאומת',
+  changed: 'המפתח השתנה מאז האימות',
+  unverified: 'לא אומת',
+};
+
+function SafetyNumberPanel({ ownKeys, contactKeys, status, onVerify, onUnverify, onClose }) {
+  const [digits, setDigits] = useState('');
+  const [qrDataUrl, setQrDataUrl] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    async function compute() {
+      const number = await computeSafetyNumber(ownKeys, contactKeys);
+      const qr = await QRCode.toDataURL(number, { margin: 1, width: 160 });
+      if (!cancelled) {
+        setDigits(number);
+        setQrDataUrl(qr);
+      }
+    }
+    compute().catch(() => {
+      // Panel stays empty if the keys cannot be read
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [ownKeys, contactKeys]);
+
+  return (
+    <div className={styles.panel}>
+      <h3 className={styles.title}>מספר ביטחון עם {contactKeys.username}</h3>
+      <p className={styles.hint}>
+        השוו את המספר (או סרקו את הקוד) מול {contactKeys.username} בפגישה או בערוץ אחר.
+        אם הם זהים, אף אחד — כולל השרת — לא החליף את המפתחות ביניכם.
+      </p>
+
+      <div className={styles.body}>
+        <div className={styles.digits} aria-label="מספר ביטחון" dir="ltr">
+          {formatSafetyNumber(digits).map((group, i) => (
+            <span key={i}>{group}</span>
+          ))}
+        </div>
+        {qrDataUrl && <img className={styles.qr} src={qrDataUrl} alt="קוד QR של מספר הביטחון" />}
+      </div>
+
+      <div className={`${styles.status} ${styles[status]}`}>{STATUS_LABELS[status]}</div>
+
+      <div className={styles.actions}>
+        {status === 'verified' ? (
+          <button type="button" className={styles.secondaryBtn} onClick={onUnverify}>
+            בטל אימות
+          </button>
+        ) : (
+          <button type="button" className={styles.primaryBtn} onClick={onVerify} disabled={!digits}>
+            סמן כמאומת
+          </button>
+        )}
+        <button type="button" className={styles.secondaryBtn} onClick={onClose}>
+          סגור
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SafetyNumberPanel;
@@ -0,0 +1,20 @@
+import styles from './RecoveryCodeList.module.css';
+
+const RECOVERY_WARNING =
+  'שמור את קודי השחזור במקום בטוח. כל קוד מאפשר פעם אחת לקבוע סיסמה חדשה בלי לאבד את ההודעות. הקודים לא יוצגו שוב.';
+
+// Shown once: the codes are not stored anywhere the app can show them again
+function RecoveryCodeList({ codes, warning = RECOVERY_WARNING }) {
+  return (
+    <div className={styles.container}>
+      <p className={styles.warning}>{warning}</p>
+      <ol className={styles.list}>
+        {codes.map((code) => (
+          <li key={code} className={styles.code} dir="ltr">{code}</li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export default RecoveryCodeList;
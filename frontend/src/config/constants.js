@@ -15,15 +15,53 @@ export const POLL_RETRY_DELAY = 1000; // 1 second
 /** HTTP request timeout for long polling */
 export const POLL_REQUEST_TIMEOUT = 35000; // 35 seconds
 
+/** Drop a message stream that sends nothing, not even its 25s heartbeat, for this long */
+export const STREAM_IDLE_TIMEOUT = 60000; // 60 seconds
+
+/** Stream attempts that may fail in a row before falling back to long polling for good */
+export const STREAM_MAX_FAILURES = 3;
+
+/** Send at most one typing ping this often while the user types (the server forgets it after 6s) */
+export const TYPING_PING_INTERVAL = 3000; // 3 seconds
+
+/** Hide another user's typing indicator if it is not renewed for this long (its end may be lost) */
+export const TYPING_INDICATOR_TIMEOUT = 8000; // 8 seconds
+
 /** Default HTTP request timeout */
 export const DEFAULT_REQUEST_TIMEOUT = 10000; // 10 seconds
 
+/** Lock the app after this long without user activity */
+export const APP_LOCK_TIMEOUT = 300000; // 5 minutes
+
+/** How often to check for inactivity */
+export const APP_LOCK_CHECK_INTERVAL = 15000; // 15 seconds
+
 // ── Input Limits ──
 
 /** Maximum message length in characters */
 export const MAX_MESSAGE_LENGTH = 5000;
 
+/** Message ids acknowledged per request (the server takes at most 500) */
+export const ACK_BATCH_SIZE = 500;
+
 // ── Security ──
 
 /** PBKDF2 iterations for key derivation (private key encryption) */
 export const PBKDF2_ITERATIONS = 100000;
+
+/** Recovery codes issued at registration, or when the set is replaced */
+export const RECOVERY_CODE_COUNT = 8;
+
+// ── Forward Secrecy ──
+
+/** One-time prekeys uploaded per batch */
+export const PREKEY_BATCH_SIZE = 50;
+
+/** Top up one-time prekeys when fewer than this many are left on the server */
+export const PREKEY_REFILL_THRESHOLD = 10;
+
+/** Decrypted forward-secret messages kept on this device (they cannot be decrypted twice) */
+export const MESSAGE_CACHE_LIMIT = 1000;
+
+/** Envelope ids remembered for replay detection */
+export const SEEN_ENVELOPE_LIMIT = 5000;
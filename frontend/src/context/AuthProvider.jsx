@@ -1,29 +1,95 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import { AuthContext } from './AuthContext.js';
-import { getToken, getUser, setToken, setUser, clearAuth } from '../utils/storage';
+import { removeDevice } from '../services/devices';
+import { logout as logoutApi } from '../services/authService';
+import { useIdleTimer } from '../hooks/useIdleTimer';
+import { lockKeys, unlockKeys } from '../utils/appLock';
+import {
+  getToken,
+  getRefreshToken,
+  getUser,
+  setToken,
+  setUser,
+  getDevice,
+  getKeyVault,
+  setLocked,
+  onLockChange,
+  clearAuth,
+} from '../utils/storage';
+import { APP_LOCK_TIMEOUT } from '../config/constants';
 
+// Sessions from before the app lock have no key vault to unlock from and sign in again
 function getInitialUser() {
   const token = getToken();
   const savedUser = getUser();
-  return (token && savedUser) ? savedUser : null;
+  return (token && savedUser && getKeyVault()) ? savedUser : null;
 }
 
 export function AuthProvider({ children }) {
   const [user, setUserState] = useState(getInitialUser);
+  // A restored session starts locked: its keys are unwrapped again only with the password
+  const [locked, setLockedState] = useState(() => getInitialUser() !== null);
+  // Failed attempts on the account since its last login, shown once after signing in
+  const [failedLogins, setFailedLogins] = useState(null);
 
-  const login = useCallback((token, userData) => {
+  useEffect(() => {
+    if (getInitialUser()) lockKeys();
+    else if (getToken()) clearAuth();
+  }, []);
+
+  // Follow other tabs: they share this tab's keys
+  useEffect(() => onLockChange(setLockedState), []);
+
+  const lock = useCallback(async () => {
+    setLockedState(true);
+    await lockKeys();
+  }, []);
+
+  const unlock = useCallback(async (password) => {
+    await unlockKeys(password);
+    setLockedState(false);
+  }, []);
+
+  useIdleTimer(lock, APP_LOCK_TIMEOUT, Boolean(user) && !locked);
+
+  const login = useCallback((token, userData, failedLoginsSinceLast = null) => {
+    setFailedLogins(failedLoginsSinceLast);
     setToken(token);
     setUser(userData);
+    setLocked(false);
     setUserState(userData);
+    setLockedState(false);
   }, []);
 
-  const logout = useCallback(() => {
+  const logout = useCallback(async () => {
+    // Revoke this browser's device key so it stops receiving messages
+    const device = getDevice();
+    if (device) {
+      try {
+        await removeDevice(device.deviceId);
+      } catch {
+        // Signed out locally either way; the device can be removed from another session
+      }
+    }
+    // Revoke the refresh token so this session cannot be resumed
+    const refreshToken = getRefreshToken();
+    if (refreshToken) {
+      try {
+        await logoutApi(refreshToken);
+      } catch {
+        // The refresh token expires on its own
+      }
+    }
     clearAuth();
     setUserState(null);
+    setLockedState(false);
+    setFailedLogins(null);
   }, []);
 
+  const dismissFailedLogins = useCallback(() => setFailedLogins(null), []);
+
   return (
-    <AuthContext.Provider value={{ user, loading: false, login, logout }}>
+    <AuthContext.Provider value={{ user, loading: false, locked, login, logout, lock, unlock, failedLogins, dismissFailedLogins }}>
       {children}
     </AuthContext.Provider>
   );
@@ -0,0 +1,70 @@
+import { useState, useCallback, useMemo } from 'react';
+import { getAllPublicKeys } from '../services/users';
+import { computeKeyFingerprint } from '../utils/crypto';
+import { getVerifiedContacts, setVerifiedContacts } from '../utils/storage';
+
+/**
+ * Tracks which contacts the user verified out of band (safety numbers) and
+ * flags verified contacts whose published keys changed since.
+ * `status(userId)` is 'verified', 'changed' or 'unverified'.
+ * Nothing is loaded until `refresh` is called.
+ */
+export function useContactVerification(currentUserId) {
+  const [publicKeys, setPublicKeys] = useState([]);
+  const [fingerprints, setFingerprints] = useState({});
+  const [verified, setVerified] = useState(() => getVerifiedContacts(currentUserId));
+
+  // Re-read the key directory; call whenever keys may have changed
+  const refresh = useCallback(async () => {
+    try {
+      const keys = await getAllPublicKeys();
+      const next = {};
+      for (const entry of keys) {
+        next[entry.userId] = await computeKeyFingerprint(entry);
+      }
+      setPublicKeys(keys);
+      setFingerprints(next);
+    } catch {
+      // Keep the last known directory
+    }
+  }, []);
+
+  const status = useCallback((userId) => {
+    const record = verified[userId];
+    if (!record) return 'unverified';
+    if (fingerprints[userId] && fingerprints[userId] !== record.fingerprint) return 'changed';
+    return 'verified';
+  }, [verified, fingerprints]);
+
+  const changedContacts = useMemo(
+    () => publicKeys.filter((k) => k.userId !== currentUserId && status(k.userId) === 'changed'),
+    [publicKeys, currentUserId, status]
+  );
+
+  const updateVerified = useCallback((update) => {
+    setVerified((prev) => {
+      const next = update({ ...prev });
+      setVerifiedContacts(currentUserId, next);
+      return next;
+    });
+  }, [currentUserId]);
+
+  // Records the contact's current keys as the ones compared out of band
+  const markVerified = useCallback((userId) => {
+    const fingerprint = fingerprints[userId];
+    if (!fingerprint) return;
+    updateVerified((next) => {
+      next[userId] = { fingerprint, verifiedAt: new Date().toISOString() };
+      return next;
+    });
+  }, [fingerprints, updateVerified]);
+
+  const unmarkVerified = useCallback((userId) => {
+    updateVerified((next) => {
+      delete next[userId];
+      return next;
+    });
+  }, [updateVerified]);
+
+  return { publicKeys, status, changedContacts, markVerified, unmarkVerified, refresh };
+}
@@ -0,0 +1,184 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import {
+  getConversations,
+  openDirectConversation,
+  createGroup as createGroupApi,
+  inviteMembers as inviteMembersApi,
+  removeMember as removeMemberApi,
+  updateMemberRole as updateMemberRoleApi,
+  leaveConversation as leaveConversationApi,
+} from '../services/conversations';
+
+const EMPTY_GENERAL = { lastMessage: null, unreadCount: 0 };
+
+function activityTime(conversation) {
+  return new Date(conversation.lastMessage ? conversation.lastMessage.createdAt : conversation.createdAt);
+}
+
+function sortByActivity(conversations) {
+  return [...conversations].sort((a, b) => activityTime(b) - activityTime(a));
+}
+
+/**
+ * Applies one message to a sidebar entry: newer messages become the last
+ * message and, unless the entry is open or the message is our own, count as unread.
+ * Messages at or below the known last message id were already counted by the server.
+ */
+function applyMessage(entry, msg, isActive, currentUserId) {
+  if (entry.lastMessage && msg.id <= entry.lastMessage.id) return entry;
+  const unread = !isActive && msg.senderId !== currentUserId;
+  return {
+    ...entry,
+    lastMessage: {
+      id: msg.id,
+      senderId: msg.senderId,
+      senderUsername: msg.senderUsername,
+      createdAt: msg.createdAt,
+    },
+    unreadCount: unread ? entry.unreadCount + 1 : entry.unreadCount,
+  };
+}
+
+/**
+ * Tracks the user's conversation list, which conversation the chat is showing,
+ * and group membership actions. `null` is the general room shared by every user.
+ */
+export function useConversations(currentUserId) {
+  const [conversations, setConversations] = useState([]);
+  const [general, setGeneral] = useState(EMPTY_GENERAL);
+  const [activeConversation, setActiveConversation] = useState(null);
+  const activeId = activeConversation ? activeConversation.id : null;
+  const conversationsRef = useRef(conversations);
+
+  useEffect(() => {
+    conversationsRef.current = conversations;
+  }, [conversations]);
+
+  const refresh = useCallback(async () => {
+    const data = await getConversations();
+    // The server counts what has not been read; the open conversation is being read right now
+    setConversations(sortByActivity(
+      data.conversations.map((c) => ({ ...c, unreadCount: c.id === activeId ? 0 : c.unreadCount }))
+    ));
+    setGeneral({ ...data.general, unreadCount: activeId === null ? 0 : data.general.unreadCount });
+  }, [activeId]);
+
+  // Initial load only — later refreshes are driven by unknown conversations in noteMessages
+  useEffect(() => {
+    let cancelled = false;
+    getConversations()
+      .then((data) => {
+        if (cancelled) return;
+        setConversations(sortByActivity(data.conversations));
+        setGeneral({ ...data.general, unreadCount: 0 });
+      })
+      .catch(() => {
+        // Sidebar stays empty; the general room is always available
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Puts a conversation returned by a mutation into the list and makes it active
+  const activate = useCallback((conversation) => {
+    setActiveConversation(conversation);
+    setConversations((prev) => {
+      const existing = prev.find((c) => c.id === conversation.id);
+      const merged = {
+        lastMessage: null,
+        ...existing,
+        ...conversation,
+        unreadCount: 0,
+      };
+      return sortByActivity([...prev.filter((c) => c.id !== conversation.id), merged]);
+    });
+  }, []);
+
+  const selectConversation = useCallback((conversation) => {
+    activate(conversation);
+  }, [activate]);
+
+  const openGeneral = useCallback(() => {
+    setActiveConversation(null);
+    setGeneral((prev) => ({ ...prev, unreadCount: 0 }));
+  }, []);
+
+  const openDirect = useCallback(async (userId) => {
+    const conversation = await openDirectConversation(userId);
+    activate(conversation);
+    return conversation;
+  }, [activate]);
+
+  const createGroup = useCallback(async (name, memberIds) => {
+    const conversation = await createGroupApi(name, memberIds);
+    activate(conversation);
+    return conversation;
+  }, [activate]);
+
+  const inviteMembers = useCallback(async (userIds) => {
+    activate(await inviteMembersApi(activeId, userIds));
+  }, [activate, activeId]);
+
+  const removeMember = useCallback(async (userId) => {
+    activate(await removeMemberApi(activeId, userId));
+  }, [activate, activeId]);
+
+  const changeRole = useCallback(async (userId, role) => {
+    activate(await updateMemberRoleApi(activeId, userId, role));
+  }, [activate, activeId]);
+
+  const leave = useCallback(async () => {
+    await leaveConversationApi(activeId);
+    setConversations((prev) => prev.filter((c) => c.id !== activeId));
+    setActiveConversation(null);
+  }, [activeId]);
+
+  // Feeds polled and sent messages into the sidebar (last message, unread, ordering)
+  const noteMessages = useCallback((messages) => {
+    const knownIds = new Set(conversationsRef.current.map((c) => c.id));
+    const sawUnknown = messages.some(
+      (msg) => msg.conversationId != null && !knownIds.has(msg.conversationId)
+    );
+
+    setConversations((prev) => {
+      let next = prev;
+      for (const msg of messages) {
+        if (msg.conversationId == null) continue;
+        const entry = next.find((c) => c.id === msg.conversationId);
+        if (!entry) continue;
+        const updated = applyMessage(entry, msg, entry.id === activeId, currentUserId);
+        if (updated !== entry) {
+          next = next.map((c) => (c.id === entry.id ? updated : c));
+        }
+      }
+      return next === prev ? prev : sortByActivity(next);
+    });
+
+    setGeneral((prev) =>
+      messages
+        .filter((msg) => msg.conversationId == null)
+        .reduce((entry, msg) => applyMessage(entry, msg, activeId === null, currentUserId), prev)
+    );
+
+    // Someone opened a DM with us or invited us to a group
+    if (sawUnknown) {
+      refresh().catch(() => {});
+    }
+  }, [activeId, currentUserId, refresh]);
+
+  return {
+    conversations,
+    general,
+    activeConversation,
+    selectConversation,
+    openGeneral,
+    openDirect,
+    createGroup,
+    inviteMembers,
+    removeMember,
+    changeRole,
+    leave,
+    noteMessages,
+  };
+}
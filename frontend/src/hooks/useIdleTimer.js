@@ -0,0 +1,36 @@
+import { useEffect, useRef } from 'react';
+import { APP_LOCK_CHECK_INTERVAL } from '../config/constants';
+
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+
+/**
+ * Calls `onIdle` once the user has not touched the page for `timeout` ms.
+ * Compares timestamps instead of arming one long timer, so a sleeping laptop
+ * counts as idle as soon as it wakes up.
+ */
+export function useIdleTimer(onIdle, timeout, enabled = true) {
+  const onIdleRef = useRef(onIdle);
+
+  useEffect(() => {
+    onIdleRef.current = onIdle;
+  }, [onIdle]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    let lastActivity = Date.now();
+    const markActive = () => {
+      lastActivity = Date.now();
+    };
+    ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, markActive, { passive: true }));
+
+    const interval = setInterval(() => {
+      if (Date.now() - lastActivity >= timeout) onIdleRef.current();
+    }, APP_LOCK_CHECK_INTERVAL);
+
+    return () => {
+      clearInterval(interval);
+      ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, markActive));
+    };
+  }, [timeout, enabled]);
+}
@@ -0,0 +1,137 @@
+import { useEffect, useRef, useCallback, useState } from 'react';
+import { pollMessages, streamMessages, ackMessages } from '../services/messages';
+import { getMessageCursor, setMessageCursor } from '../utils/storage';
+import { POLL_RETRY_DELAY, STREAM_MAX_FAILURES } from '../config/constants';
+
+const isCanceled = (err) => err.name === 'AbortError' || err.name === 'CanceledError' || err.code === 'ERR_CANCELED';
+
+// Delivers new messages, receipts for our own and typing events as they arrive. Prefers one message
+// stream (SSE) for as long as the page is open and falls back to long polling when the stream cannot be
+// opened or drops.
+export function useLiveMessages(onMessages, enabled = true, onReceipts = null, onTyping = null) {
+  const isActive = useRef(false);
+  const abortControllerRef = useRef(null);
+  const [connectionStatus, setConnectionStatus] = useState(() => enabled ? 'connecting' : 'disconnected');
+  const hasConnectedOnce = useRef(false);
+  // Newest message id received, kept across reloads. Polls send it as ?after= and streams as
+  // Last-Event-ID: the server sends what is newer, and what is older but was never acknowledged.
+  // Pushes may arrive out of id order, so the cursor acknowledges nothing; each batch is
+  // acknowledged by its ids.
+  const lastMessageId = useRef(getMessageCursor());
+  // Stream attempts in a row that failed before opening; at STREAM_MAX_FAILURES only polls are left
+  const streamFailures = useRef(0);
+
+  const receive = useCallback((messages) => {
+    if (!messages || messages.length === 0) return;
+
+    lastMessageId.current = Math.max(lastMessageId.current ?? 0, ...messages.map((m) => m.id));
+    setMessageCursor(lastMessageId.current);
+    onMessages(messages);
+    // If this ack is lost, the messages come back with the next poll or stream
+    ackMessages(messages.map((m) => m.id)).catch(() => {});
+  }, [onMessages]);
+
+  const receiveReceipts = useCallback((receipts) => {
+    if (receipts && receipts.length > 0) onReceipts?.(receipts);
+  }, [onReceipts]);
+
+  const receiveTyping = useCallback((events) => {
+    if (events && events.length > 0) onTyping?.(events);
+  }, [onTyping]);
+
+  const markConnected = useCallback(() => {
+    hasConnectedOnce.current = true;
+    setConnectionStatus('connected');
+  }, []);
+
+  // Resolves once the stream has ended or failed; rejects only when it was canceled
+  const stream = useCallback(async (signal) => {
+    let opened = false;
+
+    try {
+      await streamMessages({
+        signal,
+        lastEventId: lastMessageId.current,
+        onOpen: () => {
+          opened = true;
+          streamFailures.current = 0;
+          markConnected();
+        },
+        onMessages: receive,
+        onReceipts: receiveReceipts,
+        onTyping: receiveTyping,
+      });
+    } catch (err) {
+      if (isCanceled(err)) throw err;
+      // A server without the stream endpoint will not get one by retrying
+      if (err.response?.status === 404) streamFailures.current = STREAM_MAX_FAILURES;
+      // Being offline says nothing about stream support; the poll that follows retries with a delay
+      if (err.isAxiosError && !err.response) return;
+    }
+
+    if (!opened) streamFailures.current++;
+  }, [receive, receiveReceipts, receiveTyping, markConnected]);
+
+  const listen = useCallback(async () => {
+    while (isActive.current) {
+      try {
+        // Only show "connecting" on first connection attempt
+        if (!hasConnectedOnce.current) {
+          setConnectionStatus('connecting');
+        }
+
+        abortControllerRef.current = new AbortController();
+        const { signal } = abortControllerRef.current;
+
+        // After the stream ends, one poll picks up messages meanwhile and refreshes an expired
+        // token (or signs a revoked session out) before the stream is opened again
+        if (streamFailures.current < STREAM_MAX_FAILURES) {
+          await stream(signal);
+          if (!isActive.current) break;
+        }
+
+        const data = await pollMessages(signal, lastMessageId.current);
+
+        if (!isActive.current) break;
+
+        markConnected();
+        receive(data.messages);
+        receiveReceipts(data.receipts);
+        receiveTyping(data.typing);
+      } catch (err) {
+        if (!isActive.current) break;
+        if (isCanceled(err)) break;
+
+        setConnectionStatus('error');
+        hasConnectedOnce.current = false; // Reset on error
+        // Wait before retry on error
+        await new Promise((resolve) => setTimeout(resolve, POLL_RETRY_DELAY));
+      }
+    }
+  }, [stream, receive, receiveReceipts, receiveTyping, markConnected]);
+
+  useEffect(() => {
+    if (!enabled) {
+      hasConnectedOnce.current = false;
+      // Defer setState to avoid synchronous call in effect
+      queueMicrotask(() => setConnectionStatus('disconnected'));
+      return;
+    }
+
+    isActive.current = true;
+    // eslint-disable-next-line react-hooks/set-state-in-effect -- listen() updates status asynchronously while connected
+    listen();
+
+    return () => {
+      isActive.current = false;
+      hasConnectedOnce.current = false;
+      // Cleanup setState is allowed
+      setConnectionStatus('disconnected');
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, [listen, enabled]);
+
+  return { connectionStatus };
+}
@@ -1,83 +1,264 @@
 import { useState, useCallback, useEffect, useRef } from 'react';
-import { sendMessage as sendMessageApi, getHistory } from '../services/messages';
+import { sendMessage as sendMessageApi, getHistory, markMessagesRead, sendTyping } from '../services/messages';
 import { getAllPublicKeys } from '../services/users';
-import { encryptMessageForRecipients, decryptMessage } from '../utils/crypto';
-import { getPrivateKey } from '../utils/storage';
-import { useLongPolling } from './useLongPolling';
+import { getConversation } from '../services/conversations';
+import { replenishPreKeys } from '../services/devices';
+import { canUseRatchet, encryptWithRatchet, decryptWithRatchet } from '../services/sessions';
+import {
+  encryptMessageForRecipients,
+  decryptMessage,
+  decryptMessageWithKey,
+  verifyEnvelope,
+  verifyDeviceKey,
+  parseEnvelope,
+} from '../utils/crypto';
+import {
+  getPrivateKey,
+  getSigningKey,
+  getArchivedKey,
+  getDevice,
+  getDeviceKey,
+  getCachedMessage,
+  cacheMessage,
+  acceptEnvelope,
+} from '../utils/storage';
+import { useLiveMessages } from './useLiveMessages';
 import { useAuth } from './useAuth';
+import { TYPING_PING_INTERVAL, TYPING_INDICATOR_TIMEOUT } from '../config/constants';
 
-async function decryptMsg(msg, privateKey) {
+/**
+ * Picks the private key a message's wrapped key was made for: this device's key,
+ * the archived key of a rotated-out account key version, or the current account key.
+ */
+async function selectPrivateKey(msg, privateKey) {
+  if (msg.deviceId != null) {
+    return getDevice()?.deviceId === msg.deviceId ? getDeviceKey() : null;
+  }
+  const archived = msg.keyVersion != null ? await getArchivedKey(msg.keyVersion) : null;
+  return archived || privateKey;
+}
+
+// receipts: one per recipient of our own messages ({ userId, deliveredAt, readAt }), null on others'
+function toMessage(msg, content, verified, replayed = false) {
+  return {
+    id: msg.id,
+    conversationId: msg.conversationId ?? null,
+    senderId: msg.senderId,
+    senderUsername: msg.senderUsername,
+    content,
+    verified,
+    replayed,
+    deleted: Boolean(msg.deleted),
+    createdAt: msg.createdAt,
+    receipts: msg.receipts ?? null,
+  };
+}
+
+// Replaces each recipient's receipt with the newer one; timestamps never go back to null
+function mergeReceipts(current, updates) {
+  const byUser = new Map(current.map((r) => [r.userId, r]));
+  for (const update of updates) {
+    const previous = byUser.get(update.userId);
+    byUser.set(update.userId, {
+      ...update,
+      deliveredAt: update.deliveredAt ?? previous?.deliveredAt ?? null,
+      readAt: update.readAt ?? previous?.readAt ?? null,
+    });
+  }
+  return [...byUser.values()];
+}
+
+/**
+ * Decrypts a message and checks its signature against the claimed sender's signing key.
+ * `verified` is false for bad or missing signatures, so the UI can flag the message.
+ * A copy of an envelope the server stored again under a higher message id is a replay: it is
+ * flagged `replayed` and not `verified`.
+ * Forward-secret messages are decrypted once through their ratchet session and read
+ * from the local cache afterwards.
+ */
+async function decryptMsg(msg, privateKey, publicKeys) {
+  // Sent from an account deleted since: the server kept a tombstone with nothing to decrypt
+  if (msg.deleted) return toMessage(msg, null, null);
+
+  const cached = await getCachedMessage(msg.id);
+  if (cached) return toMessage(msg, cached.content, cached.verified, cached.replayed);
+
+  const context = { senderId: msg.senderId, conversationId: msg.conversationId ?? null };
   try {
-    const content = await decryptMessage(
-      msg.encryptedContent,
-      msg.iv,
-      msg.encryptedKey,
-      privateKey
-    );
-    return {
-      id: msg.id,
-      senderId: msg.senderId,
-      senderUsername: msg.senderUsername,
-      content,
-      createdAt: msg.createdAt,
-    };
+    const content = msg.ratchetHeader
+      ? await decryptMessageWithKey(msg.encryptedContent, msg.iv, await decryptWithRatchet(msg), context)
+      : await decryptMessage(
+        msg.encryptedContent,
+        msg.iv,
+        msg.encryptedKey,
+        await selectPrivateKey(msg, privateKey),
+        context
+      );
+    const sender = publicKeys.find((k) => k.userId === msg.senderId);
+    const authentic = await verifyEnvelope(msg.encryptedContent, msg.iv, context, sender?.signingPublicKey);
+    // Only signed envelopes are remembered, so unsigned copies cannot claim an id first
+    const envelope = parseEnvelope(msg.encryptedContent);
+    const replayed = authentic && Boolean(envelope) && !acceptEnvelope(context.conversationId, envelope.id, msg.id);
+    const verified = authentic && !replayed;
+    if (msg.ratchetHeader) await cacheMessage(msg.id, { content, verified, replayed });
+    return toMessage(msg, content, verified, replayed);
   } catch {
-    return {
-      id: msg.id,
-      senderId: msg.senderId,
-      senderUsername: msg.senderUsername,
-      content: '[Unable to decrypt]',
-      createdAt: msg.createdAt,
-    };
+    return toMessage(msg, '[Unable to decrypt]', false);
+  }
+}
+
+/**
+ * Picks the public keys a message must be wrapped for.
+ * Conversation messages go to its members only; the general room (`members` null) goes to everyone.
+ */
+function selectRecipients(publicKeys, members) {
+  if (!members) return publicKeys;
+  const memberIds = new Set(members.map((m) => m.userId));
+  return publicKeys.filter((k) => memberIds.has(k.userId));
+}
+
+/**
+ * Expands users into the keys a message is wrapped for: each user's account key
+ * (history, sessions without a device) plus every device key the user endorsed.
+ * Devices whose endorsement does not verify against the user's signing key are skipped.
+ */
+async function expandDevices(users) {
+  const recipients = [];
+  for (const entry of users) {
+    recipients.push({ userId: entry.userId, publicKey: entry.publicKey, keyVersion: entry.keyVersion });
+    for (const device of entry.devices || []) {
+      if (await verifyDeviceKey(entry.userId, device, entry.signingPublicKey)) {
+        recipients.push({ userId: entry.userId, deviceId: device.deviceId, publicKey: device.publicKey });
+      }
+    }
   }
+  return recipients;
 }
 
-export function useMessages() {
+/**
+ * Loads, decrypts and sends messages for one conversation (`null` = general room).
+ * `onActivity` receives every polled message, for any conversation, plus our own sent messages.
+ */
+export function useMessages(conversation = null, onActivity = null) {
   const { user } = useAuth();
   const [messages, setMessages] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [sending, setSending] = useState(false);
   const publicKeysRef = useRef([]);
-  const initialLoadDone = useRef(false);
+  const onActivityRef = useRef(onActivity);
+  // Newest message id marked read, per conversation (null = general room)
+  const readUpToRef = useRef(new Map());
+  // Other users typing in this conversation ({ userId, username }), each hidden by its own timer
+  const [typingUsers, setTypingUsers] = useState([]);
+  const typingTimersRef = useRef(new Map());
+  const lastTypingPingRef = useRef(0);
+  const conversationId = conversation ? conversation.id : null;
+  const isDirect = conversation?.type === 'direct';
+
+  // Latest callback without restarting the poll loop when it changes
+  useEffect(() => {
+    onActivityRef.current = onActivity;
+  }, [onActivity]);
+
+  // Keep enough one-time prekeys on the server for new sessions with this device
+  useEffect(() => {
+    replenishPreKeys().catch(() => {});
+  }, []);
 
-  // Load public keys and initial history
+  // Load public keys and history whenever the active conversation changes
   useEffect(() => {
-    if (initialLoadDone.current) return;
-    initialLoadDone.current = true;
+    let cancelled = false;
 
     async function init() {
+      setLoading(true);
+      setError(null);
       try {
         // Fetch all public keys
         const keys = await getAllPublicKeys();
         publicKeysRef.current = keys;
 
         // Load and decrypt message history
-        const data = await getHistory(1, 100);
-        const privateKey = getPrivateKey();
+        const data = await getHistory(1, 100, conversationId);
+        const privateKey = await getPrivateKey();
         const reversed = data.messages.reverse();
 
         const decrypted = [];
         for (const msg of reversed) {
-          decrypted.push(await decryptMsg(msg, privateKey));
+          decrypted.push(await decryptMsg(msg, privateKey, keys));
         }
-        setMessages(decrypted);
+        if (!cancelled) setMessages(decrypted);
       } catch {
-        setError('Failed to load messages');
+        if (!cancelled) setError('Failed to load messages');
       } finally {
-        setLoading(false);
+        if (!cancelled) setLoading(false);
       }
     }
     init();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [conversationId]);
+
+  // Typing indicators belong to the conversation they were shown in
+  useEffect(() => {
+    const timers = typingTimersRef.current;
+    return () => {
+      timers.forEach((timer) => clearTimeout(timer));
+      timers.clear();
+      lastTypingPingRef.current = 0;
+      setTypingUsers([]);
+    };
+  }, [conversationId]);
+
+  const hideTyping = useCallback((userId) => {
+    clearTimeout(typingTimersRef.current.get(userId));
+    typingTimersRef.current.delete(userId);
+    setTypingUsers((prev) => (prev.some((u) => u.userId === userId) ? prev.filter((u) => u.userId !== userId) : prev));
   }, []);
 
+  const handleTyping = useCallback((events) => {
+    for (const event of events) {
+      if ((event.conversationId ?? null) !== conversationId) continue;
+      if (!event.typing) {
+        hideTyping(event.userId);
+        continue;
+      }
+
+      clearTimeout(typingTimersRef.current.get(event.userId));
+      typingTimersRef.current.set(event.userId, setTimeout(() => hideTyping(event.userId), TYPING_INDICATOR_TIMEOUT));
+      setTypingUsers((prev) => (prev.some((u) => u.userId === event.userId)
+        ? prev
+        : [...prev, { userId: event.userId, username: event.username }]));
+    }
+  }, [conversationId, hideTyping]);
+
   // Handle incoming messages from long polling
   const handleNewMessages = useCallback(async (newMessages) => {
-    const privateKey = getPrivateKey();
+    onActivityRef.current?.(newMessages);
+
+    // Messages for other conversations show up when that conversation is opened
+    const relevant = newMessages.filter((msg) => (msg.conversationId ?? null) === conversationId);
+
+    // Whoever sent a message has stopped typing it; the end of the indicator may come after
+    relevant.forEach((msg) => hideTyping(msg.senderId));
+
+    // A sender who registered after our key list was loaded needs a refresh to be verifiable
+    const knownIds = new Set(publicKeysRef.current.map((k) => k.userId));
+    if (relevant.some((msg) => !knownIds.has(msg.senderId))) {
+      try {
+        publicKeysRef.current = await getAllPublicKeys();
+      } catch {
+        // Unknown senders show as unverified
+      }
+    }
+
+    const privateKey = await getPrivateKey();
     const decryptedNew = [];
 
-    for (const msg of newMessages) {
-      decryptedNew.push(await decryptMsg(msg, privateKey));
+    for (const msg of relevant) {
+      decryptedNew.push(await decryptMsg(msg, privateKey, publicKeysRef.current));
     }
 
     setMessages((prev) => {
@@ -86,10 +267,55 @@ export function useMessages() {
       if (unique.length === 0) return prev;
       return [...prev, ...unique];
     });
+  }, [conversationId, hideTyping]);
+
+  // Receipts for our own messages; those for other conversations show up with their history
+  const handleReceipts = useCallback((receipts) => {
+    const byMessage = new Map();
+    for (const receipt of receipts) {
+      if (!byMessage.has(receipt.messageId)) byMessage.set(receipt.messageId, []);
+      byMessage.get(receipt.messageId).push(receipt);
+    }
+
+    setMessages((prev) => {
+      if (!prev.some((m) => m.receipts && byMessage.has(m.id))) return prev;
+      return prev.map((m) => (m.receipts && byMessage.has(m.id)
+        ? { ...m, receipts: mergeReceipts(m.receipts, byMessage.get(m.id)) }
+        : m));
+    });
   }, []);
 
   // Start long polling after history loads
-  const { connectionStatus } = useLongPolling(handleNewMessages, !loading);
+  const { connectionStatus } = useLiveMessages(handleNewMessages, !loading, handleReceipts, handleTyping);
+
+  // Tell senders what we have seen: everything up to the newest message from someone else,
+  // once the page is in view
+  useEffect(() => {
+    if (loading) return;
+
+    const markRead = () => {
+      if (document.visibilityState !== 'visible') return;
+      const newest = messages.reduce((max, m) => (m.senderId !== user.id && m.id > max ? m.id : max), 0);
+      if (newest <= (readUpToRef.current.get(conversationId) ?? 0)) return;
+
+      readUpToRef.current.set(conversationId, newest);
+      // A lost marker is made up for by the next one, which covers everything before it
+      markMessagesRead(newest, conversationId).catch(() => {});
+    };
+
+    markRead();
+    document.addEventListener('visibilitychange', markRead);
+    return () => document.removeEventListener('visibilitychange', markRead);
+  }, [messages, loading, conversationId, user]);
+
+  // Called on every keystroke; pings the server at most once per TYPING_PING_INTERVAL
+  const notifyTyping = useCallback(() => {
+    const now = Date.now();
+    if (now - lastTypingPingRef.current < TYPING_PING_INTERVAL) return;
+
+    lastTypingPingRef.current = now;
+    sendTyping(conversationId).catch(() => {});
+  }, [conversationId]);
 
   const sendMessage = useCallback(async (content) => {
     setSending(true);
@@ -98,31 +324,53 @@ export function useMessages() {
       const keys = await getAllPublicKeys();
       publicKeysRef.current = keys;
 
-      // Encrypt for all users (including self)
-      const { encryptedContent, iv, keys: encKeys } = await encryptMessageForRecipients(
+      // Re-read membership so people removed from a group get no key for new messages
+      const members = conversationId !== null
+        ? (await getConversation(conversationId)).members
+        : null;
+
+      const recipients = selectRecipients(publicKeysRef.current, members);
+      const signingKey = await getSigningKey();
+      const encrypt = (list) =>
+        encryptMessageForRecipients(content, list, { senderId: user.id, conversationId }, signingKey);
+
+      // Direct messages go over ratchet sessions (forward secrecy); everything else is wrapped
+      // for every recipient and their devices (including our own). Both are signed as ourselves.
+      const forwardSecret = isDirect && (await canUseRatchet());
+      const { encryptedContent, iv, keys: encKeys } = forwardSecret
+        ? await encryptWithRatchet(recipients, user.id, encrypt)
+        : await encrypt(await expandDevices(recipients));
+
+      const result = await sendMessageApi(encryptedContent, iv, encKeys, conversationId);
+
+      // Forward-secret messages carry no key for this device; keep our own plaintext
+      if (forwardSecret) await cacheMessage(result.data.id, { content, verified: true });
+
+      const ownMessage = {
+        id: result.data.id,
+        conversationId,
+        senderId: user.id,
+        senderUsername: user.username,
         content,
-        publicKeysRef.current
-      );
+        verified: true,
+        createdAt: result.data.createdAt,
+        receipts: recipients
+          .filter((k) => k.userId !== user.id)
+          .map((k) => ({ messageId: result.data.id, conversationId, userId: k.userId, deliveredAt: null, readAt: null })),
+      };
 
-      const result = await sendMessageApi(encryptedContent, iv, encKeys);
+      // Sending ends the indicator on the server; the next keystroke starts a new one
+      lastTypingPingRef.current = 0;
 
       // Add own message to the list immediately (we have the plaintext)
-      setMessages((prev) => [
-        ...prev,
-        {
-          id: result.data.id,
-          senderId: user.id,
-          senderUsername: user.username,
-          content,
-          createdAt: result.data.createdAt,
-        },
-      ]);
+      setMessages((prev) => [...prev, ownMessage]);
+      onActivityRef.current?.([ownMessage]);
 
       return result;
     } finally {
       setSending(false);
     }
-  }, [user]);
+  }, [user, conversationId, isDirect]);
 
-  return { messages, loading, error, sending, sendMessage, connectionStatus };
+  return { messages, loading, error, sending, sendMessage, connectionStatus, typingUsers, notifyTyping };
 }
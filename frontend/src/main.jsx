@@ -1,9 +1,13 @@
 import { StrictMode } from 'react';
 import { createRoot } from 'react-dom/client';
 import { AuthProvider } from './context/AuthProvider';
+import { migrateLegacyKeys } from './utils/storage';
 import App from './App.jsx';
 import './index.css';
 
+// Move PEM keys left in localStorage by older versions out of reach of page scripts right away
+migrateLegacyKeys().catch(() => {});
+
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <AuthProvider>
@@ -1,5 +1,5 @@
 import axios from 'axios';
-import { getToken, clearAuth } from '../utils/storage';
+import { getToken, setToken, getRefreshToken, setRefreshToken, getDevice, clearAuth } from '../utils/storage';
 import { DEFAULT_REQUEST_TIMEOUT } from '../config/constants';
 
 const api = axios.create({
@@ -15,19 +15,61 @@ api.interceptors.request.use((config) => {
   if (token) {
     config.headers.Authorization = `Bearer ${token}`;
   }
+  const device = getDevice();
+  if (device) {
+    config.headers['X-Device-Id'] = device.deviceId;
+  }
   return config;
 });
 
+// Trades the refresh token for a new pair. Refresh tokens are single-use and shared by all
+// tabs, so tabs take turns (Web Locks): one that waited finds the pair already replaced.
+async function exchangeTokens(failedToken) {
+  if (getToken() !== failedToken) return;
+
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) throw new Error('No refresh token');
+
+  const response = await api.post('/auth/refresh', { refreshToken }, { skipAuthRefresh: true });
+  setToken(response.data.token);
+  setRefreshToken(response.data.refreshToken);
+}
+
+// Requests failing together in this tab wait for a single refresh
+let refreshing = null;
+
+function refreshTokens(failedToken) {
+  if (!refreshing) {
+    const exchange = () => exchangeTokens(failedToken);
+    refreshing = (navigator.locks ? navigator.locks.request('messaging_token_refresh', exchange) : exchange())
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+}
+
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401 || error.response?.status === 403) {
-      const token = getToken();
-      if (token) {
-        clearAuth();
-        window.location.reload();
+  async (error) => {
+    const { config, response } = error;
+    const sentToken = config?.headers?.Authorization?.split(' ')[1];
+
+    if ((response?.status === 401 || response?.status === 403) && sentToken && !config.skipAuthRefresh && !config.retried) {
+      try {
+        await refreshTokens(sentToken);
+      } catch (refreshError) {
+        // The session is over (expired, revoked or its token reused); network errors are not
+        if ((refreshError.response || !getRefreshToken()) && getToken()) {
+          clearAuth();
+          window.location.reload();
+        }
+        return Promise.reject(error);
       }
+      // Still refused with a fresh token: a real permission error, returned as is
+      return api({ ...config, retried: true });
     }
+
     return Promise.reject(error);
   }
 );
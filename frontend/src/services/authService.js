@@ -5,13 +5,70 @@ export async function login(username, password) {
   return response.data;
 }
 
-export async function register(username, password, publicKey, encryptedPrivateKey, encryptedPrivateKeyIv) {
+export async function register(
+  username,
+  password,
+  publicKey,
+  encryptedPrivateKey,
+  encryptedPrivateKeyIv,
+  signingKey = {},
+  recoveryCodes = []
+) {
   const response = await api.post('/auth/register', {
     username,
     password,
     publicKey,
     encryptedPrivateKey,
     encryptedPrivateKeyIv,
+    ...signingKey,
+    recoveryCodes,
   });
   return response.data;
 }
+
+// Second login step for accounts with 2FA: the challenge from login() plus a code
+export async function loginTwoFactor(challengeToken, code) {
+  const response = await api.post('/auth/login/2fa', { challengeToken, code });
+  return response.data;
+}
+
+// Ends the server-side session; sent with the refresh token, so an expired access token is fine
+export async function logout(refreshToken) {
+  const response = await api.post('/auth/logout', { refreshToken }, { skipAuthRefresh: true });
+  return response.data;
+}
+
+export async function changePassword(currentPassword, newPassword, backups) {
+  const response = await api.post('/auth/change-password', { currentPassword, newPassword, ...backups });
+  return response.data;
+}
+
+export async function getSessions() {
+  const response = await api.get('/auth/sessions');
+  return response.data.sessions;
+}
+
+export async function revokeSession(sessionId) {
+  const response = await api.delete(`/auth/sessions/${sessionId}`);
+  return response.data;
+}
+
+export async function getTwoFactorStatus() {
+  const response = await api.get('/auth/2fa');
+  return response.data;
+}
+
+export async function setupTwoFactor(password) {
+  const response = await api.post('/auth/2fa/setup', { password });
+  return response.data;
+}
+
+export async function enableTwoFactor(code) {
+  const response = await api.post('/auth/2fa/enable', { code });
+  return response.data;
+}
+
+export async function disableTwoFactor(password, code) {
+  const response = await api.post('/auth/2fa/disable', { password, code });
+  return response.data;
+}
@@ -0,0 +1,41 @@
+import api from './api';
+
+export async function getConversations() {
+  const response = await api.get('/conversations');
+  return response.data;
+}
+
+export async function openDirectConversation(userId) {
+  const response = await api.post('/conversations', { userId });
+  return response.data.conversation;
+}
+
+export async function createGroup(name, memberIds) {
+  const response = await api.post('/conversations/groups', { name, memberIds });
+  return response.data.conversation;
+}
+
+export async function getConversation(conversationId) {
+  const response = await api.get(`/conversations/${conversationId}`);
+  return response.data.conversation;
+}
+
+export async function inviteMembers(conversationId, userIds) {
+  const response = await api.post(`/conversations/${conversationId}/members`, { userIds });
+  return response.data.conversation;
+}
+
+export async function removeMember(conversationId, userId) {
+  const response = await api.delete(`/conversations/${conversationId}/members/${userId}`);
+  return response.data.conversation;
+}
+
+export async function updateMemberRole(conversationId, userId, role) {
+  const response = await api.patch(`/conversations/${conversationId}/members/${userId}`, { role });
+  return response.data.conversation;
+}
+
+export async function leaveConversation(conversationId) {
+  const response = await api.post(`/conversations/${conversationId}/leave`);
+  return response.data;
+}
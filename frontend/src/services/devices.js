@@ -0,0 +1,104 @@
+import api from './api';
+import {
+  generateRSAKeyPair,
+  signDeviceKey,
+  encryptPrivateKey,
+  generateDevicePreKeys,
+  generateOneTimePreKeys,
+} from '../utils/crypto';
+import {
+  setDevice,
+  setDeviceKey,
+  createStorageKey,
+  updateKeyVault,
+  getPreKeySecrets,
+  setPreKeySecrets,
+  updatePreKeySecrets,
+} from '../utils/storage';
+import { PREKEY_BATCH_SIZE, PREKEY_REFILL_THRESHOLD } from '../config/constants';
+
+export async function getDevices() {
+  const response = await api.get('/devices');
+  return response.data.devices;
+}
+
+export async function registerDevice(name, publicKey, signature) {
+  const response = await api.post('/devices', { name, publicKey, signature });
+  return response.data.device;
+}
+
+export async function removeDevice(deviceId) {
+  const response = await api.delete(`/devices/${deviceId}`);
+  return response.data;
+}
+
+export async function uploadPreKeys(upload) {
+  const response = await api.put('/devices/prekeys', upload);
+  return response.data;
+}
+
+export async function getPreKeyCount() {
+  const response = await api.get('/devices/prekeys');
+  return response.data.oneTimePreKeys;
+}
+
+export async function getPreKeyBundles(userId) {
+  const response = await api.get(`/devices/bundles/${userId}`);
+  return response.data.bundles;
+}
+
+// A readable default name, e.g. "Linux x86_64"
+function defaultDeviceName() {
+  return (navigator.userAgentData?.platform || navigator.platform || 'דפדפן').slice(0, 60);
+}
+
+/**
+ * Gives this browser its own RSA key pair, endorsed by the user's signing key,
+ * and remembers it so requests identify the device. Needs the auth token stored.
+ * The password wraps the device and storage keys in the key vault, so the app lock can restore them.
+ */
+export async function registerCurrentDevice(userId, signingKey, password) {
+  const { publicKey, privateKey } = await generateRSAKeyPair();
+  const signature = await signDeviceKey(userId, publicKey, signingKey);
+  const device = await registerDevice(defaultDeviceName(), publicKey, signature);
+  setDevice({ deviceId: device.id });
+  await setDeviceKey(privateKey);
+  const storageKey = await createStorageKey();
+  updateKeyVault({
+    deviceKey: encryptPrivateKey(privateKey, password),
+    storageKey: encryptPrivateKey(storageKey, password),
+  });
+
+  // X3DH prekeys let contacts start forward-secret sessions with this device
+  try {
+    const { upload, secrets } = await generateDevicePreKeys(userId, device.id, signingKey, PREKEY_BATCH_SIZE);
+    await uploadPreKeys(upload);
+    await setPreKeySecrets(secrets);
+  } catch {
+    // Silent fail - contacts encrypt to this account's RSA key instead
+  }
+
+  return device;
+}
+
+/**
+ * Uploads a new batch of one-time prekeys when the server is running low.
+ */
+export async function replenishPreKeys() {
+  const current = await getPreKeySecrets();
+  if (!current) return;
+
+  const remaining = await getPreKeyCount();
+  if (remaining >= PREKEY_REFILL_THRESHOLD) return;
+
+  const firstKeyId = current.nextOneTimePreKeyId;
+  const { publicKeys, secrets } = await generateOneTimePreKeys(firstKeyId, PREKEY_BATCH_SIZE - remaining);
+  await uploadPreKeys({ oneTimePreKeys: publicKeys });
+
+  // Update the latest copy: a session may have used up a one-time prekey meanwhile
+  await updatePreKeySecrets((latest) => ({
+    ...latest,
+    oneTimePreKeys: { ...latest.oneTimePreKeys, ...secrets },
+    nextOneTimePreKeyId: firstKeyId + publicKeys.length,
+  }));
+}
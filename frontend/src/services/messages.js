@@ -1,22 +1,77 @@
 import api from './api';
-import { POLL_REQUEST_TIMEOUT } from '../config/constants';
+import { readEventStream } from '../utils/eventStream';
+import { POLL_REQUEST_TIMEOUT, STREAM_IDLE_TIMEOUT, ACK_BATCH_SIZE } from '../config/constants';
 
-export async function sendMessage(encryptedContent, iv, keys) {
-  const response = await api.post('/messages/send', { encryptedContent, iv, keys });
+export async function sendMessage(encryptedContent, iv, keys, conversationId = null) {
+  const response = await api.post('/messages/send', { encryptedContent, iv, keys, conversationId });
   return response.data;
 }
 
-export async function pollMessages(signal) {
+// after: the newest message id already received. Newer messages come back, and older ones this
+// device has not acknowledged.
+export async function pollMessages(signal, after = null) {
   const response = await api.get('/messages/poll', {
     signal,
     timeout: POLL_REQUEST_TIMEOUT,
+    params: after !== null ? { after } : {},
   });
   return response.data;
 }
 
-export async function getHistory(page = 1, pageSize = 50) {
-  const response = await api.get('/messages/history', {
-    params: { page, pageSize },
+// Marks the messages this device received delivered to it, by id
+export async function ackMessages(messageIds) {
+  for (let i = 0; i < messageIds.length; i += ACK_BATCH_SIZE) {
+    await api.post('/messages/ack', { messageIds: messageIds.slice(i, i + ACK_BATCH_SIZE) });
+  }
+}
+
+// Marks this user's messages up to upTo read in one conversation (null = general room)
+export async function markMessagesRead(upTo, conversationId = null) {
+  const response = await api.post('/messages/read', { upTo, conversationId });
+  return response.data;
+}
+
+// Tells the conversation's other members (null = general room) that this user is typing
+export async function sendTyping(conversationId = null) {
+  const response = await api.post('/messages/typing', { conversationId });
+  return response.data;
+}
+
+/**
+ * Opens the message stream (SSE) and calls onMessages with each batch. Event ids are message ids:
+ * reconnecting with the newest one received as lastEventId gets back what was in flight, along with
+ * anything older that was never acknowledged.
+ * Receipts for our own messages come as "receipts" events, passed to onReceipts, and other users
+ * starting or stopping to type as "typing" events, passed to onTyping.
+ * Settles only when the stream ends: resolves if the server closed it, rejects on errors,
+ * a quiet connection or the session being revoked.
+ */
+export async function streamMessages({ signal, lastEventId = null, onOpen, onMessages, onReceipts, onTyping }) {
+  // Through api (and its fetch adapter) so the stream gets the auth headers and token refresh
+  const response = await api.get('/messages/stream', {
+    adapter: 'fetch',
+    responseType: 'stream',
+    timeout: 0,
+    signal,
+    headers: lastEventId !== null ? { 'Last-Event-ID': String(lastEventId) } : {},
   });
+  if (!String(response.headers['content-type']).startsWith('text/event-stream')) {
+    throw new Error('Not an event stream');
+  }
+
+  onOpen?.();
+  await readEventStream(response.data, ({ event, data }) => {
+    const payload = JSON.parse(data);
+    if (event === 'revoked') throw new Error(payload.error);
+    if (event === 'receipts') onReceipts?.(payload.receipts);
+    else if (event === 'typing') onTyping?.(payload.typing);
+    else onMessages(payload.messages);
+  }, STREAM_IDLE_TIMEOUT);
+}
+
+export async function getHistory(page = 1, pageSize = 50, conversationId = null) {
+  const params = { page, pageSize };
+  if (conversationId !== null) params.conversationId = conversationId;
+  const response = await api.get('/messages/history', { params });
   return response.data;
 }
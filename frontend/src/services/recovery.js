@@ -0,0 +1,79 @@
+import api from './api';
+import {
+  generateRecoveryCode,
+  recoveryCodeVerifier,
+  wrapWithRecoveryCode,
+  unwrapWithRecoveryCode,
+  encryptPrivateKey,
+} from '../utils/crypto';
+import { openKeyVault } from '../utils/appLock';
+import { RECOVERY_CODE_COUNT } from '../config/constants';
+
+export async function replaceRecoveryCodes(password, recoveryCodes) {
+  const response = await api.put('/auth/recovery-codes', { password, recoveryCodes });
+  return response.data;
+}
+
+export async function getRecoveryKeys(username, verifier) {
+  const response = await api.post('/auth/recovery/keys', { username, verifier });
+  return response.data;
+}
+
+export async function recoverAccount(username, verifier, newPassword, backups) {
+  const response = await api.post('/auth/recovery', { username, verifier, newPassword, ...backups });
+  return response.data;
+}
+
+/**
+ * Makes a set of recovery codes, each wrapping the given PEM keys on its own.
+ * The codes are shown to the user once; only the uploads go to the server.
+ */
+export async function createRecoveryCodes(keys) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+  const uploads = [];
+  for (const code of codes) {
+    const { encryptedKeys, iv } = await wrapWithRecoveryCode(keys, code);
+    uploads.push({ verifier: await recoveryCodeVerifier(code), encryptedKeys, encryptedKeysIv: iv });
+  }
+  return { codes, uploads };
+}
+
+// Replaces the account's codes with new ones wrapping the keys in the key vault
+export async function regenerateRecoveryCodes(password) {
+  const { codes, uploads } = await createRecoveryCodes(openKeyVault(password));
+  await replaceRecoveryCodes(password, uploads);
+  return codes;
+}
+
+/**
+ * Sets a new password with a recovery code: unwraps the keys the code protects and
+ * backs them up again under the new password. The code cannot be used again.
+ * @throws {Error} 'Wrong recovery code' if the code does not unwrap the keys
+ */
+export async function recoverWithCode(username, code, newPassword) {
+  const verifier = await recoveryCodeVerifier(code);
+  const { keyVersion, encryptedKeys, encryptedKeysIv } = await getRecoveryKeys(username, verifier);
+
+  let keys;
+  try {
+    keys = await unwrapWithRecoveryCode(encryptedKeys, encryptedKeysIv, code);
+  } catch {
+    throw new Error('Wrong recovery code');
+  }
+
+  const wrap = (pem) => encryptPrivateKey(pem, newPassword);
+  const account = wrap(keys.privateKey);
+  const signing = keys.signingKey ? wrap(keys.signingKey) : null;
+
+  await recoverAccount(username, verifier, newPassword, {
+    keyVersion,
+    encryptedPrivateKey: account.encryptedPrivateKey,
+    encryptedPrivateKeyIv: account.iv,
+    encryptedSigningKey: signing?.encryptedPrivateKey,
+    encryptedSigningKeyIv: signing?.iv,
+    archivedKeys: Object.entries(keys.archivedKeys).map(([version, pem]) => {
+      const { encryptedPrivateKey, iv } = wrap(pem);
+      return { keyVersion: Number(version), encryptedPrivateKey, encryptedPrivateKeyIv: iv };
+    }),
+  });
+}
@@ -0,0 +1,150 @@
+import {
+  createInitiatorSession,
+  createResponderSession,
+  ratchetEncrypt,
+  ratchetDecrypt,
+  verifyPreKeyBundle,
+} from '../utils/crypto';
+import { getDevice, getSessions, setSessions, getPreKeySecrets, updatePreKeySecrets } from '../utils/storage';
+import { getPreKeyBundles } from './devices';
+
+// Sessions kept per peer device besides the active one (both sides may start a session at once)
+const MAX_PREVIOUS_SESSIONS = 3;
+
+function sessionId(userId, deviceId) {
+  return `${userId}:${deviceId}`;
+}
+
+// Sending and receiving both read-modify-write the stored sessions; run them one at a time
+let queue = Promise.resolve();
+
+function withSessions(fn) {
+  const run = queue.then(async () => {
+    const sessions = await getSessions();
+    try {
+      return await fn(sessions);
+    } finally {
+      // Persist even on failure: a message key that was used must never be used again
+      await setSessions(sessions);
+    }
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+// Makes `updated` the active session and keeps the others as fallbacks
+function promote(record, used, updated) {
+  const others = [record.active, ...record.previous].filter((s) => s && s !== used);
+  return { active: updated, previous: others.slice(0, MAX_PREVIOUS_SESSIONS) };
+}
+
+async function startSessions(sessions, member, deviceIds, identity) {
+  let bundles;
+  try {
+    bundles = await getPreKeyBundles(member.userId);
+  } catch {
+    // E.g. rate limited: devices without a session get the account key this time
+    return;
+  }
+  for (const bundle of bundles) {
+    const id = sessionId(member.userId, bundle.deviceId);
+    if (!deviceIds.includes(bundle.deviceId) || sessions[id]) continue;
+    // A bundle the owner did not sign could be the server's own keys
+    if (!(await verifyPreKeyBundle(member.userId, bundle, member.signingPublicKey))) continue;
+    sessions[id] = { active: await createInitiatorSession(identity, bundle), previous: [] };
+  }
+}
+
+/**
+ * Whether this device can take part in forward-secret sessions.
+ */
+export async function canUseRatchet() {
+  return Boolean(getDevice() && (await getPreKeySecrets()));
+}
+
+/**
+ * Encrypts a direct message over Double Ratchet sessions: every device of each member
+ * (except this one) gets the message key through its session, started from a prekey
+ * bundle when needed. Members without such a device fall back to their account RSA key;
+ * the sender needs none, its copy stays on this device.
+ * `encrypt(recipients)` is encryptMessageForRecipients bound to the message.
+ */
+export function encryptWithRatchet(members, ownUserId, encrypt) {
+  const ownDeviceId = getDevice().deviceId;
+
+  return withSessions(async (sessions) => {
+    const { identity } = await getPreKeySecrets();
+    const recipients = [];
+    for (const member of members) {
+      const deviceIds = (member.devices || [])
+        .map((d) => d.deviceId)
+        .filter((id) => !(member.userId === ownUserId && id === ownDeviceId));
+
+      if (deviceIds.some((id) => !sessions[sessionId(member.userId, id)])) {
+        await startSessions(sessions, member, deviceIds, identity);
+      }
+
+      const reachable = deviceIds.filter((id) => sessions[sessionId(member.userId, id)]);
+      for (const deviceId of reachable) {
+        const record = sessions[sessionId(member.userId, deviceId)];
+        recipients.push({
+          userId: member.userId,
+          deviceId,
+          wrapKey: async (keyBytes) => {
+            const { session, header, ciphertext } = await ratchetEncrypt(record.active, keyBytes);
+            record.active = session;
+            return { encryptedKey: ciphertext, ratchetHeader: header };
+          },
+        });
+      }
+
+      if (reachable.length === 0 && member.userId !== ownUserId) {
+        recipients.push({ userId: member.userId, publicKey: member.publicKey, keyVersion: member.keyVersion });
+      }
+    }
+    return encrypt(recipients);
+  });
+}
+
+/**
+ * Recovers a message's AES key from its ratchet header and wrapped key, creating the
+ * session from our prekeys when the message starts one.
+ * @throws {Error} If no session decrypts it (replayed, forged, or its key was already used)
+ */
+export function decryptWithRatchet(msg) {
+  return withSessions(async (sessions) => {
+    const id = sessionId(msg.senderId, msg.senderDeviceId);
+    const record = sessions[id] || { active: null, previous: [] };
+    const known = [record.active, ...record.previous].filter(Boolean);
+    const { x3dh } = JSON.parse(msg.ratchetHeader);
+
+    let candidates = known;
+    let secrets = null;
+    if (x3dh) {
+      candidates = known.filter((s) => s.initialEphemeral === x3dh.ek);
+      if (candidates.length === 0) {
+        secrets = await getPreKeySecrets();
+        candidates = [await createResponderSession(secrets, x3dh)];
+      }
+    }
+
+    for (const candidate of candidates) {
+      try {
+        const { session, plaintext } = await ratchetDecrypt(candidate, msg.ratchetHeader, msg.encryptedKey);
+        sessions[id] = promote(record, candidate, session);
+
+        // A one-time prekey is good for exactly one session
+        if (secrets && x3dh.opk !== null) {
+          await updatePreKeySecrets((latest) => {
+            delete latest.oneTimePreKeys[x3dh.opk];
+            return latest;
+          });
+        }
+        return plaintext;
+      } catch {
+        // Try the next session
+      }
+    }
+    throw new Error('No session decrypts this message');
+  });
+}
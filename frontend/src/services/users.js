@@ -4,3 +4,33 @@ export async function getAllPublicKeys() {
   const response = await api.get('/users/public-keys');
   return response.data.users;
 }
+
+export async function uploadSigningKey(signingPublicKey, encryptedSigningKey, encryptedSigningKeyIv) {
+  const response = await api.put('/users/signing-key', {
+    signingPublicKey,
+    encryptedSigningKey,
+    encryptedSigningKeyIv,
+  });
+  return response.data;
+}
+
+export async function rotateKeys(password, publicKey, encryptedPrivateKey, encryptedPrivateKeyIv) {
+  const response = await api.post('/users/keys/rotate', {
+    password,
+    publicKey,
+    encryptedPrivateKey,
+    encryptedPrivateKeyIv,
+  });
+  return response.data;
+}
+
+// Everything the server stores about the account (messages as stored, still encrypted)
+export async function exportAccount() {
+  const response = await api.get('/users/me/export');
+  return response.data;
+}
+
+export async function deleteAccount(password, code) {
+  const response = await api.delete('/users/me', { data: { password, ...(code && { code }) } });
+  return response.data;
+}
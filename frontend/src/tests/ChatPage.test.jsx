@@ -4,6 +4,7 @@ import userEvent from '@testing-library/user-event';
 
 const mockUser = { id: 1, username: 'testuser' };
 const mockSendMessage = vi.fn();
+const mockNotifyTyping = vi.fn();
 let mockUseAuthReturn = { user: mockUser };
 let mockUseMessagesReturn = {
   messages: [],
@@ -12,6 +13,8 @@ let mockUseMessagesReturn = {
   sending: false,
   sendMessage: mockSendMessage,
   connectionStatus: 'connected',
+  typingUsers: [],
+  notifyTyping: mockNotifyTyping,
 };
 
 // Mock the hooks before importing ChatPage
@@ -23,8 +26,53 @@ vi.mock('../hooks/useMessages', () => ({
   useMessages: () => mockUseMessagesReturn,
 }));
 
+let mockActiveConversation = null;
+let mockUseContactVerificationReturn;
+
+vi.mock('../hooks/useConversations', () => ({
+  useConversations: () => ({
+    conversations: [],
+    general: { lastMessage: null, unreadCount: 0 },
+    activeConversation: mockActiveConversation,
+    selectConversation: vi.fn(),
+    openDirect: vi.fn(),
+    openGeneral: vi.fn(),
+    createGroup: vi.fn(),
+    inviteMembers: vi.fn(),
+    removeMember: vi.fn(),
+    changeRole: vi.fn(),
+    leave: vi.fn(),
+    noteMessages: vi.fn(),
+  }),
+}));
+
+vi.mock('../hooks/useContactVerification', () => ({
+  useContactVerification: () => mockUseContactVerificationReturn,
+}));
+
+vi.mock('../services/users', () => ({
+  getAllPublicKeys: vi.fn(() => Promise.resolve([])),
+}));
+
+vi.mock('../utils/crypto', () => ({
+  computeSafetyNumber: vi.fn(() => Promise.resolve('1'.repeat(60))),
+  formatSafetyNumber: (digits) => digits.match(/.{1,5}/g) || [],
+}));
+
+vi.mock('qrcode', () => ({
+  default: { toDataURL: vi.fn(() => Promise.resolve('data:image/png;base64,AAAA')) },
+}));
+
 // Import after mocks are set up
 import ChatPage from '../components/Chat/ChatPage';
+import { getAllPublicKeys } from '../services/users';
+
+// DirectMessagePicker loads the user list on mount; wait for it so its update lands inside act
+async function renderChatPage() {
+  const view = render(<ChatPage />);
+  await waitFor(() => expect(getAllPublicKeys).toHaveBeenCalled());
+  return view;
+}
 
 describe('ChatPage', () => {
   const defaultUseMessagesReturn = {
@@ -34,89 +82,100 @@ describe('ChatPage', () => {
     sending: false,
     sendMessage: mockSendMessage,
     connectionStatus: 'connected',
+    typingUsers: [],
+    notifyTyping: mockNotifyTyping,
   };
 
   beforeEach(() => {
     vi.clearAllMocks();
     mockUseAuthReturn = { user: mockUser };
     mockUseMessagesReturn = { ...defaultUseMessagesReturn };
+    mockActiveConversation = null;
+    mockUseContactVerificationReturn = {
+      publicKeys: [],
+      status: () => 'unverified',
+      changedContacts: [],
+      markVerified: vi.fn(),
+      unmarkVerified: vi.fn(),
+      refresh: vi.fn(),
+    };
   });
 
   describe('loading state', () => {
-    it('should show loading spinner when loading', () => {
+    it('should show loading spinner when loading', async () => {
       mockUseMessagesReturn = {
         ...defaultUseMessagesReturn,
         loading: true,
       };
 
-      const { container } = render(<ChatPage />);
+      const { container } = await renderChatPage();
 
       expect(container.querySelector('[class*="spinner"]')).toBeInTheDocument();
     });
   });
 
   describe('connection status', () => {
-    it('should show "מחובר" when connected', () => {
+    it('should show "מחובר" when connected', async () => {
       mockUseMessagesReturn = {
         ...defaultUseMessagesReturn,
         connectionStatus: 'connected',
       };
 
-      render(<ChatPage />);
+      await renderChatPage();
 
       expect(screen.getByText('מחובר')).toBeInTheDocument();
     });
 
-    it('should show "מתחבר..." when connecting', () => {
+    it('should show "מתחבר..." when connecting', async () => {
       mockUseMessagesReturn = {
         ...defaultUseMessagesReturn,
         connectionStatus: 'connecting',
       };
 
-      render(<ChatPage />);
+      await renderChatPage();
 
       expect(screen.getByText('מתחבר...')).toBeInTheDocument();
     });
 
-    it('should show "שגיאת חיבור" when error', () => {
+    it('should show "שגיאת חיבור" when error', async () => {
       mockUseMessagesReturn = {
         ...defaultUseMessagesReturn,
         connectionStatus: 'error',
       };
 
-      render(<ChatPage />);
+      await renderChatPage();
 
       expect(screen.getByText('שגיאת חיבור')).toBeInTheDocument();
     });
 
-    it('should show "מנותק" when disconnected', () => {
+    it('should show "מנותק" when disconnected', async () => {
       mockUseMessagesReturn = {
         ...defaultUseMessagesReturn,
         connectionStatus: 'disconnected',
       };
 
-      render(<ChatPage />);
+      await renderChatPage();
 
       expect(screen.getByText('מנותק')).toBeInTheDocument();
     });
   });
 
   describe('error state', () => {
-    it('should display error message when error exists', () => {
+    it('should display error message when error exists', async () => {
       mockUseMessagesReturn = {
         ...defaultUseMessagesReturn,
         error: 'Failed to load messages',
       };
 
-      render(<ChatPage />);
+      await renderChatPage();
 
       expect(screen.getByText('Failed to load messages')).toBeInTheDocument();
     });
   });
 
   describe('empty state', () => {
-    it('should show empty state message when no messages', () => {
-      render(<ChatPage />);
+    it('should show empty state message when no messages', async () => {
+      await renderChatPage();
 
       expect(screen.getByText('אין הודעות עדיין. שלח את ההודעה הראשונה!')).toBeInTheDocument();
     });
@@ -140,38 +199,38 @@ describe('ChatPage', () => {
       },
     ];
 
-    it('should render messages', () => {
+    it('should render messages', async () => {
       mockUseMessagesReturn = {
         ...defaultUseMessagesReturn,
         messages: mockMessages,
       };
 
-      render(<ChatPage />);
+      await renderChatPage();
 
       expect(screen.getByText('Hello world')).toBeInTheDocument();
       expect(screen.getByText('Hi there')).toBeInTheDocument();
     });
 
-    it('should show sender name for other users messages', () => {
+    it('should show sender name for other users messages', async () => {
       mockUseMessagesReturn = {
         ...defaultUseMessagesReturn,
         messages: mockMessages,
       };
 
-      render(<ChatPage />);
+      await renderChatPage();
 
       expect(screen.getByText('otheruser')).toBeInTheDocument();
       // Own message should not show sender name
       expect(screen.queryAllByText('testuser')).toHaveLength(0);
     });
 
-    it('should apply different styles for own vs other messages', () => {
+    it('should apply different styles for own vs other messages', async () => {
       mockUseMessagesReturn = {
         ...defaultUseMessagesReturn,
         messages: mockMessages,
       };
 
-      render(<ChatPage />);
+      await renderChatPage();
 
       const messageBubbles = screen.getAllByText(/Hello world|Hi there/).map(
         (el) => el.closest('[class*="messageBubble"]')
@@ -181,18 +240,150 @@ describe('ChatPage', () => {
       expect(messageBubbles[0].className).toMatch(/own/);
       expect(messageBubbles[1].className).toMatch(/other/);
     });
+
+    it('should mark messages whose signature failed as unverified', async () => {
+      mockUseMessagesReturn = {
+        ...defaultUseMessagesReturn,
+        messages: [
+          { ...mockMessages[0], verified: true },
+          { ...mockMessages[1], verified: false },
+        ],
+      };
+
+      await renderChatPage();
+
+      const marks = screen.getAllByText('לא מאומת');
+      expect(marks).toHaveLength(1);
+      expect(marks[0].closest('[class*="messageBubble"]')).toHaveTextContent('Hi there');
+    });
+  });
+
+  describe('typing indicators', () => {
+    it('shows who is typing in the status bar', async () => {
+      mockUseMessagesReturn = {
+        ...defaultUseMessagesReturn,
+        typingUsers: [{ userId: 2, username: 'bob' }],
+      };
+
+      const { rerender } = await renderChatPage();
+      expect(screen.getByText('bob מקליד…')).toBeInTheDocument();
+
+      mockUseMessagesReturn = {
+        ...defaultUseMessagesReturn,
+        typingUsers: [{ userId: 2, username: 'bob' }, { userId: 3, username: 'carol' }],
+      };
+      rerender(<ChatPage />);
+      expect(screen.getByText('bob, carol מקלידים…')).toBeInTheDocument();
+    });
+
+    it('pings while the user types, but not for blank input', async () => {
+      const user = userEvent.setup();
+      await renderChatPage();
+      const input = screen.getByPlaceholderText('הקלד הודעה...');
+
+      await user.type(input, '  ');
+      expect(mockNotifyTyping).not.toHaveBeenCalled();
+
+      await user.type(input, 'hi');
+      expect(mockNotifyTyping).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('receipts', () => {
+    const ownMessage = (receipts) => ({
+      id: 1,
+      senderId: 1,
+      senderUsername: 'testuser',
+      content: 'Mine',
+      createdAt: '2024-01-15T10:30:00Z',
+      receipts,
+    });
+
+    it('shows sent, delivered and read ticks on own messages', async () => {
+      mockUseMessagesReturn = {
+        ...defaultUseMessagesReturn,
+        messages: [
+          ownMessage([{ userId: 2, deliveredAt: null, readAt: null }]),
+          { ...ownMessage([{ userId: 2, deliveredAt: '2024-01-15T10:31:00Z', readAt: null }]), id: 2 },
+          { ...ownMessage([{ userId: 2, deliveredAt: '2024-01-15T10:31:00Z', readAt: '2024-01-15T10:32:00Z' }]), id: 3 },
+        ],
+      };
+
+      await renderChatPage();
+
+      expect(screen.getByLabelText('נשלח')).toHaveTextContent('✓');
+      expect(screen.getByLabelText('נמסר')).toHaveTextContent('✓✓');
+      expect(screen.getByLabelText('נקרא')).toHaveTextContent('✓✓');
+    });
+
+    it('counts a group message as read only once every member read it', async () => {
+      mockUseMessagesReturn = {
+        ...defaultUseMessagesReturn,
+        messages: [
+          ownMessage([
+            { userId: 2, deliveredAt: '2024-01-15T10:31:00Z', readAt: '2024-01-15T10:32:00Z' },
+            { userId: 3, deliveredAt: '2024-01-15T10:31:00Z', readAt: null },
+          ]),
+        ],
+      };
+
+      await renderChatPage();
+
+      expect(screen.getByLabelText('נמסר')).toBeInTheDocument();
+    });
+
+    it('lists who has seen a group message', async () => {
+      const user = userEvent.setup();
+      mockActiveConversation = {
+        id: 7,
+        type: 'group',
+        name: 'Team',
+        members: [
+          { userId: 1, username: 'testuser', role: 'admin' },
+          { userId: 2, username: 'bob', role: 'member' },
+          { userId: 3, username: 'carol', role: 'member' },
+        ],
+      };
+      mockUseMessagesReturn = {
+        ...defaultUseMessagesReturn,
+        messages: [
+          ownMessage([
+            { userId: 2, deliveredAt: '2024-01-15T10:31:00Z', readAt: '2024-01-15T10:32:00Z' },
+            { userId: 3, deliveredAt: '2024-01-15T10:31:00Z', readAt: null },
+          ]),
+        ],
+      };
+
+      await renderChatPage();
+      await user.click(screen.getByRole('button', { name: 'נמסר' }));
+
+      const popover = screen.getByRole('dialog', { name: 'נצפה על ידי' });
+      expect(popover).toHaveTextContent('bob');
+      expect(popover).not.toHaveTextContent('carol');
+    });
+
+    it('shows no ticks on other people\'s messages', async () => {
+      mockUseMessagesReturn = {
+        ...defaultUseMessagesReturn,
+        messages: [{ id: 2, senderId: 2, senderUsername: 'bob', content: 'Hi', createdAt: '2024-01-15T10:31:00Z', receipts: null }],
+      };
+
+      await renderChatPage();
+
+      expect(screen.queryByLabelText(/נשלח|נמסר|נקרא/)).not.toBeInTheDocument();
+    });
   });
 
   describe('message input', () => {
-    it('should render input field and send button', () => {
-      render(<ChatPage />);
+    it('should render input field and send button', async () => {
+      await renderChatPage();
 
       expect(screen.getByPlaceholderText('הקלד הודעה...')).toBeInTheDocument();
       expect(screen.getByRole('button', { name: 'שלח' })).toBeInTheDocument();
     });
 
-    it('should disable send button when input is empty', () => {
-      render(<ChatPage />);
+    it('should disable send button when input is empty', async () => {
+      await renderChatPage();
 
       const sendButton = screen.getByRole('button', { name: 'שלח' });
       expect(sendButton).toBeDisabled();
@@ -200,7 +391,7 @@ describe('ChatPage', () => {
 
     it('should enable send button when input has content', async () => {
       const user = userEvent.setup();
-      render(<ChatPage />);
+      await renderChatPage();
 
       const input = screen.getByPlaceholderText('הקלד הודעה...');
       await user.type(input, 'Test message');
@@ -211,7 +402,7 @@ describe('ChatPage', () => {
 
     it('should disable send button when only whitespace', async () => {
       const user = userEvent.setup();
-      render(<ChatPage />);
+      await renderChatPage();
 
       const input = screen.getByPlaceholderText('הקלד הודעה...');
       await user.type(input, '   ');
@@ -220,8 +411,8 @@ describe('ChatPage', () => {
       expect(sendButton).toBeDisabled();
     });
 
-    it('should have max length of 5000 characters', () => {
-      render(<ChatPage />);
+    it('should have max length of 5000 characters', async () => {
+      await renderChatPage();
 
       const input = screen.getByPlaceholderText('הקלד הודעה...');
       expect(input).toHaveAttribute('maxLength', '5000');
@@ -233,7 +424,7 @@ describe('ChatPage', () => {
       const user = userEvent.setup();
       mockSendMessage.mockResolvedValue({ data: { id: 3 } });
 
-      render(<ChatPage />);
+      await renderChatPage();
 
       const input = screen.getByPlaceholderText('הקלד הודעה...');
       await user.type(input, 'Test message');
@@ -248,7 +439,7 @@ describe('ChatPage', () => {
       const user = userEvent.setup();
       mockSendMessage.mockResolvedValue({ data: { id: 3 } });
 
-      render(<ChatPage />);
+      await renderChatPage();
 
       const input = screen.getByPlaceholderText('הקלד הודעה...');
       await user.type(input, 'Test message');
@@ -263,7 +454,7 @@ describe('ChatPage', () => {
       const user = userEvent.setup();
       mockSendMessage.mockRejectedValue(new Error('Send failed'));
 
-      render(<ChatPage />);
+      await renderChatPage();
 
       const input = screen.getByPlaceholderText('הקלד הודעה...');
       await user.type(input, 'Test message');
@@ -274,31 +465,31 @@ describe('ChatPage', () => {
       });
     });
 
-    it('should show "שולח..." when sending', () => {
+    it('should show "שולח..." when sending', async () => {
       mockUseMessagesReturn = {
         ...defaultUseMessagesReturn,
         sending: true,
       };
 
-      render(<ChatPage />);
+      await renderChatPage();
 
       expect(screen.getByRole('button', { name: 'שולח...' })).toBeInTheDocument();
     });
 
-    it('should disable input when sending', () => {
+    it('should disable input when sending', async () => {
       mockUseMessagesReturn = {
         ...defaultUseMessagesReturn,
         sending: true,
       };
 
-      render(<ChatPage />);
+      await renderChatPage();
 
       const input = screen.getByPlaceholderText('הקלד הודעה...');
       expect(input).toBeDisabled();
     });
 
-    it('should not send empty messages', () => {
-      render(<ChatPage />);
+    it('should not send empty messages', async () => {
+      await renderChatPage();
 
       const form = screen.getByPlaceholderText('הקלד הודעה...').closest('form');
       fireEvent.submit(form);
@@ -309,7 +500,7 @@ describe('ChatPage', () => {
     it('should trim whitespace from messages', async () => {
       mockSendMessage.mockResolvedValue({ data: { id: 3 } });
 
-      render(<ChatPage />);
+      await renderChatPage();
 
       const input = screen.getByPlaceholderText('הקלד הודעה...');
       // Set value directly to include leading/trailing spaces
@@ -328,7 +519,7 @@ describe('ChatPage', () => {
       const user = userEvent.setup();
       mockSendMessage.mockResolvedValue({ data: { id: 3 } });
 
-      render(<ChatPage />);
+      await renderChatPage();
 
       const input = screen.getByPlaceholderText('הקלד הודעה...');
       await user.type(input, 'Test message{enter}');
@@ -336,4 +527,55 @@ describe('ChatPage', () => {
       expect(mockSendMessage).toHaveBeenCalledWith('Test message');
     });
   });
+
+  describe('contact verification', () => {
+    const bobKeys = { userId: 2, username: 'bob', publicKey: 'pk-bob', signingPublicKey: 'spk-bob' };
+    const ownKeys = { userId: 1, username: 'testuser', publicKey: 'pk-me', signingPublicKey: 'spk-me' };
+
+    beforeEach(() => {
+      mockActiveConversation = {
+        id: 5,
+        type: 'direct',
+        name: null,
+        members: [
+          { userId: 1, username: 'testuser', role: 'member' },
+          { userId: 2, username: 'bob', role: 'member' },
+        ],
+      };
+      mockUseContactVerificationReturn.publicKeys = [ownKeys, bobKeys];
+    });
+
+    it('should warn loudly when a verified contact\'s keys changed', async () => {
+      mockUseContactVerificationReturn.changedContacts = [bobKeys];
+
+      await renderChatPage();
+
+      expect(screen.getByRole('alert')).toHaveTextContent('המפתחות של bob השתנו');
+    });
+
+    it('should show the safety number and mark the contact verified', async () => {
+      await renderChatPage();
+
+      await userEvent.click(screen.getByRole('button', { name: 'מספר ביטחון' }));
+
+      expect(await screen.findByAltText('קוד QR של מספר הביטחון')).toBeInTheDocument();
+      expect(screen.getAllByText('11111')).toHaveLength(12);
+
+      await userEvent.click(screen.getByRole('button', { name: 'סמן כמאומת' }));
+      expect(mockUseContactVerificationReturn.markVerified).toHaveBeenCalledWith(2);
+    });
+
+    it('should show a verified badge for verified direct contacts', async () => {
+      mockUseContactVerificationReturn.status = (userId) => (userId === 2 ? 'verified' : 'unverified');
+
+      await renderChatPage();
+
+      expect(screen.getByText('✓ מאומת')).toBeInTheDocument();
+    });
+
+    it('should re-check keys when the conversation opens', async () => {
+      await renderChatPage();
+      expect(mockUseContactVerificationReturn.refresh).toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,118 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, within, waitFor } from '@testing-library/react';
+
+vi.mock('../services/users', () => ({
+  getAllPublicKeys: vi.fn(() => Promise.resolve([])),
+}));
+
+import ConversationSidebar from '../components/Chat/ConversationSidebar';
+import { getAllPublicKeys } from '../services/users';
+
+const currentUserId = 1;
+
+const dm = {
+  id: 5,
+  type: 'direct',
+  name: null,
+  members: [
+    { userId: 1, username: 'alice', role: 'member' },
+    { userId: 2, username: 'bob', role: 'member' },
+  ],
+  lastMessage: { id: 9, senderId: 2, senderUsername: 'bob', createdAt: '2026-02-01T10:00:00Z' },
+  unreadCount: 3,
+  createdAt: '2026-01-01T00:00:00Z',
+};
+
+const group = {
+  id: 6,
+  type: 'group',
+  name: 'Team',
+  members: [{ userId: 1, username: 'alice', role: 'owner' }],
+  lastMessage: null,
+  unreadCount: 0,
+  createdAt: '2026-01-02T00:00:00Z',
+};
+
+// Waits for DirectMessagePicker to load the user list, so its update lands inside act
+async function renderSidebar(props = {}) {
+  const handlers = {
+    onSelect: vi.fn(),
+    onSelectGeneral: vi.fn(),
+    onNewDirect: vi.fn(),
+    onNewGroup: vi.fn(),
+  };
+  render(
+    <ConversationSidebar
+      conversations={[dm, group]}
+      general={{ lastMessage: null, unreadCount: 0 }}
+      activeConversation={null}
+      currentUserId={currentUserId}
+      {...handlers}
+      {...props}
+    />
+  );
+  await waitFor(() => expect(getAllPublicKeys).toHaveBeenCalled());
+  return handlers;
+}
+
+describe('ConversationSidebar', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('lists the general room first, then conversations in the given order', async () => {
+    await renderSidebar();
+
+    const items = screen.getAllByRole('listitem');
+    expect(items[0]).toHaveTextContent('חדר כללי');
+    expect(items[1]).toHaveTextContent('bob');
+    expect(items[2]).toHaveTextContent('Team');
+  });
+
+  it('titles direct conversations with the other member', async () => {
+    await renderSidebar();
+
+    expect(screen.getByText('bob', { selector: '[class*="itemTitle"]' })).toBeInTheDocument();
+    expect(screen.queryByText('alice', { selector: '[class*="itemTitle"]' })).not.toBeInTheDocument();
+  });
+
+  it('shows unread badges only for conversations with unread messages', async () => {
+    await renderSidebar();
+
+    const items = screen.getAllByRole('listitem');
+    expect(within(items[1]).getByLabelText('3 הודעות שלא נקראו')).toHaveTextContent('3');
+    expect(within(items[2]).queryByLabelText(/הודעות שלא נקראו/)).not.toBeInTheDocument();
+  });
+
+  it('shows the general room unread count', async () => {
+    await renderSidebar({ general: { lastMessage: null, unreadCount: 2 } });
+
+    const items = screen.getAllByRole('listitem');
+    expect(within(items[0]).getByLabelText('2 הודעות שלא נקראו')).toBeInTheDocument();
+  });
+
+  it('marks the active conversation', async () => {
+    await renderSidebar({ activeConversation: group });
+
+    const items = screen.getAllByRole('listitem');
+    expect(within(items[2]).getByRole('button')).toHaveAttribute('aria-current', 'true');
+    expect(within(items[0]).getByRole('button')).not.toHaveAttribute('aria-current');
+  });
+
+  it('selects conversations and the general room on click', async () => {
+    const handlers = await renderSidebar({ activeConversation: dm });
+
+    fireEvent.click(screen.getByText('Team'));
+    expect(handlers.onSelect).toHaveBeenCalledWith(group);
+
+    fireEvent.click(screen.getByText('חדר כללי'));
+    expect(handlers.onSelectGeneral).toHaveBeenCalled();
+  });
+
+  it('opens the new group form', async () => {
+    const handlers = await renderSidebar();
+
+    fireEvent.click(screen.getByRole('button', { name: 'קבוצה חדשה' }));
+    expect(handlers.onNewGroup).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import DeleteAccountForm from '../components/Account/DeleteAccountForm';
+
+vi.mock('../services/authService', () => ({
+  getTwoFactorStatus: vi.fn(),
+}));
+
+vi.mock('../services/users', () => ({
+  deleteAccount: vi.fn(),
+}));
+
+vi.mock('../utils/storage', () => ({
+  clearAuth: vi.fn(() => Promise.resolve()),
+}));
+
+import { getTwoFactorStatus } from '../services/authService';
+import { deleteAccount } from '../services/users';
+import { clearAuth } from '../utils/storage';
+
+describe('DeleteAccountForm', () => {
+  const reload = vi.fn();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    Object.defineProperty(window, 'location', { value: { reload }, configurable: true });
+  });
+
+  it('deletes the account only after the password and the confirmation box', async () => {
+    getTwoFactorStatus.mockResolvedValue({ enabled: false, backupCodesLeft: 0 });
+    deleteAccount.mockResolvedValue({ message: 'Account deleted' });
+    render(<DeleteAccountForm />);
+
+    const submit = screen.getByRole('button', { name: 'מחק את החשבון' });
+    await userEvent.type(screen.getByLabelText('סיסמה'), 'password123');
+    expect(submit).toBeDisabled();
+
+    await userEvent.click(screen.getByRole('checkbox'));
+    await userEvent.click(submit);
+
+    await waitFor(() => {
+      expect(deleteAccount).toHaveBeenCalledWith('password123', '');
+      expect(clearAuth).toHaveBeenCalled();
+      expect(reload).toHaveBeenCalled();
+    });
+  });
+
+  it('asks for a two-factor code when 2FA is on', async () => {
+    getTwoFactorStatus.mockResolvedValue({ enabled: true, backupCodesLeft: 5 });
+    deleteAccount.mockRejectedValue({ response: { data: { error: 'Invalid two-factor code' } } });
+    render(<DeleteAccountForm />);
+
+    await userEvent.type(screen.getByLabelText('סיסמה'), 'password123');
+    await userEvent.click(screen.getByRole('checkbox'));
+    expect(screen.getByRole('button', { name: 'מחק את החשבון' })).toBeDisabled();
+
+    await userEvent.type(await screen.findByLabelText('קוד אימות'), '123456');
+    await userEvent.click(screen.getByRole('button', { name: 'מחק את החשבון' }));
+
+    expect(await screen.findByText('Invalid two-factor code')).toBeInTheDocument();
+    expect(deleteAccount).toHaveBeenCalledWith('password123', '123456');
+    expect(clearAuth).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import DeviceList from '../components/Account/DeviceList';
+
+vi.mock('../services/devices', () => ({
+  getDevices: vi.fn(),
+  removeDevice: vi.fn(() => Promise.resolve({ message: 'Device removed' })),
+}));
+
+import { getDevices, removeDevice } from '../services/devices';
+import { setDevice } from '../utils/storage';
+
+const devices = [
+  { id: 1, name: 'Laptop', createdAt: '2026-01-01T00:00:00Z', lastSeenAt: null },
+  { id: 2, name: 'Phone', createdAt: '2026-02-01T00:00:00Z', lastSeenAt: '2026-03-01T10:00:00Z' },
+];
+
+describe('DeviceList', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+    setDevice({ deviceId: 1 });
+    getDevices.mockResolvedValue(devices);
+  });
+
+  it('marks this device and offers removal only for the others', async () => {
+    render(<DeviceList />);
+
+    expect(await screen.findByText('Phone')).toBeInTheDocument();
+    expect(screen.getByText('מכשיר זה')).toBeInTheDocument();
+    expect(screen.getAllByRole('button', { name: 'הסר' })).toHaveLength(1);
+  });
+
+  it('removes another device', async () => {
+    render(<DeviceList />);
+
+    await userEvent.click(await screen.findByRole('button', { name: 'הסר' }));
+
+    expect(removeDevice).toHaveBeenCalledWith(2);
+    await waitFor(() => {
+      expect(screen.queryByText('Phone')).not.toBeInTheDocument();
+    });
+  });
+});
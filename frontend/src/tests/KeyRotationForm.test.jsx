@@ -0,0 +1,107 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import KeyRotationForm from '../components/Account/KeyRotationForm';
+
+vi.mock('../services/users', () => ({
+  rotateKeys: vi.fn(),
+}));
+
+vi.mock('../services/recovery', () => ({
+  regenerateRecoveryCodes: vi.fn(() => Promise.resolve(['K7QM-2XDP-9RWA-H4TC', 'P3VN-8JLE-5YKU-C2FB'])),
+}));
+
+vi.mock('../utils/crypto', () => ({
+  generateRSAKeyPair: vi.fn(() =>
+    Promise.resolve({ publicKey: 'new-pub-key', privateKey: 'new-priv-key' })
+  ),
+  encryptPrivateKey: vi.fn(() => ({ encryptedPrivateKey: 'new-enc-pk', iv: 'salt:iv' })),
+  importPrivateKey: vi.fn(async (pem) => ({ imported: pem })),
+}));
+
+import { rotateKeys } from '../services/users';
+import { regenerateRecoveryCodes } from '../services/recovery';
+import {
+  getPrivateKey, setPrivateKey, getArchivedKey, setArchivedKeys, getKeyVault, updateKeyVault, clearAuth,
+} from '../utils/storage';
+
+describe('KeyRotationForm', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    localStorage.clear();
+    await clearAuth();
+    await setPrivateKey('old-priv-key');
+    await setArchivedKeys({ 1: 'v1-priv-key' });
+    updateKeyVault({
+      privateKey: { encryptedPrivateKey: 'old-enc-pk', iv: 'salt:old' },
+      archivedKeys: { 1: { encryptedPrivateKey: 'v1-enc-pk', iv: 'salt:v1' } },
+    });
+  });
+
+  it('disables the button until a password is entered', () => {
+    render(<KeyRotationForm />);
+    expect(screen.getByRole('button', { name: 'החלף מפתחות' })).toBeDisabled();
+  });
+
+  it('uploads the new key and archives the old one locally', async () => {
+    rotateKeys.mockResolvedValue({ keyVersion: 3 });
+
+    render(<KeyRotationForm />);
+    await userEvent.type(screen.getByLabelText('סיסמה נוכחית'), 'password123');
+    await userEvent.click(screen.getByRole('button', { name: 'החלף מפתחות' }));
+
+    expect(await screen.findByText(/מפתחות ההצפנה הוחלפו \(גרסה 3\)/)).toBeInTheDocument();
+    expect(rotateKeys).toHaveBeenCalledWith('password123', 'new-pub-key', 'new-enc-pk', 'salt:iv');
+    expect(await getPrivateKey()).toEqual({ imported: 'new-priv-key' });
+    expect(await getArchivedKey(1)).toEqual({ imported: 'v1-priv-key' });
+    expect(await getArchivedKey(2)).toEqual({ imported: 'old-priv-key' });
+    expect(getKeyVault()).toEqual({
+      privateKey: { encryptedPrivateKey: 'new-enc-pk', iv: 'salt:iv' },
+      archivedKeys: {
+        1: { encryptedPrivateKey: 'v1-enc-pk', iv: 'salt:v1' },
+        2: { encryptedPrivateKey: 'old-enc-pk', iv: 'salt:old' },
+      },
+    });
+  });
+
+  it('replaces the recovery codes, which no longer cover the new key', async () => {
+    rotateKeys.mockResolvedValue({ keyVersion: 3 });
+
+    render(<KeyRotationForm />);
+    await userEvent.type(screen.getByLabelText('סיסמה נוכחית'), 'password123');
+    await userEvent.click(screen.getByRole('button', { name: 'החלף מפתחות' }));
+
+    expect(await screen.findByText('K7QM-2XDP-9RWA-H4TC')).toBeInTheDocument();
+    expect(screen.getByText(/קודי השחזור הקודמים אינם תקפים עוד/)).toBeInTheDocument();
+    // The codes wrap the vault as it is after the rotation
+    expect(regenerateRecoveryCodes).toHaveBeenCalledWith('password123');
+    expect(rotateKeys.mock.invocationCallOrder[0]).toBeLessThan(regenerateRecoveryCodes.mock.invocationCallOrder[0]);
+  });
+
+  it('says the old codes are void when new ones cannot be made', async () => {
+    rotateKeys.mockResolvedValue({ keyVersion: 3 });
+    regenerateRecoveryCodes.mockRejectedValueOnce(new Error('Network Error'));
+
+    render(<KeyRotationForm />);
+    await userEvent.type(screen.getByLabelText('סיסמה נוכחית'), 'password123');
+    await userEvent.click(screen.getByRole('button', { name: 'החלף מפתחות' }));
+
+    expect(await screen.findByText(/יצירת קודים חדשים נכשלה/)).toBeInTheDocument();
+    expect(screen.getByText(/מפתחות ההצפנה הוחלפו \(גרסה 3\)/)).toBeInTheDocument();
+  });
+
+  it('keeps the current key when the server rejects the rotation', async () => {
+    rotateKeys.mockRejectedValue({ response: { data: { error: 'Invalid password' } } });
+
+    render(<KeyRotationForm />);
+    await userEvent.type(screen.getByLabelText('סיסמה נוכחית'), 'wrong');
+    await userEvent.click(screen.getByRole('button', { name: 'החלף מפתחות' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Invalid password')).toBeInTheDocument();
+    });
+    expect(await getPrivateKey()).toEqual({ imported: 'old-priv-key' });
+    expect(await getArchivedKey(2)).toBeNull();
+    expect(regenerateRecoveryCodes).not.toHaveBeenCalled();
+  });
+});
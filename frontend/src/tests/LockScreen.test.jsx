@@ -0,0 +1,46 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import LockScreen from '../components/Auth/LockScreen';
+import { AuthContext } from '../context/AuthContext';
+
+function renderLockScreen({ unlock = vi.fn(), logout = vi.fn() } = {}) {
+  render(
+    <AuthContext.Provider value={{ user: { id: 1, username: 'alice' }, locked: true, unlock, logout }}>
+      <LockScreen />
+    </AuthContext.Provider>
+  );
+  return { unlock, logout };
+}
+
+describe('LockScreen', () => {
+  it('unlocks with the entered password', async () => {
+    const { unlock } = renderLockScreen({ unlock: vi.fn(() => Promise.resolve()) });
+
+    expect(screen.getByRole('button', { name: 'פתח נעילה' })).toBeDisabled();
+    await userEvent.type(screen.getByLabelText('סיסמה'), 'password123');
+    await userEvent.click(screen.getByRole('button', { name: 'פתח נעילה' }));
+
+    expect(unlock).toHaveBeenCalledWith('password123');
+  });
+
+  it('shows an error and clears the field on a wrong password', async () => {
+    renderLockScreen({ unlock: vi.fn(() => Promise.reject(new Error('Wrong password'))) });
+
+    await userEvent.type(screen.getByLabelText('סיסמה'), 'wrong');
+    await userEvent.click(screen.getByRole('button', { name: 'פתח נעילה' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('סיסמה שגויה')).toBeInTheDocument();
+    });
+    expect(screen.getByLabelText('סיסמה')).toHaveValue('');
+  });
+
+  it('offers to log out instead', async () => {
+    const { logout } = renderLockScreen();
+
+    await userEvent.click(screen.getByRole('button', { name: 'התנתק' }));
+
+    expect(logout).toHaveBeenCalled();
+  });
+});
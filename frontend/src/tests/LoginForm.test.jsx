@@ -7,17 +7,46 @@ import { AuthContext } from '../context/AuthContext';
 // Mock services
 vi.mock('../services/authService', () => ({
   login: vi.fn(),
+  loginTwoFactor: vi.fn(),
+}));
+
+vi.mock('../services/users', () => ({
+  uploadSigningKey: vi.fn(() => Promise.resolve({})),
+  rotateKeys: vi.fn(() => Promise.resolve({ keyVersion: 3 })),
+}));
+
+vi.mock('../services/devices', () => ({
+  registerCurrentDevice: vi.fn(() => Promise.resolve({ id: 5, name: 'Linux' })),
+}));
+
+vi.mock('../services/recovery', () => ({
+  regenerateRecoveryCodes: vi.fn(() => Promise.resolve(['K7QM-2XDP-9RWA-H4TC'])),
 }));
 
 vi.mock('../utils/crypto', () => ({
   decryptPrivateKey: vi.fn(() => 'mock-decrypted-private-key'),
+  encryptPrivateKey: vi.fn(() => ({ encryptedPrivateKey: 'mock-enc-sk', iv: 'mock-salt:mock-iv' })),
+  generateRSAKeyPair: vi.fn(() => Promise.resolve({ publicKey: 'mock-pub-key', privateKey: 'mock-priv-key' })),
+  generateSigningKeyPair: vi.fn(() =>
+    Promise.resolve({ publicKey: 'mock-sign-pub-key', privateKey: 'mock-sign-priv-key' })
+  ),
 }));
 
 vi.mock('../utils/storage', () => ({
+  setToken: vi.fn(),
+  setRefreshToken: vi.fn(),
+  getSigningKey: vi.fn(() => Promise.resolve('mock-signing-key')),
   setPrivateKey: vi.fn(),
+  setSigningKey: vi.fn(),
+  setArchivedKeys: vi.fn(),
+  updateKeyVault: vi.fn(),
 }));
 
-import { login as loginApi } from '../services/authService';
+import { login as loginApi, loginTwoFactor } from '../services/authService';
+import { uploadSigningKey, rotateKeys } from '../services/users';
+import { registerCurrentDevice } from '../services/devices';
+import { regenerateRecoveryCodes } from '../services/recovery';
+import { setRefreshToken, setPrivateKey, setSigningKey, setArchivedKeys, updateKeyVault } from '../utils/storage';
 
 function renderWithAuth(ui, { loginFn = vi.fn() } = {}) {
   return render(
@@ -107,6 +136,7 @@ describe('LoginForm', () => {
     const mockLogin = vi.fn();
     loginApi.mockResolvedValue({
       token: 'mock-token',
+      refreshToken: 'mock-refresh-token',
       user: { id: 1, username: 'testuser' },
       encryptedPrivateKey: 'enc-pk',
       encryptedPrivateKeyIv: 'salt:iv',
@@ -120,7 +150,186 @@ describe('LoginForm', () => {
 
     await waitFor(() => {
       expect(loginApi).toHaveBeenCalledWith('testuser', 'password123');
-      expect(mockLogin).toHaveBeenCalledWith('mock-token', { id: 1, username: 'testuser' });
+      expect(setRefreshToken).toHaveBeenCalledWith('mock-refresh-token');
+      expect(mockLogin).toHaveBeenCalledWith('mock-token', { id: 1, username: 'testuser' }, undefined);
+    });
+  });
+
+  it('restores the signing key from the server backup', async () => {
+    loginApi.mockResolvedValue({
+      token: 'mock-token',
+      user: { id: 1, username: 'testuser' },
+      encryptedPrivateKey: 'enc-pk',
+      encryptedPrivateKeyIv: 'salt:iv',
+      encryptedSigningKey: 'enc-sk',
+      encryptedSigningKeyIv: 'salt:iv',
+    });
+
+    renderWithAuth(<LoginForm />);
+
+    await userEvent.type(screen.getByLabelText('שם משתמש'), 'testuser');
+    await userEvent.type(screen.getByLabelText('סיסמה'), 'password123');
+    await userEvent.click(screen.getByRole('button', { name: 'התחבר' }));
+
+    await waitFor(() => {
+      expect(setSigningKey).toHaveBeenCalledWith('mock-decrypted-private-key');
+    });
+    expect(uploadSigningKey).not.toHaveBeenCalled();
+  });
+
+  it('creates and publishes a signing key for accounts without one', async () => {
+    loginApi.mockResolvedValue({
+      token: 'mock-token',
+      user: { id: 1, username: 'testuser' },
+      encryptedPrivateKey: 'enc-pk',
+      encryptedPrivateKeyIv: 'salt:iv',
+      encryptedSigningKey: null,
+      encryptedSigningKeyIv: null,
+    });
+
+    renderWithAuth(<LoginForm />);
+
+    await userEvent.type(screen.getByLabelText('שם משתמש'), 'testuser');
+    await userEvent.type(screen.getByLabelText('סיסמה'), 'password123');
+    await userEvent.click(screen.getByRole('button', { name: 'התחבר' }));
+
+    await waitFor(() => {
+      expect(uploadSigningKey).toHaveBeenCalledWith('mock-sign-pub-key', 'mock-enc-sk', 'mock-salt:mock-iv');
+      expect(setSigningKey).toHaveBeenCalledWith('mock-sign-priv-key');
+    });
+  });
+
+  it('creates a new key pair when an admin reset the key backups', async () => {
+    loginApi.mockResolvedValue({
+      token: 'mock-token',
+      user: { id: 1, username: 'testuser' },
+      encryptedPrivateKey: null,
+      encryptedPrivateKeyIv: null,
+      encryptedSigningKey: null,
+      encryptedSigningKeyIv: null,
+      archivedKeys: [],
+    });
+
+    const loginFn = vi.fn();
+    renderWithAuth(<LoginForm />, { loginFn });
+
+    await userEvent.type(screen.getByLabelText('שם משתמש'), 'testuser');
+    await userEvent.type(screen.getByLabelText('סיסמה'), 'password123');
+    await userEvent.click(screen.getByRole('button', { name: 'התחבר' }));
+
+    await waitFor(() => {
+      expect(rotateKeys).toHaveBeenCalledWith('password123', 'mock-pub-key', 'mock-enc-sk', 'mock-salt:mock-iv');
+      expect(setPrivateKey).toHaveBeenCalledWith('mock-priv-key');
+      expect(updateKeyVault).toHaveBeenCalledWith({
+        privateKey: { encryptedPrivateKey: 'mock-enc-sk', iv: 'mock-salt:mock-iv' },
+      });
+      expect(uploadSigningKey).toHaveBeenCalled();
+    });
+
+    // Recovery codes covering the new keys are shown before entering the app
+    expect(await screen.findByText('K7QM-2XDP-9RWA-H4TC')).toBeInTheDocument();
+    expect(regenerateRecoveryCodes).toHaveBeenCalledWith('password123');
+    expect(loginFn).not.toHaveBeenCalled();
+
+    await userEvent.click(screen.getByRole('button', { name: 'שמרתי את הקודים, המשך' }));
+    expect(loginFn).toHaveBeenCalledWith('mock-token', { id: 1, username: 'testuser' }, undefined);
+  });
+
+  it('restores archived key versions for old history', async () => {
+    loginApi.mockResolvedValue({
+      token: 'mock-token',
+      user: { id: 1, username: 'testuser' },
+      encryptedPrivateKey: 'enc-pk',
+      encryptedPrivateKeyIv: 'salt:iv',
+      encryptedSigningKey: 'enc-sk',
+      encryptedSigningKeyIv: 'salt:iv',
+      keyVersion: 2,
+      archivedKeys: [{ keyVersion: 1, encryptedPrivateKey: 'enc-pk-v1', encryptedPrivateKeyIv: 'salt:iv1' }],
+    });
+
+    renderWithAuth(<LoginForm />);
+
+    await userEvent.type(screen.getByLabelText('שם משתמש'), 'testuser');
+    await userEvent.type(screen.getByLabelText('סיסמה'), 'password123');
+    await userEvent.click(screen.getByRole('button', { name: 'התחבר' }));
+
+    await waitFor(() => {
+      expect(setArchivedKeys).toHaveBeenCalledWith({ 1: 'mock-decrypted-private-key' });
+    });
+  });
+
+  it('keeps the password-encrypted backups as the key vault for the app lock', async () => {
+    loginApi.mockResolvedValue({
+      token: 'mock-token',
+      user: { id: 1, username: 'testuser' },
+      encryptedPrivateKey: 'enc-pk',
+      encryptedPrivateKeyIv: 'salt:iv',
+      encryptedSigningKey: 'enc-sk',
+      encryptedSigningKeyIv: 'salt:iv-sk',
+      archivedKeys: [{ keyVersion: 1, encryptedPrivateKey: 'enc-pk-v1', encryptedPrivateKeyIv: 'salt:iv1' }],
+    });
+
+    renderWithAuth(<LoginForm />);
+
+    await userEvent.type(screen.getByLabelText('שם משתמש'), 'testuser');
+    await userEvent.type(screen.getByLabelText('סיסמה'), 'password123');
+    await userEvent.click(screen.getByRole('button', { name: 'התחבר' }));
+
+    await waitFor(() => {
+      expect(updateKeyVault).toHaveBeenCalledWith({
+        privateKey: { encryptedPrivateKey: 'enc-pk', iv: 'salt:iv' },
+        archivedKeys: { 1: { encryptedPrivateKey: 'enc-pk-v1', iv: 'salt:iv1' } },
+        signingKey: { encryptedPrivateKey: 'enc-sk', iv: 'salt:iv-sk' },
+        deviceKey: null,
+        storageKey: null,
+      });
+    });
+  });
+
+  it('registers this browser as a device with the signing key before entering the app', async () => {
+    const mockLogin = vi.fn();
+    loginApi.mockResolvedValue({
+      token: 'mock-token',
+      user: { id: 1, username: 'testuser' },
+      encryptedPrivateKey: 'enc-pk',
+      encryptedPrivateKeyIv: 'salt:iv',
+      encryptedSigningKey: 'enc-sk',
+      encryptedSigningKeyIv: 'salt:iv',
+    });
+
+    renderWithAuth(<LoginForm />, { loginFn: mockLogin });
+
+    await userEvent.type(screen.getByLabelText('שם משתמש'), 'testuser');
+    await userEvent.type(screen.getByLabelText('סיסמה'), 'password123');
+    await userEvent.click(screen.getByRole('button', { name: 'התחבר' }));
+
+    await waitFor(() => {
+      expect(mockLogin).toHaveBeenCalled();
+    });
+    expect(registerCurrentDevice).toHaveBeenCalledWith(1, 'mock-signing-key', 'password123');
+    expect(registerCurrentDevice.mock.invocationCallOrder[0]).toBeLessThan(mockLogin.mock.invocationCallOrder[0]);
+  });
+
+  it('still logs in when device registration fails', async () => {
+    const mockLogin = vi.fn();
+    registerCurrentDevice.mockRejectedValueOnce(new Error('Too many devices'));
+    loginApi.mockResolvedValue({
+      token: 'mock-token',
+      user: { id: 1, username: 'testuser' },
+      encryptedPrivateKey: 'enc-pk',
+      encryptedPrivateKeyIv: 'salt:iv',
+      encryptedSigningKey: 'enc-sk',
+      encryptedSigningKeyIv: 'salt:iv',
+    });
+
+    renderWithAuth(<LoginForm />, { loginFn: mockLogin });
+
+    await userEvent.type(screen.getByLabelText('שם משתמש'), 'testuser');
+    await userEvent.type(screen.getByLabelText('סיסמה'), 'password123');
+    await userEvent.click(screen.getByRole('button', { name: 'התחבר' }));
+
+    await waitFor(() => {
+      expect(mockLogin).toHaveBeenCalledWith('mock-token', { id: 1, username: 'testuser' }, undefined);
     });
   });
 
@@ -149,4 +358,101 @@ describe('LoginForm', () => {
 
     expect(await screen.findByText('מתחבר...')).toBeInTheDocument();
   });
+
+  describe('two-factor authentication', () => {
+    const loginData = {
+      token: 'mock-token',
+      refreshToken: 'mock-refresh-token',
+      user: { id: 1, username: 'testuser' },
+      encryptedPrivateKey: 'enc-pk',
+      encryptedPrivateKeyIv: 'salt:iv',
+    };
+
+    async function submitPassword(mockLogin) {
+      loginApi.mockResolvedValue({ twoFactorRequired: true, challengeToken: 'mock-challenge' });
+      renderWithAuth(<LoginForm />, { loginFn: mockLogin });
+
+      await userEvent.type(screen.getByLabelText('שם משתמש'), 'testuser');
+      await userEvent.type(screen.getByLabelText('סיסמה'), 'password123');
+      await userEvent.click(screen.getByRole('button', { name: 'התחבר' }));
+    }
+
+    it('asks for a code after the password and then completes the login', async () => {
+      const mockLogin = vi.fn();
+      loginTwoFactor.mockResolvedValue(loginData);
+      await submitPassword(mockLogin);
+
+      expect(mockLogin).not.toHaveBeenCalled();
+      await userEvent.type(await screen.findByLabelText('קוד אימות'), '123456');
+      await userEvent.click(screen.getByRole('button', { name: 'אמת' }));
+
+      await waitFor(() => {
+        expect(loginTwoFactor).toHaveBeenCalledWith('mock-challenge', '123456');
+        expect(setRefreshToken).toHaveBeenCalledWith('mock-refresh-token');
+        expect(mockLogin).toHaveBeenCalledWith('mock-token', { id: 1, username: 'testuser' }, undefined);
+      });
+    });
+
+    it('shows the server error for a wrong code and lets the user retry', async () => {
+      const mockLogin = vi.fn();
+      loginTwoFactor.mockRejectedValue({ response: { data: { error: 'Invalid two-factor code' } } });
+      await submitPassword(mockLogin);
+
+      await userEvent.type(await screen.findByLabelText('קוד אימות'), '000000');
+      await userEvent.click(screen.getByRole('button', { name: 'אמת' }));
+
+      expect(await screen.findByText('Invalid two-factor code')).toBeInTheDocument();
+      expect(screen.getByLabelText('קוד אימות')).toHaveValue('');
+      expect(mockLogin).not.toHaveBeenCalled();
+    });
+
+    it('goes back to the password step', async () => {
+      await submitPassword(vi.fn());
+
+      await userEvent.click(await screen.findByRole('button', { name: 'חזרה להתחברות' }));
+
+      expect(screen.getByLabelText('סיסמה')).toHaveValue('');
+    });
+  });
+
+  describe('failed login attempts', () => {
+    async function submit() {
+      renderWithAuth(<LoginForm />);
+      await userEvent.type(screen.getByLabelText('שם משתמש'), 'testuser');
+      await userEvent.type(screen.getByLabelText('סיסמה'), 'password123');
+      await userEvent.click(screen.getByRole('button', { name: 'התחבר' }));
+    }
+
+    it('says when a locked account can try again', async () => {
+      loginApi.mockRejectedValue({
+        response: { status: 429, headers: { 'retry-after': '30' }, data: { error: 'Too many failed logins' } },
+      });
+
+      await submit();
+
+      expect(await screen.findByText('יותר מדי ניסיונות התחברות כושלים. נסה שוב בעוד 30 שניות.')).toBeInTheDocument();
+    });
+
+    it('passes the failed attempts since the last login on to the app', async () => {
+      const mockLogin = vi.fn();
+      const failedLogins = { count: 4, lastAttemptAt: '2026-03-01T10:00:00.000Z' };
+      loginApi.mockResolvedValue({
+        token: 'mock-token',
+        refreshToken: 'mock-refresh-token',
+        user: { id: 1, username: 'testuser' },
+        encryptedPrivateKey: 'enc-pk',
+        encryptedPrivateKeyIv: 'salt:iv',
+        failedLogins,
+      });
+
+      renderWithAuth(<LoginForm />, { loginFn: mockLogin });
+      await userEvent.type(screen.getByLabelText('שם משתמש'), 'testuser');
+      await userEvent.type(screen.getByLabelText('סיסמה'), 'password123');
+      await userEvent.click(screen.getByRole('button', { name: 'התחבר' }));
+
+      await waitFor(() => {
+        expect(mockLogin).toHaveBeenCalledWith('mock-token', { id: 1, username: 'testuser' }, failedLogins);
+      });
+    });
+  });
 });
@@ -9,10 +9,26 @@ vi.mock('../services/authService', () => ({
   register: vi.fn(),
 }));
 
+vi.mock('../services/devices', () => ({
+  registerCurrentDevice: vi.fn(() => Promise.resolve({ id: 1, name: 'Linux' })),
+}));
+
+vi.mock('../services/recovery', () => ({
+  createRecoveryCodes: vi.fn(() =>
+    Promise.resolve({
+      codes: ['K7QM-2XDP-9RWA-H4TC'],
+      uploads: [{ verifier: 'mock-verifier', encryptedKeys: 'mock-wrapped', encryptedKeysIv: 'mock-salt:mock-iv' }],
+    })
+  ),
+}));
+
 vi.mock('../utils/crypto', () => ({
   generateRSAKeyPair: vi.fn(() =>
     Promise.resolve({ publicKey: 'mock-pub-key', privateKey: 'mock-priv-key' })
   ),
+  generateSigningKeyPair: vi.fn(() =>
+    Promise.resolve({ publicKey: 'mock-sign-pub-key', privateKey: 'mock-sign-priv-key' })
+  ),
   encryptPrivateKey: vi.fn(() => ({
     encryptedPrivateKey: 'mock-enc-pk',
     iv: 'mock-salt:mock-iv',
@@ -20,10 +36,18 @@ vi.mock('../utils/crypto', () => ({
 }));
 
 vi.mock('../utils/storage', () => ({
+  setToken: vi.fn(),
+  setRefreshToken: vi.fn(),
   setPrivateKey: vi.fn(),
+  setSigningKey: vi.fn(),
+  getSigningKey: vi.fn(() => Promise.resolve('mock-signing-key')),
+  updateKeyVault: vi.fn(),
 }));
 
 import { register as registerApi } from '../services/authService';
+import { createRecoveryCodes } from '../services/recovery';
+import { registerCurrentDevice } from '../services/devices';
+import { setSigningKey, updateKeyVault } from '../utils/storage';
 
 function renderWithAuth(ui, { loginFn = vi.fn() } = {}) {
   return render(
@@ -127,9 +151,48 @@ describe('RegisterForm', () => {
         'password123',
         'mock-pub-key',
         'mock-enc-pk',
-        'mock-salt:mock-iv'
+        'mock-salt:mock-iv',
+        {
+          signingPublicKey: 'mock-sign-pub-key',
+          encryptedSigningKey: 'mock-enc-pk',
+          encryptedSigningKeyIv: 'mock-salt:mock-iv',
+        },
+        [{ verifier: 'mock-verifier', encryptedKeys: 'mock-wrapped', encryptedKeysIv: 'mock-salt:mock-iv' }]
       );
-      expect(mockLogin).toHaveBeenCalledWith('mock-token', { id: 1, username: 'newuser' });
+      expect(setSigningKey).toHaveBeenCalledWith('mock-sign-priv-key');
+      expect(updateKeyVault).toHaveBeenCalledWith({
+        privateKey: { encryptedPrivateKey: 'mock-enc-pk', iv: 'mock-salt:mock-iv' },
+        archivedKeys: {},
+        signingKey: { encryptedPrivateKey: 'mock-enc-pk', iv: 'mock-salt:mock-iv' },
+        deviceKey: null,
+        storageKey: null,
+      });
+      expect(registerCurrentDevice).toHaveBeenCalledWith(1, 'mock-signing-key', 'password123');
+    });
+
+    // The recovery codes are shown before entering the app
+    expect(await screen.findByText('K7QM-2XDP-9RWA-H4TC')).toBeInTheDocument();
+    expect(mockLogin).not.toHaveBeenCalled();
+    await userEvent.click(screen.getByRole('button', { name: 'שמרתי את הקודים, המשך' }));
+    expect(mockLogin).toHaveBeenCalledWith('mock-token', { id: 1, username: 'newuser' });
+  });
+
+  it('wraps the new keys under the recovery codes', async () => {
+    registerApi.mockResolvedValue({ token: 'mock-token', user: { id: 1, username: 'newuser' } });
+
+    renderWithAuth(<RegisterForm />);
+
+    await userEvent.type(screen.getByLabelText('שם משתמש'), 'newuser');
+    await userEvent.type(screen.getByLabelText('סיסמה'), 'password123');
+    await userEvent.type(screen.getByLabelText('אימות סיסמה'), 'password123');
+    await userEvent.click(screen.getByRole('button', { name: 'הירשם' }));
+
+    await waitFor(() => {
+      expect(createRecoveryCodes).toHaveBeenCalledWith({
+        privateKey: 'mock-priv-key',
+        signingKey: 'mock-sign-priv-key',
+        archivedKeys: {},
+      });
     });
   });
 
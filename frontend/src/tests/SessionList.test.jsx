@@ -0,0 +1,73 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import SessionList from '../components/Account/SessionList';
+
+const mockLogout = vi.fn();
+
+vi.mock('../hooks/useAuth', () => ({
+  useAuth: () => ({ logout: mockLogout }),
+}));
+
+vi.mock('../services/authService', () => ({
+  getSessions: vi.fn(),
+  revokeSession: vi.fn(() => Promise.resolve({ message: 'Session revoked' })),
+}));
+
+import { getSessions, revokeSession } from '../services/authService';
+
+const sessions = [
+  {
+    id: 'session-laptop',
+    userAgent: 'Mozilla/5.0 (X11; Linux x86_64; rv:128.0) Gecko/20100101 Firefox/128.0',
+    ip: '10.0.0.5',
+    createdAt: '2026-01-01T00:00:00Z',
+    lastSeenAt: '2026-03-01T10:00:00Z',
+    current: true,
+  },
+  {
+    id: 'session-phone',
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Version/17.0 Mobile/15E148 Safari/604.1',
+    ip: '10.0.0.9',
+    createdAt: '2026-02-01T00:00:00Z',
+    lastSeenAt: null,
+    current: false,
+  },
+];
+
+describe('SessionList', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    getSessions.mockResolvedValue(sessions);
+  });
+
+  it('shows each session\'s browser, system and address', async () => {
+    render(<SessionList />);
+
+    expect(await screen.findByText('Firefox · Linux')).toBeInTheDocument();
+    expect(screen.getByText('Safari · iOS')).toBeInTheDocument();
+    expect(screen.getByText('10.0.0.9')).toBeInTheDocument();
+    expect(screen.getByText('חיבור זה')).toBeInTheDocument();
+  });
+
+  it('signs another session out', async () => {
+    render(<SessionList />);
+
+    await userEvent.click(await screen.findByRole('button', { name: 'נתק' }));
+
+    expect(revokeSession).toHaveBeenCalledWith('session-phone');
+    await waitFor(() => {
+      expect(screen.queryByText('Safari · iOS')).not.toBeInTheDocument();
+    });
+    expect(mockLogout).not.toHaveBeenCalled();
+  });
+
+  it('logs out when this session is signed out', async () => {
+    render(<SessionList />);
+
+    await userEvent.click(await screen.findByRole('button', { name: 'התנתק' }));
+
+    expect(mockLogout).toHaveBeenCalled();
+    expect(revokeSession).not.toHaveBeenCalled();
+  });
+});
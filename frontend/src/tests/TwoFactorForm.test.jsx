@@ -0,0 +1,57 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import TwoFactorForm from '../components/Account/TwoFactorForm';
+
+vi.mock('qrcode', () => ({
+  default: { toDataURL: vi.fn(() => Promise.resolve('data:image/png;base64,qr')) },
+}));
+
+vi.mock('../services/authService', () => ({
+  getTwoFactorStatus: vi.fn(),
+  setupTwoFactor: vi.fn(() =>
+    Promise.resolve({ secret: 'JBSWY3DPEHPK3PXP', otpauthUri: 'otpauth://totp/SecureMessaging%3Aalice?secret=JBSWY3DPEHPK3PXP' })
+  ),
+  enableTwoFactor: vi.fn(() => Promise.resolve({ backupCodes: ['abcde-fghjk', 'mnpqr-stuvw'] })),
+  disableTwoFactor: vi.fn(() => Promise.resolve({ message: 'Two-factor authentication disabled' })),
+}));
+
+import QRCode from 'qrcode';
+import { getTwoFactorStatus, setupTwoFactor, enableTwoFactor, disableTwoFactor } from '../services/authService';
+
+describe('TwoFactorForm', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('sets up an authenticator app and shows the backup codes once enabled', async () => {
+    getTwoFactorStatus.mockResolvedValue({ enabled: false, backupCodesLeft: 0 });
+    render(<TwoFactorForm />);
+
+    await userEvent.type(await screen.findByLabelText('סיסמה נוכחית'), 'password123');
+    await userEvent.click(screen.getByRole('button', { name: 'הפעל אימות דו-שלבי' }));
+
+    expect(setupTwoFactor).toHaveBeenCalledWith('password123');
+    expect(QRCode.toDataURL).toHaveBeenCalledWith(expect.stringMatching(/^otpauth:\/\/totp\//), expect.anything());
+    expect(await screen.findByText('JBSWY3DPEHPK3PXP')).toBeInTheDocument();
+
+    await userEvent.type(screen.getByLabelText('קוד מאפליקציית האימות'), '123456');
+    await userEvent.click(screen.getByRole('button', { name: 'אמת והפעל' }));
+
+    expect(enableTwoFactor).toHaveBeenCalledWith('123456');
+    expect(await screen.findByText('abcde-fghjk')).toBeInTheDocument();
+    expect(screen.getByText('האימות הדו-שלבי פעיל. נותרו 2 קודי גיבוי.')).toBeInTheDocument();
+  });
+
+  it('turns 2FA off with the password and a code', async () => {
+    getTwoFactorStatus.mockResolvedValue({ enabled: true, backupCodesLeft: 7 });
+    render(<TwoFactorForm />);
+
+    await userEvent.type(await screen.findByLabelText('סיסמה נוכחית'), 'password123');
+    await userEvent.type(screen.getByLabelText('קוד אימות או קוד גיבוי'), '654321');
+    await userEvent.click(screen.getByRole('button', { name: 'כבה אימות דו-שלבי' }));
+
+    expect(disableTwoFactor).toHaveBeenCalledWith('password123', '654321');
+    expect(await screen.findByRole('button', { name: 'הפעל אימות דו-שלבי' })).toBeInTheDocument();
+  });
+});
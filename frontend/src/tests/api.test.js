@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { AxiosError } from 'axios';
+import api from '../services/api';
+import { getToken, setToken, getRefreshToken, setRefreshToken, getUser, setUser } from '../utils/storage';
+
+// Stands in for the network: the server accepts only the current access token
+let server;
+
+function respond(config, status, data) {
+  const response = { data, status, statusText: '', headers: {}, config };
+  if (status >= 400) throw new AxiosError('Request failed', null, config, null, response);
+  return response;
+}
+
+describe('api token refresh', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    setToken('access-1');
+    setRefreshToken('refresh-1');
+    setUser({ id: 1, username: 'alice' });
+
+    server = { accessToken: 'access-2', refreshToken: 'refresh-1', refreshes: 0 };
+    api.defaults.adapter = vi.fn(async (config) => {
+      if (config.url === '/auth/refresh') {
+        const { refreshToken } = JSON.parse(config.data);
+        if (refreshToken !== server.refreshToken) return respond(config, 401, { error: 'Invalid refresh token' });
+        server.refreshes++;
+        server.refreshToken = `refresh-${server.refreshes + 1}`;
+        return respond(config, 200, { token: server.accessToken, refreshToken: server.refreshToken });
+      }
+      if (config.url === '/forbidden') return respond(config, 403, { error: 'Not a member of this conversation' });
+      const token = config.headers.Authorization?.split(' ')[1];
+      if (token !== server.accessToken) return respond(config, 403, { error: 'טוקן לא תקין או פג תוקף' });
+      return respond(config, 200, { ok: true });
+    });
+  });
+
+  it('refreshes an expired access token and retries the request', async () => {
+    const response = await api.get('/conversations');
+
+    expect(response.data).toEqual({ ok: true });
+    expect(getToken()).toBe('access-2');
+    expect(getRefreshToken()).toBe('refresh-2');
+  });
+
+  it('shares one refresh between requests that fail together', async () => {
+    const responses = await Promise.all([api.get('/a'), api.get('/b'), api.get('/c')]);
+
+    expect(responses.map((r) => r.data.ok)).toEqual([true, true, true]);
+    expect(server.refreshes).toBe(1);
+  });
+
+  it('returns a real permission error after one retry without signing out', async () => {
+    setToken('access-2');
+
+    await expect(api.get('/forbidden')).rejects.toMatchObject({ response: { status: 403 } });
+    expect(api.defaults.adapter).toHaveBeenCalledTimes(3); // request, refresh, retry
+    expect(getUser()).toEqual({ id: 1, username: 'alice' });
+  });
+
+  it('signs out when the session cannot be refreshed', async () => {
+    server.refreshToken = 'revoked';
+
+    await expect(api.get('/conversations')).rejects.toMatchObject({ response: { status: 403 } });
+    expect(getToken()).toBeNull();
+    expect(getRefreshToken()).toBeNull();
+    expect(getUser()).toBeNull();
+  });
+});
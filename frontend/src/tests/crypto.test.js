@@ -1,5 +1,16 @@
-import { describe, it, expect } from 'vitest';
-import { generateAESKey, aesEncrypt, aesDecrypt, encryptPrivateKey, decryptPrivateKey } from '../utils/crypto';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { webcrypto } from 'node:crypto';
+import { Buffer } from 'node:buffer';
+import {
+  generateAESKey, aesEncrypt, aesDecrypt, encryptPrivateKey, decryptPrivateKey,
+  generateRSAKeyPair, rsaEncrypt, importPrivateKey, encryptMessageForRecipients, decryptMessage, parseEnvelope,
+  generateSigningKeyPair, importSigningKey, verifyEnvelope, signDeviceKey, verifyDeviceKey,
+  generateDevicePreKeys, verifyPreKeyBundle, createInitiatorSession, createResponderSession,
+  ratchetEncrypt, ratchetDecrypt, decryptMessageWithKey,
+  computeSafetyNumber, computeKeyFingerprint, formatSafetyNumber,
+  generateRecoveryCode, recoveryCodeVerifier, wrapWithRecoveryCode, unwrapWithRecoveryCode,
+  importStorageKey, sealData, openSealed,
+} from '../utils/crypto';
 
 describe('AES-256-CBC Encryption (Client-side)', () => {
   it('generates a 256-bit (64 hex chars) AES key', () => {
@@ -103,3 +114,459 @@ describe('Private Key Protection (PBKDF2 + AES)', () => {
     expect(result1.encryptedPrivateKey).not.toBe(result2.encryptedPrivateKey);
   }, 20000);
 });
+
+describe('AES-256-GCM Message Envelope (v2)', () => {
+  // The shared setup mocks crypto.subtle; these tests need the real implementation
+  const mockedSubtle = { ...window.crypto.subtle };
+  let alice;
+  const context = { senderId: 1, conversationId: 7 };
+
+  // jsdom buffers come from another realm; Node's WebCrypto only accepts its own
+  const toNodeBytes = (value) => {
+    if (ArrayBuffer.isView(value)) return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+    if (Object.prototype.toString.call(value) === '[object ArrayBuffer]') return Buffer.from(value);
+    if (value && typeof value === 'object' && value.constructor === Object) {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toNodeBytes(v)]));
+    }
+    return value;
+  };
+
+  beforeAll(async () => {
+    for (const method of [...Object.keys(mockedSubtle), 'sign', 'verify', 'digest', 'deriveBits']) {
+      window.crypto.subtle[method] = (...args) => webcrypto.subtle[method](...args.map(toNodeBytes));
+    }
+    alice = await generateRSAKeyPair();
+  });
+
+  afterAll(() => {
+    delete window.crypto.subtle.sign;
+    delete window.crypto.subtle.verify;
+    delete window.crypto.subtle.digest;
+    delete window.crypto.subtle.deriveBits;
+    Object.assign(window.crypto.subtle, mockedSubtle);
+  });
+
+  // Signing key pair as the app holds it: the public PEM and the imported private key
+  async function signingKeyPair() {
+    const { publicKey, privateKey } = await generateSigningKeyPair();
+    return { publicKey, privateKey: await importSigningKey(privateKey) };
+  }
+
+  async function encryptForAlice(plaintext) {
+    const { encryptedContent, iv, keys } = await encryptMessageForRecipients(
+      plaintext,
+      [{ userId: 1, publicKey: alice.publicKey }],
+      context
+    );
+    return { encryptedContent, iv, encryptedKey: keys[0].encryptedKey };
+  }
+
+  it('produces a versioned envelope with a unique id', async () => {
+    const first = await encryptForAlice('Hello');
+    const second = await encryptForAlice('Hello');
+
+    const envelope = parseEnvelope(first.encryptedContent);
+    expect(envelope.v).toBe(2);
+    expect(envelope.id).toHaveLength(32);
+    expect(envelope.id).not.toBe(parseEnvelope(second.encryptedContent).id);
+  });
+
+  it('encrypts and decrypts a message for a recipient', async () => {
+    const msg = await encryptForAlice('שלום עולם! 🔐');
+    const decrypted = await decryptMessage(msg.encryptedContent, msg.iv, msg.encryptedKey, alice.privateKey, context);
+    expect(decrypted).toBe('שלום עולם! 🔐');
+  });
+
+  it('decrypts with a stored non-extractable key', async () => {
+    const key = await importPrivateKey(alice.privateKey);
+    expect(key.extractable).toBe(false);
+    await expect(window.crypto.subtle.exportKey('pkcs8', key)).rejects.toThrow();
+
+    const msg = await encryptForAlice('from IndexedDB');
+    expect(await decryptMessage(msg.encryptedContent, msg.iv, msg.encryptedKey, key, context)).toBe('from IndexedDB');
+  });
+
+  it('rejects tampered ciphertext', async () => {
+    const msg = await encryptForAlice('Pay 10 shekels');
+    const envelope = parseEnvelope(msg.encryptedContent);
+    const bytes = Uint8Array.from(atob(envelope.ct), (c) => c.charCodeAt(0));
+    bytes[0] ^= 0x01;
+    const tampered = JSON.stringify({ ...envelope, ct: btoa(String.fromCharCode(...bytes)) });
+
+    await expect(
+      decryptMessage(tampered, msg.iv, msg.encryptedKey, alice.privateKey, context)
+    ).rejects.toThrow();
+  });
+
+  it('rejects a message relabelled with another sender', async () => {
+    const msg = await encryptForAlice('From Alice');
+
+    await expect(
+      decryptMessage(msg.encryptedContent, msg.iv, msg.encryptedKey, alice.privateKey, { ...context, senderId: 2 })
+    ).rejects.toThrow();
+  });
+
+  it('rejects a message moved to another conversation', async () => {
+    const msg = await encryptForAlice('For conversation 7');
+
+    await expect(
+      decryptMessage(msg.encryptedContent, msg.iv, msg.encryptedKey, alice.privateKey, { ...context, conversationId: null })
+    ).rejects.toThrow();
+  });
+
+  it('does not bind the server message id, so a verbatim copy still decrypts', async () => {
+    // Replays are caught by the repeated envelope id instead (acceptEnvelope)
+    const msg = await encryptForAlice('Sent once');
+    const copy = JSON.parse(JSON.stringify(msg));
+
+    expect(await decryptMessage(copy.encryptedContent, copy.iv, copy.encryptedKey, alice.privateKey, context)).toBe(
+      'Sent once'
+    );
+  });
+
+  it('still decrypts legacy v1 AES-CBC messages', async () => {
+    const keyHex = generateAESKey();
+    const { encrypted, iv } = aesEncrypt('Legacy message', keyHex);
+    const keyBytes = Uint8Array.from(keyHex.match(/.{2}/g), (h) => parseInt(h, 16));
+    const encryptedKey = await rsaEncrypt(alice.publicKey, keyBytes);
+
+    expect(parseEnvelope(encrypted)).toBeNull();
+    const decrypted = await decryptMessage(encrypted, iv, encryptedKey, alice.privateKey);
+    expect(decrypted).toBe('Legacy message');
+  });
+
+  it('echoes each recipient\'s key version into the wrapped keys', async () => {
+    const { keys } = await encryptMessageForRecipients(
+      'Versioned',
+      [{ userId: 1, publicKey: alice.publicKey, keyVersion: 2 }, { userId: 2, publicKey: alice.publicKey }],
+      context
+    );
+
+    expect(keys[0].keyVersion).toBe(2);
+    expect(keys[1]).not.toHaveProperty('keyVersion');
+  });
+
+  it('rejects unknown envelope versions', () => {
+    expect(() => parseEnvelope('{"v":99,"id":"x","ct":"y"}')).toThrow('Unsupported message envelope version');
+  });
+
+  describe('sender signatures', () => {
+    let aliceSigning;
+    let mallorySigning;
+
+    beforeAll(async () => {
+      aliceSigning = await signingKeyPair();
+      mallorySigning = await signingKeyPair();
+    });
+
+    async function signedByAlice(plaintext) {
+      return encryptMessageForRecipients(
+        plaintext,
+        [{ userId: 1, publicKey: alice.publicKey }],
+        context,
+        aliceSigning.privateKey
+      );
+    }
+
+    it('imports the signing key as non-extractable', async () => {
+      expect(aliceSigning.privateKey.extractable).toBe(false);
+      expect(aliceSigning.privateKey.usages).toEqual(['sign']);
+    });
+
+    it('verifies an envelope signed by the claimed sender', async () => {
+      const { encryptedContent, iv } = await signedByAlice('Signed hello');
+
+      expect(parseEnvelope(encryptedContent).sig).toBeDefined();
+      expect(await verifyEnvelope(encryptedContent, iv, context, aliceSigning.publicKey)).toBe(true);
+    });
+
+    it('signed envelopes still decrypt', async () => {
+      const { encryptedContent, iv, keys } = await signedByAlice('Signed hello');
+      const decrypted = await decryptMessage(encryptedContent, iv, keys[0].encryptedKey, alice.privateKey, context);
+      expect(decrypted).toBe('Signed hello');
+    });
+
+    it('rejects a signature checked against another user\'s key', async () => {
+      const { encryptedContent, iv } = await signedByAlice('From Alice');
+      expect(await verifyEnvelope(encryptedContent, iv, context, mallorySigning.publicKey)).toBe(false);
+    });
+
+    it('rejects an envelope relabelled with another sender', async () => {
+      const { encryptedContent, iv } = await signedByAlice('From Alice');
+      expect(
+        await verifyEnvelope(encryptedContent, iv, { ...context, senderId: 2 }, aliceSigning.publicKey)
+      ).toBe(false);
+    });
+
+    it('rejects a signature over different ciphertext', async () => {
+      const first = await signedByAlice('First');
+      const second = await signedByAlice('Second');
+      const { sig } = parseEnvelope(first.encryptedContent);
+      const swapped = JSON.stringify({ ...parseEnvelope(second.encryptedContent), sig });
+
+      expect(await verifyEnvelope(swapped, second.iv, context, aliceSigning.publicKey)).toBe(false);
+    });
+
+    it('treats unsigned envelopes and unknown signing keys as unverified', async () => {
+      const unsigned = await encryptForAlice('No signature');
+      const signed = await signedByAlice('Signed');
+
+      expect(await verifyEnvelope(unsigned.encryptedContent, unsigned.iv, context, aliceSigning.publicKey)).toBe(false);
+      expect(await verifyEnvelope(signed.encryptedContent, signed.iv, context, null)).toBe(false);
+    });
+  });
+
+  describe('device keys', () => {
+    let aliceSigning;
+    let laptop;
+
+    beforeAll(async () => {
+      aliceSigning = await signingKeyPair();
+      laptop = await generateRSAKeyPair();
+    });
+
+    it('accepts a device key endorsed by its owner', async () => {
+      const signature = await signDeviceKey(1, laptop.publicKey, aliceSigning.privateKey);
+      const device = { deviceId: 3, publicKey: laptop.publicKey, signature };
+
+      expect(await verifyDeviceKey(1, device, aliceSigning.publicKey)).toBe(true);
+    });
+
+    it('rejects an endorsement moved to another user or key', async () => {
+      const signature = await signDeviceKey(1, laptop.publicKey, aliceSigning.privateKey);
+
+      expect(await verifyDeviceKey(2, { publicKey: laptop.publicKey, signature }, aliceSigning.publicKey)).toBe(false);
+      expect(await verifyDeviceKey(1, { publicKey: alice.publicKey, signature }, aliceSigning.publicKey)).toBe(false);
+    });
+
+    it('treats unsigned devices and unknown signing keys as untrusted', async () => {
+      const signature = await signDeviceKey(1, laptop.publicKey, aliceSigning.privateKey);
+
+      expect(await verifyDeviceKey(1, { publicKey: laptop.publicKey }, aliceSigning.publicKey)).toBe(false);
+      expect(await verifyDeviceKey(1, { publicKey: laptop.publicKey, signature }, null)).toBe(false);
+    });
+
+    it('echoes each recipient\'s device into the wrapped keys', async () => {
+      const { keys } = await encryptMessageForRecipients(
+        'To every device',
+        [
+          { userId: 1, publicKey: alice.publicKey, keyVersion: 1 },
+          { userId: 1, deviceId: 3, publicKey: laptop.publicKey },
+        ],
+        context
+      );
+
+      expect(keys.map((k) => k.deviceId)).toEqual([undefined, 3]);
+    });
+  });
+
+  describe('forward secrecy (X3DH + Double Ratchet)', () => {
+    let aliceSigning;
+    let bobSigning;
+    let alicePreKeys;
+    let bobPreKeys;
+    const bytes = (text) => new TextEncoder().encode(text);
+    const text = (data) => new TextDecoder().decode(data);
+
+    function bundleOf(deviceId, { upload }, withOneTime = true) {
+      return {
+        deviceId,
+        identityKey: upload.identityKey,
+        signedPreKey: upload.signedPreKey,
+        oneTimePreKey: withOneTime ? upload.oneTimePreKeys[0] : null,
+      };
+    }
+
+    beforeAll(async () => {
+      aliceSigning = await signingKeyPair();
+      bobSigning = await signingKeyPair();
+      alicePreKeys = await generateDevicePreKeys(1, 10, aliceSigning.privateKey, 2);
+      bobPreKeys = await generateDevicePreKeys(2, 20, bobSigning.privateKey, 2);
+    });
+
+    async function startSession(withOneTime = true) {
+      const sender = await createInitiatorSession(alicePreKeys.secrets.identity, bundleOf(20, bobPreKeys, withOneTime));
+      const first = await ratchetEncrypt(sender, bytes('hello bob'));
+      const { x3dh } = JSON.parse(first.header);
+      const receiver = await createResponderSession(bobPreKeys.secrets, x3dh);
+      return { sender: first.session, receiver, first };
+    }
+
+    it('accepts a bundle signed by its owner only', async () => {
+      const bundle = bundleOf(20, bobPreKeys);
+
+      expect(await verifyPreKeyBundle(2, bundle, bobSigning.publicKey)).toBe(true);
+      expect(await verifyPreKeyBundle(2, bundle, aliceSigning.publicKey)).toBe(false);
+      expect(await verifyPreKeyBundle(2, { ...bundle, deviceId: 21 }, bobSigning.publicKey)).toBe(false);
+      expect(
+        await verifyPreKeyBundle(2, { ...bundle, identityKey: alicePreKeys.upload.identityKey }, bobSigning.publicKey)
+      ).toBe(false);
+    });
+
+    it('derives the same session on both sides, with and without a one-time prekey', async () => {
+      for (const withOneTime of [true, false]) {
+        const { receiver, first } = await startSession(withOneTime);
+        const { plaintext } = await ratchetDecrypt(receiver, first.header, first.ciphertext);
+        expect(text(plaintext)).toBe('hello bob');
+      }
+    });
+
+    it('carries the X3DH values until the peer replies', async () => {
+      let { sender, receiver, first } = await startSession();
+      ({ session: receiver } = await ratchetDecrypt(receiver, first.header, first.ciphertext));
+
+      const second = await ratchetEncrypt(sender, bytes('still waiting'));
+      expect(JSON.parse(second.header).x3dh).toBeDefined();
+      sender = second.session;
+      ({ session: receiver } = await ratchetDecrypt(receiver, second.header, second.ciphertext));
+
+      const reply = await ratchetEncrypt(receiver, bytes('hi alice'));
+      const opened = await ratchetDecrypt(sender, reply.header, reply.ciphertext);
+      expect(text(opened.plaintext)).toBe('hi alice');
+
+      const third = await ratchetEncrypt(opened.session, bytes('got it'));
+      expect(JSON.parse(third.header).x3dh).toBeUndefined();
+    });
+
+    it('decrypts out-of-order messages and rejects replays', async () => {
+      let { sender, receiver, first } = await startSession();
+      ({ session: receiver } = await ratchetDecrypt(receiver, first.header, first.ciphertext));
+
+      const a = await ratchetEncrypt(sender, bytes('a'));
+      const b = await ratchetEncrypt(a.session, bytes('b'));
+
+      const gotB = await ratchetDecrypt(receiver, b.header, b.ciphertext);
+      const gotA = await ratchetDecrypt(gotB.session, a.header, a.ciphertext);
+      expect(text(gotB.plaintext)).toBe('b');
+      expect(text(gotA.plaintext)).toBe('a');
+
+      await expect(ratchetDecrypt(gotA.session, a.header, a.ciphertext)).rejects.toThrow();
+    });
+
+    it('old message keys are gone once used: the current state cannot reopen past messages', async () => {
+      let { sender, receiver, first } = await startSession();
+      const opened = await ratchetDecrypt(receiver, first.header, first.ciphertext);
+      receiver = opened.session;
+
+      const reply = await ratchetEncrypt(receiver, bytes('reply'));
+      ({ session: sender } = await ratchetDecrypt(sender, reply.header, reply.ciphertext));
+
+      // A stolen copy of either side's state after the exchange does not decrypt the first message
+      await expect(ratchetDecrypt(reply.session, first.header, first.ciphertext)).rejects.toThrow();
+      await expect(ratchetDecrypt(sender, first.header, first.ciphertext)).rejects.toThrow();
+    });
+
+    it('rejects a tampered header without changing the session', async () => {
+      const { receiver, first } = await startSession();
+      const tampered = first.header.replace('"n":0', '"n":1');
+
+      await expect(ratchetDecrypt(receiver, tampered, first.ciphertext)).rejects.toThrow();
+      const { plaintext } = await ratchetDecrypt(receiver, first.header, first.ciphertext);
+      expect(text(plaintext)).toBe('hello bob');
+    });
+
+    it('wraps message keys for ratchet recipients', async () => {
+      let { sender } = await startSession();
+      const { encryptedContent, iv, keys } = await encryptMessageForRecipients(
+        'Forward secret',
+        [{
+          userId: 2,
+          deviceId: 20,
+          wrapKey: async (keyBytes) => {
+            const out = await ratchetEncrypt(sender, keyBytes);
+            sender = out.session;
+            return { encryptedKey: out.ciphertext, ratchetHeader: out.header };
+          },
+        }],
+        context
+      );
+
+      expect(keys[0]).toMatchObject({ userId: 2, deviceId: 20 });
+      const receiver = await createResponderSession(bobPreKeys.secrets, JSON.parse(keys[0].ratchetHeader).x3dh);
+      const { plaintext } = await ratchetDecrypt(receiver, keys[0].ratchetHeader, keys[0].encryptedKey);
+      expect(await decryptMessageWithKey(encryptedContent, iv, plaintext, context)).toBe('Forward secret');
+    });
+  });
+
+  describe('recovery codes', () => {
+    const keys = { privateKey: 'account-pem', signingKey: 'signing-pem', archivedKeys: { 1: 'v1-pem' } };
+
+    it('generates 16 unambiguous characters in groups of four', () => {
+      const code = generateRecoveryCode();
+      expect(code).toMatch(/^[2-9A-HJ-NP-Z]{4}(-[2-9A-HJ-NP-Z]{4}){3}$/);
+      expect(generateRecoveryCode()).not.toBe(code);
+    });
+
+    it('unwraps the keys with the same code, however it is typed', async () => {
+      const code = generateRecoveryCode();
+      const { encryptedKeys, iv } = await wrapWithRecoveryCode(keys, code);
+
+      expect(encryptedKeys).not.toContain('account-pem');
+      const typed = code.toLowerCase().replace(/-/g, ' ');
+      expect(await unwrapWithRecoveryCode(encryptedKeys, iv, typed)).toEqual(keys);
+    });
+
+    it('fails with a different code', async () => {
+      const { encryptedKeys, iv } = await wrapWithRecoveryCode(keys, generateRecoveryCode());
+
+      await expect(unwrapWithRecoveryCode(encryptedKeys, iv, generateRecoveryCode())).rejects.toThrow();
+    });
+
+    it('derives a stable verifier that differs per code', async () => {
+      const code = generateRecoveryCode();
+      const verifier = await recoveryCodeVerifier(code);
+
+      expect(verifier).toMatch(/^[0-9a-f]{64}$/);
+      expect(await recoveryCodeVerifier(code.toLowerCase())).toBe(verifier);
+      expect(await recoveryCodeVerifier(generateRecoveryCode())).not.toBe(verifier);
+    });
+  });
+
+  describe('sealed local storage', () => {
+    const sessions = { '2:5': { active: { rootKey: 'root-secret' }, previous: [] } };
+
+    it('imports the storage key as non-extractable', async () => {
+      const key = await importStorageKey(generateAESKey());
+      expect(key.extractable).toBe(false);
+    });
+
+    it('opens a record with the key and name it was sealed under only', async () => {
+      const key = await importStorageKey(generateAESKey());
+      const record = await sealData(key, 'sessions', sessions);
+
+      expect(JSON.stringify(record)).not.toContain('root-secret');
+      expect(await openSealed(key, 'sessions', record)).toEqual(sessions);
+      await expect(openSealed(key, 'prekeySecrets', record)).rejects.toThrow();
+      await expect(openSealed(await importStorageKey(generateAESKey()), 'sessions', record)).rejects.toThrow();
+    });
+  });
+
+  describe('safety numbers', () => {
+    const me = { userId: 1, publicKey: 'rsa-1', signingPublicKey: 'ecdsa-1' };
+    const bob = { userId: 2, publicKey: 'rsa-2', signingPublicKey: 'ecdsa-2' };
+
+    it('is 60 digits in 12 groups', async () => {
+      const digits = await computeSafetyNumber(me, bob);
+      expect(digits).toMatch(/^\d{60}$/);
+      expect(formatSafetyNumber(digits)).toHaveLength(12);
+    });
+
+    it('is the same from both sides', async () => {
+      expect(await computeSafetyNumber(me, bob)).toBe(await computeSafetyNumber(bob, me));
+    });
+
+    it('changes when either key of the contact changes', async () => {
+      const original = await computeSafetyNumber(me, bob);
+
+      expect(await computeSafetyNumber(me, { ...bob, publicKey: 'rsa-evil' })).not.toBe(original);
+      expect(await computeSafetyNumber(me, { ...bob, signingPublicKey: 'ecdsa-evil' })).not.toBe(original);
+    });
+
+    it('fingerprints detect a changed key', async () => {
+      const original = await computeKeyFingerprint(bob);
+
+      expect(await computeKeyFingerprint({ ...bob })).toBe(original);
+      expect(await computeKeyFingerprint({ ...bob, publicKey: 'rsa-evil' })).not.toBe(original);
+    });
+  });
+});
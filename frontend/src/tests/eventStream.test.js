@@ -0,0 +1,53 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { readEventStream } from '../utils/eventStream';
+
+// A byte stream that hands out the given chunks, then ends (or stays open)
+function bodyOf(chunks, { end = true } = {}) {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    start(controller) {
+      chunks.forEach((chunk) => controller.enqueue(encoder.encode(chunk)));
+      if (end) controller.close();
+    },
+  });
+}
+
+describe('readEventStream', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('parses events split across chunks and skips heartbeat comments', async () => {
+    const onEvent = vi.fn();
+
+    await readEventStream(
+      bodyOf(['id: 4\ndata: {"messages":', '[]}\n\n: ping\n\n', 'event: revoked\r\ndata: {}\r\n\r\n']),
+      onEvent,
+      1000
+    );
+
+    expect(onEvent.mock.calls).toEqual([
+      [{ id: '4', event: 'message', data: '{"messages":[]}' }],
+      [{ id: undefined, event: 'revoked', data: '{}' }],
+    ]);
+  });
+
+  it('gives up on a stream that goes quiet', async () => {
+    vi.useFakeTimers();
+    const reading = readEventStream(bodyOf([': ping\n\n'], { end: false }), vi.fn(), 1000);
+    const failed = expect(reading).rejects.toThrow('Event stream went quiet');
+
+    await vi.advanceTimersByTimeAsync(1000);
+    await failed;
+  });
+
+  it('stops when the handler throws', async () => {
+    const onEvent = vi.fn(() => {
+      throw new Error('Session revoked');
+    });
+
+    await expect(readEventStream(bodyOf(['data: 1\n\ndata: 2\n\n'], { end: false }), onEvent, 1000))
+      .rejects.toThrow('Session revoked');
+    expect(onEvent).toHaveBeenCalledTimes(1);
+  });
+});
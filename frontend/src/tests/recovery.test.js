@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import { webcrypto } from 'node:crypto';
+import { Buffer } from 'node:buffer';
+
+vi.mock('../services/api', () => ({
+  default: { post: vi.fn(), put: vi.fn() },
+}));
+
+// Recovery codes use the real WebCrypto; only the slow password wrap is stubbed
+vi.mock('../utils/crypto', async (importOriginal) => ({
+  ...(await importOriginal()),
+  encryptPrivateKey: vi.fn((pem, password) => ({ encryptedPrivateKey: `${pem}@${password}`, iv: 'salt:iv' })),
+}));
+
+import api from '../services/api';
+import { createRecoveryCodes, recoverWithCode } from '../services/recovery';
+import { RECOVERY_CODE_COUNT } from '../config/constants';
+
+describe('Recovery codes', () => {
+  // The shared setup mocks crypto.subtle; these tests need the real implementation
+  const mockedSubtle = { ...window.crypto.subtle };
+  const keys = { privateKey: 'account-pem', signingKey: 'signing-pem', archivedKeys: { 1: 'v1-pem' } };
+
+  // jsdom buffers come from another realm; Node's WebCrypto only accepts its own
+  const toNodeBytes = (value) => {
+    if (ArrayBuffer.isView(value)) return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+    if (Object.prototype.toString.call(value) === '[object ArrayBuffer]') return Buffer.from(value);
+    if (value && typeof value === 'object' && value.constructor === Object) {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toNodeBytes(v)]));
+    }
+    return value;
+  };
+
+  beforeAll(() => {
+    for (const method of [...Object.keys(mockedSubtle), 'digest', 'deriveBits']) {
+      window.crypto.subtle[method] = (...args) => webcrypto.subtle[method](...args.map(toNodeBytes));
+    }
+  });
+
+  afterAll(() => {
+    delete window.crypto.subtle.digest;
+    delete window.crypto.subtle.deriveBits;
+    Object.assign(window.crypto.subtle, mockedSubtle);
+  });
+
+  let recovery;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    recovery = await createRecoveryCodes(keys);
+    // The server hands back whatever was uploaded for the presented verifier
+    api.post.mockImplementation(async (url, body) => {
+      if (url !== '/auth/recovery/keys') return { data: { message: 'Account recovered' } };
+      const upload = recovery.uploads.find((u) => u.verifier === body.verifier);
+      return { data: { keyVersion: 2, encryptedKeys: upload.encryptedKeys, encryptedKeysIv: upload.encryptedKeysIv } };
+    });
+  });
+
+  it('makes one upload per code, without the codes themselves', () => {
+    expect(recovery.codes).toHaveLength(RECOVERY_CODE_COUNT);
+    expect(new Set(recovery.uploads.map((u) => u.verifier)).size).toBe(RECOVERY_CODE_COUNT);
+    const sent = JSON.stringify(recovery.uploads);
+    recovery.codes.forEach((code) => expect(sent).not.toContain(code));
+  });
+
+  it('re-wraps every key under the new password with any one code', async () => {
+    await recoverWithCode('alice', recovery.codes[3], 'newpass456');
+
+    expect(api.post).toHaveBeenLastCalledWith('/auth/recovery', {
+      username: 'alice',
+      verifier: recovery.uploads[3].verifier,
+      newPassword: 'newpass456',
+      keyVersion: 2,
+      encryptedPrivateKey: 'account-pem@newpass456',
+      encryptedPrivateKeyIv: 'salt:iv',
+      encryptedSigningKey: 'signing-pem@newpass456',
+      encryptedSigningKeyIv: 'salt:iv',
+      archivedKeys: [{ keyVersion: 1, encryptedPrivateKey: 'v1-pem@newpass456', encryptedPrivateKeyIv: 'salt:iv' }],
+    });
+  });
+
+  it('does not reset the password when the code does not unwrap the keys', async () => {
+    // The server answers with keys wrapped by another code
+    const other = recovery.uploads[1];
+    api.post.mockResolvedValueOnce({
+      data: { keyVersion: 2, encryptedKeys: other.encryptedKeys, encryptedKeysIv: other.encryptedKeysIv },
+    });
+
+    await expect(recoverWithCode('alice', recovery.codes[0], 'newpass456')).rejects.toThrow('Wrong recovery code');
+    expect(api.post).toHaveBeenCalledTimes(1);
+  });
+});
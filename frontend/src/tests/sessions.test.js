@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { webcrypto } from 'node:crypto';
+import { Buffer } from 'node:buffer';
+
+vi.mock('../services/devices', () => ({
+  getPreKeyBundles: vi.fn(),
+}));
+
+// Alice and Bob each get their own key store (storage key and sealed records)
+const mockDevices = vi.hoisted(() => ({
+  current: null,
+  alice: { keys: new Map(), records: new Map() },
+  bob: { keys: new Map(), records: new Map() },
+}));
+
+vi.mock('../utils/keyStore', () => {
+  const store = (kind) => mockDevices[mockDevices.current][kind];
+  return {
+    getKey: async (name) => store('keys').get(name) ?? null,
+    putKey: async (name, key) => {
+      store('keys').set(name, key);
+    },
+    deleteKey: async (name) => {
+      store('keys').delete(name);
+    },
+    clearKeys: async () => {
+      store('keys').clear();
+    },
+    getRecord: async (name) => store('records').get(name) ?? null,
+    putRecord: async (name, record) => {
+      store('records').set(name, record);
+    },
+    clearRecords: async () => {
+      store('records').clear();
+    },
+  };
+});
+
+import { getPreKeyBundles } from '../services/devices';
+import { encryptWithRatchet, decryptWithRatchet, canUseRatchet } from '../services/sessions';
+import {
+  generateSigningKeyPair, importSigningKey, generateDevicePreKeys, encryptMessageForRecipients, decryptMessageWithKey,
+} from '../utils/crypto';
+import { setDevice, setPreKeySecrets, getPreKeySecrets, clearAuth } from '../utils/storage';
+
+describe('Ratchet sessions', () => {
+  // The shared setup mocks crypto.subtle; these tests need the real implementation
+  const mockedSubtle = { ...window.crypto.subtle };
+  const context = { senderId: 1, conversationId: 4 };
+  const stores = { alice: {}, bob: {} };
+  let current = null;
+  let aliceSigning;
+  let bob;
+
+  // jsdom buffers come from another realm; Node's WebCrypto only accepts its own
+  const toNodeBytes = (value) => {
+    if (ArrayBuffer.isView(value)) return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+    if (Object.prototype.toString.call(value) === '[object ArrayBuffer]') return Buffer.from(value);
+    if (value && typeof value === 'object' && value.constructor === Object) {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toNodeBytes(v)]));
+    }
+    return value;
+  };
+
+  // ... and their own localStorage
+  const deviceKeys = ['messaging_device'];
+  function switchTo(name) {
+    if (current) stores[current] = Object.fromEntries(deviceKeys.map((key) => [key, localStorage.getItem(key)]));
+    localStorage.clear();
+    Object.entries(stores[name]).forEach(([key, value]) => value !== null && localStorage.setItem(key, value));
+    current = name;
+    mockDevices.current = name;
+  }
+
+  const members = () => [
+    { userId: 1, publicKey: 'alice-rsa', devices: [{ deviceId: 10 }] },
+    { userId: 2, publicKey: 'bob-rsa', signingPublicKey: bob.signing.publicKey, devices: [{ deviceId: 20 }] },
+  ];
+
+  async function signingKeyPair() {
+    const { publicKey, privateKey } = await generateSigningKeyPair();
+    return { publicKey, privateKey: await importSigningKey(privateKey) };
+  }
+
+  const encrypt = (plaintext) => (recipients) =>
+    encryptMessageForRecipients(plaintext, recipients, context, aliceSigning.privateKey);
+
+  beforeAll(async () => {
+    for (const method of [...Object.keys(mockedSubtle), 'sign', 'verify', 'digest', 'deriveBits']) {
+      window.crypto.subtle[method] = (...args) => webcrypto.subtle[method](...args.map(toNodeBytes));
+    }
+    aliceSigning = await signingKeyPair();
+    const bobSigning = await signingKeyPair();
+    const alicePreKeys = await generateDevicePreKeys(1, 10, aliceSigning.privateKey, 1);
+    const bobPreKeys = await generateDevicePreKeys(2, 20, bobSigning.privateKey, 1);
+    bob = { signing: bobSigning, preKeys: bobPreKeys };
+
+    switchTo('alice');
+    setDevice({ deviceId: 10 });
+    await setPreKeySecrets(alicePreKeys.secrets);
+    switchTo('bob');
+    setDevice({ deviceId: 20 });
+    await setPreKeySecrets(bobPreKeys.secrets);
+
+    getPreKeyBundles.mockImplementation(async (userId) =>
+      userId === 2
+        ? [{
+          deviceId: 20,
+          identityKey: bobPreKeys.upload.identityKey,
+          signedPreKey: bobPreKeys.upload.signedPreKey,
+          oneTimePreKey: bobPreKeys.upload.oneTimePreKeys[0],
+        }]
+        : []
+    );
+  });
+
+  afterAll(async () => {
+    await clearAuth();
+    delete window.crypto.subtle.sign;
+    delete window.crypto.subtle.verify;
+    delete window.crypto.subtle.digest;
+    delete window.crypto.subtle.deriveBits;
+    Object.assign(window.crypto.subtle, mockedSubtle);
+  });
+
+  let sent;
+
+  it('wraps the key for the peer device only, over a new session', async () => {
+    switchTo('alice');
+    expect(await canUseRatchet()).toBe(true);
+
+    sent = await encryptWithRatchet(members(), 1, encrypt('hi bob'));
+
+    expect(sent.keys).toHaveLength(1);
+    expect(sent.keys[0]).toMatchObject({ userId: 2, deviceId: 20 });
+    expect(JSON.parse(sent.keys[0].ratchetHeader).x3dh.opk).toBe(1);
+  });
+
+  it('lets the peer decrypt once and uses up its one-time prekey', async () => {
+    switchTo('bob');
+    const msg = { senderId: 1, senderDeviceId: 10, ...sent.keys[0] };
+
+    const key = await decryptWithRatchet(msg);
+    expect(await decryptMessageWithKey(sent.encryptedContent, sent.iv, key, context)).toBe('hi bob');
+    expect((await getPreKeySecrets()).oneTimePreKeys[1]).toBeUndefined();
+
+    await expect(decryptWithRatchet(msg)).rejects.toThrow('No session decrypts this message');
+  });
+
+  it('reuses the session for the next message', async () => {
+    switchTo('alice');
+    getPreKeyBundles.mockClear();
+    const next = await encryptWithRatchet(members(), 1, encrypt('again'));
+    expect(getPreKeyBundles).not.toHaveBeenCalled();
+
+    switchTo('bob');
+    const key = await decryptWithRatchet({ senderId: 1, senderDeviceId: 10, ...next.keys[0] });
+    expect(await decryptMessageWithKey(next.encryptedContent, next.iv, key, context)).toBe('again');
+  });
+
+  it('falls back to the account key when bundles cannot be fetched', async () => {
+    switchTo('alice');
+    getPreKeyBundles.mockRejectedValueOnce(new Error('Too many requests'));
+    const recipients = await encryptWithRatchet(
+      [{ userId: 4, publicKey: 'dana-rsa', keyVersion: 1, devices: [{ deviceId: 40 }] }],
+      1,
+      async (list) => list
+    );
+
+    expect(recipients).toEqual([{ userId: 4, publicKey: 'dana-rsa', keyVersion: 1 }]);
+  });
+
+  it('falls back to the account key for a member without prekeys', async () => {
+    switchTo('alice');
+    const recipients = await encryptWithRatchet(
+      [{ userId: 3, publicKey: 'charlie-rsa', keyVersion: 2, devices: [{ deviceId: 30 }] }],
+      1,
+      async (list) => list
+    );
+
+    expect(recipients).toEqual([{ userId: 3, publicKey: 'charlie-rsa', keyVersion: 2 }]);
+  });
+});
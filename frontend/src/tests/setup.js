@@ -1,4 +1,5 @@
 import '@testing-library/jest-dom/vitest';
+import { vi } from 'vitest';
 
 // Mock localStorage
 const localStorageMock = (() => {
@@ -13,6 +14,34 @@ const localStorageMock = (() => {
 
 Object.defineProperty(window, 'localStorage', { value: localStorageMock });
 
+// jsdom does not lay out pages, so it has no scrollIntoView (ChatPage scrolls to new messages)
+Element.prototype.scrollIntoView = vi.fn();
+
+// jsdom has no IndexedDB: keep stored CryptoKeys and sealed records in memory
+vi.mock('../utils/keyStore', () => {
+  const keys = new Map();
+  const records = new Map();
+  return {
+    getKey: async (name) => keys.get(name) ?? null,
+    putKey: async (name, key) => {
+      keys.set(name, key);
+    },
+    deleteKey: async (name) => {
+      keys.delete(name);
+    },
+    clearKeys: async () => {
+      keys.clear();
+    },
+    getRecord: async (name) => records.get(name) ?? null,
+    putRecord: async (name, record) => {
+      records.set(name, record);
+    },
+    clearRecords: async () => {
+      records.clear();
+    },
+  };
+});
+
 // Mock window.crypto.subtle for RSA operations
 Object.defineProperty(window, 'crypto', {
   value: {
@@ -0,0 +1,76 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useContactVerification } from '../hooks/useContactVerification';
+import * as usersService from '../services/users';
+import { getVerifiedContacts } from '../utils/storage';
+
+vi.mock('../services/users');
+
+// Fingerprint is the public key itself, so tests can "change" a key directly
+vi.mock('../utils/crypto', () => ({
+  computeKeyFingerprint: vi.fn((entry) => Promise.resolve(`fp-${entry.publicKey}`)),
+}));
+
+const me = { userId: 1, username: 'me', publicKey: 'pk-me', signingPublicKey: null };
+const bob = { userId: 2, username: 'bob', publicKey: 'pk-bob', signingPublicKey: null };
+
+describe('useContactVerification', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+    usersService.getAllPublicKeys.mockResolvedValue([me, bob]);
+  });
+
+  it('starts with every contact unverified', async () => {
+    const { result } = renderHook(() => useContactVerification(1));
+    await act(() => result.current.refresh());
+
+    expect(result.current.status(2)).toBe('unverified');
+    expect(result.current.changedContacts).toEqual([]);
+  });
+
+  it('marks a contact verified and persists it for this account', async () => {
+    const { result } = renderHook(() => useContactVerification(1));
+    await act(() => result.current.refresh());
+
+    act(() => result.current.markVerified(2));
+
+    expect(result.current.status(2)).toBe('verified');
+    expect(getVerifiedContacts(1)[2].fingerprint).toBe('fp-pk-bob');
+  });
+
+  it('flags a verified contact whose key changed in the directory', async () => {
+    const { result } = renderHook(() => useContactVerification(1));
+    await act(() => result.current.refresh());
+    act(() => result.current.markVerified(2));
+
+    usersService.getAllPublicKeys.mockResolvedValue([me, { ...bob, publicKey: 'pk-evil' }]);
+    await act(() => result.current.refresh());
+
+    expect(result.current.status(2)).toBe('changed');
+    expect(result.current.changedContacts.map((c) => c.userId)).toEqual([2]);
+  });
+
+  it('re-verifying accepts the new key', async () => {
+    const { result } = renderHook(() => useContactVerification(1));
+    await act(() => result.current.refresh());
+    act(() => result.current.markVerified(2));
+
+    usersService.getAllPublicKeys.mockResolvedValue([me, { ...bob, publicKey: 'pk-new' }]);
+    await act(() => result.current.refresh());
+    act(() => result.current.markVerified(2));
+
+    expect(result.current.status(2)).toBe('verified');
+    expect(result.current.changedContacts).toEqual([]);
+  });
+
+  it('unmarking forgets the contact', async () => {
+    const { result } = renderHook(() => useContactVerification(1));
+    await act(() => result.current.refresh());
+    act(() => result.current.markVerified(2));
+    act(() => result.current.unmarkVerified(2));
+
+    expect(result.current.status(2)).toBe('unverified');
+    expect(getVerifiedContacts(1)).toEqual({});
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { renderHook } from '@testing-library/react';
+import { useIdleTimer } from '../hooks/useIdleTimer';
+import { APP_LOCK_CHECK_INTERVAL } from '../config/constants';
+
+const TIMEOUT = 60000;
+
+describe('useIdleTimer', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('fires after the timeout without activity', () => {
+    const onIdle = vi.fn();
+    renderHook(() => useIdleTimer(onIdle, TIMEOUT));
+
+    vi.advanceTimersByTime(TIMEOUT - APP_LOCK_CHECK_INTERVAL);
+    expect(onIdle).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(APP_LOCK_CHECK_INTERVAL);
+    expect(onIdle).toHaveBeenCalled();
+  });
+
+  it('restarts the countdown on user activity', () => {
+    const onIdle = vi.fn();
+    renderHook(() => useIdleTimer(onIdle, TIMEOUT));
+
+    vi.advanceTimersByTime(TIMEOUT - APP_LOCK_CHECK_INTERVAL);
+    window.dispatchEvent(new Event('keydown'));
+    vi.advanceTimersByTime(TIMEOUT - APP_LOCK_CHECK_INTERVAL);
+
+    expect(onIdle).not.toHaveBeenCalled();
+  });
+
+  it('does nothing while disabled', () => {
+    const onIdle = vi.fn();
+    renderHook(() => useIdleTimer(onIdle, TIMEOUT, false));
+
+    vi.advanceTimersByTime(TIMEOUT * 2);
+
+    expect(onIdle).not.toHaveBeenCalled();
+  });
+});
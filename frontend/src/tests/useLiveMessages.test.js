@@ -0,0 +1,413 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useLiveMessages } from '../hooks/useLiveMessages';
+import * as messagesService from '../services/messages';
+
+// Mock the messages service
+vi.mock('../services/messages');
+
+describe('useLiveMessages', () => {
+  let mockOnMessages;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    localStorage.clear();
+    mockOnMessages = vi.fn();
+    messagesService.ackMessages.mockResolvedValue({ message: 'Acknowledged' });
+    // A server without the stream endpoint: these cases run on long polling alone
+    messagesService.streamMessages.mockRejectedValue(Object.assign(new Error('Not Found'), { response: { status: 404 } }));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('initial state', () => {
+    it('should return disconnected status when not enabled', () => {
+      messagesService.pollMessages.mockImplementation(() => new Promise(() => {}));
+
+      const { result } = renderHook(() => useLiveMessages(mockOnMessages, false));
+
+      expect(result.current.connectionStatus).toBe('disconnected');
+    });
+
+    it('should start with connecting status when enabled', async () => {
+      let resolveFirstPoll;
+      messagesService.pollMessages.mockImplementation(
+        () => new Promise((resolve) => { resolveFirstPoll = resolve; })
+      );
+
+      const { result } = renderHook(() => useLiveMessages(mockOnMessages, true));
+
+      // Wait for the effect to run
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(0);
+      });
+
+      expect(result.current.connectionStatus).toBe('connecting');
+
+      // Cleanup
+      resolveFirstPoll({ messages: [] });
+    });
+  });
+
+  describe('successful polling', () => {
+    it('should set connected status after successful poll', async () => {
+      messagesService.pollMessages.mockResolvedValueOnce({ messages: [] });
+      // Keep second poll pending to prevent infinite loop
+      messagesService.pollMessages.mockImplementation(() => new Promise(() => {}));
+
+      const { result } = renderHook(() => useLiveMessages(mockOnMessages, true));
+
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(0);
+      });
+
+      expect(result.current.connectionStatus).toBe('connected');
+    });
+
+    it('should call onMessages when messages are received', async () => {
+      const mockMessages = [
+        { id: 1, content: 'test message' },
+        { id: 2, content: 'another message' },
+      ];
+
+      messagesService.pollMessages.mockResolvedValueOnce({ messages: mockMessages });
+      messagesService.pollMessages.mockImplementation(() => new Promise(() => {}));
+
+      renderHook(() => useLiveMessages(mockOnMessages, true));
+
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(0);
+      });
+
+      expect(mockOnMessages).toHaveBeenCalledWith(mockMessages);
+    });
+
+    it('should not call onMessages when messages array is empty', async () => {
+      messagesService.pollMessages.mockResolvedValueOnce({ messages: [] });
+      messagesService.pollMessages.mockImplementation(() => new Promise(() => {}));
+
+      renderHook(() => useLiveMessages(mockOnMessages, true));
+
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(0);
+      });
+
+      expect(mockOnMessages).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('error handling', () => {
+    it('should set error status on network error', async () => {
+      messagesService.pollMessages.mockRejectedValueOnce(new Error('Network error'));
+      messagesService.pollMessages.mockImplementation(() => new Promise(() => {}));
+
+      const { result } = renderHook(() => useLiveMessages(mockOnMessages, true));
+
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(0);
+      });
+
+      expect(result.current.connectionStatus).toBe('error');
+    });
+
+    it('should retry after 1 second on error', async () => {
+      messagesService.pollMessages
+        .mockRejectedValueOnce(new Error('Network error'))
+        .mockResolvedValueOnce({ messages: [] })
+        .mockImplementation(() => new Promise(() => {}));
+
+      const { result } = renderHook(() => useLiveMessages(mockOnMessages, true));
+
+      // First poll fails
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(0);
+      });
+
+      expect(result.current.connectionStatus).toBe('error');
+
+      // Wait for retry delay
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(1000);
+      });
+
+      expect(result.current.connectionStatus).toBe('connected');
+
+      // The failed poll, its retry, and the next poll now waiting for messages
+      expect(messagesService.pollMessages).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry on abort error', async () => {
+      const abortError = new Error('Aborted');
+      abortError.name = 'AbortError';
+      messagesService.pollMessages.mockRejectedValueOnce(abortError);
+
+      renderHook(() => useLiveMessages(mockOnMessages, true));
+
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(0);
+      });
+
+      // Wait a bit to ensure no retry
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(2000);
+      });
+
+      // Should only be called once (no retry on abort)
+      expect(messagesService.pollMessages).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('cleanup', () => {
+    it('should set disconnected status when disabled', async () => {
+      messagesService.pollMessages.mockResolvedValueOnce({ messages: [] });
+      messagesService.pollMessages.mockImplementation(() => new Promise(() => {}));
+
+      const { result, rerender } = renderHook(
+        ({ enabled }) => useLiveMessages(mockOnMessages, enabled),
+        { initialProps: { enabled: true } }
+      );
+
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(0);
+      });
+
+      expect(result.current.connectionStatus).toBe('connected');
+
+      // Disable polling
+      rerender({ enabled: false });
+
+      expect(result.current.connectionStatus).toBe('disconnected');
+    });
+
+    it('should abort request on unmount', async () => {
+      let abortSignal;
+      messagesService.pollMessages.mockImplementation((signal) => {
+        abortSignal = signal;
+        return new Promise(() => {});
+      });
+
+      const { unmount } = renderHook(() => useLiveMessages(mockOnMessages, true));
+
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(0);
+      });
+
+      // Unmount the hook
+      unmount();
+
+      // The abort signal should have been triggered
+      expect(abortSignal?.aborted).toBe(true);
+    });
+  });
+
+  describe('connection status transitions', () => {
+    it('should transition from connecting -> connected on success', async () => {
+      let resolveFirstPoll;
+      messagesService.pollMessages.mockImplementationOnce(
+        () => new Promise((resolve) => { resolveFirstPoll = resolve; })
+      );
+      messagesService.pollMessages.mockImplementation(() => new Promise(() => {}));
+
+      const { result } = renderHook(() => useLiveMessages(mockOnMessages, true));
+
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(0);
+      });
+
+      expect(result.current.connectionStatus).toBe('connecting');
+
+      await act(async () => {
+        resolveFirstPoll({ messages: [] });
+        await vi.advanceTimersByTimeAsync(0);
+      });
+
+      expect(result.current.connectionStatus).toBe('connected');
+    });
+
+    it('should transition from connecting -> error on failure', async () => {
+      let rejectFirstPoll;
+      messagesService.pollMessages.mockImplementationOnce(
+        () => new Promise((_, reject) => { rejectFirstPoll = reject; })
+      );
+      messagesService.pollMessages.mockImplementation(() => new Promise(() => {}));
+
+      const { result } = renderHook(() => useLiveMessages(mockOnMessages, true));
+
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(0);
+      });
+
+      expect(result.current.connectionStatus).toBe('connecting');
+
+      await act(async () => {
+        rejectFirstPoll(new Error('Network error'));
+        await vi.advanceTimersByTimeAsync(0);
+      });
+
+      expect(result.current.connectionStatus).toBe('error');
+    });
+  });
+
+  describe('message stream', () => {
+    // Opens the stream, hands over the given messages, then stays open
+    const openStream = (messages = []) => ({ onOpen, onMessages }) => {
+      onOpen();
+      if (messages.length > 0) onMessages(messages);
+      return new Promise(() => {});
+    };
+
+    it('prefers the stream over polling', async () => {
+      messagesService.streamMessages.mockImplementation(openStream([{ id: 3, content: 'streamed' }]));
+
+      const { result } = renderHook(() => useLiveMessages(mockOnMessages, true));
+
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(0);
+      });
+
+      expect(result.current.connectionStatus).toBe('connected');
+      expect(mockOnMessages).toHaveBeenCalledWith([{ id: 3, content: 'streamed' }]);
+      expect(messagesService.ackMessages).toHaveBeenCalledWith([3]);
+      expect(messagesService.pollMessages).not.toHaveBeenCalled();
+    });
+
+    it('polls once when the stream drops, then resumes it after the newest message', async () => {
+      messagesService.streamMessages
+        .mockImplementationOnce(async ({ onOpen, onMessages }) => {
+          onOpen();
+          onMessages([{ id: 7 }]);
+          throw new Error('Event stream went quiet');
+        })
+        .mockImplementation(openStream());
+      messagesService.pollMessages.mockResolvedValueOnce({ messages: [{ id: 8 }] });
+
+      renderHook(() => useLiveMessages(mockOnMessages, true));
+
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(0);
+      });
+
+      expect(messagesService.pollMessages).toHaveBeenCalledTimes(1);
+      expect(mockOnMessages).toHaveBeenCalledWith([{ id: 8 }]);
+      expect(messagesService.streamMessages).toHaveBeenLastCalledWith(expect.objectContaining({ lastEventId: 8 }));
+    });
+
+    it('falls back to polling for good when the stream keeps failing to open', async () => {
+      messagesService.streamMessages.mockRejectedValue(
+        Object.assign(new Error('Bad Gateway'), { isAxiosError: true, response: { status: 502 } })
+      );
+      messagesService.pollMessages
+        .mockResolvedValueOnce({ messages: [] })
+        .mockResolvedValueOnce({ messages: [] })
+        .mockResolvedValueOnce({ messages: [] })
+        .mockImplementation(() => new Promise(() => {}));
+
+      const { result } = renderHook(() => useLiveMessages(mockOnMessages, true));
+
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(0);
+      });
+
+      expect(result.current.connectionStatus).toBe('connected');
+      expect(messagesService.streamMessages).toHaveBeenCalledTimes(3);
+      expect(messagesService.pollMessages).toHaveBeenCalledTimes(4);
+    });
+
+    it('keeps trying the stream while the network is down', async () => {
+      messagesService.streamMessages
+        .mockRejectedValueOnce(Object.assign(new Error('Network Error'), { isAxiosError: true }))
+        .mockRejectedValueOnce(Object.assign(new Error('Network Error'), { isAxiosError: true }))
+        .mockRejectedValueOnce(Object.assign(new Error('Network Error'), { isAxiosError: true }))
+        .mockImplementation(openStream());
+      messagesService.pollMessages.mockRejectedValue(new Error('Network Error'));
+
+      const { result } = renderHook(() => useLiveMessages(mockOnMessages, true));
+
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(3000);
+      });
+
+      expect(messagesService.streamMessages).toHaveBeenCalledTimes(4);
+      expect(result.current.connectionStatus).toBe('connected');
+    });
+  });
+
+  describe('delivery cursor', () => {
+    it('sends the newest message id with the next poll and keeps it across reloads', async () => {
+      messagesService.pollMessages
+        .mockResolvedValueOnce({ messages: [{ id: 4 }, { id: 5 }] })
+        .mockImplementation(() => new Promise(() => {}));
+
+      const { unmount } = renderHook(() => useLiveMessages(mockOnMessages, true));
+
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(0);
+      });
+
+      expect(messagesService.pollMessages).toHaveBeenNthCalledWith(1, expect.any(AbortSignal), null);
+      expect(messagesService.pollMessages).toHaveBeenNthCalledWith(2, expect.any(AbortSignal), 5);
+      // The cursor acknowledges nothing on its own: the batch is acknowledged by its ids
+      expect(messagesService.ackMessages).toHaveBeenCalledWith([4, 5]);
+
+      unmount();
+      renderHook(() => useLiveMessages(mockOnMessages, true));
+
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(0);
+      });
+
+      expect(messagesService.pollMessages).toHaveBeenLastCalledWith(expect.any(AbortSignal), 5);
+    });
+  });
+
+  describe('receipts', () => {
+    const receipt = { messageId: 7, conversationId: null, userId: 2, deliveredAt: '2026-01-01T00:00:00Z', readAt: null };
+
+    it('passes receipts from polls and stream events on, without moving the cursor', async () => {
+      const onReceipts = vi.fn();
+      messagesService.streamMessages
+        .mockImplementationOnce(async ({ onOpen, onReceipts: streamReceipts }) => {
+          onOpen();
+          streamReceipts([receipt]);
+        })
+        .mockImplementation(() => new Promise(() => {}));
+      messagesService.pollMessages.mockResolvedValueOnce({ messages: [], receipts: [{ ...receipt, userId: 3 }] });
+
+      renderHook(() => useLiveMessages(mockOnMessages, true, onReceipts));
+
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(0);
+      });
+
+      expect(onReceipts.mock.calls).toEqual([[[receipt]], [[{ ...receipt, userId: 3 }]]]);
+      expect(mockOnMessages).not.toHaveBeenCalled();
+      expect(messagesService.streamMessages).toHaveBeenLastCalledWith(expect.objectContaining({ lastEventId: null }));
+    });
+  });
+
+  describe('typing', () => {
+    it('passes typing events from polls and stream events on', async () => {
+      const onTyping = vi.fn();
+      const typing = { conversationId: null, userId: 2, username: 'bob', typing: true };
+      messagesService.streamMessages
+        .mockImplementationOnce(async ({ onOpen, onTyping: streamTyping }) => {
+          onOpen();
+          streamTyping([typing]);
+        })
+        .mockImplementation(() => new Promise(() => {}));
+      messagesService.pollMessages.mockResolvedValueOnce({ messages: [], typing: [{ ...typing, typing: false }] });
+
+      renderHook(() => useLiveMessages(mockOnMessages, true, null, onTyping));
+
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(0);
+      });
+
+      expect(onTyping.mock.calls).toEqual([[[typing]], [[{ ...typing, typing: false }]]]);
+      expect(mockOnMessages).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,59 @@
+// Reader for a Server-Sent Events body (a ReadableStream of bytes). EventSource cannot send
+// the Authorization header, so streams are fetched like any request and parsed here.
+
+// One event block: "field: value" lines; lines starting with ":" are comments (heartbeats)
+function parseEvent(block) {
+  const event = { id: undefined, event: 'message', data: [] };
+
+  for (const line of block.split('\n')) {
+    if (!line || line.startsWith(':')) continue;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+    if (field === 'data') event.data.push(value);
+    else if (field === 'id') event.id = value;
+    else if (field === 'event') event.event = value;
+  }
+
+  return event.data.length > 0 ? { ...event, data: event.data.join('\n') } : null;
+}
+
+function readWithTimeout(reader, idleTimeout) {
+  let timer;
+  const idle = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('Event stream went quiet')), idleTimeout);
+  });
+  return Promise.race([reader.read(), idle]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Calls onEvent({ id, event, data }) for every event until the stream ends. Rejects when nothing,
+ * not even a heartbeat, arrives for idleTimeout ms: the connection is most likely dead.
+ */
+export async function readEventStream(body, onEvent, idleTimeout) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    for (;;) {
+      const { done, value } = await readWithTimeout(reader, idleTimeout);
+      if (done) return;
+
+      buffer = (buffer + decoder.decode(value, { stream: true })).replace(/\r\n?/g, '\n');
+
+      // Events end with a blank line; the rest waits for the next chunk
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const event = parseEvent(buffer.slice(0, end));
+        buffer = buffer.slice(end + 2);
+        if (event) onEvent(event);
+      }
+    }
+  } catch (err) {
+    reader.cancel().catch(() => {});
+    throw err;
+  }
+}
@@ -0,0 +1,67 @@
+// IndexedDB store for CryptoKey objects. Keys saved here are structured-cloned as-is, so a
+// non-extractable key stays usable by WebCrypto while its material can never be read back.
+// A second store holds records sealed under one of those keys (see sealData in utils/crypto).
+const DB_NAME = 'messaging_keys';
+const KEYS = 'keys';
+const RECORDS = 'records';
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 2);
+      request.onupgradeneeded = (e) => {
+        if (e.oldVersion < 1) request.result.createObjectStore(KEYS);
+        if (e.oldVersion < 2) request.result.createObjectStore(RECORDS);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let the next call retry (e.g. storage blocked for this page load only)
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+// Runs one request in its own transaction and resolves with its result once committed
+async function withStore(storeName, mode, fn) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export async function getKey(name) {
+  return (await withStore(KEYS, 'readonly', (store) => store.get(name))) ?? null;
+}
+
+export async function putKey(name, key) {
+  await withStore(KEYS, 'readwrite', (store) => store.put(key, name));
+}
+
+export async function deleteKey(name) {
+  await withStore(KEYS, 'readwrite', (store) => store.delete(name));
+}
+
+export async function clearKeys() {
+  await withStore(KEYS, 'readwrite', (store) => store.clear());
+}
+
+export async function getRecord(name) {
+  return (await withStore(RECORDS, 'readonly', (store) => store.get(name))) ?? null;
+}
+
+export async function putRecord(name, record) {
+  await withStore(RECORDS, 'readwrite', (store) => store.put(record, name));
+}
+
+export async function clearRecords() {
+  await withStore(RECORDS, 'readwrite', (store) => store.clear());
+}
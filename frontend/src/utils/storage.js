@@ -1,4 +1,9 @@
+import { MESSAGE_CACHE_LIMIT, SEEN_ENVELOPE_LIMIT } from '../config/constants';
+import { generateAESKey, importPrivateKey, importSigningKey, importStorageKey, sealData, openSealed } from './crypto';
+import { getKey, putKey, deleteKey, clearKeys, getRecord, putRecord, clearRecords } from './keyStore';
+
 const TOKEN_KEY = 'messaging_auth_token';
+const REFRESH_TOKEN_KEY = 'messaging_refresh_token';
 const USER_KEY = 'messaging_user';
 
 export function getToken() {
@@ -13,6 +18,19 @@ export function removeToken() {
   localStorage.removeItem(TOKEN_KEY);
 }
 
+// Long-lived and single-use: every refresh replaces it (see services/api)
+export function getRefreshToken() {
+  return localStorage.getItem(REFRESH_TOKEN_KEY);
+}
+
+export function setRefreshToken(refreshToken) {
+  localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+}
+
+export function removeRefreshToken() {
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+}
+
 export function getUser() {
   try {
     const user = localStorage.getItem(USER_KEY);
@@ -30,22 +48,414 @@ export function removeUser() {
   localStorage.removeItem(USER_KEY);
 }
 
-const PRIVATE_KEY = 'messaging_private_key';
+// RSA decryption keys (account, archived versions, device) and the ECDSA signing key are
+// non-extractable CryptoKeys in IndexedDB: page scripts can use them but cannot read them.
+// Setters take the PEM and keep only the imported key.
+const ACCOUNT_KEY = 'account';
+const DEVICE_KEY = 'device';
+const SIGNING_KEY = 'signing';
+
+function archivedKeyName(keyVersion) {
+  return `archived:${keyVersion}`;
+}
+
+// Older versions kept these PEMs in localStorage
+const LEGACY_PRIVATE_KEY = 'messaging_private_key';
+const LEGACY_ARCHIVED_KEYS = 'messaging_archived_keys';
+const LEGACY_SIGNING_KEY = 'messaging_signing_key';
+// ... and these device secrets as plaintext JSON
+const LEGACY_RECORDS = {
+  messaging_prekey_secrets: 'prekeySecrets',
+  messaging_sessions: 'sessions',
+  messaging_message_cache: 'messageCache',
+};
+
+let migration = null;
+
+function hasLegacyKeys() {
+  return Boolean(
+    localStorage.getItem(LEGACY_PRIVATE_KEY) ||
+    localStorage.getItem(LEGACY_ARCHIVED_KEYS) ||
+    localStorage.getItem(LEGACY_SIGNING_KEY) ||
+    Object.keys(LEGACY_RECORDS).some((item) => localStorage.getItem(item)) ||
+    getDevice()?.privateKey
+  );
+}
+
+async function importLegacyKeys() {
+  const pem = localStorage.getItem(LEGACY_PRIVATE_KEY);
+  if (pem) {
+    await putKey(ACCOUNT_KEY, await importPrivateKey(pem));
+    localStorage.removeItem(LEGACY_PRIVATE_KEY);
+  }
+
+  const archived = localStorage.getItem(LEGACY_ARCHIVED_KEYS);
+  if (archived) {
+    for (const [keyVersion, archivedPem] of Object.entries(JSON.parse(archived))) {
+      await putKey(archivedKeyName(keyVersion), await importPrivateKey(archivedPem));
+    }
+    localStorage.removeItem(LEGACY_ARCHIVED_KEYS);
+  }
+
+  const signingPem = localStorage.getItem(LEGACY_SIGNING_KEY);
+  if (signingPem) {
+    await putKey(SIGNING_KEY, await importSigningKey(signingPem));
+    localStorage.removeItem(LEGACY_SIGNING_KEY);
+  }
+
+  const device = getDevice();
+  if (device?.privateKey) {
+    await putKey(DEVICE_KEY, await importPrivateKey(device.privateKey));
+    setDevice({ deviceId: device.deviceId });
+  }
+
+  for (const [item, name] of Object.entries(LEGACY_RECORDS)) {
+    const value = localStorage.getItem(item);
+    if (!value) continue;
+    try {
+      await writeSealed(name, JSON.parse(value));
+    } catch {
+      // Unreadable: same as losing it (sessions restart, cached messages show as undecryptable)
+    }
+    localStorage.removeItem(item);
+  }
+}
+
+/**
+ * Moves private keys and device secrets left in localStorage by older versions into the
+ * key store and wipes the plaintext copies. Every key getter and setter waits for it; concurrent callers share one run.
+ */
+export function migrateLegacyKeys() {
+  if (!hasLegacyKeys()) return Promise.resolve();
+  if (!migration) {
+    migration = importLegacyKeys().finally(() => {
+      migration = null;
+    });
+  }
+  return migration;
+}
+
+export async function getPrivateKey() {
+  await migrateLegacyKeys();
+  return getKey(ACCOUNT_KEY);
+}
+
+export async function setPrivateKey(pem) {
+  await migrateLegacyKeys();
+  await putKey(ACCOUNT_KEY, await importPrivateKey(pem));
+}
+
+export async function removePrivateKey() {
+  await deleteKey(ACCOUNT_KEY);
+}
+
+// Drops every unwrapped key (account, archived, device, signing, storage); waits for a running migration first
+export async function clearPrivateKeys() {
+  await Promise.resolve(migration).catch(() => {});
+  await clearKeys();
+}
+
+export async function getSigningKey() {
+  await migrateLegacyKeys();
+  return getKey(SIGNING_KEY);
+}
+
+export async function setSigningKey(pem) {
+  await migrateLegacyKeys();
+  await putKey(SIGNING_KEY, await importSigningKey(pem));
+}
+
+export async function removeSigningKey() {
+  await deleteKey(SIGNING_KEY);
+}
+
+// Private keys of rotated-out key versions
+export async function getArchivedKey(keyVersion) {
+  await migrateLegacyKeys();
+  return getKey(archivedKeyName(keyVersion));
+}
+
+// Stores archived keys given as { [keyVersion]: pem }
+export async function setArchivedKeys(keys) {
+  await migrateLegacyKeys();
+  for (const [keyVersion, pem] of Object.entries(keys)) {
+    await putKey(archivedKeyName(keyVersion), await importPrivateKey(pem));
+  }
+}
+
+// Keeps the current account key under the version it is being rotated out of
+export async function archivePrivateKey(keyVersion) {
+  const key = await getPrivateKey();
+  if (key) await putKey(archivedKeyName(keyVersion), key);
+}
+
+// This browser's registered device: { deviceId }; its RSA key is in the key store
+const DEVICE = 'messaging_device';
+
+export function getDevice() {
+  try {
+    const device = localStorage.getItem(DEVICE);
+    return device ? JSON.parse(device) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function setDevice(device) {
+  localStorage.setItem(DEVICE, JSON.stringify(device));
+}
+
+export function removeDevice() {
+  localStorage.removeItem(DEVICE);
+}
+
+export async function getDeviceKey() {
+  await migrateLegacyKeys();
+  return getKey(DEVICE_KEY);
+}
+
+export async function setDeviceKey(pem) {
+  await migrateLegacyKeys();
+  await putKey(DEVICE_KEY, await importPrivateKey(pem));
+}
+
+// Device secrets that are not single CryptoKeys are records sealed under this device's
+// storage key (a non-extractable AES key in the key store), never plaintext at rest
+const STORAGE_KEY = 'storage';
+
+async function readSealed(name, fallback) {
+  await migrateLegacyKeys();
+  const [key, record] = await Promise.all([getKey(STORAGE_KEY), getRecord(name)]);
+  if (!key || !record) return fallback;
+  try {
+    return await openSealed(key, name, record);
+  } catch {
+    // Sealed under a storage key this device no longer has
+    return fallback;
+  }
+}
 
-export function getPrivateKey() {
-  return localStorage.getItem(PRIVATE_KEY);
+export async function setStorageKey(keyHex) {
+  await putKey(STORAGE_KEY, await importStorageKey(keyHex));
 }
 
-export function setPrivateKey(key) {
-  localStorage.setItem(PRIVATE_KEY, key);
+/**
+ * Gives this device a new storage key. Returns its hex form, for wrapping in the key vault;
+ * records sealed under the previous key are unreadable from now on.
+ */
+export async function createStorageKey() {
+  const keyHex = generateAESKey();
+  await setStorageKey(keyHex);
+  return keyHex;
+}
+
+// Devices from before the key vault held a storage key get one on their first write;
+// the app lock then drops what it sealed for good
+async function storageKeyForWriting() {
+  const key = await getKey(STORAGE_KEY);
+  if (key) return key;
+  // A new key now would orphan what the old one sealed once the lock is lifted
+  if (isLocked()) throw new Error('Locked');
+  await createStorageKey();
+  return getKey(STORAGE_KEY);
+}
+
+async function writeSealed(name, value) {
+  await putRecord(name, await sealData(await storageKeyForWriting(), name, value));
+}
+
+// Sealed records change by read-modify-write; run those one at a time
+let sealedUpdates = Promise.resolve();
+
+function updateSealed(name, fallback, fn) {
+  const run = sealedUpdates.then(async () => {
+    const value = fn(await readSealed(name, fallback));
+    await writeSealed(name, value);
+    return value;
+  });
+  sealedUpdates = run.catch(() => {});
+  return run;
+}
+
+// This device's X3DH private keys: identity, signed prekey and unused one-time prekeys
+const PREKEY_SECRETS = 'prekeySecrets';
+
+export function getPreKeySecrets() {
+  return readSealed(PREKEY_SECRETS, null);
+}
+
+export async function setPreKeySecrets(secrets) {
+  await updateSealed(PREKEY_SECRETS, null, () => secrets);
+}
+
+// Applies `fn(secrets)` to the stored prekey secrets and stores what it returns
+export function updatePreKeySecrets(fn) {
+  return updateSealed(PREKEY_SECRETS, null, fn);
+}
+
+// Double Ratchet sessions by peer device: { "userId:deviceId": { active, previous: [] } }
+const SESSIONS = 'sessions';
+
+export function getSessions() {
+  return readSealed(SESSIONS, {});
+}
+
+export async function setSessions(sessions) {
+  await updateSealed(SESSIONS, {}, () => sessions);
+}
+
+// Forward-secret messages by id ({ content, verified }); their keys are gone after the first decryption
+const MESSAGE_CACHE = 'messageCache';
+
+export async function getCachedMessage(id) {
+  return (await readSealed(MESSAGE_CACHE, {}))[id] || null;
+}
+
+export async function cacheMessage(id, entry) {
+  await updateSealed(MESSAGE_CACHE, {}, (cache) => {
+    cache[id] = entry;
+
+    // Integer keys enumerate in ascending order, so the oldest messages go first
+    const ids = Object.keys(cache);
+    for (const old of ids.slice(0, Math.max(0, ids.length - MESSAGE_CACHE_LIMIT))) {
+      delete cache[old];
+    }
+    return cache;
+  });
+}
+
+// Envelope ids already accepted, with the message that carried each: { "conversation:envelopeId": messageId }.
+// The server can store a copy of an envelope as a new message; it decrypts fine, so this is how replays show.
+const SEEN_ENVELOPES = 'messaging_seen_envelopes';
+
+function readSeenEnvelopes() {
+  try {
+    const seen = localStorage.getItem(SEEN_ENVELOPES);
+    return seen ? JSON.parse(seen) : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Records that a message carried an envelope. Returns false when another message of the
+ * same conversation (null = general room) carried it under a lower id, i.e. this one is a
+ * replay. The server numbers messages in order, so the original always has the lowest id,
+ * whichever copy this device happens to read first.
+ */
+export function acceptEnvelope(conversationId, envelopeId, messageId) {
+  const seen = readSeenEnvelopes();
+  const key = `${conversationId ?? 'general'}:${envelopeId}`;
+  if (key in seen && seen[key] <= messageId) return seen[key] === messageId;
+
+  // A copy read first gives way to the original; re-inserting keeps the newest entries last
+  delete seen[key];
+  seen[key] = messageId;
+  // String keys enumerate in insertion order, so the oldest envelopes go first
+  const keys = Object.keys(seen);
+  for (const old of keys.slice(0, Math.max(0, keys.length - SEEN_ENVELOPE_LIMIT))) {
+    delete seen[old];
+  }
+  localStorage.setItem(SEEN_ENVELOPES, JSON.stringify(seen));
+  return true;
+}
+
+export function removeSeenEnvelopes() {
+  localStorage.removeItem(SEEN_ENVELOPES);
+}
+
+// Newest message id this device has received; polls and streams resume after it
+const MESSAGE_CURSOR = 'messaging_message_cursor';
+
+export function getMessageCursor() {
+  const cursor = Number(localStorage.getItem(MESSAGE_CURSOR));
+  return Number.isInteger(cursor) && cursor > 0 ? cursor : null;
+}
+
+export function setMessageCursor(id) {
+  localStorage.setItem(MESSAGE_CURSOR, String(id));
+}
+
+export function removeMessageCursor() {
+  localStorage.removeItem(MESSAGE_CURSOR);
+}
+
+// Password-encrypted copies of this session's private keys, for unlocking the app lock:
+// { privateKey, archivedKeys: { [keyVersion]: entry }, signingKey, deviceKey, storageKey },
+// each entry { encryptedPrivateKey, iv } as made by encryptPrivateKey (storageKey wraps hex, not a PEM)
+const KEY_VAULT = 'messaging_key_vault';
+
+export function getKeyVault() {
+  try {
+    const vault = localStorage.getItem(KEY_VAULT);
+    return vault ? JSON.parse(vault) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function updateKeyVault(changes) {
+  localStorage.setItem(KEY_VAULT, JSON.stringify({ ...getKeyVault(), ...changes }));
+}
+
+export function removeKeyVault() {
+  localStorage.removeItem(KEY_VAULT);
+}
+
+// Shared by all tabs: locking in one tab drops the keys the others use too
+const LOCKED = 'messaging_locked';
+
+export function isLocked() {
+  return localStorage.getItem(LOCKED) !== null;
+}
+
+export function setLocked(locked) {
+  if (locked) localStorage.setItem(LOCKED, '1');
+  else localStorage.removeItem(LOCKED);
+}
+
+// Calls back with the new state when another tab locks or unlocks; returns an unsubscribe function
+export function onLockChange(callback) {
+  const handler = (e) => {
+    if (e.key === LOCKED) callback(e.newValue !== null);
+  };
+  window.addEventListener('storage', handler);
+  return () => window.removeEventListener('storage', handler);
+}
+
+// Verified contacts survive logout: they record what this user compared out of band
+const VERIFIED_CONTACTS_PREFIX = 'messaging_verified_contacts_';
+
+export function getVerifiedContacts(ownerId) {
+  try {
+    const contacts = localStorage.getItem(VERIFIED_CONTACTS_PREFIX + ownerId);
+    return contacts ? JSON.parse(contacts) : {};
+  } catch {
+    return {};
+  }
 }
 
-export function removePrivateKey() {
-  localStorage.removeItem(PRIVATE_KEY);
+export function setVerifiedContacts(ownerId, contacts) {
+  localStorage.setItem(VERIFIED_CONTACTS_PREFIX + ownerId, JSON.stringify(contacts));
 }
 
+/**
+ * Signs out locally. Resolves once the key store is wiped as well.
+ */
 export function clearAuth() {
   removeToken();
+  removeRefreshToken();
   removeUser();
-  removePrivateKey();
+  removeDevice();
+  removeSeenEnvelopes();
+  removeMessageCursor();
+  removeKeyVault();
+  setLocked(false);
+  localStorage.removeItem(LEGACY_PRIVATE_KEY);
+  localStorage.removeItem(LEGACY_ARCHIVED_KEYS);
+  localStorage.removeItem(LEGACY_SIGNING_KEY);
+  Object.keys(LEGACY_RECORDS).forEach((item) => localStorage.removeItem(item));
+  return clearPrivateKeys()
+    .then(() => clearRecords())
+    .catch(() => {});
 }
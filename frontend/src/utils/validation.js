@@ -7,6 +7,9 @@ export const VALIDATION_RULES = {
   password: {
     minLength: 6,
   },
+  recoveryCode: {
+    length: 16,
+  },
 };
 
 // Error messages in Hebrew
@@ -24,6 +27,10 @@ export const ERROR_MESSAGES = {
     required: 'אימות סיסמה הוא שדה חובה',
     mismatch: 'הסיסמאות אינן תואמות',
   },
+  recoveryCode: {
+    required: 'קוד שחזור הוא שדה חובה',
+    invalid: `קוד שחזור מכיל ${VALIDATION_RULES.recoveryCode.length} אותיות וספרות`,
+  },
 };
 
 /**
@@ -61,3 +68,16 @@ export function validateConfirmPassword(value, password) {
   if (value !== password) return ERROR_MESSAGES.confirmPassword.mismatch;
   return null;
 }
+
+/**
+ * Validates a recovery code field (dashes and spaces are ignored)
+ * @param {string} value - The recovery code as typed
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateRecoveryCode(value) {
+  if (!value) return ERROR_MESSAGES.recoveryCode.required;
+  if (value.replace(/[\s-]/g, '').length !== VALIDATION_RULES.recoveryCode.length) {
+    return ERROR_MESSAGES.recoveryCode.invalid;
+  }
+  return null;
+}